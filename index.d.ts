@@ -5,6 +5,8 @@
  * This is a standalone package providing database adapters only.
  */
 
+import { EventEmitter } from 'events';
+
 // Import the interfaces (these are defined in lib/interfaces.d.ts)
 import {
   SqliteAdapter,
@@ -21,33 +23,503 @@ export {
   AttachedAdapterOptions
 };
 
+/**
+ * Logger accepted by the `logger` option (pino, winston, console, ...)
+ */
+export interface Logger {
+  debug?(...args: any[]): void;
+  info(...args: any[]): void;
+  warn(...args: any[]): void;
+  error(...args: any[]): void;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Leveled, structured logger the adapters log through
+ */
+export interface AdapterLogger {
+  level: LogLevel;
+  isLevelEnabled(level: LogLevel): boolean;
+  debug(message: string, fields?: object): void;
+  info(message: string, fields?: object): void;
+  warn(message: string, fields?: object): void;
+  error(message: string, fields?: object): void;
+  params(params: any): any;
+}
+
+/**
+ * Options for BetterSqliteAdapter (also passed to better-sqlite3)
+ */
+export interface BetterSqliteAdapterOptions {
+  readonly?: boolean;
+  fileMustExist?: boolean;
+  timeout?: number;
+  verbose?: (message?: any, ...args: any[]) => void;
+  debug?: boolean;
+  enableWAL?: boolean;
+  maxRetries?: number;
+  baseDelay?: number;
+  /** Retry policy for busy/locked errors; maxRetries and baseDelay above are shorthands */
+  retry?: RetryPolicyOptions;
+  /** Milliseconds SQLite waits on a locked database before failing with SQLITE_BUSY (default: pragmas.busy_timeout, else timeout, else 5000) */
+  busyTimeout?: number;
+  /** PRAGMAs applied on connect; schema-level ones also apply to attached databases */
+  pragmas?: PragmaOptions;
+  /** Defaults for the per-call query options */
+  queryOptions?: QueryOptions;
+  statementCacheSize?: number;
+  /** Target logger (default: console when debug is set) */
+  logger?: Logger;
+  /** Argument order used when calling the logger (default: 'winston', message first) */
+  loggerStyle?: 'winston' | 'pino';
+  logLevel?: LogLevel;
+  /** Replace SQL parameters in logs (default: true), or map them to what should be logged */
+  redactParams?: boolean | ((params: any) => any);
+  /** Log queries taking at least this many milliseconds as warnings (default: 0, disabled) */
+  slowQueryThreshold?: number;
+  onQuery?: (event: QueryEvent) => void;
+  onRetry?: (event: RetryEvent) => void;
+  onError?: (event: QueryErrorEvent) => void;
+  onTransaction?: (event: TransactionEvent) => void;
+  /** Latency histogram bucket bounds in milliseconds */
+  latencyBuckets?: number[];
+  /** Reopen the database when the connection is closed or the file replaced (default: false) */
+  autoReconnect?: boolean;
+  /** Background WAL checkpoints, started on connect */
+  checkpoints?: CheckpointScheduleOptions;
+  /** Blocked checkpoints in a row before each further one is logged as a warning (default: 3) */
+  checkpointWarnAfter?: number;
+  /** Idle-time maintenance, started on connect */
+  maintenanceSchedule?: MaintenanceScheduleOptions;
+}
+
+/**
+ * Positional parameters, or named parameters for @name, :name and $name placeholders
+ */
+export type QueryParams = any[] | { [name: string]: any };
+
+/**
+ * Per-call query options. raw, pluck and expand are mutually exclusive.
+ */
+export interface QueryOptions {
+  /** Return each row as an array of column values */
+  raw?: boolean;
+  /** Return only the first column of each row */
+  pluck?: boolean;
+  /** Nest columns under their table name */
+  expand?: boolean;
+  /** Return integers as BigInt so values beyond 2^53 keep their precision */
+  safeIntegers?: boolean;
+}
+
+/**
+ * PRAGMA settings accepted by the pragmas option. Any other PRAGMA may be
+ * given with a number, boolean or single-word value.
+ */
+export interface PragmaOptions {
+  synchronous?: 'OFF' | 'NORMAL' | 'FULL' | 'EXTRA' | 0 | 1 | 2 | 3;
+  cache_size?: number;
+  mmap_size?: number;
+  busy_timeout?: number;
+  temp_store?: 'DEFAULT' | 'FILE' | 'MEMORY' | 0 | 1 | 2;
+  page_size?: number;
+  auto_vacuum?: 'NONE' | 'FULL' | 'INCREMENTAL' | 0 | 1 | 2;
+  wal_autocheckpoint?: number;
+  [pragma: string]: string | number | boolean | undefined;
+}
+
+/**
+ * Attachment accepted by the better-sqlite3 adapters
+ */
+export interface BetterSqliteAttachmentConfig extends AttachmentConfig, AttachOptions {}
+
+export interface AttachOptions {
+  /** Overrides for the schema-level PRAGMAs from the adapter's pragmas option */
+  pragmas?: PragmaOptions;
+  /** Reject writes to this alias made through the adapter */
+  readonly?: boolean;
+}
+
+export type QueryType = 'run' | 'get' | 'all' | 'iterate' | 'batch' | 'attach' | 'detach';
+
+/**
+ * Instrumentation events passed to the hook options
+ */
+export interface QueryEvent {
+  type: QueryType;
+  sql: string;
+  params: any;
+  durationMs: number;
+  attempts: number;
+  inTransaction: boolean;
+  rows?: number;
+  changes?: number;
+  /** Statements executed, for batch chunks */
+  statements?: number;
+}
+
+export interface IterateOptions extends QueryOptions {
+  /** Yield arrays of up to this many rows instead of single rows */
+  batchSize?: number;
+}
+
+export interface AttachLimit {
+  /** Maximum number of attached databases the SQLite library allows */
+  max: number;
+  /** Databases currently attached, excluding main and temp */
+  attached: number;
+  available: number;
+}
+
+/**
+ * Raised by attachDatabase() when SQLite's attached-database limit is reached
+ */
+export class AttachLimitError extends Error {
+  constructor(alias: string, limit: number, cause?: Error);
+  name: 'AttachLimitError';
+  code: 'SQLITE_LIMIT_ATTACHED';
+  alias: string;
+  limit: number;
+  cause?: Error;
+}
+
+export interface IndexColumn {
+  /** Column name, quoted for you */
+  name?: string;
+  /** SQL expression, used as written */
+  expression?: string;
+  collate?: string;
+  order?: 'ASC' | 'DESC' | 'asc' | 'desc';
+}
+
+export interface IndexSpec {
+  name: string;
+  table: string;
+  columns: Array<string | IndexColumn>;
+  unique?: boolean;
+  /** Condition of a partial index */
+  where?: string;
+}
+
+export interface EnsureIndexesOptions {
+  /** Drop indexes that no longer match the specs (default: false) */
+  dropStale?: boolean;
+}
+
+export interface EnsureIndexesReport {
+  alias: string;
+  created: string[];
+  recreated: string[];
+  dropped: string[];
+  unchanged: string[];
+  stale: string[];
+}
+
+export interface RunResult {
+  changes: number;
+  /** Rowid of the last inserted row; a BigInt with safeIntegers */
+  lastInsertRowid: number | bigint;
+  /** Same as lastInsertRowid, kept for existing callers */
+  lastID: number | bigint;
+}
+
+export interface TransactionOptions {
+  /** Open with BEGIN IMMEDIATE, taking the write lock up front */
+  immediate?: boolean;
+}
+
+export interface BatchOptions {
+  /** Statements executed per transaction (default: 500) */
+  chunkSize?: number;
+  /** Return the rowids as BigInt */
+  safeIntegers?: boolean;
+}
+
+export interface BatchResult {
+  changes: number;
+  /** One rowid per executed statement */
+  lastInsertRowids: Array<number | bigint>;
+}
+
+export interface BatchStatement {
+  sql: string;
+  params?: QueryParams;
+}
+
+export interface RetryEvent {
+  type: QueryType;
+  sql: string;
+  attempt: number;
+  maxRetries: number;
+  delayMs: number;
+  error: Error & { code?: string };
+}
+
+export interface QueryErrorEvent {
+  type: QueryType;
+  sql: string;
+  params: any;
+  attempts: number;
+  error: Error & { code?: string };
+}
+
+export interface TransactionEvent {
+  status: 'commit' | 'rollback';
+  /** Savepoint name for nested transactions, null for the outer transaction */
+  savepoint: string | null;
+  durationMs: number;
+  error?: Error;
+}
+
+export interface ConnectEvent {
+  dbPath: string;
+  reconnect: boolean;
+  reason?: DisconnectReason;
+}
+
+export type DisconnectReason = 'disconnect' | 'closed' | 'replaced';
+
+export interface DisconnectEvent {
+  dbPath: string;
+  reason: DisconnectReason;
+}
+
+export interface AttachEvent {
+  alias: string;
+  path: string;
+  readonly: boolean;
+}
+
+export interface DetachEvent {
+  alias: string;
+}
+
+export interface ReconnectErrorEvent {
+  type: 'reconnect';
+  reason: DisconnectReason;
+}
+
+export interface LatencyStats {
+  count: number;
+  sumMs: number;
+  minMs: number | null;
+  maxMs: number | null;
+  avgMs: number;
+  /** Cumulative counts per bucket upper bound */
+  buckets: Array<{ le: number; count: number }>;
+}
+
+/**
+ * Snapshot returned by getStats()
+ */
+export interface QueryStats {
+  queries: { total: number; [type: string]: number };
+  errors: { total: number; [code: string]: number };
+  retries: number;
+  transactions: { commit: number; rollback: number };
+  rows: { returned: number; changed: number };
+  latency: { [type: string]: LatencyStats };
+}
+
+export interface PrometheusOptions {
+  /** Metric name prefix (default: 'sqlite') */
+  prefix?: string;
+  /** Constant labels added to every sample */
+  labels?: { [name: string]: string };
+}
+
+/**
+ * Counters and latency histograms aggregated from instrumentation events
+ */
+export class QueryMetrics {
+  constructor(buckets?: number[]);
+
+  buckets: number[];
+
+  reset(): void;
+  recordQuery(event: QueryEvent): void;
+  recordError(event: QueryErrorEvent): void;
+  recordRetry(event: RetryEvent): void;
+  recordTransaction(event: TransactionEvent): void;
+  getStats(): QueryStats;
+  toPrometheus(options?: PrometheusOptions): string;
+
+  static DEFAULT_BUCKETS: number[];
+}
+
+/**
+ * Prepared statement cache statistics
+ */
+export interface StatementCacheStats {
+  size: number;
+  maxSize: number;
+  hits: number;
+  misses: number;
+  evictions: number;
+}
+
+/**
+ * Progress reported during backup() and restore()
+ */
+export interface BackupProgress {
+  totalPages: number;
+  remainingPages: number;
+  percent: number;
+}
+
+export interface BackupOptions {
+  alias?: string;
+  onProgress?: (progress: BackupProgress) => void;
+  pagesPerStep?: number;
+  stepDelay?: number;
+  verify?: boolean;
+}
+
+export interface RestoreOptions {
+  alias?: string;
+  onProgress?: (progress: BackupProgress) => void;
+}
+
+export interface BackupReport {
+  path: string;
+  alias: string;
+  totalPages: number;
+  size: number;
+  integrityCheck: { ok: boolean; messages: string[] } | null;
+}
+
+export type CheckpointMode = 'PASSIVE' | 'FULL' | 'RESTART' | 'TRUNCATE';
+
+export interface CheckpointResult {
+  alias: string;
+  mode: CheckpointMode;
+  busy: boolean;
+  /** Frames in the WAL, -1 when the database is not in WAL mode */
+  walFrames: number;
+  checkpointedFrames: number;
+  /** Not every frame could be copied, usually because of a reader */
+  blocked: boolean;
+  /** Blocked checkpoints in a row for this alias */
+  blockedCount: number;
+  /** Size of the -wal file afterwards in bytes, null for in-memory databases */
+  walSize: number | null;
+  durationMs: number;
+}
+
+export interface CheckpointScheduleOptions {
+  /** Checkpoint once the -wal file reaches this many bytes */
+  maxWalSize?: number;
+  /** Checkpoint at least this often, in milliseconds */
+  interval?: number;
+  /** Default: 'TRUNCATE' */
+  mode?: CheckpointMode;
+  /** Milliseconds between checks (default: 1000 with maxWalSize, otherwise interval) */
+  checkInterval?: number;
+  /** Milliseconds a scheduled checkpoint may wait for locks (default: 0) */
+  busyTimeout?: number;
+}
+
+export interface MaintenanceOptions {
+  /** 'main' or an attached alias (default: 'main') */
+  alias?: string;
+  /** PRAGMA integrity_check, or quick_check with 'quick' */
+  integrityCheck?: boolean | 'quick';
+  foreignKeyCheck?: boolean;
+  analyze?: boolean;
+  /** PRAGMA optimize; the default when no task is selected */
+  optimize?: boolean;
+  /** Full VACUUM, incremental_vacuum (all or a number of pages), or VACUUM INTO a new file */
+  vacuum?: boolean | 'incremental' | { incremental: number | true } | { into: string };
+}
+
+export interface MaintenanceScheduleOptions extends Omit<MaintenanceOptions, 'alias'> {
+  /** Milliseconds without queries before running (default: 60000) */
+  idleTime?: number;
+  /** Minimum milliseconds between runs (default: 86400000) */
+  interval?: number;
+  /** Default: main and every attached alias */
+  aliases?: string[];
+  /** Milliseconds between checks (default: idleTime, at most 60000) */
+  checkInterval?: number;
+}
+
+export interface PageStats {
+  pageSize: number;
+  pageCount: number;
+  freelistCount: number;
+}
+
+export interface MaintenanceReport {
+  alias: string;
+  /** False when the integrity or foreign key check found problems */
+  ok: boolean;
+  durationMs: number;
+  before: PageStats;
+  after: PageStats;
+  reclaimedBytes: number;
+  tasks: {
+    integrityCheck?: { ok: boolean; messages: string[]; durationMs: number };
+    foreignKeyCheck?: { ok: boolean; violations: Array<{ table: string; rowid: number | null; parent: string; fkid: number }>; durationMs: number };
+    analyze?: { durationMs: number };
+    optimize?: { durationMs: number };
+    vacuum?: { mode?: 'full' | 'incremental' | 'into'; pages?: number; path?: string; size?: number; skipped?: string; durationMs?: number };
+  };
+}
+
 /**
  * Node.js SQLite adapter using better-sqlite3
  * Implements the SqliteAdapter interface
  */
-export class BetterSqliteAdapter implements SqliteAdapter {
-  constructor(dbPath: string, options?: {
-    readonly?: boolean;
-    fileMustExist?: boolean;
-    timeout?: number;
-    verbose?: (message?: any, ...args: any[]) => void;
-    debug?: boolean;
-    enableWAL?: boolean;
-    maxRetries?: number;
-    baseDelay?: number;
-  });
+export class BetterSqliteAdapter extends EventEmitter implements SqliteAdapter {
+  constructor(dbPath: string, options?: BetterSqliteAdapterOptions);
 
   dbPath: string;
   options: any;
   debug: boolean;
   db: any; // better-sqlite3 Database instance
+  logger: AdapterLogger;
+  metrics: QueryMetrics;
+  retryOptions: RetryPolicy;
+  busyTimeout: number;
+  autoReconnect: boolean;
+  checkpointWarnAfter: number;
+
+  on(event: 'connect', listener: (event: ConnectEvent) => void): this;
+  on(event: 'disconnect', listener: (event: DisconnectEvent) => void): this;
+  on(event: 'attach', listener: (event: AttachEvent) => void): this;
+  on(event: 'detach', listener: (event: DetachEvent) => void): this;
+  on(event: 'error', listener: (error: Error, event: QueryErrorEvent | ReconnectErrorEvent) => void): this;
+  on(event: 'retry', listener: (event: RetryEvent) => void): this;
+  on(event: 'checkpoint', listener: (result: CheckpointResult) => void): this;
+  on(event: 'maintenance', listener: (report: MaintenanceReport) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
 
   connect(): Promise<void>;
   disconnect(): Promise<void>;
-  runAsync(sql: string, params?: any[]): Promise<{ changes: number; lastInsertRowid?: number }>;
-  getFirstAsync(sql: string, params?: any[]): Promise<any | null>;
-  getAllAsync(sql: string, params?: any[]): Promise<any[]>;
-  transaction<T>(fn: () => T): T;
+  runAsync(sql: string, params?: QueryParams, options?: Pick<QueryOptions, 'safeIntegers'>): Promise<RunResult>;
+  getFirstAsync(sql: string, params?: QueryParams, options?: QueryOptions): Promise<any | null>;
+  getAllAsync(sql: string, params?: QueryParams, options?: QueryOptions): Promise<any[]>;
+  iterateAsync(sql: string, params?: QueryParams, options?: IterateOptions & { batchSize?: undefined }): AsyncIterableIterator<any>;
+  iterateAsync(sql: string, params: QueryParams | undefined, options: IterateOptions & { batchSize: number }): AsyncIterableIterator<any[]>;
+  runBatchAsync(sql: string, paramsArray: QueryParams[], options?: BatchOptions): Promise<BatchResult>;
+  runStatementsAsync(statements: BatchStatement[], options?: BatchOptions): Promise<BatchResult>;
+  transaction<T>(fn: () => T, options?: TransactionOptions): T;
+  getStatementCacheStats(): StatementCacheStats;
+  clearStatementCache(): void;
+  getStats(): QueryStats;
+  resetStats(): void;
+  getPragmas(alias?: string): Promise<{ [pragma: string]: any }>;
+  getPrometheusMetrics(options?: PrometheusOptions): string;
+  backup(destPath: string, options?: BackupOptions): Promise<BackupReport>;
+  restore(srcPath: string, options?: RestoreOptions): Promise<{ path: string; alias: string; totalPages: number }>;
+  checkpoint(mode?: CheckpointMode | Lowercase<CheckpointMode>, alias?: string, options?: { busyTimeout?: number }): Promise<CheckpointResult>;
+  getWalSizes(): Promise<{ [alias: string]: number | null }>;
+  startCheckpoints(options: CheckpointScheduleOptions): void;
+  stopCheckpoints(): void;
+  maintenance(options?: MaintenanceOptions): Promise<MaintenanceReport>;
+  startMaintenance(options?: MaintenanceScheduleOptions): void;
+  stopMaintenance(): void;
 }
 
 /**
@@ -57,32 +529,596 @@ export class BetterSqliteAdapter implements SqliteAdapter {
 export class AttachedBetterSqliteAdapter extends BetterSqliteAdapter implements AttachedAdapter {
   constructor(
     primaryDbPath: string,
-    attachmentConfig: AttachedAdapterOptions,
+    attachmentConfig: { attachments: BetterSqliteAttachmentConfig[] },
+    options?: BetterSqliteAdapterOptions
+  );
+
+  attachmentConfig: { attachments: BetterSqliteAttachmentConfig[] };
+  attachments: Map<string, string>;
+
+  attachDatabase(path: string, alias: string, createIfNotExists?: boolean, options?: AttachOptions): Promise<void>;
+  detachDatabase(alias: string): Promise<void>;
+  isAttached(alias: string): boolean;
+  getAttachLimit(): Promise<AttachLimit>;
+  ensureIndexes(alias: string, indexSpecs: IndexSpec[], options?: EnsureIndexesOptions): Promise<EnsureIndexesReport>;
+  getAttachedAliases(): string[];
+  checkAllDatabasesExist(): DatabaseExistenceStatus;
+  getDatabaseReport(options?: { integrityCheck?: boolean; quickCheck?: boolean }): Promise<DatabaseReport>;
+}
+
+/**
+ * Result of AttachedBetterSqliteAdapter.checkAllDatabasesExist()
+ */
+export interface DatabaseExistenceStatus {
+  primary: { path: string; exists: boolean };
+  attachments: { [alias: string]: { path: string; exists: boolean } };
+}
+
+/**
+ * Result of PRAGMA integrity_check / quick_check
+ */
+export interface DatabaseCheckResult {
+  ok: boolean;
+  messages: string[];
+}
+
+/**
+ * Result of AttachedBetterSqliteAdapter.getDatabaseReport()
+ */
+export interface DatabaseReport {
+  ok: boolean;
+  databases: Array<{
+    alias: string;
+    path: string;
+    exists: boolean;
+    attached: boolean;
+    size: number | null;
+    walSize: number | null;
+    pageCount: number | null;
+    pageSize: number | null;
+    journalMode: string | null;
+    integrityCheck: DatabaseCheckResult | null;
+    quickCheck: DatabaseCheckResult | null;
+  }>;
+}
+
+/**
+ * Node.js SQLite adapter that executes queries in a worker thread
+ * Implements the AttachedAdapter interface
+ */
+export class WorkerBetterSqliteAdapter implements AttachedAdapter {
+  /** Options holding functions or an AbortSignal cannot reach the worker thread and are rejected */
+  constructor(dbPath: string, options?: Omit<BetterSqliteAdapterOptions, 'verbose' | 'retry' | 'onQuery' | 'onRetry' | 'onError' | 'onTransaction'> & {
+    retry?: Omit<RetryPolicyOptions, 'shouldRetry' | 'onRetry' | 'signal'>;
+    attachments?: BetterSqliteAttachmentConfig[];
+  });
+
+  dbPath: string;
+  options: any;
+  debug: boolean;
+  worker: any; // worker_threads Worker instance, null when disconnected
+  attachments: Map<string, string>;
+
+  connect(): Promise<void>;
+  disconnect(): Promise<void>;
+  runAsync(sql: string, params?: QueryParams, options?: Pick<QueryOptions, 'safeIntegers'>): Promise<RunResult>;
+  getFirstAsync(sql: string, params?: QueryParams, options?: QueryOptions): Promise<any | null>;
+  getAllAsync(sql: string, params?: QueryParams, options?: QueryOptions): Promise<any[]>;
+  transaction<T>(fn: () => T, options?: TransactionOptions): T;
+  getPragmas(alias?: string): Promise<{ [pragma: string]: any }>;
+  checkpoint(mode?: CheckpointMode | Lowercase<CheckpointMode>, alias?: string, options?: { busyTimeout?: number }): Promise<CheckpointResult>;
+  getWalSizes(): Promise<{ [alias: string]: number | null }>;
+  startCheckpoints(options: CheckpointScheduleOptions): void;
+  stopCheckpoints(): void;
+  maintenance(options?: MaintenanceOptions): Promise<MaintenanceReport>;
+  startMaintenance(options?: MaintenanceScheduleOptions): void;
+  stopMaintenance(): void;
+  attachDatabase(path: string, alias: string, createIfNotExists?: boolean, options?: AttachOptions): Promise<void>;
+  detachDatabase(alias: string): Promise<void>;
+  isAttached(alias: string): boolean;
+  getAttachLimit(): Promise<AttachLimit>;
+  ensureIndexes(alias: string, indexSpecs: IndexSpec[], options?: EnsureIndexesOptions): Promise<EnsureIndexesReport>;
+  getAttachedAliases(): string[];
+}
+
+/**
+ * Statistics reported by BetterSqliteConnectionPool.getStats()
+ */
+export interface ConnectionPoolStats {
+  size: number;
+  readers: number;
+  writers: number;
+  borrowed: number;
+  available: number;
+  connectionsCreated: number;
+  connectionsDestroyed: number;
+  acquireSuccesses: number;
+  acquireFailures: number;
+  readQueries: number;
+  writeQueries: number;
+  healthScore: number;
+  isHealthy: boolean;
+}
+
+/**
+ * Result of BetterSqliteConnectionPool.healthCheck()
+ */
+export interface ConnectionPoolHealth {
+  isHealthy: boolean;
+  healthScore: number;
+  connections: Array<{
+    role: 'writer' | 'reader';
+    index: number;
+    healthy: boolean;
+    error?: string;
+  }>;
+}
+
+/**
+ * Read/write connection pool for better-sqlite3
+ * One writer plus N read-only readers in WAL mode
+ */
+export class BetterSqliteConnectionPool implements AttachedAdapter {
+  constructor(
+    dbPath: string,
+    attachmentConfig?: AttachedAdapterOptions,
     options?: any
   );
 
+  dbPath: string;
   attachmentConfig: AttachedAdapterOptions;
-  attachments: Map<string, string>;
+  options: any;
+  writer: AttachedBetterSqliteAdapter | null;
+  readers: AttachedBetterSqliteAdapter[];
 
-  attachDatabase(path: string, alias: string, createIfNotExists?: boolean): Promise<void>;
+  connect(): Promise<void>;
+  disconnect(): Promise<void>;
+  runAsync(sql: string, params?: QueryParams, options?: Pick<QueryOptions, 'safeIntegers'>): Promise<RunResult>;
+  getFirstAsync(sql: string, params?: QueryParams, options?: QueryOptions): Promise<any | null>;
+  getAllAsync(sql: string, params?: QueryParams, options?: QueryOptions): Promise<any[]>;
+  iterateAsync(sql: string, params?: QueryParams, options?: IterateOptions & { batchSize?: undefined }): AsyncIterableIterator<any>;
+  iterateAsync(sql: string, params: QueryParams | undefined, options: IterateOptions & { batchSize: number }): AsyncIterableIterator<any[]>;
+  runBatchAsync(sql: string, paramsArray: QueryParams[], options?: BatchOptions): Promise<BatchResult>;
+  runStatementsAsync(statements: BatchStatement[], options?: BatchOptions): Promise<BatchResult>;
+  transaction<T>(fn: () => T, options?: TransactionOptions): T;
+  withConnection<T>(operation: (connection: AttachedBetterSqliteAdapter) => T | Promise<T>): Promise<T>;
+  withConnection<T>(operation: (connection: AttachedBetterSqliteAdapter) => T | Promise<T>, callback: (error: Error | null, result?: T) => void): void;
+  withReadConnection<T>(operation: (connection: AttachedBetterSqliteAdapter) => T | Promise<T>): Promise<T>;
+  withReadConnection<T>(operation: (connection: AttachedBetterSqliteAdapter) => T | Promise<T>, callback: (error: Error | null, result?: T) => void): void;
+  getPragmas(alias?: string): Promise<{ [pragma: string]: any }>;
+  attachDatabase(path: string, alias: string, createIfNotExists?: boolean, options?: AttachOptions): Promise<void>;
   detachDatabase(alias: string): Promise<void>;
   isAttached(alias: string): boolean;
+  getAttachLimit(): Promise<AttachLimit>;
+  ensureIndexes(alias: string, indexSpecs: IndexSpec[], options?: EnsureIndexesOptions): Promise<EnsureIndexesReport>;
   getAttachedAliases(): string[];
+  healthCheck(): Promise<ConnectionPoolHealth>;
+  getStats(): ConnectionPoolStats;
+}
+
+/**
+ * A single versioned migration
+ */
+export interface Migration {
+  version: number;
+  name?: string;
+  up: MigrationStep;
+  down?: MigrationStep;
+}
+
+export type MigrationStep =
+  | string
+  | string[]
+  | ((adapter: SqliteAdapter, context: { schema: string; version: number }) => void | Promise<void>);
+
+export interface MigrationStatus {
+  schema: string;
+  currentVersion: number;
+  latestVersion: number;
+  applied: Array<{ version: number; name: string | null }>;
+  pending: Array<{ version: number; name: string | null }>;
+}
+
+export interface MigrationResult {
+  schema: string;
+  from: number;
+  to: number;
+  steps: Array<{ version: number; name: string | null; direction: 'up' | 'down' }>;
+}
+
+/**
+ * Versioned schema migrations tracked with PRAGMA user_version
+ */
+export class MigrationRunner {
+  constructor(adapter: SqliteAdapter, migrations: Migration[], options?: {
+    schema?: string;
+    debug?: boolean;
+    logger?: Logger;
+    logLevel?: LogLevel;
+  });
+
+  adapter: SqliteAdapter;
+  schema: string;
+  migrations: Migration[];
+
+  getCurrentVersion(): Promise<number>;
+  getLatestVersion(): number;
+  status(): Promise<MigrationStatus>;
+  migrate(options?: { to?: number }): Promise<MigrationResult>;
+
+  static migrateAll(
+    adapter: SqliteAdapter,
+    migrationsBySchema: { [schema: string]: Migration[] },
+    options?: { debug?: boolean; logger?: Logger; logLevel?: LogLevel }
+  ): Promise<{ [schema: string]: MigrationResult }>;
+}
+
+export interface SqliteShareDBOptions {
+  /** Schema holding the tables: 'main' or an attached alias (default: 'main') */
+  schema?: string;
+  /** Prefix for the per-collection table names (default: '') */
+  tablePrefix?: string;
+  /** Milestone snapshot interval, read by ShareDB when used as milestoneDb */
+  interval?: number;
+  /** Disconnect the adapter on close() (default: true) */
+  closeAdapter?: boolean;
+  logger?: Logger;
+  loggerStyle?: 'winston' | 'pino';
+  logLevel?: LogLevel;
+  debug?: boolean;
+}
+
+export interface ShareDBSnapshot {
+  id: string;
+  v: number;
+  type: string | null;
+  data: any;
+  m: any;
+}
+
+export interface ShareDBOp {
+  src?: string;
+  seq?: number;
+  v: number;
+  m?: any;
+  [key: string]: any;
+}
+
+export type ShareDBCallback<T> = (error: Error | null, result?: T) => void;
+
+/**
+ * ShareDB server database (DB and MilestoneDB interfaces) on top of a SqliteAdapter.
+ * Every method takes a Node-style callback, or returns a Promise without one.
+ */
+export class SqliteShareDB extends EventEmitter {
+  constructor(adapter: SqliteAdapter, options?: SqliteShareDBOptions);
+
+  adapter: SqliteAdapter;
+  schema: string;
+  tablePrefix: string;
+  interval: number | undefined;
+  closed: boolean;
+  projectsSnapshots: boolean;
+  disableSubscribe: boolean;
+
+  close(): Promise<void>;
+  close(callback: ShareDBCallback<void>): void;
+  commit(collection: string, id: string, op: ShareDBOp, snapshot: ShareDBSnapshot, options: any): Promise<boolean>;
+  commit(collection: string, id: string, op: ShareDBOp, snapshot: ShareDBSnapshot, options: any, callback: ShareDBCallback<boolean>): void;
+  getSnapshot(collection: string, id: string, fields: any, options: any): Promise<ShareDBSnapshot>;
+  getSnapshot(collection: string, id: string, fields: any, options: any, callback: ShareDBCallback<ShareDBSnapshot>): void;
+  getSnapshotBulk(collection: string, ids: string[], fields: any, options: any): Promise<{ [id: string]: ShareDBSnapshot }>;
+  getSnapshotBulk(collection: string, ids: string[], fields: any, options: any, callback: ShareDBCallback<{ [id: string]: ShareDBSnapshot }>): void;
+  getOps(collection: string, id: string, from: number | null, to: number | null, options: any): Promise<ShareDBOp[]>;
+  getOps(collection: string, id: string, from: number | null, to: number | null, options: any, callback: ShareDBCallback<ShareDBOp[]>): void;
+  getOpsToSnapshot(collection: string, id: string, from: number | null, snapshot: { v: number }, options: any): Promise<ShareDBOp[]>;
+  getOpsToSnapshot(collection: string, id: string, from: number | null, snapshot: { v: number }, options: any, callback: ShareDBCallback<ShareDBOp[]>): void;
+  getOpsBulk(collection: string, fromMap: { [id: string]: number | null }, toMap: { [id: string]: number | null } | null, options: any): Promise<{ [id: string]: ShareDBOp[] }>;
+  getOpsBulk(collection: string, fromMap: { [id: string]: number | null }, toMap: { [id: string]: number | null } | null, options: any, callback: ShareDBCallback<{ [id: string]: ShareDBOp[] }>): void;
+  getCommittedOpVersion(collection: string, id: string, snapshot: { v: number }, op: ShareDBOp, options: any): Promise<number | undefined>;
+  getCommittedOpVersion(collection: string, id: string, snapshot: { v: number }, op: ShareDBOp, options: any, callback: ShareDBCallback<number | undefined>): void;
+  query(collection: string, query: any, fields: any, options: any): Promise<ShareDBSnapshot[]>;
+  query(collection: string, query: any, fields: any, options: any, callback: ShareDBCallback<ShareDBSnapshot[]>): void;
+  queryPoll(collection: string, query: any, options: any): Promise<string[]>;
+  queryPoll(collection: string, query: any, options: any, callback: ShareDBCallback<string[]>): void;
+  queryPollDoc(collection: string, id: string, query: any, options: any): Promise<boolean>;
+  queryPollDoc(collection: string, id: string, query: any, options: any, callback: ShareDBCallback<boolean>): void;
+  canPollDoc(collection: string, query: any): boolean;
+  skipPoll(collection: string, id: string, op: ShareDBOp, query: any): boolean;
+
+  saveMilestoneSnapshot(collection: string, snapshot: ShareDBSnapshot, callback?: ShareDBCallback<void>): void;
+  getMilestoneSnapshot(collection: string, id: string, version: number | null): Promise<ShareDBSnapshot | undefined>;
+  getMilestoneSnapshot(collection: string, id: string, version: number | null, callback: ShareDBCallback<ShareDBSnapshot | undefined>): void;
+  getMilestoneSnapshotAtOrBeforeTime(collection: string, id: string, timestamp: number | null): Promise<ShareDBSnapshot | undefined>;
+  getMilestoneSnapshotAtOrBeforeTime(collection: string, id: string, timestamp: number | null, callback: ShareDBCallback<ShareDBSnapshot | undefined>): void;
+  getMilestoneSnapshotAtOrAfterTime(collection: string, id: string, timestamp: number | null): Promise<ShareDBSnapshot | undefined>;
+  getMilestoneSnapshotAtOrAfterTime(collection: string, id: string, timestamp: number | null, callback: ShareDBCallback<ShareDBSnapshot | undefined>): void;
+}
+
+export interface JsonQueryOptions {
+  /** Table holding the documents */
+  table: string;
+  /** Schema of the table, e.g. an attached alias */
+  schema?: string;
+  /** Column holding the JSON text (default: 'data') */
+  column?: string;
+  /** Column holding the document id, matched by _id (default: 'id') */
+  idColumn?: string | null;
+  /** Property to copy the id into on returned documents */
+  idField?: string;
+  /** Columns to select, as SQL */
+  select?: string;
+  /** Extra SQL condition every row must meet */
+  where?: string;
+}
+
+export type JsonQueryCondition = any | {
+  $eq?: any;
+  $ne?: any;
+  $gt?: number | string;
+  $gte?: number | string;
+  $lt?: number | string;
+  $lte?: number | string;
+  $in?: any[];
+  $nin?: any[];
+  $exists?: boolean;
+};
+
+export interface JsonQueryFilter {
+  $and?: JsonQueryFilter[];
+  $or?: JsonQueryFilter[];
+  $nor?: JsonQueryFilter[];
+  [path: string]: JsonQueryCondition;
+}
+
+export interface JsonQuerySpec extends JsonQueryFilter {
+  $sort?: { [path: string]: 1 | -1 | 'asc' | 'desc' } | Array<[string, 1 | -1 | 'asc' | 'desc']>;
+  $skip?: number;
+  $limit?: number;
+}
+
+export interface CompiledQuery {
+  sql: string;
+  params: { [name: string]: any };
+}
+
+/**
+ * Mongo-style queries over JSON text columns, compiled to SQLite JSON1 SQL
+ */
+export class JsonQuery {
+  constructor(adapter: SqliteAdapter, options: JsonQueryOptions);
+
+  adapter: SqliteAdapter;
+  options: JsonQueryOptions;
+
+  compile(query?: JsonQuerySpec): CompiledQuery;
+  find(query?: JsonQuerySpec, projection?: { [path: string]: 0 | 1 | boolean }): Promise<any[]>;
+
+  static compileQuery(query: JsonQuerySpec | undefined, options: JsonQueryOptions): CompiledQuery;
+  static compileFilter(filter: JsonQueryFilter | undefined, options?: Partial<JsonQueryOptions>): CompiledQuery;
+  static jsonPath(path: string): string;
+}
+
+export interface FullTextIndexOptions {
+  /** JSON fields to index, e.g. ['title', 'author.name'] */
+  fields: string[];
+  /** Document table (default: the collection name) */
+  table?: string;
+  /** Column holding the JSON text (default: 'data') */
+  column?: string;
+  /** Column holding the document id (default: 'id') */
+  idColumn?: string;
+  /** FTS5 table name (default: '<table>_fts') */
+  name?: string;
+  /** FTS5 tokenizer, e.g. 'porter unicode61' */
+  tokenize?: string;
+}
+
+export interface FullTextIndexReport {
+  collection: string;
+  table: string;
+  created: boolean;
+  rebuilt: boolean;
+  rows: number;
+}
+
+export interface FullTextSearchOptions {
+  /** Collection to search (default: all indexed collections) */
+  collection?: string;
+  limit?: number;
+  offset?: number;
+  snippet?: boolean | { field?: string; before?: string; after?: string; ellipsis?: string; tokens?: number };
+  highlight?: boolean | { before?: string; after?: string };
+  /** BM25 ordering (default: true); field weights, or false for index order without scores */
+  rank?: boolean | { [field: string]: number };
+}
+
+export interface FullTextSearchResult {
+  collection: string;
+  id: string;
+  /** Negated BM25 score: higher is a better match; null without ranking */
+  score: number | null;
+  snippet?: string;
+  highlights?: { [field: string]: string | null };
+}
+
+/**
+ * FTS5 full-text indexes over JSON document fields, kept in sync by triggers
+ */
+export class FullTextSearch {
+  constructor(adapter: SqliteAdapter, options?: { schema?: string });
+
+  adapter: SqliteAdapter;
+  schema: string;
+
+  createIndex(collection: string, options: FullTextIndexOptions): Promise<FullTextIndexReport>;
+  rebuild(collection: string): Promise<{ collection: string; rows: number }>;
+  dropIndex(collection: string): Promise<void>;
+  search(query: string, options?: FullTextSearchOptions): Promise<FullTextSearchResult[]>;
+
+  static quote(text: string): string;
+}
+
+export interface ChangeFeedOptions {
+  /** Change log table in each schema (default: 'change_log') */
+  logTable?: string;
+  /** Polling interval in milliseconds (default: 250) */
+  interval?: number;
+  /** Log entries read per query (default: 500) */
+  batchSize?: number;
+  /** Name of this feed's cursor (default: unique per feed) */
+  consumer?: string;
+  /** Cursors not updated for this long stop holding back pruning (default: 600000) */
+  consumerTimeout?: number;
+  logger?: Logger;
+  loggerStyle?: 'winston' | 'pino';
+  logLevel?: LogLevel;
+  debug?: boolean;
+}
+
+export interface Change {
+  seq: number;
+  schema: string;
+  table: string;
+  op: 'insert' | 'update' | 'delete';
+  /** Value of the captured key column of the changed row */
+  key: any;
+  /** Commit time in milliseconds since the epoch */
+  time: number;
+}
+
+export interface ChangeSubscription {
+  tables: Set<string>;
+  unsubscribe(): Promise<void>;
+}
+
+/**
+ * Trigger-based change capture, delivered to subscribers by polling the change log
+ */
+export class ChangeFeed extends EventEmitter {
+  constructor(adapter: SqliteAdapter, options?: ChangeFeedOptions);
+
+  adapter: SqliteAdapter;
+  logTable: string;
+  interval: number;
+  consumer: string;
+  closed: boolean;
+
+  capture(table: string, options?: { key?: string }): Promise<void>;
+  release(table: string): Promise<void>;
+  subscribe(tables: string | string[], handler: (change: Change) => void | Promise<void>): Promise<ChangeSubscription>;
+  poll(): Promise<number>;
+  prune(schema?: string): Promise<number>;
+  close(): Promise<void>;
+
+  on(event: 'error', listener: (error: Error, change?: Change) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export type RetryJitter = 'none' | 'full' | 'decorrelated';
+
+export interface RetryInfo {
+  attempt: number;
+  maxRetries: number;
+  delayMs: number;
+  error: Error & { code?: string };
+}
+
+/**
+ * Options accepted by RetryUtils.createRetryPolicy() and retryWithBackoff()
+ */
+export interface RetryPolicyOptions {
+  maxRetries?: number;
+  baseDelay?: number;
+  /** Upper bound for a single delay in milliseconds */
+  maxDelay?: number;
+  jitter?: RetryJitter;
+  /** Give up once this many milliseconds have passed since the first attempt */
+  deadline?: number;
+  /** Error codes to retry (default: RetryUtils.RETRYABLE_CODES) */
+  retryableCodes?: string[];
+  /** Replaces the code-based classification */
+  shouldRetry?: (error: any, attempt: number) => boolean;
+  signal?: AbortSignal;
+  onRetry?: (retry: RetryInfo) => void;
+}
+
+export interface RetryPolicy {
+  maxRetries: number;
+  baseDelay: number;
+  maxDelay: number;
+  jitter: RetryJitter;
+  deadline: number;
+  retryableCodes: string[];
+  shouldRetry: ((error: any, attempt: number) => boolean) | null;
+  signal: AbortSignal | null;
+  onRetry: ((retry: RetryInfo) => void) | null;
 }
 
 /**
  * Retry utilities for database operations
  */
 export namespace RetryUtils {
+  export const RETRYABLE_CODES: string[];
+  export function sleep(ms: number, signal?: AbortSignal): Promise<void>;
+  export function shouldRetry(error: any, retryableCodes?: string[]): boolean;
+  export function createRetryPolicy(options?: RetryPolicyOptions): RetryPolicy;
+  export function computeDelay(policy: RetryPolicy, attempt: number, previousDelay: number): number;
   export function retryWithBackoff<T>(
     fn: () => T | Promise<T>,
-    options?: {
-      maxRetries?: number;
-      baseDelay?: number;
-      maxDelay?: number;
+    options?: RetryPolicyOptions & {
+      debug?: boolean;
+      logger?: AdapterLogger;
     }
   ): Promise<T>;
 }
 
+export interface ConformanceOptions {
+  /** Returns a new, unconnected adapter over an empty database */
+  createAdapter: () => SqliteAdapter | Promise<SqliteAdapter>;
+  /** Cleanup called after each case, once the adapter has been disconnected */
+  destroyAdapter?: (adapter: SqliteAdapter) => void | Promise<void>;
+  /** Also run the AttachedAdapter cases (default: false) */
+  attached?: boolean;
+  /** Path of an empty database for attachDatabase() (default: ':memory:') */
+  attachmentPath?: () => string | Promise<string>;
+}
+
+export interface ConformanceCase {
+  name: string;
+  interface: 'SqliteAdapter' | 'AttachedAdapter';
+  run(): Promise<void>;
+}
+
+export interface ConformanceResult {
+  name: string;
+  interface: 'SqliteAdapter' | 'AttachedAdapter';
+  passed: boolean;
+  durationMs: number;
+  error?: Error;
+}
+
+export interface ConformanceReport {
+  passed: number;
+  failed: number;
+  results: ConformanceResult[];
+}
+
+/**
+ * Framework-agnostic conformance suite for SqliteAdapter and AttachedAdapter implementations
+ */
+export namespace Conformance {
+  export function getConformanceCases(options: ConformanceOptions): ConformanceCase[];
+  export function runConformance(options: ConformanceOptions): Promise<ConformanceReport>;
+  export function defineConformanceTests(
+    options: ConformanceOptions,
+    framework: {
+      describe: (title: string, fn: () => void) => any;
+      it: (title: string, fn: () => Promise<void>) => any;
+    },
+    title?: string
+  ): void;
+}
+
 // Default export is BetterSqliteAdapter for convenience
 export default BetterSqliteAdapter;
\ No newline at end of file
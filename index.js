@@ -2,8 +2,8 @@
  * @shaxpir/sharedb-storage-node-sqlite
  *
  * Standalone SQLite adapter for Node.js using better-sqlite3.
- * This package provides database adapters only - no storage strategies.
- * For ShareDB storage strategies, use @shaxpir/sharedb-storage-sqlite.
+ * This package provides database adapters and a ShareDB server database -
+ * no client storage strategies. For those, use @shaxpir/sharedb-storage-sqlite.
  */
 
 // Export the main adapter
@@ -12,6 +12,36 @@ exports.BetterSqliteAdapter = require('./lib/adapters/better-sqlite-adapter');
 // Export the attached adapter wrapper
 exports.AttachedBetterSqliteAdapter = require('./lib/adapters/attached-better-sqlite-adapter');
 
+// Export the worker-thread adapter
+exports.WorkerBetterSqliteAdapter = require('./lib/adapters/worker-better-sqlite-adapter');
+
+// Export the read/write connection pool
+exports.BetterSqliteConnectionPool = require('./lib/pool/better-sqlite-connection-pool');
+
+// Export the schema migration runner
+exports.MigrationRunner = require('./lib/migrations/migration-runner');
+
+// Export the ShareDB server database backend
+exports.SqliteShareDB = require('./lib/db/sqlite-sharedb');
+
+// Export the Mongo-style query compiler for JSON documents
+exports.JsonQuery = require('./lib/query/json-query');
+
+// Export the FTS5 full-text search helper
+exports.FullTextSearch = require('./lib/search/full-text-search');
+
+// Export the cross-process change capture feed
+exports.ChangeFeed = require('./lib/changes/change-feed');
+
+// Export the query metrics collector used by getStats() and the Prometheus export
+exports.QueryMetrics = require('./lib/utils/query-metrics');
+
+// Export the error raised when SQLite's attached-database limit is reached
+exports.AttachLimitError = require('./lib/utils/attach-utils').AttachLimitError;
+
+// Export the adapter conformance suite for checking other adapter implementations
+exports.Conformance = require('./lib/conformance/adapter-conformance');
+
 // Export utilities if needed by consumers
 exports.RetryUtils = require('./lib/utils/retry-utils');
 
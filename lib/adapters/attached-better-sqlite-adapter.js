@@ -1,6 +1,21 @@
 const BetterSqliteAdapter = require('./better-sqlite-adapter');
+const { parseCheckResult, normalizePragmas, applyPragmas, isSchemaPragma, quoteIdentifier } = require('../utils/pragma-utils');
+const {
+  RESERVED_ALIASES,
+  AttachLimitError,
+  validateAlias,
+  validateAttachOptions,
+  attachSql,
+  detachSql,
+  writtenSchemas,
+  getMaxAttached,
+  isAttachLimitError
+} = require('../utils/attach-utils');
+const { ensureIndexes } = require('../utils/index-utils');
+const { createLogger } = require('../logger');
 const fs = require('fs');
 const path = require('path');
+const { performance } = require('perf_hooks');
 
 /**
  * AttachedBetterSqliteAdapter - Node.js adapter with database attachment support
@@ -11,7 +26,9 @@ const path = require('path');
  * @param {string} primaryDbPath - Path to the primary database file
  * @param {Object} attachmentConfig - Configuration for database attachments
  * @param {Array} attachmentConfig.attachments - Array of databases to attach
- *   Each attachment should have: { path, alias, createIfNotExists? }
+ *   Each attachment should have: { path, alias, createIfNotExists?, pragmas?, readonly? }
+ *   where pragmas overrides the schema-level PRAGMAs from options.pragmas for that alias,
+ *   and readonly is as for attachDatabase()
  * @param {Object} options - Options for the primary database (passed to better-sqlite3)
  */
 function AttachedBetterSqliteAdapter(primaryDbPath, attachmentConfig, options) {
@@ -21,16 +38,22 @@ function AttachedBetterSqliteAdapter(primaryDbPath, attachmentConfig, options) {
 
   // Call parent constructor
   BetterSqliteAdapter.call(this, primaryDbPath, options);
+  this.logger = createLogger(this.options, 'AttachedBetterSqliteAdapter');
 
   // Store attachment configuration
   this.attachmentConfig = attachmentConfig || {};
   this.attachments = new Map(); // Track attached databases
+  this._attachmentPragmas = new Map(); // Normalized PRAGMAs applied to each attached alias
+  this._readOnlyAliases = new Set(); // Aliases attached with readonly
+  this._writeTargets = new WeakMap(); // Prepared statement -> schemas it writes to, see _checkWritable()
+  this._attachOptions = new Map(); // attachDatabase() arguments per alias, to re-attach after a reconnect
 
   // Process attachments to resolve paths
   this.attachmentConfig.attachments = (this.attachmentConfig.attachments || []).map(function(attachment) {
     if (!attachment.path || !attachment.alias) {
       throw new Error('Each attachment must have path and alias properties');
     }
+    validateAttachOptions(attachment, true);
 
     // Handle special paths like :memory: without resolution
     const resolvedPath = attachment.path === ':memory:'
@@ -40,7 +63,9 @@ function AttachedBetterSqliteAdapter(primaryDbPath, attachmentConfig, options) {
     return {
       path: resolvedPath,
       alias: attachment.alias,
-      createIfNotExists: attachment.createIfNotExists || false
+      createIfNotExists: attachment.createIfNotExists || false,
+      pragmas: attachment.pragmas,
+      readonly: attachment.readonly || false
     };
   });
 }
@@ -50,99 +75,309 @@ AttachedBetterSqliteAdapter.prototype = Object.create(BetterSqliteAdapter.protot
 AttachedBetterSqliteAdapter.prototype.constructor = AttachedBetterSqliteAdapter;
 
 /**
- * Connect to the database and attach configured databases
+ * Connect to the database and attach configured databases.
+ * Emits 'attach' for each attachment, then 'connect'.
  */
 AttachedBetterSqliteAdapter.prototype.connect = async function() {
-  // First connect to the primary database
-  await BetterSqliteAdapter.prototype.connect.call(this);
+  if (this.db) {
+    return;
+  }
+
+  await this._restore();
+  if (this.options.checkpoints) {
+    this.startCheckpoints(this.options.checkpoints);
+  }
+  if (this.options.maintenanceSchedule) {
+    this.startMaintenance(this.options.maintenanceSchedule);
+  }
+  this._emit('connect', {dbPath: this.dbPath, reconnect: false});
+};
+
+/**
+ * Open the primary database, then attach the configured databases plus any
+ * attached with attachDatabase() before the connection was lost. Used by
+ * connect() and by automatic reconnection.
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._restore = async function() {
+  this._open();
+
+  const restore = this.attachmentConfig.attachments.map(function(attachment) {
+    return {
+      path: attachment.path,
+      alias: attachment.alias,
+      createIfNotExists: attachment.createIfNotExists,
+      options: {
+        pragmas: attachment.pragmas,
+        readonly: attachment.readonly
+      }
+    };
+  });
+  for (const attachment of this._attachOptions.values()) {
+    if (!restore.some(function(entry) { return entry.alias === attachment.alias; })) {
+      restore.push(attachment);
+    }
+  }
 
-  // Then attach all configured databases
-  for (const attachment of this.attachmentConfig.attachments) {
-    await this.attachDatabase(attachment.path, attachment.alias, attachment.createIfNotExists);
+  for (const attachment of restore) {
+    this._attach(attachment.path, attachment.alias, attachment.createIfNotExists, attachment.options);
   }
 };
 
 /**
  * Attach a database file
+ *
+ * The path is bound as a statement parameter and the alias is quoted, so
+ * neither is interpolated into SQL. Aliases must be plain identifiers and
+ * may not be 'main' or 'temp'. Rejects with an AttachLimitError when SQLite's
+ * attached-database limit is reached (see getAttachLimit()). Like queries, it
+ * waits until no other caller's transaction holds the adapter.
+ *
+ * Statements that would write to a readonly attachment are rejected by the
+ * adapter before they run. SQLite itself still has the file open for writing:
+ * better-sqlite3 opens connections without URI filename support, so ATTACH
+ * cannot ask for mode=ro, and statements run directly on adapter.db are not
+ * checked. For the same reason there are no immutable or URI attachments;
+ * any option other than pragmas and readonly is rejected.
+ *
  * @param {string} dbPath - Path to the database file to attach
  * @param {string} alias - Alias for accessing the attached database
- * @param {boolean} createIfNotExists - Create the file if it doesn't exist
+ * @param {boolean} createIfNotExists - Create the file if it doesn't exist (not with readonly)
+ * @param {Object} options - Attachment options
+ * @param {Object} options.pragmas - Overrides for the schema-level PRAGMAs from the adapter's pragmas option
+ * @param {boolean} options.readonly - Reject writes to this alias made through the adapter
  */
-AttachedBetterSqliteAdapter.prototype.attachDatabase = function(dbPath, alias, createIfNotExists) {
-  const self = this;
+AttachedBetterSqliteAdapter.prototype.attachDatabase = async function(dbPath, alias, createIfNotExists, options) {
+  let waiting;
+  while ((waiting = this._whenReady())) {
+    await waiting;
+  }
+  this._checkNotIterating('attach a database');
+  this._attach(dbPath, alias, createIfNotExists, options);
+};
 
-  return new Promise(function(resolve, reject) {
-    try {
-      // Check if already attached
-      if (self.attachments.has(alias)) {
-        return resolve();
-      }
+/**
+ * Attach a database file right away; see attachDatabase(). Also used while
+ * reconnecting, when attachDatabase() would wait for the reconnect itself.
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._attach = function(dbPath, alias, createIfNotExists, options) {
+  options = options || {};
 
-      // For file-based databases (not :memory:), ensure the file exists
-      if (dbPath !== ':memory:') {
-        if (!fs.existsSync(dbPath)) {
-          if (createIfNotExists) {
-            // Create directory if needed
-            const dir = path.dirname(dbPath);
-            if (!fs.existsSync(dir)) {
-              fs.mkdirSync(dir, { recursive: true });
-            }
-            // Touch the file to create it
-            fs.closeSync(fs.openSync(dbPath, 'w'));
-          } else {
-            throw new Error('Database file does not exist: ' + dbPath);
-          }
-        }
-      }
+  validateAlias(alias);
+  validateAttachOptions(options);
 
-      // Execute ATTACH DATABASE command
-      const sql = `ATTACH DATABASE '${dbPath}' AS ${alias}`;
-      self.db.exec(sql);
+  // Check if already attached
+  if (this.attachments.has(alias)) {
+    return;
+  }
 
-      // Track the attachment
-      self.attachments.set(alias, dbPath);
+  const pragmas = this._mergeAttachmentPragmas(options.pragmas);
+  const readonly = !!options.readonly;
 
-      if (self.debug) {
-        console.log(`[AttachedBetterSqliteAdapter] Attached database '${dbPath}' as '${alias}'`);
-      }
+  // For file-based databases (not :memory:), ensure the file exists.
+  // ATTACH creates a missing file itself, so only its directory is made here.
+  if (dbPath !== ':memory:' && !fs.existsSync(dbPath)) {
+    if (!createIfNotExists || readonly) {
+      throw new Error((readonly ? 'Read-only database file does not exist: ' : 'Database file does not exist: ') + dbPath);
+    }
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
 
-      resolve();
-    } catch (error) {
-      reject(error);
+  try {
+    this._execStatement('attach', attachSql(alias), [dbPath]);
+  } catch (error) {
+    if (isAttachLimitError(error)) {
+      throw new AttachLimitError(alias, getMaxAttached(this.db), error);
     }
-  });
+    throw error;
+  }
+
+  // Track the attachment
+  this.attachments.set(alias, dbPath);
+  this._attachmentPragmas.set(alias, pragmas);
+  if (readonly) {
+    this._readOnlyAliases.add(alias);
+  }
+
+  try {
+    applyPragmas(this.db, pragmas, alias, readonly);
+  } catch (error) {
+    this._execStatement('detach', detachSql(alias));
+    this._forgetAttachment(alias);
+    throw error;
+  }
+
+  // Unqualified table names may now resolve differently
+  this.statementCache.clear();
+
+  this._attachOptions.set(alias, {path: dbPath, alias: alias, createIfNotExists: createIfNotExists, options: options});
+
+  this.logger.info('Attached database', {alias: alias, path: dbPath});
+  this._emit('attach', {alias: alias, path: dbPath, readonly: readonly});
 };
 
 /**
- * Detach a previously attached database
+ * Detach a previously attached database, once no other caller's transaction
+ * holds the adapter
  * @param {string} alias - Alias of the database to detach
  */
-AttachedBetterSqliteAdapter.prototype.detachDatabase = function(alias) {
-  const self = this;
+AttachedBetterSqliteAdapter.prototype.detachDatabase = async function(alias) {
+  let waiting;
+  while ((waiting = this._whenReady())) {
+    await waiting;
+  }
 
-  return new Promise(function(resolve, reject) {
-    try {
-      // Check if attached
-      if (!self.attachments.has(alias)) {
-        return resolve();
-      }
+  // Check if attached
+  if (!this.attachments.has(alias)) {
+    return;
+  }
+  this._checkNotIterating('detach a database');
 
-      // Execute DETACH DATABASE command
-      const sql = `DETACH DATABASE ${alias}`;
-      self.db.exec(sql);
+  this._execStatement('detach', detachSql(alias));
+  this._forgetAttachment(alias);
+  this._attachOptions.delete(alias);
 
-      // Remove from tracking
-      self.attachments.delete(alias);
+  // Cached statements may reference the detached schema
+  this.statementCache.clear();
 
-      if (self.debug) {
-        console.log(`[AttachedBetterSqliteAdapter] Detached database '${alias}'`);
-      }
+  this.logger.info('Detached database', {alias: alias});
+  this._emit('detach', {alias: alias});
+};
 
-      resolve();
-    } catch (error) {
-      reject(error);
+/**
+ * Combine the adapter's schema-level PRAGMAs with per-alias overrides
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._mergeAttachmentPragmas = function(overrides) {
+  const merged = {};
+  for (const pragma of this.pragmas) {
+    if (isSchemaPragma(pragma.name)) {
+      merged[pragma.name] = pragma.value;
     }
+  }
+  for (const pragma of normalizePragmas(overrides)) {
+    if (!isSchemaPragma(pragma.name)) {
+      throw new Error('PRAGMA ' + pragma.name + ' applies to the whole connection and cannot be set per attached database');
+    }
+    merged[pragma.name] = pragma.value;
+  }
+  return normalizePragmas(merged);
+};
+
+/**
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._pragmasFor = function(alias) {
+  if (this._attachmentPragmas.has(alias)) {
+    return this._attachmentPragmas.get(alias);
+  }
+  return BetterSqliteAdapter.prototype._pragmasFor.call(this, alias);
+};
+
+/**
+ * Reject a statement that would write to a read-only attachment, before it runs
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._checkWritable = function(sql, stmt, params) {
+  if (this._readOnlyAliases.size === 0 || stmt.readonly) {
+    return;
+  }
+
+  // Cached per statement: the statement cache is cleared whenever attaching,
+  // detaching or a schema change could make the same SQL write elsewhere
+  let schemas = this._writeTargets.get(stmt);
+  if (!schemas) {
+    schemas = writtenSchemas(this.db, sql, params);
+    this._writeTargets.set(stmt, schemas);
+  }
+
+  for (const schema of schemas) {
+    if (this._readOnlyAliases.has(schema)) {
+      const error = new Error('Cannot write to read-only attached database ' + schema + ' (' + this.attachments.get(schema) + ')');
+      error.code = 'SQLITE_READONLY';
+      error.alias = schema;
+      throw error;
+    }
+  }
+};
+
+/**
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._forgetAttachment = function(alias) {
+  this.attachments.delete(alias);
+  this._attachmentPragmas.delete(alias);
+  this._readOnlyAliases.delete(alias);
+};
+
+/**
+ * Execute an ATTACH or DETACH statement and report it to the instrumentation hooks
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._execStatement = function(type, sql, params) {
+  params = params || [];
+
+  if (!this.db) {
+    const error = new Error('Database not connected');
+    this._instrument('onError', {type: type, sql: sql, params: params, attempts: 1, error: error});
+    throw error;
+  }
+
+  const start = performance.now();
+  try {
+    this.db.prepare(sql).run(params);
+  } catch (error) {
+    this._instrument('onError', {type: type, sql: sql, params: params, attempts: 1, error: error});
+    throw error;
+  }
+
+  this._instrument('onQuery', {
+    type: type,
+    sql: sql,
+    params: params,
+    durationMs: performance.now() - start,
+    attempts: 1,
+    inTransaction: this._currentTransaction() !== null
+  });
+};
+
+/**
+ * Report SQLite's attached-database limit and how much of it is in use
+ * @returns {Promise<Object>} { max, attached, available }
+ */
+AttachedBetterSqliteAdapter.prototype.getAttachLimit = async function() {
+  if (!this.db) {
+    throw new Error('Database not connected');
+  }
+
+  const max = getMaxAttached(this.db);
+  const attached = this.db.pragma('database_list').filter(function(row) {
+    return RESERVED_ALIASES.indexOf(row.name) === -1;
+  }).length;
+
+  return {max: max, attached: attached, available: Math.max(0, max - attached)};
+};
+
+/**
+ * Create the indexes described by indexSpecs inside main or an attached
+ * schema, using schema-qualified index names. Safe to call on every start:
+ * indexes that already match are left alone.
+ * @param {string} alias - 'main' or an attached alias
+ * @param {Object[]} indexSpecs - [{ name, table, columns, unique, where }]
+ * @param {Object} options - { dropStale } to drop indexes that no longer match
+ * @returns {Promise<Object>} { alias, created, recreated, dropped, unchanged, stale }
+ */
+AttachedBetterSqliteAdapter.prototype.ensureIndexes = async function(alias, indexSpecs, options) {
+  const report = await ensureIndexes(this, alias, indexSpecs, options);
+  this.logger.info('Ensured indexes', {
+    alias: alias,
+    created: report.created.length,
+    recreated: report.recreated.length,
+    dropped: report.dropped.length,
+    stale: report.stale.length
   });
+  return report;
 };
 
 /**
@@ -162,17 +397,165 @@ AttachedBetterSqliteAdapter.prototype.getAttachedAliases = function() {
   return Array.from(this.attachments.keys());
 };
 
+/**
+ * Check whether the primary database and every attachment exist on disk.
+ * Covers configured attachments and any attached later with attachDatabase().
+ * @returns {Object} { primary: { path, exists }, attachments: { [alias]: { path, exists } } }
+ */
+AttachedBetterSqliteAdapter.prototype.checkAllDatabasesExist = function() {
+  const attachments = {};
+  for (const entry of this._knownDatabases()) {
+    attachments[entry.alias] = {path: entry.path, exists: databaseFileExists(entry.path)};
+  }
+
+  return {
+    primary: {path: this.dbPath, exists: databaseFileExists(this.dbPath)},
+    attachments: attachments
+  };
+};
+
+/**
+ * Build a diagnostics report for the primary database and every attachment
+ *
+ * File details are always reported. Page counts, journal mode and integrity
+ * results need a live connection, so they are null for a database that is
+ * not currently connected or attached.
+ *
+ * @param {Object} options - Report options
+ * @param {boolean} options.integrityCheck - Run PRAGMA integrity_check (default: true)
+ * @param {boolean} options.quickCheck - Run PRAGMA quick_check (default: true)
+ * @returns {Promise<Object>} { ok, databases: [{ alias, path, exists, attached, size, walSize,
+ *   pageCount, pageSize, journalMode, integrityCheck, quickCheck }] }
+ */
+AttachedBetterSqliteAdapter.prototype.getDatabaseReport = async function(options) {
+  options = options || {};
+  const entries = [{alias: 'main', path: this.dbPath}].concat(this._knownDatabases());
+  const databases = [];
+
+  for (const entry of entries) {
+    const attached = entry.alias === 'main' ? !!this.db : this.attachments.has(entry.alias);
+    const isMemory = entry.path === ':memory:';
+    const report = {
+      alias: entry.alias,
+      path: entry.path,
+      exists: databaseFileExists(entry.path),
+      attached: attached,
+      size: isMemory ? null : fileSize(entry.path),
+      walSize: isMemory ? null : fileSize(entry.path + '-wal'),
+      pageCount: null,
+      pageSize: null,
+      journalMode: null,
+      integrityCheck: null,
+      quickCheck: null
+    };
+
+    if (attached) {
+      const schema = quoteIdentifier(entry.alias);
+      report.pageCount = this.db.pragma(schema + '.page_count', {simple: true});
+      report.pageSize = this.db.pragma(schema + '.page_size', {simple: true});
+      report.journalMode = this.db.pragma(schema + '.journal_mode', {simple: true});
+      if (options.integrityCheck !== false) {
+        report.integrityCheck = parseCheckResult(this.db.pragma(schema + '.integrity_check'));
+      }
+      if (options.quickCheck !== false) {
+        report.quickCheck = parseCheckResult(this.db.pragma(schema + '.quick_check'));
+      }
+    }
+
+    databases.push(report);
+  }
+
+  return {
+    ok: databases.every(function(report) {
+      return report.exists &&
+        (!report.integrityCheck || report.integrityCheck.ok) &&
+        (!report.quickCheck || report.quickCheck.ok);
+    }),
+    databases: databases
+  };
+};
+
+/**
+ * Resolve the file path of the main database or of an attached alias
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._schemaPath = function(alias) {
+  if (alias && alias !== 'main' && this.attachments.has(alias)) {
+    return this.attachments.get(alias);
+  }
+  return BetterSqliteAdapter.prototype._schemaPath.call(this, alias);
+};
+
+/**
+ * Schemas of this connection: main and the attached aliases
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._schemaAliases = function() {
+  return ['main'].concat(this.getAttachedAliases());
+};
+
+/**
+ * Configured attachments plus any attached later, without duplicates
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._knownDatabases = function() {
+  const entries = this.attachmentConfig.attachments.map(function(attachment) {
+    return {alias: attachment.alias, path: attachment.path};
+  });
+  for (const [alias, dbPath] of this.attachments) {
+    if (!entries.some(function(entry) { return entry.alias === alias; })) {
+      entries.push({alias: alias, path: dbPath});
+    }
+  }
+  return entries;
+};
+
+function databaseFileExists(dbPath) {
+  return dbPath === ':memory:' || fs.existsSync(dbPath);
+}
+
+function fileSize(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+}
+
 /**
  * Disconnect from all databases
  */
 AttachedBetterSqliteAdapter.prototype.disconnect = async function() {
-  // Detach all attached databases first
-  for (const alias of this.attachments.keys()) {
-    await this.detachDatabase(alias);
+  if (this._reconnecting) {
+    await this._reconnecting.catch(function() {});
   }
 
+  // Detach all attached databases first, unless the connection is already gone
+  if (this.db && this.db.open) {
+    for (const alias of this.attachments.keys()) {
+      await this.detachDatabase(alias);
+    }
+  }
+  this._forgetAttachments();
+  this._attachOptions.clear();
+
   // Then disconnect from the primary database
   return BetterSqliteAdapter.prototype.disconnect.call(this);
 };
 
+/**
+ * Closing the connection also drops its attachments; _attachOptions keeps
+ * them for _restore()
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._closeQuietly = function() {
+  BetterSqliteAdapter.prototype._closeQuietly.call(this);
+  this._forgetAttachments();
+};
+
+/**
+ * @private
+ */
+AttachedBetterSqliteAdapter.prototype._forgetAttachments = function() {
+  for (const alias of Array.from(this.attachments.keys())) {
+    this._forgetAttachment(alias);
+  }
+};
+
 module.exports = AttachedBetterSqliteAdapter;
\ No newline at end of file
@@ -1,6 +1,27 @@
 // Note: SqliteAdapter is an interface - we don't inherit from it in JS
 // The interface is defined in interfaces.d.ts for TypeScript consumers
-const { retryWithBackoff } = require('../utils/retry-utils');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+const { retryWithBackoff, createRetryPolicy, sleep } = require('../utils/retry-utils');
+const StatementCache = require('../utils/statement-cache');
+const QueryMetrics = require('../utils/query-metrics');
+const { parseCheckResult, normalizePragmas, applyPragmas, isSchemaPragma, quoteIdentifier, REPORTED_PRAGMAS } = require('../utils/pragma-utils');
+const { CHECKPOINT_MODES, checkpointSchedule, dueCheckpoints, maintenanceSchedule, isMaintenanceDue, runSchedule, stopSchedule } = require('../utils/schedule-utils');
+const { createLogger } = require('../logger');
+
+// Statements executed per transaction by runBatchAsync() and runStatementsAsync()
+const DEFAULT_BATCH_CHUNK_SIZE = 500;
+
+// Mutually exclusive better-sqlite3 statement modes selecting how rows are returned
+const ROW_SHAPES = ['raw', 'pluck', 'expand'];
+
+// Rows read per event loop turn by iterateAsync() when no batchSize is given
+const DEFAULT_ITERATE_BATCH_SIZE = 100;
+
+// Tasks maintenance() can run, in the order it runs them
+const MAINTENANCE_TASKS = ['integrityCheck', 'foreignKeyCheck', 'analyze', 'optimize', 'vacuum'];
 
 /**
  * Clean BetterSqliteAdapter Implementation
@@ -8,18 +29,61 @@ const { retryWithBackoff } = require('../utils/retry-utils');
  * Node.js implementation that wraps better-sqlite3 with the new clean interface.
  * Manages exactly one database with no cross-database awareness.
  * Focused on simplicity and single-database operations.
+ *
+ * The adapter is an EventEmitter; see the README for the lifecycle events.
+ * With options.autoReconnect, a connection that was closed elsewhere, or
+ * whose file was replaced, is reopened before the next call runs.
  */
 function BetterSqliteAdapter(dbPath, options) {
+  EventEmitter.call(this);
+
   this.dbPath = dbPath;
   this.options = options || {};
   this.debug = this.options.debug || false;
+  this.logger = createLogger(this.options, 'BetterSqliteAdapter');
+  this.slowQueryThreshold = this.options.slowQueryThreshold || 0; // ms, 0 disables
   this.enableWAL = this.options.enableWAL !== false; // default true
-  this.retryOptions = {
-    maxRetries: this.options.maxRetries || 3,
-    baseDelay: this.options.baseDelay || 100
-  };
+  this.retryOptions = createRetryPolicy(Object.assign({
+    maxRetries: this.options.maxRetries,
+    baseDelay: this.options.baseDelay
+  }, this.options.retry));
+  // PRAGMAs applied on connect. busy_timeout is set through busyTimeout below.
+  const pragmas = normalizePragmas(this.options.pragmas);
+  const busyTimeoutPragma = pragmas.find(function(pragma) { return pragma.name === 'busy_timeout'; });
+  this.pragmas = pragmas.filter(function(pragma) { return pragma.name !== 'busy_timeout'; });
+  // How long SQLite itself waits on a locked database before reporting SQLITE_BUSY.
+  // This wait blocks the event loop; retries after it are asynchronous.
+  this.busyTimeout = firstDefined(
+    this.options.busyTimeout,
+    busyTimeoutPragma && busyTimeoutPragma.value,
+    this.options.timeout,
+    5000
+  );
+  this.autoReconnect = this.options.autoReconnect || false;
+  // Blocked WAL checkpoints in a row before each further one is logged as a warning
+  this.checkpointWarnAfter = this.options.checkpointWarnAfter || 3;
   this.db = null;
   this.Database = null;
+  this.statementCache = new StatementCache(this.options.statementCacheSize);
+  this.metrics = new QueryMetrics(this.options.latencyBuckets);
+
+  // Tracks which async call chain owns the open transaction, if any
+  this._transactionContext = new AsyncLocalStorage();
+  this._transactionLock = null;
+
+  // Connection loss tracking for autoReconnect
+  this._lost = false;
+  this._reconnecting = null;
+  this._fileIdentity = null;
+
+  // WAL checkpoint bookkeeping per schema, and the background schedule if started
+  this._checkpoints = new Map();
+  this._checkpointSchedule = null;
+
+  // When the last query ran, and the idle-time maintenance schedule if started
+  this._lastActivityAt = 0;
+  this._openIterators = new Set(); // iterateAsync() statements still open on the connection
+  this._maintenanceSchedule = null;
   
   // Try to load better-sqlite3
   try {
@@ -32,178 +96,1677 @@ function BetterSqliteAdapter(dbPath, options) {
   }
 }
 
+// Adapters emit lifecycle events
+BetterSqliteAdapter.prototype = Object.create(EventEmitter.prototype);
+BetterSqliteAdapter.prototype.constructor = BetterSqliteAdapter;
+
 // Note: In JavaScript we don't actually inherit from interfaces
 // The SqliteAdapter interface is documented in interfaces.d.ts
 
 /**
- * Connect to the database
+ * Connect to the database. Does nothing when already connected.
+ * Emits 'connect' once connected.
  */
-BetterSqliteAdapter.prototype.connect = function() {
-  const adapter = this;
-  
-  return new Promise(function(resolve, reject) {
-    try {
-      adapter.db = new adapter.Database(adapter.dbPath, adapter.options);
-      
-      // Configure database settings
-      adapter.db.exec('PRAGMA foreign_keys = ON');
-      if (adapter.enableWAL) {
-        adapter.db.exec('PRAGMA journal_mode=WAL');
-        adapter.debug && console.log('[BetterSqliteAdapter] Enabled WAL mode');
-      }
-      
-      adapter.debug && console.log('[BetterSqliteAdapter] Connected to database: ' + adapter.dbPath);
-      resolve();
-    } catch (error) {
-      adapter.debug && console.error('[BetterSqliteAdapter] Connection error: ' + error.message);
-      reject(error);
+BetterSqliteAdapter.prototype.connect = async function() {
+  if (this.db) {
+    return;
+  }
+
+  this._open();
+  if (this.options.checkpoints) {
+    this.startCheckpoints(this.options.checkpoints);
+  }
+  if (this.options.maintenanceSchedule) {
+    this.startMaintenance(this.options.maintenanceSchedule);
+  }
+  this._emit('connect', {dbPath: this.dbPath, reconnect: false});
+};
+
+/**
+ * Disconnect from the database. Emits 'disconnect' if a connection was open.
+ */
+BetterSqliteAdapter.prototype.disconnect = async function() {
+  this.stopCheckpoints();
+  this.stopMaintenance();
+  if (this._reconnecting) {
+    await this._reconnecting.catch(function() {});
+  }
+  this._lost = false;
+
+  if (!this.db) {
+    return;
+  }
+
+  try {
+    this.statementCache.clear();
+    this._openIterators.clear();
+    this.db.close();
+    this.db = null;
+    this.logger.info('Disconnected from database', {dbPath: this.dbPath});
+  } catch (error) {
+    this.logger.error('Disconnect error', {dbPath: this.dbPath, error: error.message});
+    throw error;
+  }
+  this._emit('disconnect', {dbPath: this.dbPath, reason: 'disconnect'});
+};
+
+/**
+ * Open the connection and apply foreign_keys, the configured PRAGMAs and WAL
+ * @private
+ */
+BetterSqliteAdapter.prototype._open = function() {
+  try {
+    this.db = new this.Database(this.dbPath, Object.assign({}, this.options, {
+      timeout: this.busyTimeout
+    }));
+    this.statementCache.clear();
+
+    // Configure database settings
+    this.db.exec('PRAGMA foreign_keys = ON');
+    applyPragmas(this.db, this.pragmas);
+    if (this.enableWAL && !this._hasPragma('journal_mode')) {
+      this.db.exec('PRAGMA journal_mode=WAL');
+      this.logger.debug('Enabled WAL mode');
     }
-  });
+  } catch (error) {
+    this._closeQuietly();
+    this.logger.error('Connection error', {dbPath: this.dbPath, error: error.message});
+    throw error;
+  }
+
+  this._lost = false;
+  this._fileIdentity = fileIdentity(this.dbPath);
+  this.logger.info('Connected to database', {dbPath: this.dbPath});
+};
+
+/**
+ * Reopen a lost connection: open it, plus whatever a subclass sets up on top
+ * (AttachedBetterSqliteAdapter re-attaches)
+ * @private
+ */
+BetterSqliteAdapter.prototype._restore = async function() {
+  this._open();
+};
+
+/**
+ * Check whether a statement can run now. Returns null when it can, or a
+ * Promise to wait for before checking again: another caller's transaction,
+ * or a reconnect in progress. A connection that was closed elsewhere, or
+ * whose file was replaced, is reopened with autoReconnect and reported as
+ * 'Database not connected' without it.
+ *
+ * Callers loop until null and then run the statement synchronously, so
+ * nothing can slip in between the check and the statement:
+ *   let waiting;
+ *   while ((waiting = adapter._whenReady())) await waiting;
+ * @private
+ */
+BetterSqliteAdapter.prototype._whenReady = function() {
+  if (this._isBlockedByTransaction()) {
+    return this._transactionLock;
+  }
+  if (this._reconnecting) {
+    return this._reconnecting;
+  }
+
+  const reason = this._connectionProblem();
+  if (!reason) {
+    return null;
+  }
+  if (this.db) {
+    this._connectionLost(reason);
+  }
+
+  if (!this._lost || !this.autoReconnect || this._currentTransaction()) {
+    throw new Error('Database not connected');
+  }
+  return this._reconnect(reason);
+};
+
+/**
+ * @private
+ * @returns {string|null} null when the connection is usable
+ */
+BetterSqliteAdapter.prototype._connectionProblem = function() {
+  if (!this.db) {
+    return this._lost ? 'lost' : 'disconnected';
+  }
+  if (!this.db.open) {
+    return 'closed';
+  }
+  // A transaction cannot survive a reconnect, so the file is not checked inside one
+  if (this.autoReconnect && this._fileIdentity && !this._currentTransaction() &&
+      !sameFile(this._fileIdentity, fileIdentity(this.dbPath))) {
+    return 'replaced';
+  }
+  return null;
+};
+
+/**
+ * Drop a connection that can no longer be used and emit 'disconnect'
+ * @private
+ */
+BetterSqliteAdapter.prototype._connectionLost = function(reason) {
+  this._closeQuietly();
+  this._lost = true;
+  this.logger.warn('Database connection lost', {dbPath: this.dbPath, reason: reason});
+  this._emit('disconnect', {dbPath: this.dbPath, reason: reason});
 };
 
 /**
- * Disconnect from the database
+ * Reopen a lost connection. Concurrent callers share one attempt; a failed
+ * attempt emits 'error' and the next call tries again.
+ * @private
  */
-BetterSqliteAdapter.prototype.disconnect = function() {
+BetterSqliteAdapter.prototype._reconnect = function(reason) {
   const adapter = this;
-  
-  return new Promise(function(resolve, reject) {
-    try {
-      if (adapter.db) {
-        adapter.db.close();
-        adapter.db = null;
-        adapter.debug && console.log('[BetterSqliteAdapter] Disconnected from database');
+
+  if (!adapter._reconnecting) {
+    adapter._reconnecting = (async function() {
+      try {
+        await adapter._restore();
+      } catch (error) {
+        // Stay lost so the next call tries again
+        adapter._closeQuietly();
+        adapter._lost = true;
+        adapter.logger.error('Reconnect failed', {dbPath: adapter.dbPath, error: error.message});
+        adapter._emit('error', error, {type: 'reconnect', reason: reason});
+        throw error;
       }
-      resolve();
+
+      adapter.logger.info('Reconnected to database', {dbPath: adapter.dbPath, reason: reason});
+      adapter._emit('connect', {dbPath: adapter.dbPath, reconnect: true, reason: reason});
+    })().finally(function() {
+      adapter._reconnecting = null;
+    });
+  }
+
+  return adapter._reconnecting;
+};
+
+/**
+ * @private
+ */
+BetterSqliteAdapter.prototype._closeQuietly = function() {
+  if (this.db) {
+    try {
+      this.db.close();
     } catch (error) {
-      adapter.debug && console.error('[BetterSqliteAdapter] Disconnect error: ' + error.message);
-      reject(error);
+      // Already closed or unusable
     }
-  });
+  }
+  this.db = null;
+  this.statementCache.clear();
+  this._openIterators.clear();
+};
+
+/**
+ * Emit an event without letting a failing listener break the operation.
+ * 'error' is only emitted when someone listens for it, since an unhandled
+ * 'error' event would throw.
+ * @private
+ */
+BetterSqliteAdapter.prototype._emit = function(name) {
+  if (name === 'error' && this.listenerCount('error') === 0) {
+    return;
+  }
+  try {
+    this.emit.apply(this, arguments);
+  } catch (error) {
+    this.logger.warn('Event listener failed', {event: name, error: error.message});
+  }
 };
 
 /**
  * Execute a SQL statement (INSERT, UPDATE, DELETE, CREATE, etc.)
  * Returns Promise directly (matching schema strategy expectations)
+ *
+ * Params may be a positional array or an object of named parameters
+ * (@name, :name or $name placeholders). Resolves to { changes,
+ * lastInsertRowid }; lastID is the same rowid, kept for existing callers.
+ * With options.safeIntegers, the rowid is returned as a BigInt.
  */
-BetterSqliteAdapter.prototype.runAsync = function(sql, params) {
+BetterSqliteAdapter.prototype.runAsync = function(sql, params, options) {
   const adapter = this;
-  params = params || [];
-
-  return retryWithBackoff(async function() {
-    if (!adapter.db) {
-      throw new Error('Database not connected');
-    }
 
-    const stmt = adapter.db.prepare(sql);
+  return adapter._execute('run', sql, params || [], options, function(stmt, params) {
     const result = stmt.run(params);
 
-    adapter.debug && console.log('[BetterSqliteAdapter] Executed SQL: ' + sql.substring(0, 50));
+    if (StatementCache.isSchemaChange(sql)) {
+      adapter.statementCache.clear();
+    }
+
     return {
+      lastInsertRowid: result.lastInsertRowid,
       lastID: result.lastInsertRowid,
       changes: result.changes
     };
-  }, {
-    maxRetries: adapter.retryOptions.maxRetries,
-    baseDelay: adapter.retryOptions.baseDelay,
-    debug: adapter.debug
+  }, function(result) {
+    return {changes: result.changes};
   });
 };
 
 /**
  * Get the first row from a SELECT query
  * Returns promise directly (matching schema strategy expectations)
+ *
+ * Accepts the same params and options as getAllAsync(). Resolves to null
+ * when there is no row.
+ */
+BetterSqliteAdapter.prototype.getFirstAsync = function(sql, params, options) {
+  return this._execute('get', sql, params || [], options, function(stmt, params) {
+    const row = stmt.get(params);
+    return row === undefined ? null : row;
+  }, function(row) {
+    return {rows: row !== null ? 1 : 0};
+  });
+};
+
+/**
+ * Get all rows from a SELECT query
+ * Returns promise directly (matching schema strategy expectations)
+ *
+ * @param {string} sql - SELECT query
+ * @param {Array|Object} params - Positional parameters or an object of named parameters
+ * @param {Object} options - Query options, defaulting to the adapter's queryOptions
+ * @param {boolean} options.raw - Return each row as an array of column values
+ * @param {boolean} options.pluck - Return only the first column of each row
+ * @param {boolean} options.expand - Nest columns under their table name
+ * @param {boolean} options.safeIntegers - Return integers as BigInt so values beyond 2^53 keep their precision
+ */
+BetterSqliteAdapter.prototype.getAllAsync = function(sql, params, options) {
+  return this._execute('all', sql, params || [], options, function(stmt, params) {
+    return stmt.all(params);
+  }, function(rows) {
+    return {rows: rows.length};
+  });
+};
+
+/**
+ * Stream the rows of a SELECT query without loading them all into memory
+ *
+ * Returns an async iterator built on better-sqlite3's stmt.iterate(). Rows
+ * are read options.batchSize at a time, giving other work a turn on the
+ * event loop between batches; with batchSize set, each batch is yielded as
+ * an array instead of row by row. Breaking out of the loop releases the
+ * statement. Opening the query is retried like getAllAsync(); failures
+ * after the first rows have been yielded are not.
+ *
+ * better-sqlite3 does not allow writes on a connection while one of its
+ * statements is being iterated. Until the loop finishes or is broken out of,
+ * writes, transactions, checkpoints and maintenance through the same adapter
+ * are rejected, whoever calls them, and the background schedules skip their
+ * checks (the connection pool iterates on a reader connection instead).
+ * Each batch is read once no other caller's transaction holds the adapter.
+ *
+ * @param {string} sql - SELECT query
+ * @param {Array|Object} params - Query parameters
+ * @param {Object} options - Iteration options, plus the query options of getAllAsync()
+ * @param {number} options.batchSize - Yield arrays of up to this many rows instead of single rows
+ * @returns {AsyncIterableIterator<Object|Object[]>}
  */
-BetterSqliteAdapter.prototype.getFirstAsync = function(sql, params) {
+BetterSqliteAdapter.prototype.iterateAsync = function(sql, params, options) {
   const adapter = this;
   params = params || [];
+  options = options || {};
+  const batchSize = options.batchSize;
+  const queryOptions = adapter._queryOptions(options);
 
-  return retryWithBackoff(async function() {
-    if (!adapter.db) {
-      throw new Error('Database not connected');
+  if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < 1)) {
+    throw new Error('batchSize must be a positive integer');
+  }
+
+  return (async function*() {
+    const step = batchSize || DEFAULT_ITERATE_BATCH_SIZE;
+    let start;
+    let attempts = 0;
+    let rows = 0;
+    let db = null;
+    let iterator = null;
+    let failed = false;
+
+    const release = function() {
+      if (iterator) {
+        adapter._openIterators.delete(iterator);
+        iterator.return();
+        iterator = null;
+      }
+    };
+
+    try {
+      let batch = await retryWithBackoff(async function() {
+        attempts++;
+
+        let waiting;
+        while ((waiting = adapter._whenReady())) {
+          await waiting;
+        }
+
+        start = now();
+        adapter._lastActivityAt = Date.now();
+        db = adapter.db;
+        // An iterated statement stays busy until it is released, so it is
+        // prepared separately instead of being shared through the cache
+        iterator = applyQueryOptions(db.prepare(sql), queryOptions).iterate(params);
+        adapter._openIterators.add(iterator);
+        try {
+          return readBatch(iterator, step);
+        } catch (error) {
+          release();
+          throw error;
+        }
+      }, adapter._retryPolicy('iterate', sql));
+
+      while (batch.rows.length > 0) {
+        rows += batch.rows.length;
+        if (batchSize) {
+          yield batch.rows;
+        } else {
+          for (const row of batch.rows) {
+            yield row;
+          }
+        }
+
+        if (batch.done) {
+          break;
+        }
+
+        await yieldToEventLoop();
+        let waiting;
+        while ((waiting = adapter._whenReady())) {
+          await waiting;
+        }
+        if (adapter.db !== db) {
+          throw new Error('Database not connected');
+        }
+        batch = readBatch(iterator, step);
+      }
+    } catch (error) {
+      failed = true;
+      adapter._instrument('onError', {type: 'iterate', sql: sql, params: params, attempts: attempts, error: error});
+      throw error;
+    } finally {
+      release();
+      if (!failed) {
+        adapter._logQuery('iterate', sql, params, start, attempts, function() {
+          return {rows: rows};
+        }, function(summary) {
+          return summary;
+        });
+      }
+    }
+  })();
+};
+
+/**
+ * Execute one statement for many parameter sets
+ *
+ * The statement is prepared once. The parameter sets run in chunks of
+ * options.chunkSize, each chunk inside its own transaction (a savepoint when
+ * called from inside transaction()), and other work gets a turn on the event
+ * loop between chunks. Chunks committed before a failure stay committed; wrap
+ * the call in transaction() to make the whole batch atomic.
+ *
+ * @param {string} sql - Statement to execute
+ * @param {Array} paramsArray - One parameter array (or named-parameter object) per execution
+ * @param {Object} options - Batch options
+ * @param {number} options.chunkSize - Executions per transaction (default: 500)
+ * @param {boolean} options.safeIntegers - Return the rowids as BigInt (default: the adapter's queryOptions)
+ * @returns {Promise<Object>} { changes, lastInsertRowids } with one rowid per parameter set
+ */
+BetterSqliteAdapter.prototype.runBatchAsync = function(sql, paramsArray, options) {
+  if (!Array.isArray(paramsArray)) {
+    return Promise.reject(new Error('runBatchAsync expects an array of parameter sets'));
+  }
+
+  return this._runBatch(sql, paramsArray.length, function(index) {
+    return {sql: sql, params: paramsArray[index]};
+  }, options);
+};
+
+/**
+ * Execute a list of different statements in chunked transactions, like
+ * runBatchAsync(). Each distinct SQL string is prepared once.
+ *
+ * @param {Array<{sql: string, params: Array|Object}>} statements - Statements in execution order
+ * @param {Object} options - Batch options
+ * @param {number} options.chunkSize - Statements per transaction (default: 500)
+ * @returns {Promise<Object>} { changes, lastInsertRowids } with one rowid per statement
+ */
+BetterSqliteAdapter.prototype.runStatementsAsync = function(statements, options) {
+  if (!Array.isArray(statements) || statements.some(function(statement) {
+    return !statement || typeof statement.sql !== 'string';
+  })) {
+    return Promise.reject(new Error('runStatementsAsync expects an array of { sql, params } objects'));
+  }
+
+  const distinct = [];
+  for (const statement of statements) {
+    if (distinct.indexOf(statement.sql) === -1) {
+      distinct.push(statement.sql);
     }
+  }
 
-    const stmt = adapter.db.prepare(sql);
-    const row = stmt.get(params);
+  return this._runBatch(distinct.join('; '), statements.length, function(index) {
+    return statements[index];
+  }, options);
+};
 
-    adapter.debug && console.log('[BetterSqliteAdapter] Got row from: ' + sql.substring(0, 50));
-    return row || null;
-  }, {
-    maxRetries: adapter.retryOptions.maxRetries,
-    baseDelay: adapter.retryOptions.baseDelay,
-    debug: adapter.debug
-  });
+/**
+ * Run count statements, as returned by statementAt(index), in chunked transactions
+ * @private
+ */
+BetterSqliteAdapter.prototype._runBatch = async function(label, count, statementAt, options) {
+  const adapter = this;
+  const chunkSize = options && options.chunkSize !== undefined ? options.chunkSize : DEFAULT_BATCH_CHUNK_SIZE;
+  const queryOptions = adapter._queryOptions({safeIntegers: options && options.safeIntegers});
+  const result = {changes: 0, lastInsertRowids: []};
+  let attempts = 0;
+
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error('chunkSize must be a positive integer');
+  }
+
+  try {
+    for (let offset = 0; offset < count; offset += chunkSize) {
+      const end = Math.min(offset + chunkSize, count);
+      attempts = 0;
+
+      const chunk = await retryWithBackoff(function() {
+        attempts++;
+        return adapter.transaction(function() {
+          return adapter._logQuery('batch', label, undefined, now(), attempts, function() {
+            return runChunk(adapter, statementAt, offset, end, queryOptions);
+          }, function(chunk) {
+            return {changes: chunk.changes, statements: end - offset};
+          });
+        });
+      }, adapter._retryPolicy('batch', label));
+
+      result.changes += chunk.changes;
+      Array.prototype.push.apply(result.lastInsertRowids, chunk.lastInsertRowids);
+
+      if (end < count) {
+        await yieldToEventLoop();
+      }
+    }
+  } catch (error) {
+    adapter._instrument('onError', {type: 'batch', sql: label, params: undefined, attempts: attempts, error: error});
+    throw error;
+  }
+
+  return result;
 };
 
 /**
- * Get all rows from a SELECT query
- * Returns promise directly (matching schema strategy expectations)
+ * Run a statement with busy retries once no other caller's transaction holds
+ * the adapter. execute(stmt, params) runs the prepared statement, set up for
+ * the query options, and summarize(result) returns the row counts reported to
+ * the logger and the instrumentation hooks.
+ * @private
  */
-BetterSqliteAdapter.prototype.getAllAsync = function(sql, params) {
+BetterSqliteAdapter.prototype._execute = function(type, sql, params, options, execute, summarize) {
   const adapter = this;
-  params = params || [];
+  let queryOptions;
+  let attempts = 0;
+
+  try {
+    queryOptions = adapter._queryOptions(options);
+  } catch (error) {
+    return Promise.reject(error);
+  }
 
   return retryWithBackoff(async function() {
-    if (!adapter.db) {
-      throw new Error('Database not connected');
-    }
+    attempts++;
 
-    const stmt = adapter.db.prepare(sql);
-    const rows = stmt.all(params);
+    let waiting;
+    while ((waiting = adapter._whenReady())) {
+      await waiting;
+    }
 
-    adapter.debug && console.log('[BetterSqliteAdapter] Got ' + rows.length + ' rows from: ' + sql.substring(0, 50));
-    return rows;
-  }, {
-    maxRetries: adapter.retryOptions.maxRetries,
-    baseDelay: adapter.retryOptions.baseDelay,
-    debug: adapter.debug
+    const start = now();
+    adapter._lastActivityAt = Date.now();
+    return adapter._logQuery(type, sql, params, start, attempts, function() {
+      const stmt = adapter._prepare(sql);
+      if (!stmt.reader) {
+        adapter._checkNotIterating('write');
+      }
+      adapter._checkWritable(sql, stmt, params);
+      return execute(applyQueryOptions(stmt, queryOptions), params);
+    }, summarize);
+  }, adapter._retryPolicy(type, sql)).catch(function(error) {
+    adapter._instrument('onError', {type: type, sql: sql, params: params, attempts: attempts, error: error});
+    throw error;
   });
 };
 
 /**
- * Execute multiple SQL statements in a transaction
- * Promise-based with clean interface
+ * Build the retryWithBackoff() options for an operation, reporting retries
+ * to the retry policy's own onRetry and to the onRetry hook
+ * @private
  */
-BetterSqliteAdapter.prototype.transaction = function(operations) {
+BetterSqliteAdapter.prototype._retryPolicy = function(type, sql) {
   const adapter = this;
-  
-  return new Promise(function(resolve, reject) {
-    if (!adapter.db) {
-      reject(new Error('Database not connected'));
-      return;
+
+  return Object.assign({}, adapter.retryOptions, {
+    debug: adapter.debug,
+    logger: adapter.logger,
+    onRetry: function(retry) {
+      if (adapter.retryOptions.onRetry) {
+        adapter.retryOptions.onRetry(retry);
+      }
+      adapter._instrument('onRetry', {
+        type: type,
+        sql: sql,
+        attempt: retry.attempt,
+        maxRetries: retry.maxRetries,
+        delayMs: retry.delayMs,
+        error: retry.error
+      });
+    }
+  });
+};
+
+/**
+ * Execute a statement, then log it and report it to the onQuery hook: the
+ * full SQL, parameters (redacted in logs unless configured otherwise),
+ * duration and row counts at debug level, a warning when the duration
+ * reaches slowQueryThreshold, and failures at debug level before rethrowing
+ * them.
+ * @private
+ */
+BetterSqliteAdapter.prototype._logQuery = function(type, sql, params, start, attempts, execute, summarize) {
+  const logger = this.logger;
+  let result;
+
+  try {
+    result = execute();
+  } catch (error) {
+    logger.debug('Query failed', {
+      sql: sql,
+      params: logger.params(params),
+      durationMs: now() - start,
+      error: error.message,
+      code: error.code
+    });
+    throw error;
+  }
+
+  const durationMs = now() - start;
+  const summary = summarize(result);
+  const isSlow = this.slowQueryThreshold > 0 && durationMs >= this.slowQueryThreshold;
+  if (isSlow || logger.isLevelEnabled('debug')) {
+    const fields = Object.assign({
+      sql: sql,
+      params: logger.params(params),
+      durationMs: durationMs
+    }, summary);
+    if (isSlow) {
+      logger.warn('Slow query', fields);
+    } else {
+      logger.debug('Executed query', fields);
+    }
+  }
+
+  this._instrument('onQuery', Object.assign({
+    type: type,
+    sql: sql,
+    params: params,
+    durationMs: durationMs,
+    attempts: attempts,
+    inTransaction: this._currentTransaction() !== null
+  }, summary));
+
+  return result;
+};
+
+/**
+ * Combine per-call query options with the adapter's queryOptions defaults.
+ * A call that picks a row shape (raw, pluck or expand) replaces the default
+ * shape instead of adding to it.
+ * @private
+ */
+BetterSqliteAdapter.prototype._queryOptions = function(options) {
+  options = options || {};
+  const defaults = this.options.queryOptions || {};
+  const shapeSource = ROW_SHAPES.some(function(shape) { return options[shape] !== undefined; }) ? options : defaults;
+  const queryOptions = {
+    safeIntegers: Boolean(options.safeIntegers !== undefined ? options.safeIntegers : defaults.safeIntegers)
+  };
+
+  for (const shape of ROW_SHAPES) {
+    queryOptions[shape] = Boolean(shapeSource[shape]);
+  }
+  if (ROW_SHAPES.filter(function(shape) { return queryOptions[shape]; }).length > 1) {
+    throw new Error('Only one of raw, pluck and expand can be enabled');
+  }
+  return queryOptions;
+};
+
+/**
+ * Get a prepared statement for the SQL, reusing a cached one when possible.
+ * Schema-changing statements are never cached.
+ * @private
+ */
+BetterSqliteAdapter.prototype._prepare = function(sql) {
+  const db = this.db;
+  if (StatementCache.isSchemaChange(sql)) {
+    return db.prepare(sql);
+  }
+  return this.statementCache.get(sql, function() {
+    return db.prepare(sql);
+  });
+};
+
+/**
+ * Check that a statement may run before executing it. Nothing is off limits
+ * here; AttachedBetterSqliteAdapter rejects writes to read-only attachments.
+ * @private
+ */
+BetterSqliteAdapter.prototype._checkWritable = function() {};
+
+/**
+ * Report the effective PRAGMA values of the main database or an attached
+ * database: the common tuning PRAGMAs plus any configured through the
+ * pragmas option. Connection-wide PRAGMAs such as busy_timeout and
+ * temp_store are the same for every alias.
+ *
+ * @param {string} alias - 'main' or an attached alias (default: 'main')
+ * @returns {Promise<Object>} PRAGMA name to value, as reported by SQLite
+ */
+BetterSqliteAdapter.prototype.getPragmas = async function(alias) {
+  alias = alias || 'main';
+  this._schemaPath(alias);
+
+  if (!this.db) {
+    throw new Error('Database not connected');
+  }
+
+  const names = REPORTED_PRAGMAS.slice();
+  for (const pragma of this._pragmasFor(alias)) {
+    if (names.indexOf(pragma.name) === -1) {
+      names.push(pragma.name);
     }
-    
-    // better-sqlite3 has built-in transaction support
+  }
+
+  const values = {};
+  for (const name of names) {
+    const prefix = isSchemaPragma(name) ? quoteIdentifier(alias) + '.' : '';
+    values[name] = this.db.pragma(prefix + name, {simple: true});
+  }
+  return values;
+};
+
+/**
+ * Get the normalized PRAGMAs configured for a schema
+ * @private
+ */
+BetterSqliteAdapter.prototype._pragmasFor = function() {
+  return this.pragmas;
+};
+
+/**
+ * @private
+ */
+BetterSqliteAdapter.prototype._hasPragma = function(name) {
+  return this.pragmas.some(function(pragma) { return pragma.name === name; });
+};
+
+/**
+ * Get prepared statement cache statistics
+ * @returns {{size: number, maxSize: number, hits: number, misses: number, evictions: number}}
+ */
+BetterSqliteAdapter.prototype.getStatementCacheStats = function() {
+  return this.statementCache.getStats();
+};
+
+/**
+ * Drop all cached prepared statements, e.g. after changing the schema
+ * outside of runAsync()
+ */
+BetterSqliteAdapter.prototype.clearStatementCache = function() {
+  this.statementCache.clear();
+};
+
+/**
+ * Get a snapshot of the query metrics collected since the adapter was created or the last resetStats()
+ * @returns {Object} { queries, errors, retries, transactions, rows, latency }
+ */
+BetterSqliteAdapter.prototype.getStats = function() {
+  return this.metrics.getStats();
+};
+
+/**
+ * Clear the collected query metrics
+ */
+BetterSqliteAdapter.prototype.resetStats = function() {
+  this.metrics.reset();
+};
+
+/**
+ * Export the query metrics in the Prometheus text exposition format
+ * @param {Object} options - { prefix, labels }, see QueryMetrics.prototype.toPrometheus()
+ * @returns {string}
+ */
+BetterSqliteAdapter.prototype.getPrometheusMetrics = function(options) {
+  return this.metrics.toPrometheus(options);
+};
+
+/**
+ * Record an instrumentation event in the metrics and pass it to the matching
+ * hook from the adapter options (onQuery, onRetry, onError, onTransaction).
+ * Errors thrown by a hook are logged and never affect the operation.
+ * @private
+ */
+BetterSqliteAdapter.prototype._instrument = function(hook, event) {
+  switch (hook) {
+    case 'onQuery': this.metrics.recordQuery(event); break;
+    case 'onRetry': this.metrics.recordRetry(event); break;
+    case 'onError': this.metrics.recordError(event); break;
+    case 'onTransaction': this.metrics.recordTransaction(event); break;
+  }
+
+  const handler = this.options[hook];
+  if (typeof handler === 'function') {
     try {
-      const transaction = adapter.db.transaction(function() {
-        // Execute the user's operations and wait for the result
-        const promise = operations();
-        
-        // Since better-sqlite3 transactions are synchronous,
-        // we need to handle promises synchronously
-        if (promise && typeof promise.then === 'function') {
-          // This is tricky - better-sqlite3 transactions must be synchronous
-          // So we'll execute without the transaction wrapper for async operations
-          throw new Error('Async operations not supported in better-sqlite3 transactions - use direct calls');
-        }
-        
-        return promise;
-      });
-      
-      const result = transaction();
-      adapter.debug && console.log('[BetterSqliteAdapter] Transaction completed successfully');
-      resolve(result);
+      handler(event);
     } catch (error) {
-      if (error.message.includes('Async operations not supported')) {
-        // Fallback: execute the promise-based operations without transaction
-        adapter.debug && console.warn('[BetterSqliteAdapter] Falling back to non-transactional execution for async operations');
-        operations().then(resolve).catch(reject);
-      } else {
-        adapter.debug && console.error('[BetterSqliteAdapter] Transaction error: ' + error.message);
-        reject(error);
-      }
+      this.logger.warn('Instrumentation hook failed', {hook: hook, error: error.message});
     }
-  });
+  }
+
+  if (hook === 'onError') {
+    this._emit('error', event.error, event);
+  } else if (hook === 'onRetry') {
+    this._emit('retry', event);
+  }
+};
+
+/**
+ * Copy the main database or an attached database to a file using SQLite's
+ * online backup API. Other queries keep running while the copy progresses.
+ *
+ * @param {string} destPath - Path of the backup file to write
+ * @param {Object} options - Backup options
+ * @param {string} options.alias - Schema to back up: 'main' or an attached alias (default: 'main')
+ * @param {Function} options.onProgress - Called with { totalPages, remainingPages, percent } after each step
+ * @param {number} options.pagesPerStep - Pages copied per step (default: 100)
+ * @param {number} options.stepDelay - Minimum milliseconds between steps, to throttle the copy (default: 0);
+ *   ignored with a warning if the installed better-sqlite3 does not expose its backup handle
+ * @param {boolean} options.verify - Run PRAGMA integrity_check on the written file (default: true)
+ * @returns {Promise<Object>} { path, alias, totalPages, size, integrityCheck }
+ */
+BetterSqliteAdapter.prototype.backup = async function(destPath, options) {
+  const adapter = this;
+  options = options || {};
+  const alias = options.alias || 'main';
+  const pagesPerStep = options.pagesPerStep || 100;
+  const stepDelay = options.stepDelay || 0;
+
+  if (!adapter.db) {
+    throw new Error('Database not connected');
+  }
+
+  function onStep(progress) {
+    if (options.onProgress) {
+      options.onProgress(backupProgress(progress));
+    }
+  }
+
+  const handle = stepDelay > 0 ? nativeBackupHandle(adapter.db, alias, destPath) : null;
+  if (stepDelay > 0 && !handle) {
+    adapter.logger.warn('This better-sqlite3 version cannot pause a backup, ignoring stepDelay', {alias: alias});
+  }
+
+  const result = handle
+    ? await throttledBackup(handle, pagesPerStep, stepDelay, onStep)
+    : await adapter.db.backup(destPath, {
+      attached: alias,
+      progress: function(progress) {
+        onStep(progress);
+        return pagesPerStep;
+      }
+    });
+
+  if (options.onProgress) {
+    options.onProgress(backupProgress(result));
+  }
+
+  const report = {
+    path: destPath,
+    alias: alias,
+    totalPages: result.totalPages,
+    size: fs.statSync(destPath).size,
+    integrityCheck: null
+  };
+
+  if (options.verify !== false) {
+    report.integrityCheck = adapter._checkDatabaseFile(destPath);
+    if (!report.integrityCheck.ok) {
+      throw new Error('Backup verification failed for ' + destPath + ': ' + report.integrityCheck.messages.join('; '));
+    }
+  }
+
+  adapter.logger.info('Backup completed', {alias: alias, destPath: destPath, totalPages: result.totalPages});
+  return report;
+};
+
+/**
+ * Replace the contents of the main database or an attached database with a
+ * backup file. The source is checked with PRAGMA integrity_check first. The
+ * restore waits for any open transaction to finish, then holds the adapter
+ * like a transaction would, so no other call runs until the copy is done.
+ *
+ * @param {string} srcPath - Path of the backup file to restore from
+ * @param {Object} options - Restore options
+ * @param {string} options.alias - Schema to restore: 'main' or an attached alias (default: 'main')
+ * @param {Function} options.onProgress - Called with { totalPages, remainingPages, percent } after each step
+ * @returns {Promise<Object>} { path, alias, totalPages }
+ */
+BetterSqliteAdapter.prototype.restore = async function(srcPath, options) {
+  const adapter = this;
+  options = options || {};
+  const alias = options.alias || 'main';
+
+  if (!fs.existsSync(srcPath)) {
+    throw new Error('Backup file does not exist: ' + srcPath);
+  }
+
+  const check = adapter._checkDatabaseFile(srcPath);
+  if (!check.ok) {
+    throw new Error('Backup file failed integrity check: ' + check.messages.join('; '));
+  }
+
+  if (adapter._currentTransaction()) {
+    throw new Error('Cannot restore inside a transaction');
+  }
+
+  let waiting;
+  while ((waiting = adapter._whenReady())) {
+    await waiting;
+  }
+  adapter._checkNotIterating('restore');
+
+  const targetPath = adapter._schemaPath(alias);
+  if (targetPath === ':memory:' || targetPath === '') {
+    throw new Error('Cannot restore into an in-memory database: ' + alias);
+  }
+
+  let releaseLock;
+  adapter._transactionLock = new Promise(function(resolve) {
+    releaseLock = resolve;
+  });
+
+  let result;
+  try {
+    const source = new adapter.Database(srcPath, {readonly: true, fileMustExist: true});
+    try {
+      result = await source.backup(targetPath, {
+        progress: function(progress) {
+          if (options.onProgress) {
+            options.onProgress(backupProgress(progress));
+          }
+        }
+      });
+    } finally {
+      source.close();
+    }
+
+    // Statements prepared against the old contents may now be stale
+    adapter.statementCache.clear();
+  } finally {
+    adapter._transactionLock = null;
+    releaseLock();
+  }
+
+  adapter.logger.info('Restore completed', {alias: alias, srcPath: srcPath, totalPages: result.totalPages});
+  return {path: targetPath, alias: alias, totalPages: result.totalPages};
+};
+
+/**
+ * Checkpoint the WAL of the main database or an attached database, copying
+ * its frames into the database file. PASSIVE copies what it can without
+ * waiting; FULL and RESTART wait up to the busy timeout for readers and
+ * writers so the whole WAL is copied, and TRUNCATE also truncates the -wal
+ * file to zero bytes.
+ *
+ * A checkpoint that could not copy every frame, usually because a reader
+ * still needs older frames, is blocked. From options.checkpointWarnAfter
+ * (default 3) blocked checkpoints in a row on, each one is logged as a
+ * warning. Emits 'checkpoint' with the result.
+ *
+ * @param {string} mode - 'PASSIVE', 'FULL', 'RESTART' or 'TRUNCATE' (default: 'PASSIVE')
+ * @param {string} alias - 'main' or an attached alias (default: 'main')
+ * @param {Object} options - Checkpoint options
+ * @param {number} options.busyTimeout - Milliseconds to wait for locks instead of the adapter's busyTimeout
+ * @returns {Promise<Object>} { alias, mode, busy, walFrames, checkpointedFrames, blocked,
+ *   blockedCount, walSize, durationMs }; frame counts are -1 when the database is not in WAL mode
+ */
+BetterSqliteAdapter.prototype.checkpoint = async function(mode, alias, options) {
+  const adapter = this;
+  mode = String(mode || 'PASSIVE').toUpperCase();
+  alias = alias || 'main';
+  options = options || {};
+
+  if (CHECKPOINT_MODES.indexOf(mode) === -1) {
+    throw new Error('Invalid checkpoint mode: ' + mode);
+  }
+  const schemaPath = adapter._schemaPath(alias);
+  if (adapter._currentTransaction()) {
+    throw new Error('Cannot checkpoint inside a transaction');
+  }
+
+  let waiting;
+  while ((waiting = adapter._whenReady())) {
+    await waiting;
+  }
+  adapter._checkNotIterating('checkpoint');
+
+  const start = now();
+  const busyTimeout = options.busyTimeout;
+  let row;
+  try {
+    if (busyTimeout !== undefined) {
+      adapter.db.pragma('busy_timeout = ' + Number(busyTimeout));
+    }
+    row = adapter.db.pragma(quoteIdentifier(alias) + '.wal_checkpoint(' + mode + ')')[0];
+  } finally {
+    if (busyTimeout !== undefined && adapter.db) {
+      adapter.db.pragma('busy_timeout = ' + adapter.busyTimeout);
+    }
+  }
+
+  const state = adapter._checkpointState(alias);
+  const blocked = row.busy === 1 || row.checkpointed < row.log;
+  state.blockedCount = blocked ? state.blockedCount + 1 : 0;
+  state.lastAt = Date.now();
+
+  const result = {
+    alias: alias,
+    mode: mode,
+    busy: row.busy === 1,
+    walFrames: row.log,
+    checkpointedFrames: row.checkpointed,
+    blocked: blocked,
+    blockedCount: state.blockedCount,
+    walSize: walFileSize(schemaPath),
+    durationMs: now() - start
+  };
+
+  if (state.blockedCount >= adapter.checkpointWarnAfter) {
+    adapter.logger.warn('WAL checkpoint blocked, probably by a long-running reader', {
+      alias: alias,
+      mode: mode,
+      blockedCount: state.blockedCount,
+      walFrames: row.log,
+      checkpointedFrames: row.checkpointed,
+      walSize: result.walSize
+    });
+  } else {
+    adapter.logger.debug('WAL checkpoint', result);
+  }
+  adapter._emit('checkpoint', result);
+  return result;
+};
+
+/**
+ * Report the size of the -wal file of the main database and of every
+ * attached database
+ * @returns {Promise<Object>} alias to size in bytes; 0 without a -wal file, null for in-memory databases
+ */
+BetterSqliteAdapter.prototype.getWalSizes = async function() {
+  const sizes = {};
+  for (const alias of this._schemaAliases()) {
+    sizes[alias] = walFileSize(this._schemaPath(alias));
+  }
+  return sizes;
+};
+
+/**
+ * Checkpoint in the background whenever a schema's -wal file reaches
+ * maxWalSize, or its last checkpoint is interval milliseconds old. Started on
+ * connect when options.checkpoints is set, and stopped on disconnect.
+ * Scheduled checkpoints do not wait for locks by default, so they never
+ * block the event loop; a blocked one is simply retried on a later check.
+ *
+ * @param {Object} options - Schedule options
+ * @param {number} options.maxWalSize - Checkpoint once the -wal file reaches this many bytes
+ * @param {number} options.interval - Checkpoint at least this often, in milliseconds
+ * @param {string} options.mode - Checkpoint mode (default: 'TRUNCATE')
+ * @param {number} options.checkInterval - Milliseconds between checks (default: 1000 with
+ *   maxWalSize, otherwise interval)
+ * @param {number} options.busyTimeout - Milliseconds a checkpoint may wait for locks (default: 0)
+ */
+BetterSqliteAdapter.prototype.startCheckpoints = function(options) {
+  const adapter = this;
+  const schedule = checkpointSchedule(options);
+
+  adapter.stopCheckpoints();
+  adapter._checkpointSchedule = schedule;
+  runSchedule(schedule, function() {
+    return adapter._runScheduledCheckpoints(schedule);
+  }, function(error) {
+    adapter.logger.error('Scheduled WAL checkpoints failed', {error: error.message});
+    adapter._emit('error', error, {type: 'checkpoint'});
+  });
+};
+
+/**
+ * Stop the background checkpoints started with startCheckpoints()
+ */
+BetterSqliteAdapter.prototype.stopCheckpoints = function() {
+  stopSchedule(this._checkpointSchedule);
+  this._checkpointSchedule = null;
+};
+
+/**
+ * Checkpoint every schema that is due. Failures are logged and emitted as
+ * 'error' without stopping the schedule.
+ * @private
+ */
+BetterSqliteAdapter.prototype._runScheduledCheckpoints = async function(schedule) {
+  const adapter = this;
+  if (!adapter.db || adapter._openIterators.size > 0) {
+    return;
+  }
+
+  const sizes = await adapter.getWalSizes();
+  const due = dueCheckpoints(schedule, sizes, function(alias) {
+    return adapter._checkpointState(alias).lastAt;
+  });
+  for (const alias of due) {
+    if (schedule.stopped) {
+      return;
+    }
+    try {
+      await adapter.checkpoint(schedule.mode, alias, {busyTimeout: schedule.busyTimeout});
+    } catch (error) {
+      adapter.logger.warn('Scheduled WAL checkpoint failed', {alias: alias, error: error.message});
+      adapter._emit('error', error, {type: 'checkpoint', alias: alias});
+    }
+  }
+};
+
+/**
+ * Run maintenance on the main database or an attached database. Tasks run in
+ * this order, each once no other caller's transaction holds the adapter:
+ * integrityCheck, foreignKeyCheck, analyze, optimize, vacuum. VACUUM is
+ * skipped when the integrity check found problems.
+ *
+ * @param {Object} options - Maintenance options; without any task only optimize runs
+ * @param {string} options.alias - 'main' or an attached alias (default: 'main')
+ * @param {boolean|string} options.integrityCheck - PRAGMA integrity_check, or 'quick' for quick_check
+ * @param {boolean} options.foreignKeyCheck - PRAGMA foreign_key_check
+ * @param {boolean} options.analyze - ANALYZE
+ * @param {boolean} options.optimize - PRAGMA optimize
+ * @param {boolean|string|Object} options.vacuum - true for VACUUM, 'incremental' or { incremental: pages }
+ *   for PRAGMA incremental_vacuum, { into: path } for VACUUM INTO a new file
+ * @returns {Promise<Object>} { alias, ok, durationMs, before, after, reclaimedBytes, tasks },
+ *   where before and after are { pageSize, pageCount, freelistCount } and tasks maps each task run to its result
+ */
+BetterSqliteAdapter.prototype.maintenance = async function(options) {
+  const adapter = this;
+  options = Object.assign({}, options);
+  const alias = options.alias || 'main';
+  adapter._schemaPath(alias);
+  if (adapter._currentTransaction()) {
+    throw new Error('Cannot run maintenance inside a transaction');
+  }
+  if (!MAINTENANCE_TASKS.some(function(task) { return options[task]; })) {
+    options.optimize = true;
+  }
+
+  const schema = quoteIdentifier(alias);
+  const start = now();
+  const tasks = {};
+  // Run one synchronous step once no other caller's transaction holds the adapter
+  const step = async function(operation) {
+    let waiting;
+    while ((waiting = adapter._whenReady())) {
+      await waiting;
+    }
+    adapter._checkNotIterating('run maintenance');
+    return operation(adapter.db);
+  };
+  const run = async function(task, operation) {
+    tasks[task] = await step(function(db) {
+      const taskStart = now();
+      return Object.assign(operation(db) || {}, {durationMs: now() - taskStart});
+    });
+    // Give other work a turn between long-running tasks
+    await yieldToEventLoop();
+  };
+
+  const before = await step(function(db) {
+    return pageStats(db, schema);
+  });
+
+  if (options.integrityCheck) {
+    await run('integrityCheck', function(db) {
+      const pragma = options.integrityCheck === 'quick' ? 'quick_check' : 'integrity_check';
+      return parseCheckResult(db.pragma(schema + '.' + pragma));
+    });
+  }
+  if (options.foreignKeyCheck) {
+    await run('foreignKeyCheck', function(db) {
+      const violations = db.pragma(schema + '.foreign_key_check');
+      return {ok: violations.length === 0, violations: violations};
+    });
+  }
+  if (options.analyze) {
+    await run('analyze', function(db) {
+      db.exec('ANALYZE ' + schema);
+    });
+  }
+  if (options.optimize) {
+    await run('optimize', function(db) {
+      db.pragma(schema + '.optimize');
+    });
+  }
+  if (options.vacuum) {
+    if (tasks.integrityCheck && !tasks.integrityCheck.ok) {
+      tasks.vacuum = {skipped: 'integrity check failed'};
+    } else {
+      await run('vacuum', function(db) {
+        return vacuum(db, schema, options.vacuum);
+      });
+    }
+  }
+
+  const after = await step(function(db) {
+    return pageStats(db, schema);
+  });
+
+  adapter.statementCache.clear();
+  const report = {
+    alias: alias,
+    ok: !(tasks.integrityCheck && !tasks.integrityCheck.ok) && !(tasks.foreignKeyCheck && !tasks.foreignKeyCheck.ok),
+    durationMs: now() - start,
+    before: before,
+    after: after,
+    reclaimedBytes: Math.max(0, before.pageCount * before.pageSize - after.pageCount * after.pageSize),
+    tasks: tasks
+  };
+
+  if (report.ok) {
+    adapter.logger.info('Maintenance completed', {alias: alias, tasks: Object.keys(tasks), reclaimedBytes: report.reclaimedBytes});
+  } else {
+    adapter.logger.warn('Maintenance found problems', {
+      alias: alias,
+      integrityCheck: tasks.integrityCheck && tasks.integrityCheck.messages,
+      foreignKeyViolations: tasks.foreignKeyCheck && tasks.foreignKeyCheck.violations.length
+    });
+  }
+  adapter._emit('maintenance', report);
+  return report;
+};
+
+/**
+ * Run maintenance() on every schema (or options.aliases) once no query has
+ * run for idleTime milliseconds and the last run is at least interval
+ * milliseconds old. Started on connect when options.maintenanceSchedule is
+ * set, and stopped on disconnect. Failures are logged and emitted as 'error'.
+ *
+ * @param {Object} options - maintenance() options plus the schedule
+ * @param {number} options.idleTime - Milliseconds without queries before running (default: 60000)
+ * @param {number} options.interval - Minimum milliseconds between runs (default: 86400000)
+ * @param {string[]} options.aliases - Schemas to maintain (default: main and every attached alias)
+ * @param {number} options.checkInterval - Milliseconds between checks (default: idleTime, at most 60000)
+ */
+BetterSqliteAdapter.prototype.startMaintenance = function(options) {
+  const adapter = this;
+  const schedule = maintenanceSchedule(options);
+
+  adapter.stopMaintenance();
+  adapter._maintenanceSchedule = schedule;
+  runSchedule(schedule, function() {
+    return adapter._runScheduledMaintenance(schedule);
+  }, function(error) {
+    adapter.logger.error('Scheduled maintenance failed', {error: error.message});
+    adapter._emit('error', error, {type: 'maintenance'});
+  });
+};
+
+/**
+ * Stop the idle-time maintenance started with startMaintenance()
+ */
+BetterSqliteAdapter.prototype.stopMaintenance = function() {
+  stopSchedule(this._maintenanceSchedule);
+  this._maintenanceSchedule = null;
+};
+
+/**
+ * @private
+ */
+BetterSqliteAdapter.prototype._runScheduledMaintenance = async function(schedule) {
+  if (!this.db || this._transactionLock || this._openIterators.size > 0 || !isMaintenanceDue(schedule, this._lastActivityAt)) {
+    return;
+  }
+
+  schedule.lastRunAt = Date.now();
+  for (const alias of schedule.options.aliases || this._schemaAliases()) {
+    if (schedule.stopped) {
+      return;
+    }
+    try {
+      await this.maintenance(Object.assign({}, schedule.options, {alias: alias}));
+    } catch (error) {
+      this.logger.warn('Scheduled maintenance failed', {alias: alias, error: error.message});
+      this._emit('error', error, {type: 'maintenance', alias: alias});
+    }
+  }
+};
+
+/**
+ * Per-schema checkpoint bookkeeping
+ * @private
+ */
+BetterSqliteAdapter.prototype._checkpointState = function(alias) {
+  if (!this._checkpoints.has(alias)) {
+    this._checkpoints.set(alias, {blockedCount: 0, lastAt: 0});
+  }
+  return this._checkpoints.get(alias);
+};
+
+/**
+ * Schemas of this connection. Only 'main' is known to this adapter.
+ * @private
+ */
+BetterSqliteAdapter.prototype._schemaAliases = function() {
+  return ['main'];
+};
+
+/**
+ * Resolve the file path of a schema. Only 'main' is known to this adapter.
+ * @private
+ */
+BetterSqliteAdapter.prototype._schemaPath = function(alias) {
+  if (!alias || alias === 'main') {
+    return this.dbPath;
+  }
+  throw new Error('Unknown database alias: ' + alias);
+};
+
+/**
+ * Run PRAGMA integrity_check on a database file through a separate read-only connection
+ * @private
+ */
+BetterSqliteAdapter.prototype._checkDatabaseFile = function(filePath) {
+  let db;
+  try {
+    db = new this.Database(filePath, {readonly: true, fileMustExist: true});
+    return parseCheckResult(db.pragma('integrity_check'));
+  } catch (error) {
+    return {ok: false, messages: [error.message]};
+  } finally {
+    db && db.close();
+  }
+};
+
+/**
+ * Set a prepared statement's modes for one execution. Cached statements are
+ * shared between calls, so every mode is set explicitly each time.
+ */
+function applyQueryOptions(stmt, queryOptions) {
+  stmt.safeIntegers(queryOptions.safeIntegers);
+  if (!stmt.reader) {
+    return stmt;
+  }
+
+  const shape = ROW_SHAPES.find(function(name) { return queryOptions[name]; });
+  if (shape) {
+    stmt[shape](true);
+  } else {
+    stmt.raw(false);
+    stmt.pluck(false);
+    stmt.expand(false);
+  }
+  return stmt;
+}
+
+function runChunk(adapter, statementAt, start, end, queryOptions) {
+  const chunk = {changes: 0, lastInsertRowids: []};
+  let sql = null;
+  let stmt = null;
+
+  for (let index = start; index < end; index++) {
+    const statement = statementAt(index);
+    const params = statement.params === undefined ? [] : statement.params;
+    if (statement.sql !== sql) {
+      sql = statement.sql;
+      stmt = adapter._prepare(sql);
+      adapter._checkWritable(sql, stmt, params);
+      applyQueryOptions(stmt, queryOptions);
+    }
+
+    const info = stmt.run(params);
+    chunk.changes += info.changes;
+    chunk.lastInsertRowids.push(info.lastInsertRowid);
+
+    if (StatementCache.isSchemaChange(sql)) {
+      adapter.statementCache.clear();
+    }
+  }
+
+  return chunk;
+}
+
+/**
+ * Identify the file behind a database path, to notice when it is replaced
+ * @returns {Object|null} { dev, ino }, { missing: true }, or null for in-memory databases
+ */
+function fileIdentity(dbPath) {
+  if (!dbPath || dbPath === ':memory:') {
+    return null;
+  }
+  const stat = fs.statSync(dbPath, {throwIfNoEntry: false});
+  return stat ? {dev: stat.dev, ino: stat.ino} : {missing: true};
+}
+
+function sameFile(a, b) {
+  return !!b && a.dev === b.dev && a.ino === b.ino && !a.missing && !b.missing;
+}
+
+function readBatch(iterator, size) {
+  const rows = [];
+  while (rows.length < size) {
+    const next = iterator.next();
+    if (next.done) {
+      return {rows: rows, done: true};
+    }
+    rows.push(next.value);
+  }
+  return {rows: rows, done: false};
+}
+
+function yieldToEventLoop() {
+  return new Promise(function(resolve) {
+    setImmediate(resolve);
+  });
+}
+
+function firstDefined() {
+  for (const value of arguments) {
+    if (value !== undefined) {
+      return value;
+    }
+  }
+}
+
+function now() {
+  return performance.now();
+}
+
+/**
+ * Size of a database's -wal file in bytes, or null for an in-memory database
+ */
+function walFileSize(dbPath) {
+  if (!dbPath || dbPath === ':memory:') {
+    return null;
+  }
+  try {
+    return fs.statSync(dbPath + '-wal').size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Page counts of a schema, for the space reclaimed by maintenance()
+ */
+function pageStats(db, schema) {
+  return {
+    pageSize: db.pragma(schema + '.page_size', {simple: true}),
+    pageCount: db.pragma(schema + '.page_count', {simple: true}),
+    freelistCount: db.pragma(schema + '.freelist_count', {simple: true})
+  };
+}
+
+/**
+ * Run the VACUUM variant selected by maintenance()'s vacuum option
+ */
+function vacuum(db, schema, option) {
+  if (option === 'incremental' || (option && option.incremental !== undefined)) {
+    const pages = option === 'incremental' || option.incremental === true ? 0 : Number(option.incremental);
+    const autoVacuum = db.pragma(schema + '.auto_vacuum', {simple: true});
+    if (autoVacuum !== 2) {
+      return {mode: 'incremental', skipped: 'auto_vacuum is not INCREMENTAL'};
+    }
+    db.pragma(schema + '.incremental_vacuum(' + pages + ')');
+    return {mode: 'incremental', pages: pages};
+  }
+
+  if (option && option.into) {
+    if (fs.existsSync(option.into)) {
+      throw new Error('VACUUM INTO target already exists: ' + option.into);
+    }
+    db.prepare('VACUUM ' + schema + ' INTO ?').run(option.into);
+    return {mode: 'into', path: option.into, size: fs.statSync(option.into).size};
+  }
+
+  db.exec('VACUUM ' + schema);
+  return {mode: 'full'};
+}
+
+function backupProgress(progress) {
+  const done = progress.totalPages - progress.remainingPages;
+  return {
+    totalPages: progress.totalPages,
+    remainingPages: progress.remainingPages,
+    percent: progress.totalPages > 0 ? Math.round(done / progress.totalPages * 100) : 100
+  };
+}
+
+/**
+ * Open better-sqlite3's native backup handle, the one its backup() drives.
+ * The handle is not public API, so this returns null when the installed
+ * version does not expose it in the shape it has in 12.2.
+ * @private
+ */
+function nativeBackupHandle(db, alias, destPath) {
+  let util;
+  try {
+    util = require('better-sqlite3/lib/util');
+  } catch (error) {
+    return null;
+  }
+  const native = util && util.cppdb ? db[util.cppdb] : null;
+  if (!native || typeof native.backup !== 'function') {
+    return null;
+  }
+
+  const handle = native.backup(db, alias, destPath, !fs.existsSync(destPath));
+  if (!handle || typeof handle.transfer !== 'function' || typeof handle.close !== 'function') {
+    return null;
+  }
+  return handle;
+}
+
+/**
+ * Run an online backup one step at a time, sleeping between steps.
+ * better-sqlite3's backup() steps again on every tick and has no way to
+ * pause, so this drives the native backup handle directly.
+ * @private
+ */
+async function throttledBackup(handle, pagesPerStep, stepDelay, onStep) {
+  try {
+    for (;;) {
+      const progress = handle.transfer(pagesPerStep);
+      if (!progress.remainingPages) {
+        return progress;
+      }
+      onStep(progress);
+      await sleep(stepDelay);
+    }
+  } finally {
+    handle.close();
+  }
+}
+
+/**
+ * Execute multiple SQL statements in a transaction
+ *
+ * The operations function may be synchronous or return a Promise. The
+ * transaction is opened with BEGIN before the function runs and is committed
+ * once its result settles, or rolled back if it throws or rejects. While a
+ * transaction is open, calls made from outside of it wait until it finishes,
+ * so unrelated work can never interleave with the transaction's statements.
+ * Calling transaction() from inside another transaction creates a SAVEPOINT.
+ *
+ * @param {Function} operations - Statements to run inside the transaction
+ * @param {Object} options - Transaction options
+ * @param {boolean} options.immediate - Open with BEGIN IMMEDIATE, taking the write lock
+ *   up front (ignored for nested transactions)
+ */
+BetterSqliteAdapter.prototype.transaction = async function(operations, options) {
+  const adapter = this;
+  const parent = adapter._currentTransaction();
+
+  if (parent) {
+    return adapter._runSavepoint(parent, operations);
+  }
+
+  let waiting;
+  while ((waiting = adapter._whenReady())) {
+    await waiting;
+  }
+  adapter._checkNotIterating('start a transaction');
+
+  const state = {active: true, savepoints: 0, savepointQueue: null};
+  let releaseLock;
+  adapter._transactionLock = new Promise(function(resolve) {
+    releaseLock = resolve;
+  });
+
+  const start = now();
+  try {
+    adapter.db.exec(options && options.immediate ? 'BEGIN IMMEDIATE' : 'BEGIN');
+    adapter.logger.debug('Transaction started');
+
+    let result;
+    try {
+      result = await adapter._transactionContext.run(state, operations);
+    } catch (error) {
+      adapter._rollback();
+      adapter.logger.warn('Transaction rolled back', {error: error.message});
+      adapter._instrument('onTransaction', {status: 'rollback', savepoint: null, durationMs: now() - start, error: error});
+      throw error;
+    }
+
+    try {
+      adapter.db.exec('COMMIT');
+    } catch (error) {
+      adapter._rollback();
+      adapter.logger.error('Transaction commit failed', {error: error.message});
+      adapter._instrument('onTransaction', {status: 'rollback', savepoint: null, durationMs: now() - start, error: error});
+      throw error;
+    }
+
+    adapter.logger.debug('Transaction committed');
+    adapter._instrument('onTransaction', {status: 'commit', savepoint: null, durationMs: now() - start});
+    return result;
+  } finally {
+    state.active = false;
+    adapter._transactionLock = null;
+    releaseLock();
+  }
+};
+
+/**
+ * Run operations inside a SAVEPOINT of an already open transaction. Nested
+ * calls made concurrently from the same level run one after the other: a
+ * savepoint released or rolled back while a later one is still open on top
+ * of it would take that one along.
+ * @private
+ */
+BetterSqliteAdapter.prototype._runSavepoint = async function(parent, operations) {
+  const previous = parent.savepointQueue;
+  let finished;
+  parent.savepointQueue = new Promise(function(resolve) {
+    finished = resolve;
+  });
+
+  try {
+    await previous;
+    return await this._savepoint(parent, operations);
+  } finally {
+    finished();
+  }
+};
+
+/**
+ * @private
+ */
+BetterSqliteAdapter.prototype._savepoint = async function(parent, operations) {
+  const adapter = this;
+  adapter._checkNotIterating('start a transaction');
+  const root = parent.root || parent;
+  const name = 'sp_' + (++root.savepoints);
+  // Calls made inside the savepoint queue up behind each other, not behind it
+  const state = {active: true, root: root, savepointQueue: null};
+  const start = now();
+
+  adapter.db.exec('SAVEPOINT ' + name);
+  adapter.logger.debug('Savepoint started', {savepoint: name});
+
+  let result;
+  try {
+    result = await adapter._transactionContext.run(state, operations);
+  } catch (error) {
+    if (adapter.db && adapter.db.inTransaction) {
+      adapter.db.exec('ROLLBACK TO ' + name);
+      adapter.db.exec('RELEASE ' + name);
+    }
+    adapter.logger.warn('Savepoint rolled back', {savepoint: name, error: error.message});
+    adapter._instrument('onTransaction', {status: 'rollback', savepoint: name, durationMs: now() - start, error: error});
+    throw error;
+  } finally {
+    state.active = false;
+  }
+
+  adapter.db.exec('RELEASE ' + name);
+  adapter._instrument('onTransaction', {status: 'commit', savepoint: name, durationMs: now() - start});
+  return result;
+};
+
+/**
+ * Roll back the open transaction, if SQLite has not already done so
+ * @private
+ */
+BetterSqliteAdapter.prototype._rollback = function() {
+  if (this.db && this.db.inTransaction) {
+    this.db.exec('ROLLBACK');
+  }
+};
+
+/**
+ * Reject an operation better-sqlite3 would fail as busy because an
+ * iterateAsync() statement is still open on the connection
+ * @private
+ */
+BetterSqliteAdapter.prototype._checkNotIterating = function(operation) {
+  if (this._openIterators.size > 0) {
+    throw new Error('Cannot ' + operation + ' while iterateAsync() is reading from this connection');
+  }
+};
+
+/**
+ * Get the state of the transaction the caller is running inside, if any
+ * @private
+ */
+BetterSqliteAdapter.prototype._currentTransaction = function() {
+  const state = this._transactionContext.getStore();
+  return state && state.active ? state : null;
+};
+
+/**
+ * Check whether a transaction owned by another caller holds the adapter.
+ * Callers must re-check after every await, and only run statements once
+ * this returns false in the same tick.
+ * @private
+ */
+BetterSqliteAdapter.prototype._isBlockedByTransaction = function() {
+  return this._transactionLock !== null && !this._currentTransaction();
 };
 
 module.exports = BetterSqliteAdapter;
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Worker thread entry point for WorkerBetterSqliteAdapter
+ *
+ * Owns an AttachedBetterSqliteAdapter and executes requests posted by the
+ * main thread, replying with { id, result } or { id, error }.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const AttachedBetterSqliteAdapter = require('./attached-better-sqlite-adapter');
+
+const adapter = new AttachedBetterSqliteAdapter(
+  workerData.dbPath,
+  { attachments: workerData.attachments },
+  workerData.options
+);
+
+const handlers = {
+  connect: async function() {
+    await adapter.connect();
+    return adapter.getAttachedAliases();
+  },
+
+  disconnect: function() {
+    return adapter.disconnect();
+  },
+
+  runAsync: function(sql, params, options) {
+    return adapter.runAsync(sql, params, options);
+  },
+
+  getFirstAsync: function(sql, params, options) {
+    return adapter.getFirstAsync(sql, params, options);
+  },
+
+  getAllAsync: function(sql, params, options) {
+    return adapter.getAllAsync(sql, params, options);
+  },
+
+  exec: function(sql) {
+    if (!adapter.db) {
+      throw new Error('Database not connected');
+    }
+    adapter.db.exec(sql);
+  },
+
+  // Roll back the whole transaction, or only to a savepoint when a name is
+  // given. Does nothing if SQLite already ended the transaction on its own.
+  rollback: function(savepoint) {
+    if (!adapter.db || !adapter.db.inTransaction) {
+      return;
+    }
+    if (savepoint) {
+      adapter.db.exec('ROLLBACK TO ' + savepoint);
+      adapter.db.exec('RELEASE ' + savepoint);
+    } else {
+      adapter.db.exec('ROLLBACK');
+    }
+  },
+
+  getPragmas: function(alias) {
+    return adapter.getPragmas(alias);
+  },
+
+  checkpoint: function(mode, alias, options) {
+    return adapter.checkpoint(mode, alias, options);
+  },
+
+  getWalSizes: function() {
+    return adapter.getWalSizes();
+  },
+
+  maintenance: function(options) {
+    return adapter.maintenance(options);
+  },
+
+  attachDatabase: function(dbPath, alias, createIfNotExists, options) {
+    return adapter.attachDatabase(dbPath, alias, createIfNotExists, options);
+  },
+
+  detachDatabase: function(alias) {
+    return adapter.detachDatabase(alias);
+  },
+
+  getAttachLimit: function() {
+    return adapter.getAttachLimit();
+  }
+};
+
+parentPort.on('message', async function(message) {
+  try {
+    const handler = handlers[message.method];
+    if (!handler) {
+      throw new Error('Unknown worker method: ' + message.method);
+    }
+    const result = await handler.apply(null, message.args || []);
+    parentPort.postMessage({ id: message.id, result: result });
+  } catch (error) {
+    parentPort.postMessage({
+      id: message.id,
+      error: { name: error.name, message: error.message, code: error.code, alias: error.alias, limit: error.limit }
+    });
+  }
+});
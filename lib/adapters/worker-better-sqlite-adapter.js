@@ -0,0 +1,650 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Worker } = require('worker_threads');
+const path = require('path');
+const { createLogger } = require('../logger');
+const { AttachLimitError, validateAttachOptions } = require('../utils/attach-utils');
+const { ensureIndexes } = require('../utils/index-utils');
+const { checkpointSchedule, dueCheckpoints, maintenanceSchedule, isMaintenanceDue, runSchedule, stopSchedule } = require('../utils/schedule-utils');
+
+const WORKER_SCRIPT = path.join(__dirname, 'better-sqlite-worker.js');
+// Options handled on the main thread and never sent to the worker
+const MAIN_THREAD_OPTIONS = ['attachments', 'logger', 'checkpoints', 'maintenanceSchedule'];
+
+/**
+ * WorkerBetterSqliteAdapter - better-sqlite3 adapter that runs queries off the main thread
+ *
+ * better-sqlite3 is synchronous, so large queries and busy retries block the
+ * event loop. This adapter implements the same SqliteAdapter and
+ * AttachedAdapter interfaces, but executes every statement in a dedicated
+ * worker_threads worker that owns the database connection.
+ *
+ * @param {string} dbPath - Path to the database file
+ * @param {Object} options - Adapter options (same as BetterSqliteAdapter, except
+ *   those holding functions or an AbortSignal, which are rejected)
+ * @param {Array} options.attachments - Optional databases to attach on connection
+ *   Each attachment should have: { path, alias, createIfNotExists?, pragmas?, readonly? }
+ */
+function WorkerBetterSqliteAdapter(dbPath, options) {
+  if (!dbPath) {
+    throw new Error('dbPath is required');
+  }
+
+  this.dbPath = dbPath;
+  this.options = options || {};
+  const unsupported = threadBoundOptions(this.options);
+  if (unsupported.length > 0) {
+    throw new Error('WorkerBetterSqliteAdapter cannot send these options to its worker thread: ' + unsupported.join(', '));
+  }
+  this.debug = this.options.debug || false;
+  this.logger = createLogger(this.options, 'WorkerBetterSqliteAdapter');
+  this.worker = null;
+  this.attachments = new Map(); // Track attached databases
+  for (const attachment of this.options.attachments || []) {
+    validateAttachOptions(attachment, true);
+  }
+
+  this._nextRequestId = 1;
+  this._pending = new Map();
+
+  // Tracks which async call chain owns the open transaction, if any
+  this._transactionContext = new AsyncLocalStorage();
+  this._transactionLock = null;
+
+  // Schedules run on this thread, where the transaction lock is visible
+  this._checkpointSchedule = null;
+  this._checkpointTimes = new Map();
+  this._maintenanceSchedule = null;
+  this._lastActivityAt = 0;
+}
+
+/**
+ * Start the worker and connect to the database
+ */
+WorkerBetterSqliteAdapter.prototype.connect = async function() {
+  if (this.worker) {
+    return;
+  }
+
+  this._startWorker();
+
+  try {
+    const aliases = await this._call('connect', []);
+    for (const attachment of this._workerData().attachments) {
+      if (aliases.indexOf(attachment.alias) !== -1) {
+        this.attachments.set(attachment.alias, attachment.path);
+      }
+    }
+    this.logger.info('Connected to database', {dbPath: this.dbPath});
+  } catch (error) {
+    this.logger.error('Connection error', {dbPath: this.dbPath, error: error.message});
+    await this._stopWorker();
+    throw error;
+  }
+
+  if (this.options.checkpoints) {
+    this.startCheckpoints(this.options.checkpoints);
+  }
+  if (this.options.maintenanceSchedule) {
+    this.startMaintenance(this.options.maintenanceSchedule);
+  }
+};
+
+/**
+ * Close the database and shut down the worker
+ */
+WorkerBetterSqliteAdapter.prototype.disconnect = async function() {
+  this.stopCheckpoints();
+  this.stopMaintenance();
+  if (!this.worker) {
+    return;
+  }
+
+  try {
+    await this._call('disconnect', []);
+    this.logger.info('Disconnected from database', {dbPath: this.dbPath});
+  } finally {
+    this.attachments.clear();
+    await this._stopWorker();
+  }
+};
+
+/**
+ * Execute a SQL statement (INSERT, UPDATE, DELETE, CREATE, etc.)
+ * Accepts the same params and options as BetterSqliteAdapter.prototype.runAsync()
+ */
+WorkerBetterSqliteAdapter.prototype.runAsync = function(sql, params, options) {
+  return this._query('runAsync', sql, params, options);
+};
+
+/**
+ * Get the first row from a SELECT query
+ * Accepts the same params and options as BetterSqliteAdapter.prototype.getFirstAsync()
+ */
+WorkerBetterSqliteAdapter.prototype.getFirstAsync = function(sql, params, options) {
+  return this._query('getFirstAsync', sql, params, options);
+};
+
+/**
+ * Get all rows from a SELECT query
+ * Accepts the same params and options as BetterSqliteAdapter.prototype.getAllAsync()
+ */
+WorkerBetterSqliteAdapter.prototype.getAllAsync = function(sql, params, options) {
+  return this._query('getAllAsync', sql, params, options);
+};
+
+/**
+ * Execute multiple SQL statements in a transaction
+ *
+ * Behaves like BetterSqliteAdapter.prototype.transaction(): the callback may
+ * be synchronous or async, calls from outside the transaction wait until it
+ * finishes, and nested calls use SAVEPOINTs. Only statements issued through
+ * this adapter take part in the transaction. options.immediate opens it with
+ * BEGIN IMMEDIATE.
+ */
+WorkerBetterSqliteAdapter.prototype.transaction = async function(operations, options) {
+  const adapter = this;
+  const parent = adapter._currentTransaction();
+
+  if (parent) {
+    return adapter._runSavepoint(parent, operations);
+  }
+
+  while (adapter._isBlockedByTransaction()) {
+    await adapter._transactionLock;
+  }
+
+  if (!adapter.worker) {
+    throw new Error('Database not connected');
+  }
+
+  const state = {active: true, savepoints: 0, savepointQueue: null};
+  let releaseLock;
+  adapter._transactionLock = new Promise(function(resolve) {
+    releaseLock = resolve;
+  });
+
+  try {
+    await adapter._call('exec', [options && options.immediate ? 'BEGIN IMMEDIATE' : 'BEGIN']);
+
+    let result;
+    try {
+      result = await adapter._transactionContext.run(state, operations);
+    } catch (error) {
+      await adapter._call('rollback', []);
+      adapter.logger.warn('Transaction rolled back', {error: error.message});
+      throw error;
+    }
+
+    try {
+      await adapter._call('exec', ['COMMIT']);
+    } catch (error) {
+      await adapter._call('rollback', []);
+      throw error;
+    }
+
+    adapter.logger.debug('Transaction committed');
+    return result;
+  } finally {
+    state.active = false;
+    adapter._transactionLock = null;
+    releaseLock();
+  }
+};
+
+/**
+ * Report the effective PRAGMA values of the main database or an attached database
+ * @param {string} alias - 'main' or an attached alias (default: 'main')
+ */
+WorkerBetterSqliteAdapter.prototype.getPragmas = function(alias) {
+  return this._query('getPragmas', alias);
+};
+
+/**
+ * Checkpoint the WAL of the main database or an attached database, see
+ * BetterSqliteAdapter#checkpoint. No transaction can start until the
+ * checkpoint has finished.
+ * @returns {Promise<Object>} { alias, mode, busy, walFrames, checkpointedFrames, blocked, blockedCount, walSize, durationMs }
+ */
+WorkerBetterSqliteAdapter.prototype.checkpoint = async function(mode, alias, options) {
+  if (this._currentTransaction()) {
+    throw new Error('Cannot checkpoint inside a transaction');
+  }
+
+  const result = await this._exclusive('checkpoint', [mode, alias, options]);
+  this._checkpointTimes.set(result.alias, Date.now());
+  return result;
+};
+
+/**
+ * Report the size of the -wal file of the main database and of every attached database
+ * @returns {Promise<Object>} alias to size in bytes
+ */
+WorkerBetterSqliteAdapter.prototype.getWalSizes = function() {
+  return this._query('getWalSizes');
+};
+
+/**
+ * Checkpoint in the background, see BetterSqliteAdapter#startCheckpoints.
+ * Started on connect when options.checkpoints is set, and stopped on
+ * disconnect. The schedule runs on the calling thread rather than in the
+ * worker, so it never checkpoints while a transaction is open. Failures are
+ * logged without stopping the schedule.
+ */
+WorkerBetterSqliteAdapter.prototype.startCheckpoints = function(options) {
+  const adapter = this;
+  const schedule = checkpointSchedule(options);
+
+  adapter.stopCheckpoints();
+  adapter._checkpointSchedule = schedule;
+  runSchedule(schedule, function() {
+    return adapter._runScheduledCheckpoints(schedule);
+  }, function(error) {
+    adapter.logger.error('Scheduled WAL checkpoints failed', {error: error.message});
+  });
+};
+
+/**
+ * Stop the background checkpoints started with startCheckpoints()
+ */
+WorkerBetterSqliteAdapter.prototype.stopCheckpoints = function() {
+  stopSchedule(this._checkpointSchedule);
+  this._checkpointSchedule = null;
+};
+
+/**
+ * Run maintenance on the main database or an attached database, see
+ * BetterSqliteAdapter#maintenance. No transaction can start until every task
+ * has finished.
+ * @returns {Promise<Object>} { alias, ok, durationMs, before, after, reclaimedBytes, tasks }
+ */
+WorkerBetterSqliteAdapter.prototype.maintenance = async function(options) {
+  if (this._currentTransaction()) {
+    throw new Error('Cannot run maintenance inside a transaction');
+  }
+
+  return this._exclusive('maintenance', [options]);
+};
+
+/**
+ * Run maintenance() once the adapter has been idle, see
+ * BetterSqliteAdapter#startMaintenance. Started on connect when
+ * options.maintenanceSchedule is set, and stopped on disconnect. Like the
+ * checkpoint schedule it runs on the calling thread, and skips a check while a
+ * transaction is open. Failures are logged.
+ */
+WorkerBetterSqliteAdapter.prototype.startMaintenance = function(options) {
+  const adapter = this;
+  const schedule = maintenanceSchedule(options);
+
+  adapter.stopMaintenance();
+  adapter._maintenanceSchedule = schedule;
+  runSchedule(schedule, function() {
+    return adapter._runScheduledMaintenance(schedule);
+  }, function(error) {
+    adapter.logger.error('Scheduled maintenance failed', {error: error.message});
+  });
+};
+
+/**
+ * Stop the idle-time maintenance started with startMaintenance()
+ */
+WorkerBetterSqliteAdapter.prototype.stopMaintenance = function() {
+  stopSchedule(this._maintenanceSchedule);
+  this._maintenanceSchedule = null;
+};
+
+/**
+ * Attach a database file
+ * @param {string} dbPath - Path to the database file to attach
+ * @param {string} alias - Alias for accessing the attached database
+ * @param {boolean} createIfNotExists - Create the file if it doesn't exist
+ * @param {Object} options - Attachment options, see AttachedBetterSqliteAdapter.prototype.attachDatabase()
+ */
+WorkerBetterSqliteAdapter.prototype.attachDatabase = async function(dbPath, alias, createIfNotExists, options) {
+  const resolvedPath = dbPath === ':memory:' ? dbPath : path.resolve(dbPath);
+  await this._query('attachDatabase', resolvedPath, alias, createIfNotExists, options);
+  this.attachments.set(alias, resolvedPath);
+};
+
+/**
+ * Detach a previously attached database
+ * @param {string} alias - Alias of the database to detach
+ */
+WorkerBetterSqliteAdapter.prototype.detachDatabase = async function(alias) {
+  await this._query('detachDatabase', alias);
+  this.attachments.delete(alias);
+};
+
+/**
+ * Report SQLite's attached-database limit and how much of it is in use
+ * @returns {Promise<Object>} { max, attached, available }
+ */
+WorkerBetterSqliteAdapter.prototype.getAttachLimit = function() {
+  return this._query('getAttachLimit');
+};
+
+/**
+ * Create indexes inside main or an attached schema, see AttachedBetterSqliteAdapter#ensureIndexes
+ * @returns {Promise<Object>} { alias, created, recreated, dropped, unchanged, stale }
+ */
+WorkerBetterSqliteAdapter.prototype.ensureIndexes = async function(alias, indexSpecs, options) {
+  return ensureIndexes(this, alias, indexSpecs, options);
+};
+
+/**
+ * Check if a database is currently attached
+ * @param {string} alias - Alias to check
+ * @returns {boolean} true if attached, false otherwise
+ */
+WorkerBetterSqliteAdapter.prototype.isAttached = function(alias) {
+  return this.attachments.has(alias);
+};
+
+/**
+ * Get list of all currently attached database aliases
+ * @returns {string[]} Array of alias strings
+ */
+WorkerBetterSqliteAdapter.prototype.getAttachedAliases = function() {
+  return Array.from(this.attachments.keys());
+};
+
+/**
+ * Send a request to the worker once no other caller's transaction holds the adapter
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._query = async function(method) {
+  const args = Array.prototype.slice.call(arguments, 1);
+
+  while (this._isBlockedByTransaction()) {
+    await this._transactionLock;
+  }
+
+  if (!this.worker) {
+    throw new Error('Database not connected');
+  }
+
+  this._lastActivityAt = Date.now();
+  return this._call(method, args);
+};
+
+/**
+ * Send a request to the worker while holding the transaction lock, so no
+ * transaction can start until the worker has replied
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._exclusive = async function(method, args) {
+  while (this._transactionLock !== null) {
+    await this._transactionLock;
+  }
+
+  if (!this.worker) {
+    throw new Error('Database not connected');
+  }
+
+  let releaseLock;
+  this._transactionLock = new Promise(function(resolve) {
+    releaseLock = resolve;
+  });
+  try {
+    return await this._call(method, args);
+  } finally {
+    this._transactionLock = null;
+    releaseLock();
+  }
+};
+
+/**
+ * Checkpoint every schema that is due
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._runScheduledCheckpoints = async function(schedule) {
+  const adapter = this;
+  if (!adapter.worker) {
+    return;
+  }
+
+  const sizes = await adapter.getWalSizes();
+  const due = dueCheckpoints(schedule, sizes, function(alias) {
+    return adapter._checkpointTimes.get(alias);
+  });
+  for (const alias of due) {
+    if (schedule.stopped) {
+      return;
+    }
+    try {
+      await adapter.checkpoint(schedule.mode, alias, {busyTimeout: schedule.busyTimeout});
+    } catch (error) {
+      adapter.logger.warn('Scheduled WAL checkpoint failed', {alias: alias, error: error.message});
+    }
+  }
+};
+
+/**
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._runScheduledMaintenance = async function(schedule) {
+  if (!this.worker || this._transactionLock || !isMaintenanceDue(schedule, this._lastActivityAt)) {
+    return;
+  }
+
+  schedule.lastRunAt = Date.now();
+  for (const alias of schedule.options.aliases || ['main'].concat(this.getAttachedAliases())) {
+    if (schedule.stopped) {
+      return;
+    }
+    try {
+      await this.maintenance(Object.assign({}, schedule.options, {alias: alias}));
+    } catch (error) {
+      this.logger.warn('Scheduled maintenance failed', {alias: alias, error: error.message});
+    }
+  }
+};
+
+/**
+ * Run operations inside a SAVEPOINT of an already open transaction, one
+ * nested call from the same level at a time, see
+ * BetterSqliteAdapter.prototype._runSavepoint()
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._runSavepoint = async function(parent, operations) {
+  const previous = parent.savepointQueue;
+  let finished;
+  parent.savepointQueue = new Promise(function(resolve) {
+    finished = resolve;
+  });
+
+  try {
+    await previous;
+    return await this._savepoint(parent, operations);
+  } finally {
+    finished();
+  }
+};
+
+/**
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._savepoint = async function(parent, operations) {
+  const root = parent.root || parent;
+  const name = 'sp_' + (++root.savepoints);
+  const state = {active: true, root: root, savepointQueue: null};
+
+  await this._call('exec', ['SAVEPOINT ' + name]);
+
+  let result;
+  try {
+    result = await this._transactionContext.run(state, operations);
+  } catch (error) {
+    await this._call('rollback', [name]);
+    throw error;
+  } finally {
+    state.active = false;
+  }
+
+  await this._call('exec', ['RELEASE ' + name]);
+  return result;
+};
+
+/**
+ * Get the state of the transaction the caller is running inside, if any
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._currentTransaction = function() {
+  const state = this._transactionContext.getStore();
+  return state && state.active ? state : null;
+};
+
+/**
+ * Check whether a transaction owned by another caller holds the adapter
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._isBlockedByTransaction = function() {
+  return this._transactionLock !== null && !this._currentTransaction();
+};
+
+/**
+ * Build the data passed to the worker. The logger stays on the main thread,
+ * and so do the schedules, which have to see the transaction lock.
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._workerData = function() {
+  const options = {};
+  for (const key of Object.keys(this.options)) {
+    if (MAIN_THREAD_OPTIONS.indexOf(key) === -1) {
+      options[key] = this.options[key];
+    }
+  }
+
+  const attachments = (this.options.attachments || []).map(function(attachment) {
+    return {
+      path: attachment.path === ':memory:' ? attachment.path : path.resolve(attachment.path),
+      alias: attachment.alias,
+      createIfNotExists: attachment.createIfNotExists || false,
+      pragmas: attachment.pragmas,
+      readonly: attachment.readonly || false
+    };
+  });
+
+  return {
+    dbPath: this.dbPath,
+    attachments: attachments,
+    options: options
+  };
+};
+
+/**
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._startWorker = function() {
+  const adapter = this;
+  const worker = new Worker(WORKER_SCRIPT, { workerData: adapter._workerData() });
+
+  worker.on('message', function(message) {
+    const pending = adapter._pending.get(message.id);
+    if (!pending) return;
+    adapter._pending.delete(message.id);
+
+    if (message.error) {
+      pending.reject(workerError(message.error));
+    } else {
+      pending.resolve(message.result);
+    }
+  });
+
+  worker.on('error', function(error) {
+    adapter.logger.error('Worker error', {error: error.message});
+    adapter._rejectPending(error);
+  });
+
+  worker.on('exit', function(code) {
+    if (adapter.worker === worker) {
+      adapter.worker = null;
+      adapter.attachments.clear();
+    }
+    adapter._rejectPending(new Error('Worker exited with code ' + code));
+  });
+
+  adapter.worker = worker;
+};
+
+/**
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._stopWorker = async function() {
+  const worker = this.worker;
+  this.worker = null;
+  if (worker) {
+    await worker.terminate();
+  }
+};
+
+/**
+ * Post a request to the worker and wait for its reply
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._call = function(method, args) {
+  const adapter = this;
+
+  return new Promise(function(resolve, reject) {
+    if (!adapter.worker) {
+      reject(new Error('Database not connected'));
+      return;
+    }
+
+    const id = adapter._nextRequestId++;
+    adapter._pending.set(id, {resolve: resolve, reject: reject});
+    adapter.worker.postMessage({id: id, method: method, args: args});
+  });
+};
+
+/**
+ * @private
+ */
+WorkerBetterSqliteAdapter.prototype._rejectPending = function(error) {
+  const pending = Array.from(this._pending.values());
+  this._pending.clear();
+  for (const request of pending) {
+    request.reject(error);
+  }
+};
+
+/**
+ * Options that only work on the thread that set them: functions (the
+ * instrumentation hooks, the verbose callback, the retry policy's shouldRetry
+ * and onRetry) and the retry policy's AbortSignal. They cannot be sent to the
+ * worker, so the constructor rejects them rather than ignoring them.
+ * @returns {string[]} Their names
+ */
+function threadBoundOptions(options) {
+  const names = [];
+  for (const key of Object.keys(options)) {
+    if (MAIN_THREAD_OPTIONS.indexOf(key) === -1 && typeof options[key] === 'function') {
+      names.push(key);
+    }
+  }
+  for (const key of Object.keys(options.retry || {})) {
+    if (key === 'signal' || typeof options.retry[key] === 'function') {
+      names.push('retry.' + key);
+    }
+  }
+  return names;
+}
+
+/**
+ * Rebuild an error serialized by the worker, keeping its name and code
+ */
+function workerError(serialized) {
+  if (serialized.name === 'AttachLimitError') {
+    return new AttachLimitError(serialized.alias, serialized.limit);
+  }
+
+  const error = new Error(serialized.message);
+  error.name = serialized.name;
+  error.code = serialized.code;
+  if (serialized.alias !== undefined) {
+    error.alias = serialized.alias;
+  }
+  return error;
+}
+
+module.exports = WorkerBetterSqliteAdapter;
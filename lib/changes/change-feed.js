@@ -0,0 +1,448 @@
+/**
+ * Change capture and notification across processes sharing a database file
+ *
+ * capture() installs triggers that record every insert, update and delete on
+ * a table into a change log kept in the table's own schema (main or an
+ * attached alias), so writes from any connection or process are recorded.
+ * subscribe() polls the log and delivers the changes in order:
+ *
+ *   const feed = new ChangeFeed(adapter);
+ *   await feed.capture('sharedb.posts', { key: 'id' });
+ *   const subscription = await feed.subscribe(['sharedb.posts'], function(change) {
+ *     // { seq: 42, schema: 'sharedb', table: 'posts', op: 'update', key: 'p1', time: 1700000000000 }
+ *   });
+ *
+ * Polling is cheap while nothing changes: the log is only read once
+ * PRAGMA data_version reports a commit from another connection, or this
+ * connection's total_changes() moved. Every feed keeps a cursor in the log's
+ * schema, and entries every active cursor has passed are pruned.
+ */
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { quoteIdentifier } = require('../utils/pragma-utils');
+const { createLogger } = require('../logger');
+
+// Milliseconds since the epoch, evaluated inside SQLite
+const NOW_SQL = "CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER)";
+
+const TRIGGERS = {
+  ai: {event: 'INSERT', op: 'insert', row: 'new'},
+  au: {event: 'UPDATE', op: 'update', row: 'new'},
+  ad: {event: 'DELETE', op: 'delete', row: 'old'}
+};
+
+/**
+ * Create a change feed
+ * @param {Object} adapter - Any SqliteAdapter (runAsync, getFirstAsync, getAllAsync, transaction)
+ * @param {Object} options - Feed options
+ * @param {string} options.logTable - Change log table in each schema (default: 'change_log');
+ *   cursors are kept in '<logTable>_cursors'
+ * @param {number} options.interval - Polling interval in milliseconds (default: 250)
+ * @param {number} options.batchSize - Log entries read per query (default: 500)
+ * @param {string} options.consumer - Name of this feed's cursor (default: unique per feed)
+ * @param {number} options.consumerTimeout - Ignore and remove cursors not updated for this many
+ *   milliseconds when pruning, e.g. of crashed processes (default: 600000)
+ */
+function ChangeFeed(adapter, options) {
+  if (!adapter) {
+    throw new Error('adapter is required');
+  }
+
+  EventEmitter.call(this);
+  this.adapter = adapter;
+  this.options = options || {};
+  this.logTable = this.options.logTable || 'change_log';
+  this.interval = this.options.interval || 250;
+  this.batchSize = this.options.batchSize || 500;
+  this.consumer = this.options.consumer || process.pid + '-' + crypto.randomBytes(6).toString('hex');
+  this.consumerTimeout = this.options.consumerTimeout || 600000;
+  this.closed = false;
+  this.logger = createLogger(this.options, 'ChangeFeed');
+
+  this._subscriptions = new Set();
+  // schema -> { position, version, cursorTime }
+  this._schemas = new Map();
+  this._localChanges = null;
+  this._timer = null;
+  this._polling = null;
+}
+
+ChangeFeed.prototype = Object.create(EventEmitter.prototype);
+ChangeFeed.prototype.constructor = ChangeFeed;
+
+/**
+ * Record the changes of a table in its schema's change log. Safe to call
+ * again; the triggers are kept in the database until release().
+ * @param {string} table - Table name, qualified by an attached alias if needed ('sharedb.posts')
+ * @param {Object} options - Capture options
+ * @param {string} options.key - Column identifying the changed row (default: 'rowid')
+ * @returns {Promise<void>}
+ */
+ChangeFeed.prototype.capture = async function(table, options) {
+  const feed = this;
+  const target = parseTable(table);
+  const key = quoteIdentifier((options && options.key) || 'rowid');
+
+  await feed.adapter.transaction(async function() {
+    await feed._createLog(target.schema);
+    for (const suffix of Object.keys(TRIGGERS)) {
+      const trigger = TRIGGERS[suffix];
+      await feed.adapter.runAsync(
+        'CREATE TRIGGER IF NOT EXISTS ' + quoteIdentifier(target.schema) + '.' + quoteIdentifier(feed._triggerName(target, suffix)) +
+        ' AFTER ' + trigger.event + ' ON ' + quoteIdentifier(target.table) +
+        ' BEGIN INSERT INTO ' + quoteIdentifier(feed.logTable) + ' (tbl, op, row_key, changed_at) VALUES (' +
+        quoteString(target.table) + ', ' + quoteString(trigger.op) + ', ' + trigger.row + '.' + key + ', ' + NOW_SQL + '); END'
+      );
+    }
+  });
+};
+
+/**
+ * Stop recording the changes of a table. Entries already logged remain.
+ * @param {string} table - Table name, as given to capture()
+ * @returns {Promise<void>}
+ */
+ChangeFeed.prototype.release = async function(table) {
+  const feed = this;
+  const target = parseTable(table);
+
+  await feed.adapter.transaction(async function() {
+    for (const suffix of Object.keys(TRIGGERS)) {
+      await feed.adapter.runAsync(
+        'DROP TRIGGER IF EXISTS ' + quoteIdentifier(target.schema) + '.' + quoteIdentifier(feed._triggerName(target, suffix))
+      );
+    }
+  });
+};
+
+/**
+ * Deliver the changes of the given tables committed from now on, by any
+ * connection. The handler gets one change at a time, in log order per
+ * schema; a returned Promise is awaited before the next change. Handler
+ * errors are emitted as 'error' and do not stop the feed.
+ * @param {string|string[]} tables - Table names, as given to capture()
+ * @param {Function} handler - (change) => void|Promise
+ * @returns {Promise<Object>} Subscription with unsubscribe()
+ */
+ChangeFeed.prototype.subscribe = async function(tables, handler) {
+  const feed = this;
+  if (feed.closed) {
+    throw new Error('Change feed is closed');
+  }
+  if (typeof handler !== 'function') {
+    throw new Error('handler must be a function');
+  }
+
+  const targets = (Array.isArray(tables) ? tables : [tables]).map(parseTable);
+  if (targets.length === 0) {
+    throw new Error('subscribe() needs at least one table');
+  }
+
+  const subscription = {
+    tables: new Set(targets.map(function(target) {
+      return target.schema + '.' + target.table;
+    })),
+    handler: handler,
+    // schema -> last seq before the subscription started
+    since: new Map(),
+    unsubscribe: function() {
+      return feed._unsubscribe(subscription);
+    }
+  };
+
+  for (const target of targets) {
+    if (subscription.since.has(target.schema)) {
+      continue;
+    }
+    await feed._createLog(target.schema);
+    const row = await feed.adapter.getFirstAsync(
+      'SELECT COALESCE(MAX(seq), 0) AS seq FROM ' + feed._log(target.schema)
+    );
+    subscription.since.set(target.schema, row.seq);
+    if (!feed._schemas.has(target.schema)) {
+      feed._schemas.set(target.schema, {position: row.seq, version: null, cursorTime: 0});
+      await feed._saveCursor(target.schema);
+    }
+  }
+
+  feed._subscriptions.add(subscription);
+  feed._schedule();
+  return subscription;
+};
+
+/**
+ * Read and deliver pending changes now instead of waiting for the timer
+ * @returns {Promise<number>} Changes delivered
+ */
+ChangeFeed.prototype.poll = function() {
+  const feed = this;
+  if (!feed._polling) {
+    feed._polling = feed._poll().finally(function() {
+      feed._polling = null;
+    });
+  }
+  return feed._polling;
+};
+
+/**
+ * Delete log entries every active cursor has passed, and cursors not
+ * updated within consumerTimeout
+ * @param {string} schema - Schema of the log (default: every schema this feed reads)
+ * @returns {Promise<number>} Log entries deleted
+ */
+ChangeFeed.prototype.prune = async function(schema) {
+  const feed = this;
+  const schemas = schema ? [schema] : Array.from(feed._schemas.keys());
+  let deleted = 0;
+
+  for (const name of schemas) {
+    await feed.adapter.transaction(async function() {
+      await feed.adapter.runAsync(
+        'DELETE FROM ' + feed._cursors(name) + ' WHERE updated_at < ? AND consumer <> ?',
+        [Date.now() - feed.consumerTimeout, feed.consumer]
+      );
+      const result = await feed.adapter.runAsync(
+        'DELETE FROM ' + feed._log(name) + ' WHERE seq <= (SELECT MIN(seq) FROM ' + feed._cursors(name) + ')'
+      );
+      deleted += result.changes;
+    });
+  }
+
+  return deleted;
+};
+
+/**
+ * Stop polling and remove this feed's cursors so they no longer hold back
+ * pruning. The triggers stay installed.
+ * @returns {Promise<void>}
+ */
+ChangeFeed.prototype.close = async function() {
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  this._subscriptions.clear();
+  this._stop();
+  if (this._polling) {
+    await this._polling;
+  }
+  for (const schema of Array.from(this._schemas.keys())) {
+    await this._removeCursor(schema);
+  }
+};
+
+/**
+ * Drop a subscription, and the cursors of schemas no other subscription reads
+ * @private
+ */
+ChangeFeed.prototype._unsubscribe = async function(subscription) {
+  if (!this._subscriptions.delete(subscription)) {
+    return;
+  }
+  const remaining = new Set();
+  for (const other of this._subscriptions) {
+    for (const schema of other.since.keys()) {
+      remaining.add(schema);
+    }
+  }
+  for (const schema of subscription.since.keys()) {
+    if (!remaining.has(schema) && this._schemas.has(schema)) {
+      await this._removeCursor(schema);
+    }
+  }
+  if (this._subscriptions.size === 0) {
+    this._stop();
+  }
+};
+
+/**
+ * Read the logs that changed since the last poll and deliver their entries
+ * @private
+ */
+ChangeFeed.prototype._poll = async function() {
+  const feed = this;
+  const local = (await feed.adapter.getFirstAsync('SELECT total_changes() AS changes')).changes;
+  const localChanged = local !== feed._localChanges;
+  feed._localChanges = local;
+  let delivered = 0;
+
+  for (const [schema, state] of feed._schemas) {
+    const version = (await feed.adapter.getFirstAsync('PRAGMA ' + quoteIdentifier(schema) + '.data_version')).data_version;
+    const changed = localChanged || version !== state.version;
+    state.version = version;
+
+    const start = state.position;
+    while (changed && !feed.closed) {
+      const rows = await feed.adapter.getAllAsync(
+        'SELECT seq, tbl, op, row_key, changed_at FROM ' + feed._log(schema) + ' WHERE seq > ? ORDER BY seq LIMIT ?',
+        [state.position, feed.batchSize]
+      );
+      for (const row of rows) {
+        delivered += await feed._deliver(schema, row);
+        state.position = row.seq;
+      }
+      if (rows.length < feed.batchSize) {
+        break;
+      }
+    }
+
+    if (!feed._schemas.has(schema)) {
+      continue;
+    }
+    if (state.position !== start || Date.now() - state.cursorTime > feed.consumerTimeout / 2) {
+      await feed._saveCursor(schema);
+      await feed.prune(schema);
+    }
+  }
+
+  return delivered;
+};
+
+/**
+ * Hand one log entry to the subscriptions interested in it
+ * @private
+ * @returns {Promise<number>} 1 if any subscription received it
+ */
+ChangeFeed.prototype._deliver = async function(schema, row) {
+  const change = {
+    seq: row.seq,
+    schema: schema,
+    table: row.tbl,
+    op: row.op,
+    key: row.row_key,
+    time: row.changed_at
+  };
+  let received = 0;
+
+  for (const subscription of Array.from(this._subscriptions)) {
+    if (row.seq <= subscription.since.get(schema) || !subscription.tables.has(schema + '.' + row.tbl)) {
+      continue;
+    }
+    received = 1;
+    try {
+      await subscription.handler(change);
+    } catch (error) {
+      this._reportError(error, change);
+    }
+  }
+
+  return received;
+};
+
+/**
+ * Poll again after the interval while there are subscriptions
+ * @private
+ */
+ChangeFeed.prototype._schedule = function() {
+  const feed = this;
+  if (feed._timer || feed.closed) {
+    return;
+  }
+  feed._timer = setTimeout(function() {
+    feed.poll().catch(function(error) {
+      feed._reportError(error);
+    }).then(function() {
+      feed._timer = null;
+      if (feed._subscriptions.size > 0) {
+        feed._schedule();
+      }
+    });
+  }, feed.interval);
+  // Polling alone does not keep the process running
+  feed._timer.unref();
+};
+
+/**
+ * @private
+ */
+ChangeFeed.prototype._stop = function() {
+  if (this._timer) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+};
+
+/**
+ * Emit 'error' when someone listens, otherwise log it
+ * @private
+ */
+ChangeFeed.prototype._reportError = function(error, change) {
+  if (this.listenerCount('error') > 0) {
+    this.emit('error', error, change);
+  } else {
+    this.logger.error('Change feed error', {error: error.message, seq: change && change.seq});
+  }
+};
+
+/**
+ * Create the change log and cursor tables of a schema
+ * @private
+ */
+ChangeFeed.prototype._createLog = async function(schema) {
+  const prefix = quoteIdentifier(schema) + '.';
+  await this.adapter.runAsync(
+    'CREATE TABLE IF NOT EXISTS ' + prefix + quoteIdentifier(this.logTable) + ' (' +
+    'seq INTEGER PRIMARY KEY AUTOINCREMENT, tbl TEXT NOT NULL, op TEXT NOT NULL, row_key, changed_at INTEGER NOT NULL)'
+  );
+  await this.adapter.runAsync(
+    'CREATE TABLE IF NOT EXISTS ' + prefix + quoteIdentifier(this.logTable + '_cursors') + ' (' +
+    'consumer TEXT PRIMARY KEY, seq INTEGER NOT NULL, updated_at INTEGER NOT NULL)'
+  );
+};
+
+/**
+ * Store this feed's position in a schema's log, which also marks it as alive
+ * @private
+ */
+ChangeFeed.prototype._saveCursor = async function(schema) {
+  const state = this._schemas.get(schema);
+  state.cursorTime = Date.now();
+  await this.adapter.runAsync(
+    'INSERT OR REPLACE INTO ' + this._cursors(schema) + ' (consumer, seq, updated_at) VALUES (?, ?, ?)',
+    [this.consumer, state.position, state.cursorTime]
+  );
+};
+
+/**
+ * @private
+ */
+ChangeFeed.prototype._removeCursor = async function(schema) {
+  this._schemas.delete(schema);
+  await this.adapter.runAsync('DELETE FROM ' + this._cursors(schema) + ' WHERE consumer = ?', [this.consumer]);
+};
+
+/**
+ * @private
+ */
+ChangeFeed.prototype._log = function(schema) {
+  return quoteIdentifier(schema) + '.' + quoteIdentifier(this.logTable);
+};
+
+ChangeFeed.prototype._cursors = function(schema) {
+  return quoteIdentifier(schema) + '.' + quoteIdentifier(this.logTable + '_cursors');
+};
+
+ChangeFeed.prototype._triggerName = function(target, suffix) {
+  return target.table + '_' + this.logTable + '_' + suffix;
+};
+
+/**
+ * Split 'alias.table' into its schema and table; unqualified tables are in main
+ * @private
+ */
+function parseTable(table) {
+  if (typeof table !== 'string' || table === '') {
+    throw new Error('Invalid table name: ' + table);
+  }
+  const dot = table.indexOf('.');
+  if (dot === -1) {
+    return {schema: 'main', table: table};
+  }
+  return {schema: table.slice(0, dot), table: table.slice(dot + 1)};
+}
+
+function quoteString(value) {
+  return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
+}
+
+module.exports = ChangeFeed;
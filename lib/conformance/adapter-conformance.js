@@ -0,0 +1,486 @@
+/**
+ * Conformance suite for the SqliteAdapter and AttachedAdapter interfaces
+ *
+ * The cases check the behaviour that storage strategies rely on beyond the
+ * method signatures in interfaces.d.ts: connect/disconnect idempotence,
+ * result shapes, null handling, transactions, attach/detach semantics and
+ * how errors are surfaced. They only use Node's assert module, so any
+ * adapter can run them with or without a test framework:
+ *
+ *   // Plain Node
+ *   const report = await runConformance({ createAdapter: () => new MyAdapter(':memory:') });
+ *
+ *   // Mocha, Jest or any other describe/it style framework
+ *   defineConformanceTests({ createAdapter: ... }, { describe, it });
+ *
+ * Every case gets a new adapter from createAdapter(), connects it unless the
+ * case tests the unconnected state, and disconnects it afterwards.
+ */
+const assert = require('assert');
+
+const CASES = [
+  // SqliteAdapter: connection lifecycle
+  {
+    name: 'connect() is idempotent',
+    run: async function(adapter) {
+      await adapter.connect();
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT 1 AS one'), {one: 1});
+    }
+  },
+  {
+    name: 'disconnect() is idempotent and safe before connect()',
+    connect: false,
+    run: async function(adapter) {
+      await adapter.disconnect();
+      await adapter.connect();
+      await adapter.disconnect();
+      await adapter.disconnect();
+    }
+  },
+  {
+    name: 'an adapter can reconnect after disconnect()',
+    run: async function(adapter) {
+      await adapter.disconnect();
+      await adapter.connect();
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT 1 AS one'), {one: 1});
+    }
+  },
+  {
+    name: 'queries reject when not connected',
+    connect: false,
+    run: async function(adapter) {
+      await assertRejects(() => adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)'));
+      await assertRejects(() => adapter.getFirstAsync('SELECT 1'));
+      await assertRejects(() => adapter.getAllAsync('SELECT 1'));
+
+      await adapter.connect();
+      await adapter.disconnect();
+      await assertRejects(() => adapter.getFirstAsync('SELECT 1'));
+    }
+  },
+
+  // SqliteAdapter: result shapes
+  {
+    name: 'runAsync() resolves to { changes, lastInsertRowid }',
+    run: async function(adapter) {
+      const created = await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      assert.strictEqual(typeof created.changes, 'number');
+
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      const inserted = await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+      assert.strictEqual(inserted.changes, 1);
+      assert.strictEqual(inserted.lastInsertRowid, 2);
+
+      const updated = await adapter.runAsync('UPDATE items SET name = ?', ['c']);
+      assert.strictEqual(updated.changes, 2);
+
+      const deleted = await adapter.runAsync('DELETE FROM items WHERE id = ?', [99]);
+      assert.strictEqual(deleted.changes, 0);
+    }
+  },
+  {
+    name: 'getFirstAsync() resolves to the first row, or null when there is none',
+    run: async function(adapter) {
+      await createItems(adapter, ['a', 'b']);
+
+      assert.deepStrictEqual(
+        await adapter.getFirstAsync('SELECT id, name FROM items ORDER BY id DESC'),
+        {id: 2, name: 'b'}
+      );
+      assert.strictEqual(await adapter.getFirstAsync('SELECT * FROM items WHERE id = ?', [99]), null);
+    }
+  },
+  {
+    name: 'getAllAsync() resolves to an array of rows, empty when nothing matches',
+    run: async function(adapter) {
+      await createItems(adapter, ['a', 'b']);
+
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT id, name FROM items ORDER BY id'), [
+        {id: 1, name: 'a'},
+        {id: 2, name: 'b'}
+      ]);
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT * FROM items WHERE id = ?', [99]), []);
+    }
+  },
+  {
+    name: 'params are optional',
+    run: async function(adapter) {
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      await adapter.runAsync('INSERT INTO items DEFAULT VALUES');
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT id FROM items'), {id: 1});
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT id FROM items'), [{id: 1}]);
+    }
+  },
+  {
+    name: 'NULL values round-trip as null',
+    run: async function(adapter) {
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', [null]);
+
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT name FROM items'), {name: null});
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT id FROM items WHERE name IS ?', [null]), {id: 1});
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT NULL AS value'), {value: null});
+    }
+  },
+  {
+    name: 'integers, reals and text round-trip with their types',
+    run: async function(adapter) {
+      await adapter.runAsync('CREATE TABLE items (i INTEGER, r REAL, t TEXT)');
+      await adapter.runAsync('INSERT INTO items VALUES (?, ?, ?)', [42, 1.5, 'it\'s "text"']);
+
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT * FROM items'), {i: 42, r: 1.5, t: 'it\'s "text"'});
+    }
+  },
+
+  // SqliteAdapter: errors
+  {
+    name: 'invalid SQL rejects with an Error carrying the SQLite code',
+    run: async function(adapter) {
+      const error = await assertRejects(() => adapter.getAllAsync('SELECT * FROM missing_table'));
+      assert.strictEqual(error.code, 'SQLITE_ERROR');
+      await assertRejects(() => adapter.runAsync('NOT SQL'));
+    }
+  },
+  {
+    name: 'constraint violations reject and leave the connection usable',
+    run: async function(adapter) {
+      await createItems(adapter, ['a']);
+
+      const error = await assertRejects(() => adapter.runAsync('INSERT INTO items (id, name) VALUES (?, ?)', [1, 'x']));
+      assert.ok(/^SQLITE_CONSTRAINT/.test(error.code), 'expected a SQLITE_CONSTRAINT code, got ' + error.code);
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT name FROM items'), [{name: 'a'}]);
+    }
+  },
+
+  // SqliteAdapter: transactions
+  {
+    name: 'transaction() commits and resolves with the callback result',
+    run: async function(adapter) {
+      await createItems(adapter, []);
+
+      const result = await adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+        return 'done';
+      });
+
+      assert.strictEqual(result, 'done');
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items'), {count: 2});
+    }
+  },
+  {
+    name: 'transaction() accepts a synchronous callback',
+    run: async function(adapter) {
+      assert.strictEqual(await adapter.transaction(function() { return 42; }), 42);
+    }
+  },
+  {
+    name: 'transaction() rolls back and rejects with the callback error',
+    run: async function(adapter) {
+      await createItems(adapter, ['a']);
+      const failure = new Error('callback failure');
+
+      const error = await assertRejects(() => adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+        throw failure;
+      }));
+
+      assert.strictEqual(error, failure);
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT name FROM items'), [{name: 'a'}]);
+    }
+  },
+  {
+    name: 'transaction() rolls back when a statement fails',
+    run: async function(adapter) {
+      await createItems(adapter, ['a']);
+
+      await assertRejects(() => adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+        await adapter.runAsync('INSERT INTO items (id, name) VALUES (?, ?)', [1, 'duplicate']);
+      }));
+
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT name FROM items'), [{name: 'a'}]);
+      await adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['c']);
+      });
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT name FROM items ORDER BY id'), [{name: 'a'}, {name: 'c'}]);
+    }
+  },
+  {
+    name: 'transaction() rejects when not connected',
+    connect: false,
+    run: async function(adapter) {
+      await assertRejects(() => adapter.transaction(function() { return 1; }));
+    }
+  },
+
+  // AttachedAdapter
+  {
+    name: 'a new connection has no attached databases',
+    attached: true,
+    run: async function(adapter) {
+      assert.strictEqual(adapter.isAttached('aux'), false);
+      assert.deepStrictEqual(adapter.getAttachedAliases(), []);
+    }
+  },
+  {
+    name: 'attachDatabase() makes the alias queryable',
+    attached: true,
+    run: async function(adapter, context) {
+      await adapter.attachDatabase(await context.attachmentPath(), 'aux');
+
+      assert.strictEqual(adapter.isAttached('aux'), true);
+      assert.deepStrictEqual(adapter.getAttachedAliases(), ['aux']);
+
+      await adapter.runAsync('CREATE TABLE aux.items (id INTEGER PRIMARY KEY, name TEXT)');
+      await adapter.runAsync('INSERT INTO aux.items (name) VALUES (?)', ['a']);
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT name FROM aux.items'), [{name: 'a'}]);
+    }
+  },
+  {
+    name: 'attaching an alias that is already attached is a no-op',
+    attached: true,
+    run: async function(adapter, context) {
+      await adapter.attachDatabase(await context.attachmentPath(), 'aux');
+      await adapter.runAsync('CREATE TABLE aux.items (id INTEGER PRIMARY KEY)');
+
+      await adapter.attachDatabase(await context.attachmentPath(), 'aux');
+      assert.deepStrictEqual(adapter.getAttachedAliases(), ['aux']);
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT * FROM aux.items'), []);
+    }
+  },
+  {
+    name: 'getAttachedAliases() lists every alias and returns a copy',
+    attached: true,
+    run: async function(adapter, context) {
+      await adapter.attachDatabase(await context.attachmentPath(), 'first');
+      await adapter.attachDatabase(await context.attachmentPath(), 'second');
+
+      const aliases = adapter.getAttachedAliases();
+      assert.deepStrictEqual(aliases.slice().sort(), ['first', 'second']);
+      aliases.length = 0;
+      assert.strictEqual(adapter.getAttachedAliases().length, 2);
+    }
+  },
+  {
+    name: 'detachDatabase() removes the alias',
+    attached: true,
+    run: async function(adapter, context) {
+      await adapter.attachDatabase(await context.attachmentPath(), 'aux');
+      await adapter.runAsync('CREATE TABLE aux.items (id INTEGER PRIMARY KEY)');
+
+      await adapter.detachDatabase('aux');
+      assert.strictEqual(adapter.isAttached('aux'), false);
+      assert.deepStrictEqual(adapter.getAttachedAliases(), []);
+      await assertRejects(() => adapter.getAllAsync('SELECT * FROM aux.items'));
+    }
+  },
+  {
+    name: 'detaching an alias that is not attached is a no-op',
+    attached: true,
+    run: async function(adapter) {
+      await adapter.detachDatabase('aux');
+      assert.deepStrictEqual(adapter.getAttachedAliases(), []);
+    }
+  },
+  {
+    name: 'attachments can be used inside a transaction',
+    attached: true,
+    run: async function(adapter, context) {
+      await adapter.attachDatabase(await context.attachmentPath(), 'aux');
+      await adapter.runAsync('CREATE TABLE aux.items (id INTEGER PRIMARY KEY)');
+
+      await assertRejects(() => adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO aux.items DEFAULT VALUES');
+        throw new Error('callback failure');
+      }));
+      assert.deepStrictEqual(await adapter.getAllAsync('SELECT * FROM aux.items'), []);
+    }
+  },
+  {
+    name: 'disconnect() detaches every database',
+    attached: true,
+    run: async function(adapter, context) {
+      await adapter.attachDatabase(await context.attachmentPath(), 'aux');
+      await adapter.disconnect();
+
+      assert.strictEqual(adapter.isAttached('aux'), false);
+      assert.deepStrictEqual(adapter.getAttachedAliases(), []);
+    }
+  },
+  {
+    name: 'attachDatabase() rejects when not connected',
+    attached: true,
+    connect: false,
+    run: async function(adapter, context) {
+      await assertRejects(async () => adapter.attachDatabase(await context.attachmentPath(), 'aux'));
+      assert.strictEqual(adapter.isAttached('aux'), false);
+    }
+  }
+];
+
+/**
+ * Get the conformance cases that apply to an adapter
+ * @param {Object} options - See runConformance()
+ * @returns {Array} [{ name, interface: 'SqliteAdapter' | 'AttachedAdapter', run: () => Promise<void> }]
+ */
+function getConformanceCases(options) {
+  options = validateOptions(options);
+
+  return CASES.filter(function(testCase) {
+    return options.attached || !testCase.attached;
+  }).map(function(testCase) {
+    return {
+      name: testCase.name,
+      interface: testCase.attached ? 'AttachedAdapter' : 'SqliteAdapter',
+      run: function() {
+        return runCase(testCase, options);
+      }
+    };
+  });
+}
+
+/**
+ * Run the conformance suite without a test framework
+ * @param {Object} options - Suite options
+ * @param {Function} options.createAdapter - Returns a new, unconnected adapter (or a Promise of one)
+ *   over an empty database
+ * @param {Function} options.destroyAdapter - Optional cleanup called with the adapter after each case,
+ *   once it has been disconnected
+ * @param {boolean} options.attached - Also run the AttachedAdapter cases (default: false)
+ * @param {Function} options.attachmentPath - Returns the path (or a Promise of one) of an empty database
+ *   that attachDatabase(path, alias) can open; called once per attachment (default: ':memory:')
+ * @returns {Promise<Object>} { passed, failed, results: [{ name, interface, passed, durationMs, error? }] }
+ */
+async function runConformance(options) {
+  const results = [];
+
+  for (const testCase of getConformanceCases(options)) {
+    const start = Date.now();
+    const result = {name: testCase.name, interface: testCase.interface, passed: true, durationMs: 0};
+
+    try {
+      await testCase.run();
+    } catch (error) {
+      result.passed = false;
+      result.error = error;
+    }
+
+    result.durationMs = Date.now() - start;
+    results.push(result);
+  }
+
+  const passed = results.filter(function(result) { return result.passed; }).length;
+  return {passed: passed, failed: results.length - passed, results: results};
+}
+
+/**
+ * Register the conformance suite with a describe/it style test framework
+ * @param {Object} options - Suite options, see runConformance()
+ * @param {Object} framework - { describe, it }, e.g. the Mocha or Jest globals
+ * @param {string} title - Title of the outer describe block (default: 'Adapter conformance')
+ */
+function defineConformanceTests(options, framework, title) {
+  if (!framework || typeof framework.describe !== 'function' || typeof framework.it !== 'function') {
+    throw new Error('defineConformanceTests requires a framework with describe and it functions');
+  }
+
+  const cases = getConformanceCases(options);
+
+  framework.describe(title || 'Adapter conformance', function() {
+    for (const group of ['SqliteAdapter', 'AttachedAdapter']) {
+      const groupCases = cases.filter(function(testCase) { return testCase.interface === group; });
+      if (groupCases.length === 0) {
+        continue;
+      }
+
+      framework.describe(group, function() {
+        for (const testCase of groupCases) {
+          framework.it(testCase.name, function() {
+            return testCase.run();
+          });
+        }
+      });
+    }
+  });
+}
+
+/**
+ * @private
+ */
+async function runCase(testCase, options) {
+  const adapter = await options.createAdapter();
+  const context = {
+    attachmentPath: function() {
+      return options.attachmentPath ? options.attachmentPath() : ':memory:';
+    }
+  };
+
+  let failure = null;
+  try {
+    if (testCase.connect !== false) {
+      await adapter.connect();
+    }
+    await testCase.run(adapter, context);
+  } catch (error) {
+    failure = error;
+  }
+
+  try {
+    await adapter.disconnect();
+    if (options.destroyAdapter) {
+      await options.destroyAdapter(adapter);
+    }
+  } catch (error) {
+    // The case's own failure is the more useful one to report
+    failure = failure || error;
+  }
+
+  if (failure) {
+    throw failure;
+  }
+}
+
+function validateOptions(options) {
+  if (!options || typeof options.createAdapter !== 'function') {
+    throw new Error('createAdapter is required');
+  }
+  return options;
+}
+
+async function createItems(adapter, names) {
+  await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+  for (const name of names) {
+    await adapter.runAsync('INSERT INTO items (name) VALUES (?)', [name]);
+  }
+}
+
+/**
+ * Assert that an operation returns a Promise that rejects with an Error.
+ * A synchronous throw fails the assertion: adapters report every failure
+ * through the returned Promise.
+ */
+async function assertRejects(operation) {
+  let pending;
+  try {
+    pending = operation();
+  } catch (error) {
+    assert.fail('Expected a rejected Promise, but the call threw synchronously: ' + error.message);
+  }
+
+  assert.ok(pending && typeof pending.then === 'function', 'Expected the call to return a Promise');
+
+  try {
+    await pending;
+  } catch (error) {
+    assert.ok(error instanceof Error, 'Expected the Promise to reject with an Error');
+    return error;
+  }
+  assert.fail('Expected the Promise to reject');
+}
+
+module.exports = {
+  getConformanceCases,
+  runConformance,
+  defineConformanceTests
+};
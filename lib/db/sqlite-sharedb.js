@@ -0,0 +1,554 @@
+/**
+ * ShareDB server database backed by SQLite
+ *
+ * Implements ShareDB's DB interface (commit, getSnapshot, getSnapshotBulk,
+ * getOps, getOpsBulk, getOpsToSnapshot, getCommittedOpVersion, query, close)
+ * and its MilestoneDB interface on top of any SqliteAdapter, so a ShareDB
+ * server can run without MongoDB:
+ *
+ *   const db = new SqliteShareDB(new BetterSqliteAdapter('./sharedb.db'), { interval: 100 });
+ *   const backend = new ShareDB({ db: db, milestoneDb: db });
+ *
+ * Each collection gets three tables, created on first use:
+ *   <prefix><collection>_snapshots  (id, v, type, data, metadata, mtime)
+ *   <prefix><collection>_ops        (doc_id, v, src, seq, op)
+ *   <prefix><collection>_milestones (doc_id, v, type, data, metadata, mtime)
+ *
+ * Methods take a ShareDB-style callback; without one they return a Promise.
+ */
+const { EventEmitter } = require('events');
+const { quoteIdentifier } = require('../utils/pragma-utils');
+const { createLogger } = require('../logger');
+const { compileQuery } = require('../query/json-query');
+
+// Error code ShareDB uses for invalid milestone arguments
+const ERR_MILESTONE_ARGUMENT_INVALID = 'ERR_MILESTONE_ARGUMENT_INVALID';
+
+/**
+ * Create a ShareDB database on top of an adapter
+ * @param {Object} adapter - Any SqliteAdapter (runAsync, getFirstAsync, getAllAsync, transaction)
+ * @param {Object} options - Database options
+ * @param {string} options.schema - Schema holding the tables: 'main' or an attached alias (default: 'main')
+ * @param {string} options.tablePrefix - Prefix for table names (default: '')
+ * @param {number} options.interval - Save a milestone snapshot every this many versions
+ *   when used as ShareDB's milestoneDb (default: none)
+ * @param {boolean} options.closeAdapter - Disconnect the adapter on close() (default: true)
+ */
+function SqliteShareDB(adapter, options) {
+  if (!adapter) {
+    throw new Error('adapter is required');
+  }
+
+  EventEmitter.call(this);
+  this.adapter = adapter;
+  this.options = options || {};
+  this.schema = this.options.schema || 'main';
+  this.tablePrefix = this.options.tablePrefix || '';
+  this.interval = this.options.interval;
+  this.closeAdapter = this.options.closeAdapter !== false;
+  this.closed = false;
+  this.logger = createLogger(this.options, 'SqliteShareDB');
+
+  // Per-collection promises for table creation
+  this._collections = new Map();
+  this._connecting = null;
+}
+
+SqliteShareDB.prototype = Object.create(EventEmitter.prototype);
+SqliteShareDB.prototype.constructor = SqliteShareDB;
+
+// The snapshots returned by query() are never projected
+SqliteShareDB.prototype.projectsSnapshots = false;
+SqliteShareDB.prototype.disableSubscribe = false;
+
+/**
+ * Close the database, disconnecting the adapter unless closeAdapter is false
+ * @param {Function} callback - (error)
+ */
+SqliteShareDB.prototype.close = function(callback) {
+  const db = this;
+  return respond((async function() {
+    if (db.closed) {
+      return;
+    }
+    db.closed = true;
+    if (db.closeAdapter) {
+      await db.adapter.disconnect();
+    }
+  })(), callback);
+};
+
+/**
+ * Commit an op and the snapshot it produces, atomically. Succeeds only when
+ * the stored snapshot is exactly one version behind; otherwise nothing is
+ * written and ShareDB retries the submit against the newer version.
+ * @param {Function} callback - (error, succeeded)
+ */
+SqliteShareDB.prototype.commit = function(collection, id, op, snapshot, options, callback) {
+  const db = this;
+  return respond((async function() {
+    const tables = await db._ready(collection);
+
+    return db.adapter.transaction(async function() {
+      const current = await db.adapter.getFirstAsync(
+        'SELECT v FROM ' + tables.snapshots + ' WHERE id = ?', [id]
+      );
+      const version = current ? current.v : 0;
+      if (snapshot.v !== version + 1) {
+        db.logger.debug('Commit version conflict', {collection: collection, id: id, version: version, snapshotVersion: snapshot.v});
+        return false;
+      }
+
+      await db.adapter.runAsync(
+        'INSERT INTO ' + tables.ops + ' (doc_id, v, src, seq, op) VALUES (?, ?, ?, ?, ?)',
+        [id, op.v == null ? version : op.v, nullable(op.src), nullable(op.seq), JSON.stringify(op)]
+      );
+      await db.adapter.runAsync(
+        'INSERT INTO ' + tables.snapshots + ' (id, v, type, data, metadata, mtime) VALUES (?, ?, ?, ?, ?, ?) ' +
+        'ON CONFLICT (id) DO UPDATE SET v = excluded.v, type = excluded.type, data = excluded.data, ' +
+        'metadata = excluded.metadata, mtime = excluded.mtime',
+        snapshotParams(id, snapshot)
+      );
+      return true;
+    });
+  })(), callback);
+};
+
+/**
+ * Get the current snapshot of a document, or an empty version 0 snapshot
+ * @param {Object} fields - Ignored, except that fields.$submit includes metadata
+ * @param {Object} options - { metadata } to include snapshot metadata
+ * @param {Function} callback - (error, snapshot)
+ */
+SqliteShareDB.prototype.getSnapshot = function(collection, id, fields, options, callback) {
+  const db = this;
+  return respond((async function() {
+    const tables = await db._ready(collection);
+    const row = await db.adapter.getFirstAsync(
+      'SELECT id, v, type, data, metadata FROM ' + tables.snapshots + ' WHERE id = ?', [id]
+    );
+    return row ? toSnapshot(row, includeMetadata(fields, options)) : emptySnapshot(id);
+  })(), callback);
+};
+
+/**
+ * Get the snapshots of several documents of a collection
+ * @param {Function} callback - (error, { [id]: snapshot })
+ */
+SqliteShareDB.prototype.getSnapshotBulk = function(collection, ids, fields, options, callback) {
+  const db = this;
+  return respond((async function() {
+    const tables = await db._ready(collection);
+    const rows = await db.adapter.getAllAsync(
+      'SELECT id, v, type, data, metadata FROM ' + tables.snapshots +
+      ' WHERE id IN (SELECT value FROM json_each(?))', [JSON.stringify(ids)]
+    );
+
+    const metadata = includeMetadata(fields, options);
+    const snapshots = {};
+    for (const row of rows) {
+      snapshots[row.id] = toSnapshot(row, metadata);
+    }
+    for (const id of ids) {
+      if (!snapshots[id]) {
+        snapshots[id] = emptySnapshot(id);
+      }
+    }
+    return snapshots;
+  })(), callback);
+};
+
+/**
+ * Get the ops of a document with from <= v < to, in version order
+ * @param {number} from - First version (default: 0)
+ * @param {number} to - Version to stop before (default: all ops)
+ * @param {Object} options - { metadata } to keep op metadata
+ * @param {Function} callback - (error, ops)
+ */
+SqliteShareDB.prototype.getOps = function(collection, id, from, to, options, callback) {
+  const db = this;
+  return respond((async function() {
+    const tables = await db._ready(collection);
+    return db._getOps(tables, id, from, to, options);
+  })(), callback);
+};
+
+/**
+ * Get the ops of a document from a version up to a snapshot
+ * @param {Function} callback - (error, ops)
+ */
+SqliteShareDB.prototype.getOpsToSnapshot = function(collection, id, from, snapshot, options, callback) {
+  if (!snapshot) {
+    return respond(Promise.reject(new Error('Missing snapshot')), callback);
+  }
+  return this.getOps(collection, id, from, snapshot.v, options, callback);
+};
+
+/**
+ * Get the ops of several documents
+ * @param {Object} fromMap - { [id]: from }
+ * @param {Object} toMap - { [id]: to }, or null for all ops
+ * @param {Function} callback - (error, { [id]: ops })
+ */
+SqliteShareDB.prototype.getOpsBulk = function(collection, fromMap, toMap, options, callback) {
+  const db = this;
+  return respond((async function() {
+    const tables = await db._ready(collection);
+    const results = {};
+    for (const id of Object.keys(fromMap)) {
+      results[id] = await db._getOps(tables, id, fromMap[id], toMap ? toMap[id] : null, options);
+    }
+    return results;
+  })(), callback);
+};
+
+/**
+ * Find the version at which an op was committed, by its src and seq, among
+ * the ops before the snapshot
+ * @param {Function} callback - (error, version) with version undefined when not committed
+ */
+SqliteShareDB.prototype.getCommittedOpVersion = function(collection, id, snapshot, op, options, callback) {
+  const db = this;
+  return respond((async function() {
+    if (op.src == null || op.seq == null) {
+      return undefined;
+    }
+    const tables = await db._ready(collection);
+    const row = await db.adapter.getFirstAsync(
+      'SELECT v FROM ' + tables.ops + ' WHERE doc_id = ? AND src = ? AND seq = ? AND v < ? ORDER BY v DESC LIMIT 1',
+      [id, op.src, op.seq, snapshot.v]
+    );
+    return row ? row.v : undefined;
+  })(), callback);
+};
+
+/**
+ * Find the live (not deleted) documents of a collection matching a
+ * Mongo-style query over their data, see lib/query/json-query.js
+ * @param {Object} query - Filter with optional $sort, $skip and $limit
+ * @param {Object} fields - Ignored; snapshots are not projected
+ * @param {Object} options - { metadata } to include snapshot metadata
+ * @param {Function} callback - (error, snapshots)
+ */
+SqliteShareDB.prototype.query = function(collection, query, fields, options, callback) {
+  const db = this;
+  return respond((async function() {
+    await db._ready(collection);
+    const compiled = db._compileQuery(collection, query);
+    const rows = await db.adapter.getAllAsync(compiled.sql, compiled.params);
+    const metadata = includeMetadata(fields, options);
+    return rows.map(function(row) {
+      return toSnapshot(row, metadata);
+    });
+  })(), callback);
+};
+
+/**
+ * Run a query for the ids of the matching documents only
+ * @param {Function} callback - (error, ids)
+ */
+SqliteShareDB.prototype.queryPoll = function(collection, query, options, callback) {
+  return respond(this.query(collection, query, {}, options).then(function(snapshots) {
+    return snapshots.map(function(snapshot) {
+      return snapshot.id;
+    });
+  }), callback);
+};
+
+/**
+ * Check whether a single document matches a query
+ * @param {Function} callback - (error, matches)
+ */
+SqliteShareDB.prototype.queryPollDoc = function(collection, id, query, options, callback) {
+  const db = this;
+  return respond((async function() {
+    await db._ready(collection);
+    const filter = Object.assign({}, query);
+    delete filter.$sort;
+    const compiled = db._compileQuery(collection, {$and: [filter, {_id: id}]});
+    const row = await db.adapter.getFirstAsync(compiled.sql, compiled.params);
+    return !!row;
+  })(), callback);
+};
+
+/**
+ * A single document can be checked against a query without paging or sorting;
+ * a changed sort field can move the document, so sorted queries are re-run
+ * @returns {boolean}
+ */
+SqliteShareDB.prototype.canPollDoc = function(collection, query) {
+  return !!query && query.$skip === undefined && query.$limit === undefined && query.$sort === undefined;
+};
+
+SqliteShareDB.prototype.skipPoll = function() {
+  return false;
+};
+
+/**
+ * Save a milestone snapshot; ShareDB calls this every `interval` versions.
+ * Without a callback, emits 'save' (collection, snapshot) or 'error'.
+ * @param {Function} callback - (error)
+ */
+SqliteShareDB.prototype.saveMilestoneSnapshot = function(collection, snapshot, callback) {
+  const db = this;
+  const promise = (async function() {
+    if (!collection) {
+      throw argumentError('Missing collection');
+    }
+    if (!snapshot) {
+      throw argumentError('Missing snapshot');
+    }
+    const tables = await db._ready(collection);
+    await db.adapter.runAsync(
+      'INSERT OR REPLACE INTO ' + tables.milestones + ' (doc_id, v, type, data, metadata, mtime) VALUES (?, ?, ?, ?, ?, ?)',
+      snapshotParams(snapshot.id, snapshot)
+    );
+  })();
+
+  if (typeof callback === 'function') {
+    return respond(promise, callback);
+  }
+  promise.then(function() {
+    db.emit('save', collection, snapshot);
+  }, function(error) {
+    db.emit('error', error);
+  });
+};
+
+/**
+ * Get the latest milestone snapshot at or before a version
+ * @param {number} version - Version, or null for the latest milestone
+ * @param {Function} callback - (error, snapshot) with snapshot undefined when there is none
+ */
+SqliteShareDB.prototype.getMilestoneSnapshot = function(collection, id, version, callback) {
+  return this._findMilestone(collection, id, version, 'v <= ?', 'v DESC', callback);
+};
+
+/**
+ * Get the latest milestone snapshot modified at or before a time
+ * @param {number} timestamp - Milliseconds since the epoch, or null for the latest milestone
+ * @param {Function} callback - (error, snapshot)
+ */
+SqliteShareDB.prototype.getMilestoneSnapshotAtOrBeforeTime = function(collection, id, timestamp, callback) {
+  return this._findMilestone(collection, id, timestamp, 'mtime <= ?', 'mtime DESC, v DESC', callback);
+};
+
+/**
+ * Get the earliest milestone snapshot modified at or after a time
+ * @param {number} timestamp - Milliseconds since the epoch, or null for the latest milestone
+ * @param {Function} callback - (error, snapshot)
+ */
+SqliteShareDB.prototype.getMilestoneSnapshotAtOrAfterTime = function(collection, id, timestamp, callback) {
+  return this._findMilestone(collection, id, timestamp, 'mtime >= ?', 'mtime ASC, v ASC', callback);
+};
+
+/**
+ * Look up one milestone. A null bound selects the latest milestone.
+ * @private
+ */
+SqliteShareDB.prototype._findMilestone = function(collection, id, bound, condition, order, callback) {
+  const db = this;
+  return respond((async function() {
+    if (!collection) {
+      throw argumentError('Missing collection');
+    }
+    if (!id) {
+      throw argumentError('Missing ID');
+    }
+    if (bound != null && typeof bound !== 'number') {
+      throw argumentError('Invalid version or timestamp: ' + bound);
+    }
+
+    const tables = await db._ready(collection);
+    const filter = bound == null ? '' : ' AND ' + condition;
+    const row = await db.adapter.getFirstAsync(
+      'SELECT doc_id AS id, v, type, data, metadata FROM ' + tables.milestones +
+      ' WHERE doc_id = ?' + filter + ' ORDER BY ' + (bound == null ? 'v DESC' : order) + ' LIMIT 1',
+      bound == null ? [id] : [id, bound]
+    );
+    return row ? toSnapshot(row, true) : undefined;
+  })(), callback);
+};
+
+/**
+ * Compile a query against the snapshots table of a collection
+ * @private
+ */
+SqliteShareDB.prototype._compileQuery = function(collection, query) {
+  return compileQuery(query, {
+    schema: this.schema,
+    table: this._tableNames(collection).snapshots,
+    select: 'id, v, type, data, metadata',
+    where: 'type IS NOT NULL'
+  });
+};
+
+/**
+ * Read a range of ops
+ * @private
+ */
+SqliteShareDB.prototype._getOps = async function(tables, id, from, to, options) {
+  const params = [id, from == null ? 0 : from];
+  let sql = 'SELECT op FROM ' + tables.ops + ' WHERE doc_id = ? AND v >= ?';
+  if (to != null) {
+    sql += ' AND v < ?';
+    params.push(to);
+  }
+
+  const rows = await this.adapter.getAllAsync(sql + ' ORDER BY v', params);
+  const metadata = !!(options && options.metadata);
+  return rows.map(function(row) {
+    const op = JSON.parse(row.op);
+    if (!metadata) {
+      delete op.m;
+    }
+    return op;
+  });
+};
+
+/**
+ * Connect the adapter once and create the tables of a collection on first use
+ * @private
+ * @returns {Promise<Object>} Quoted, schema-qualified { snapshots, ops, milestones } table names
+ */
+SqliteShareDB.prototype._ready = async function(collection) {
+  if (this.closed) {
+    throw new Error('Database closed');
+  }
+  if (typeof collection !== 'string' || !collection) {
+    throw new Error('Invalid collection: ' + collection);
+  }
+
+  if (!this._connecting) {
+    const db = this;
+    db._connecting = db.adapter.connect().catch(function(error) {
+      db._connecting = null;
+      throw error;
+    });
+  }
+  await this._connecting;
+
+  let ready = this._collections.get(collection);
+  if (!ready) {
+    ready = this._createTables(collection);
+    this._collections.set(collection, ready);
+    const collections = this._collections;
+    ready.catch(function() {
+      collections.delete(collection);
+    });
+  }
+  return ready;
+};
+
+/**
+ * Unquoted table names of a collection
+ * @private
+ */
+SqliteShareDB.prototype._tableNames = function(collection) {
+  const base = this.tablePrefix + collection;
+  return {
+    snapshots: base + '_snapshots',
+    ops: base + '_ops',
+    milestones: base + '_milestones'
+  };
+};
+
+/**
+ * Create the tables and indexes of a collection if they do not exist
+ * @private
+ */
+SqliteShareDB.prototype._createTables = async function(collection) {
+  const db = this;
+  const schema = quoteIdentifier(db.schema);
+  const names = db._tableNames(collection);
+  const tables = {
+    snapshots: schema + '.' + quoteIdentifier(names.snapshots),
+    ops: schema + '.' + quoteIdentifier(names.ops),
+    milestones: schema + '.' + quoteIdentifier(names.milestones)
+  };
+
+  await db.adapter.transaction(async function() {
+    await db.adapter.runAsync(
+      'CREATE TABLE IF NOT EXISTS ' + tables.snapshots + ' (' +
+      'id TEXT PRIMARY KEY, v INTEGER NOT NULL, type TEXT, data TEXT, metadata TEXT, mtime INTEGER)'
+    );
+    await db.adapter.runAsync(
+      'CREATE TABLE IF NOT EXISTS ' + tables.ops + ' (' +
+      'doc_id TEXT NOT NULL, v INTEGER NOT NULL, src TEXT, seq INTEGER, op TEXT NOT NULL, ' +
+      'PRIMARY KEY (doc_id, v))'
+    );
+    await db.adapter.runAsync(
+      'CREATE INDEX IF NOT EXISTS ' + schema + '.' + quoteIdentifier(names.ops + '_src_seq') +
+      ' ON ' + quoteIdentifier(names.ops) + ' (doc_id, src, seq)'
+    );
+    await db.adapter.runAsync(
+      'CREATE TABLE IF NOT EXISTS ' + tables.milestones + ' (' +
+      'doc_id TEXT NOT NULL, v INTEGER NOT NULL, type TEXT, data TEXT, metadata TEXT, mtime INTEGER, ' +
+      'PRIMARY KEY (doc_id, v))'
+    );
+    await db.adapter.runAsync(
+      'CREATE INDEX IF NOT EXISTS ' + schema + '.' + quoteIdentifier(names.milestones + '_mtime') +
+      ' ON ' + quoteIdentifier(names.milestones) + ' (doc_id, mtime)'
+    );
+  });
+
+  db.logger.debug('Collection tables ready', {collection: collection, schema: db.schema});
+  return tables;
+};
+
+function snapshotParams(id, snapshot) {
+  const deleted = snapshot.type == null;
+  return [
+    id,
+    snapshot.v,
+    deleted ? null : snapshot.type,
+    deleted || snapshot.data === undefined ? null : JSON.stringify(snapshot.data),
+    snapshot.m == null ? null : JSON.stringify(snapshot.m),
+    snapshot.m && typeof snapshot.m.mtime === 'number' ? snapshot.m.mtime : null
+  ];
+}
+
+function toSnapshot(row, metadata) {
+  return {
+    id: row.id,
+    v: row.v,
+    type: row.type,
+    data: row.data == null ? undefined : JSON.parse(row.data),
+    m: metadata && row.metadata != null ? JSON.parse(row.metadata) : null
+  };
+}
+
+function emptySnapshot(id) {
+  return {id: id, v: 0, type: null, data: undefined, m: null};
+}
+
+function includeMetadata(fields, options) {
+  return !!((fields && fields.$submit) || (options && options.metadata));
+}
+
+function nullable(value) {
+  return value === undefined ? null : value;
+}
+
+function argumentError(message) {
+  const error = new Error(message);
+  error.code = ERR_MILESTONE_ARGUMENT_INVALID;
+  return error;
+}
+
+/**
+ * Settle a promise through a Node-style callback, or return it when there is none
+ * @private
+ */
+function respond(promise, callback) {
+  if (typeof callback !== 'function') {
+    return promise;
+  }
+  promise.then(function(result) {
+    process.nextTick(callback, null, result);
+  }, function(error) {
+    process.nextTick(callback, error);
+  });
+}
+
+module.exports = SqliteShareDB;
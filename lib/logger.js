@@ -3,18 +3,123 @@
  * Matches the interface expected by ShareDB components
  */
 
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+function format(message, fields) {
+  return fields && Object.keys(fields).length > 0
+    ? message + ' ' + JSON.stringify(fields, stringifyBigInt)
+    : message;
+}
+
+// Parameters and row values may be BigInts when safeIntegers is enabled
+function stringifyBigInt(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
 const logger = {
-  info: function(message) {
-    console.log('[INFO] ' + message);
+  debug: function(message, fields) {
+    console.log('[DEBUG] ' + format(message, fields));
   },
 
-  warn: function(message) {
-    console.warn('[WARN] ' + message);
+  info: function(message, fields) {
+    console.log('[INFO] ' + format(message, fields));
   },
 
-  error: function(message) {
-    console.error('[ERROR] ' + message);
+  warn: function(message, fields) {
+    console.warn('[WARN] ' + format(message, fields));
+  },
+
+  error: function(message, fields) {
+    console.error('[ERROR] ' + format(message, fields));
   },
 };
 
+/**
+ * Create the leveled, structured logger used by the adapters
+ *
+ * Log calls take a message and an object of structured fields. They are
+ * forwarded as logger[level](message, fields), which suits winston and the
+ * console-based default logger above, or as logger[level](fields, message)
+ * when loggerStyle is 'pino'.
+ *
+ * @param {Object} options - Adapter options
+ * @param {Object} options.logger - Target logger with debug/info/warn/error methods (default: console-based logger)
+ * @param {string} options.loggerStyle - 'winston' (default) or 'pino' argument order
+ * @param {string} options.logLevel - Minimum level: debug, info, warn, error or silent
+ *   (default: 'debug' when options.debug is set, else 'info' with a custom logger, else 'silent')
+ * @param {boolean|Function} options.redactParams - Replace SQL parameters in log fields (default: true);
+ *   pass false to log them as-is, or a function mapping params to what should be logged
+ * @param {string} component - Name added to every entry as the `component` field
+ * @returns {Object} Logger with debug/info/warn/error(message, fields), isLevelEnabled(level) and params(params)
+ */
+function createLogger(options, component) {
+  options = options || {};
+  const target = options.logger || logger;
+  const pinoStyle = options.loggerStyle === 'pino';
+  const levelName = options.logLevel || (options.debug ? 'debug' : (options.logger ? 'info' : 'silent'));
+  const threshold = LEVELS[levelName];
+  const redact = options.redactParams === undefined ? true : options.redactParams;
+
+  if (threshold === undefined) {
+    throw new Error('Unknown log level: ' + levelName);
+  }
+
+  function isLevelEnabled(level) {
+    return LEVELS[level] >= threshold;
+  }
+
+  function log(level, message, fields) {
+    if (!isLevelEnabled(level) || typeof target[level] !== 'function') {
+      return;
+    }
+    const entry = Object.assign({component: component}, fields);
+    if (pinoStyle) {
+      target[level](entry, message);
+    } else {
+      target[level](message, entry);
+    }
+  }
+
+  return {
+    level: levelName,
+    isLevelEnabled: isLevelEnabled,
+    debug: function(message, fields) { log('debug', message, fields); },
+    info: function(message, fields) { log('info', message, fields); },
+    warn: function(message, fields) { log('warn', message, fields); },
+    error: function(message, fields) { log('error', message, fields); },
+
+    /**
+     * Prepare SQL parameters for logging according to the redactParams option
+     */
+    params: function(params) {
+      if (typeof redact === 'function') {
+        return redact(params);
+      }
+      if (!redact || params === undefined || params === null) {
+        return params;
+      }
+      if (Array.isArray(params)) {
+        return params.map(function() { return '[REDACTED]'; });
+      }
+      if (typeof params === 'object') {
+        const redacted = {};
+        for (const key of Object.keys(params)) {
+          redacted[key] = '[REDACTED]';
+        }
+        return redacted;
+      }
+      return '[REDACTED]';
+    }
+  };
+}
+
+logger.LEVELS = LEVELS;
+logger.createLogger = createLogger;
+
 module.exports = logger;
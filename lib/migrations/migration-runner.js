@@ -0,0 +1,224 @@
+/**
+ * Versioned schema migrations for a database or an attached schema
+ *
+ * The applied version is tracked with PRAGMA user_version of the target
+ * schema, so the main database and every attached alias are versioned
+ * independently. Each migration runs inside adapter.transaction(), together
+ * with the user_version update, so a failing migration leaves no trace.
+ * The transaction takes the write lock up front and re-reads user_version,
+ * so when several processes migrate at once each step is applied only once.
+ *
+ * A migration looks like:
+ *   {
+ *     version: 1,                // positive integer, unique and ascending
+ *     name: 'create docs',       // optional, used in status reports
+ *     up: function(adapter, context) { ... } | 'SQL' | ['SQL', ...],
+ *     down: function(adapter, context) { ... } | 'SQL' | ['SQL', ...]  // optional
+ *   }
+ * Functions receive the adapter and { schema, version } and may return a Promise.
+ */
+const { quoteIdentifier } = require('../utils/pragma-utils');
+const { validateAlias } = require('../utils/attach-utils');
+const { createLogger } = require('../logger');
+
+/**
+ * Create a migration runner
+ * @param {Object} adapter - Any SqliteAdapter (runAsync, getFirstAsync, transaction)
+ * @param {Array} migrations - Migration definitions
+ * @param {Object} options - Runner options
+ * @param {string} options.schema - Schema to migrate: 'main' or an attached alias (default: 'main')
+ * @param {boolean} options.debug - Enable debug logging (default: false)
+ * @param {Object} options.logger - Logger for applied steps, see createLogger()
+ */
+function MigrationRunner(adapter, migrations, options) {
+  if (!adapter) {
+    throw new Error('adapter is required');
+  }
+
+  this.adapter = adapter;
+  this.options = options || {};
+  this.schema = this.options.schema || 'main';
+  if (this.schema !== 'main') {
+    validateAlias(this.schema);
+  }
+  this.debug = this.options.debug || false;
+  this.logger = createLogger(this.options, 'MigrationRunner');
+  this.migrations = validateMigrations(migrations || []);
+}
+
+/**
+ * Get the version currently recorded in the schema
+ * @returns {Promise<number>}
+ */
+MigrationRunner.prototype.getCurrentVersion = async function() {
+  const row = await this.adapter.getFirstAsync('PRAGMA ' + quoteIdentifier(this.schema) + '.user_version');
+  return row ? row.user_version : 0;
+};
+
+/**
+ * Get the latest version known to this runner
+ * @returns {number}
+ */
+MigrationRunner.prototype.getLatestVersion = function() {
+  return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+};
+
+/**
+ * Report applied and pending migrations
+ * @returns {Promise<Object>} { schema, currentVersion, latestVersion, applied: [{ version, name }], pending: [{ version, name }] }
+ */
+MigrationRunner.prototype.status = async function() {
+  const currentVersion = await this.getCurrentVersion();
+
+  return {
+    schema: this.schema,
+    currentVersion: currentVersion,
+    latestVersion: this.getLatestVersion(),
+    applied: this.migrations.filter(function(migration) {
+      return migration.version <= currentVersion;
+    }).map(summarize),
+    pending: this.migrations.filter(function(migration) {
+      return migration.version > currentVersion;
+    }).map(summarize)
+  };
+};
+
+/**
+ * Migrate up to the latest version, or up or down to a target version
+ * @param {Object} options - Migrate options
+ * @param {number} options.to - Target version (default: latest)
+ * @returns {Promise<Object>} { schema, from, to, steps: [{ version, name, direction }] }
+ */
+MigrationRunner.prototype.migrate = async function(options) {
+  options = options || {};
+  const from = await this.getCurrentVersion();
+  const target = options.to === undefined ? Math.max(from, this.getLatestVersion()) : options.to;
+  const steps = [];
+
+  if (!Number.isInteger(target) || target < 0) {
+    throw new Error('Migration target must be a non-negative integer: ' + target);
+  }
+  if (options.to !== undefined && target !== 0 && !this._find(target)) {
+    throw new Error('Unknown migration version: ' + target);
+  }
+
+  if (target > from) {
+    for (const migration of this.migrations) {
+      if (migration.version > from && migration.version <= target &&
+          await this._apply(migration, 'up', migration.version)) {
+        steps.push(Object.assign(summarize(migration), {direction: 'up'}));
+      }
+    }
+  } else if (target < from) {
+    for (let i = this.migrations.length - 1; i >= 0; i--) {
+      const migration = this.migrations[i];
+      if (migration.version <= from && migration.version > target) {
+        const previous = i > 0 ? this.migrations[i - 1].version : 0;
+        if (await this._apply(migration, 'down', previous)) {
+          steps.push(Object.assign(summarize(migration), {direction: 'down'}));
+        }
+      }
+    }
+  }
+
+  return {
+    schema: this.schema,
+    from: from,
+    to: await this.getCurrentVersion(),
+    steps: steps
+  };
+};
+
+/**
+ * Run one migration step and record the resulting version in one transaction.
+ * The version is checked again inside the transaction, and the step is skipped
+ * if another process has already applied it.
+ * @returns {Promise<boolean>} Whether the step ran
+ * @private
+ */
+MigrationRunner.prototype._apply = async function(migration, direction, resultingVersion) {
+  const runner = this;
+  const step = migration[direction];
+
+  if (!step) {
+    throw new Error('Migration ' + migration.version + ' has no ' + direction + ' step');
+  }
+
+  const schema = quoteIdentifier(runner.schema);
+  const applied = await runner.adapter.transaction(async function() {
+    const current = await runner.getCurrentVersion();
+    if (direction === 'up' ? current >= migration.version : current < migration.version) {
+      return false;
+    }
+    if (typeof step === 'function') {
+      await step(runner.adapter, {schema: runner.schema, version: migration.version});
+    } else {
+      const statements = Array.isArray(step) ? step : [step];
+      for (const sql of statements) {
+        await runner.adapter.runAsync(sql);
+      }
+    }
+    await runner.adapter.runAsync('PRAGMA ' + schema + '.user_version = ' + resultingVersion);
+    return true;
+  }, {immediate: true});
+
+  if (!applied) {
+    return false;
+  }
+
+  runner.logger.info('Applied migration', {
+    schema: runner.schema,
+    version: migration.version,
+    name: migration.name || null,
+    direction: direction
+  });
+  return true;
+};
+
+/**
+ * @private
+ */
+MigrationRunner.prototype._find = function(version) {
+  return this.migrations.find(function(migration) {
+    return migration.version === version;
+  });
+};
+
+/**
+ * Migrate several schemas of one adapter to their latest versions
+ * @param {Object} adapter - Any SqliteAdapter
+ * @param {Object} migrationsBySchema - Map of schema name ('main' or alias) to migration list
+ * @param {Object} options - Options passed to each MigrationRunner
+ * @returns {Promise<Object>} Map of schema name to migrate() result
+ */
+MigrationRunner.migrateAll = async function(adapter, migrationsBySchema, options) {
+  const results = {};
+  for (const schema of Object.keys(migrationsBySchema)) {
+    const runner = new MigrationRunner(adapter, migrationsBySchema[schema], Object.assign({}, options, {schema: schema}));
+    results[schema] = await runner.migrate();
+  }
+  return results;
+};
+
+function summarize(migration) {
+  return {version: migration.version, name: migration.name || null};
+}
+
+function validateMigrations(migrations) {
+  let previous = 0;
+  return migrations.map(function(migration) {
+    if (!migration || !Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error('Each migration must have a positive integer version');
+    }
+    if (migration.version <= previous) {
+      throw new Error('Migration versions must be unique and ascending: ' + migration.version);
+    }
+    if (!migration.up) {
+      throw new Error('Migration ' + migration.version + ' must have an up step');
+    }
+    previous = migration.version;
+    return migration;
+  });
+}
+
+module.exports = MigrationRunner;
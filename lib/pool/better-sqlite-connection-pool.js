@@ -0,0 +1,418 @@
+const AttachedBetterSqliteAdapter = require('../adapters/attached-better-sqlite-adapter');
+const { createLogger } = require('../logger');
+
+// Options that only make sense on the writer and are never passed to readers
+const WRITER_ONLY_OPTIONS = ['checkpoints', 'maintenanceSchedule'];
+
+/**
+ * BetterSqliteConnectionPool - read/write connection pool for better-sqlite3
+ *
+ * In WAL mode SQLite allows readers to run alongside a single writer, so the
+ * pool keeps one writer connection plus N read-only reader connections.
+ * getFirstAsync/getAllAsync are routed to the readers and everything else to
+ * the writer. Reads issued from inside a writer transaction stay on the writer
+ * so they see the transaction's own changes. Every pooled connection is an
+ * AttachedBetterSqliteAdapter, so the configured attachments are applied to
+ * each of them.
+ *
+ * Implements the withConnection(operation, callback) contract described in
+ * docs/CONNECTION_POOLING_GUIDE.md.
+ *
+ * @param {string} dbPath - Path to the database file
+ * @param {Object} attachmentConfig - Attachments applied to every connection
+ * @param {Array} attachmentConfig.attachments - Array of databases to attach
+ * @param {Object} options - Adapter options for every connection, plus:
+ * @param {number} options.readers - Number of read-only connections (default: 2, ignored without WAL)
+ * @param {Object} options.logger - Logger for the pool and its connections, see createLogger()
+ * @param {Object} options.checkpoints - Checkpoint schedule, run on the writer only
+ * @param {Object} options.maintenanceSchedule - Maintenance schedule, run on the writer only
+ */
+function BetterSqliteConnectionPool(dbPath, attachmentConfig, options) {
+  if (!dbPath) {
+    throw new Error('dbPath is required');
+  }
+  if (dbPath === ':memory:') {
+    throw new Error('In-memory databases cannot be shared between pooled connections');
+  }
+
+  this.dbPath = dbPath;
+  this.attachmentConfig = attachmentConfig || {};
+  this.options = options || {};
+  this.debug = this.options.debug || false;
+  this.logger = createLogger(this.options, 'BetterSqliteConnectionPool');
+  this.readerCount = this.options.enableWAL === false
+    ? 0
+    : (this.options.readers === undefined ? 2 : this.options.readers);
+
+  this.writer = null;
+  this.readers = [];
+  this._nextReader = 0;
+  this._lastHealthCheck = null;
+
+  this.stats = {
+    connectionsCreated: 0,
+    connectionsDestroyed: 0,
+    acquireSuccesses: 0,
+    acquireFailures: 0,
+    borrowed: 0,
+    readQueries: 0,
+    writeQueries: 0
+  };
+}
+
+/**
+ * Open the writer connection, then the readers
+ */
+BetterSqliteConnectionPool.prototype.connect = async function() {
+  if (this.writer) {
+    return;
+  }
+
+  const writer = new AttachedBetterSqliteAdapter(this.dbPath, this._attachmentConfig(false), this.options);
+  await writer.connect();
+  this.writer = writer;
+  this.stats.connectionsCreated++;
+
+  try {
+    for (let i = 0; i < this.readerCount; i++) {
+      // The writer has already switched the file to WAL and created any
+      // missing attachments, so readers only need to open what exists
+      const readerOptions = Object.assign({}, this.options, {
+        readonly: true,
+        fileMustExist: true,
+        enableWAL: false
+      });
+      for (const key of WRITER_ONLY_OPTIONS) {
+        delete readerOptions[key];
+      }
+      const reader = new AttachedBetterSqliteAdapter(this.dbPath, this._attachmentConfig(true), readerOptions);
+      await reader.connect();
+      this.readers.push(reader);
+      this.stats.connectionsCreated++;
+    }
+  } catch (error) {
+    await this.disconnect();
+    throw error;
+  }
+
+  this.logger.info('Opened connection pool', {dbPath: this.dbPath, writers: 1, readers: this.readers.length});
+};
+
+/**
+ * Close every pooled connection
+ */
+BetterSqliteConnectionPool.prototype.disconnect = async function() {
+  const connections = this._connections();
+  this.writer = null;
+  this.readers = [];
+
+  for (const connection of connections) {
+    await connection.disconnect();
+    this.stats.connectionsDestroyed++;
+  }
+
+  this.logger.info('Closed connection pool', {dbPath: this.dbPath, connections: connections.length});
+};
+
+/**
+ * Execute a SQL statement on the writer connection
+ */
+BetterSqliteConnectionPool.prototype.runAsync = async function(sql, params, options) {
+  this.stats.writeQueries++;
+  return this._writer().runAsync(sql, params, options);
+};
+
+/**
+ * Execute one statement for many parameter sets on the writer connection
+ * See BetterSqliteAdapter.prototype.runBatchAsync()
+ */
+BetterSqliteConnectionPool.prototype.runBatchAsync = async function(sql, paramsArray, options) {
+  this.stats.writeQueries++;
+  return this._writer().runBatchAsync(sql, paramsArray, options);
+};
+
+/**
+ * Execute a list of statements on the writer connection
+ * See BetterSqliteAdapter.prototype.runStatementsAsync()
+ */
+BetterSqliteConnectionPool.prototype.runStatementsAsync = async function(statements, options) {
+  this.stats.writeQueries++;
+  return this._writer().runStatementsAsync(statements, options);
+};
+
+/**
+ * Get the first row from a SELECT query using a reader connection
+ */
+BetterSqliteConnectionPool.prototype.getFirstAsync = async function(sql, params, options) {
+  return this._readerForQuery().getFirstAsync(sql, params, options);
+};
+
+/**
+ * Get all rows from a SELECT query using a reader connection
+ */
+BetterSqliteConnectionPool.prototype.getAllAsync = async function(sql, params, options) {
+  return this._readerForQuery().getAllAsync(sql, params, options);
+};
+
+/**
+ * Stream the rows of a SELECT query from a reader connection, so the writer
+ * stays free while the iteration is open
+ * See BetterSqliteAdapter.prototype.iterateAsync()
+ */
+BetterSqliteConnectionPool.prototype.iterateAsync = function(sql, params, options) {
+  return this._readerForQuery().iterateAsync(sql, params, options);
+};
+
+/**
+ * Execute operations in a transaction on the writer connection
+ */
+BetterSqliteConnectionPool.prototype.transaction = async function(operations, options) {
+  return this._writer().transaction(operations, options);
+};
+
+/**
+ * Run an operation with the writer connection
+ * @param {Function} operation - Called with the connection; may return a Promise
+ * @param {Function} callback - Optional, called with (error, result). A Promise is returned when omitted.
+ */
+BetterSqliteConnectionPool.prototype.withConnection = function(operation, callback) {
+  return this._withConnection(operation, callback, false);
+};
+
+/**
+ * Run a read-only operation with a reader connection
+ * @param {Function} operation - Called with the connection; may return a Promise
+ * @param {Function} callback - Optional, called with (error, result). A Promise is returned when omitted.
+ */
+BetterSqliteConnectionPool.prototype.withReadConnection = function(operation, callback) {
+  return this._withConnection(operation, callback, true);
+};
+
+/**
+ * Report the effective PRAGMA values of the writer connection
+ * @param {string} alias - 'main' or an attached alias (default: 'main')
+ */
+BetterSqliteConnectionPool.prototype.getPragmas = function(alias) {
+  return this._writer().getPragmas(alias);
+};
+
+/**
+ * Attach a database on every pooled connection
+ * @param {string} dbPath - Path to the database file to attach
+ * @param {string} alias - Alias for accessing the attached database
+ * @param {boolean} createIfNotExists - Create the file if it doesn't exist
+ * @param {Object} options - Attachment options, see AttachedBetterSqliteAdapter.prototype.attachDatabase()
+ */
+BetterSqliteConnectionPool.prototype.attachDatabase = async function(dbPath, alias, createIfNotExists, options) {
+  await this._writer().attachDatabase(dbPath, alias, createIfNotExists, options);
+  for (const reader of this.readers) {
+    await reader.attachDatabase(dbPath, alias, false, options);
+  }
+};
+
+/**
+ * Detach a database from every pooled connection
+ * @param {string} alias - Alias of the database to detach
+ */
+BetterSqliteConnectionPool.prototype.detachDatabase = async function(alias) {
+  for (const connection of this._connections()) {
+    await connection.detachDatabase(alias);
+  }
+};
+
+/**
+ * Report SQLite's attached-database limit and how much of it is in use.
+ * Every pooled connection attaches the same databases, so the writer's
+ * figures apply to all of them.
+ * @returns {Promise<Object>} { max, attached, available }
+ */
+BetterSqliteConnectionPool.prototype.getAttachLimit = async function() {
+  return this._writer().getAttachLimit();
+};
+
+/**
+ * Create indexes inside main or an attached schema, see AttachedBetterSqliteAdapter#ensureIndexes
+ * @returns {Promise<Object>} { alias, created, recreated, dropped, unchanged, stale }
+ */
+BetterSqliteConnectionPool.prototype.ensureIndexes = async function(alias, indexSpecs, options) {
+  return this._writer().ensureIndexes(alias, indexSpecs, options);
+};
+
+/**
+ * Check if a database is currently attached
+ * @param {string} alias - Alias to check
+ * @returns {boolean} true if attached, false otherwise
+ */
+BetterSqliteConnectionPool.prototype.isAttached = function(alias) {
+  return this.writer ? this.writer.isAttached(alias) : false;
+};
+
+/**
+ * Get list of all currently attached database aliases
+ * @returns {string[]} Array of alias strings
+ */
+BetterSqliteConnectionPool.prototype.getAttachedAliases = function() {
+  return this.writer ? this.writer.getAttachedAliases() : [];
+};
+
+/**
+ * Run `SELECT 1` on every pooled connection
+ * @returns {Promise<Object>} { isHealthy, healthScore, connections: [{ role, index, healthy, error? }] }
+ */
+BetterSqliteConnectionPool.prototype.healthCheck = async function() {
+  const connections = this._connections();
+  const results = [];
+
+  for (let i = 0; i < connections.length; i++) {
+    const result = {
+      role: i === 0 ? 'writer' : 'reader',
+      index: i === 0 ? 0 : i - 1,
+      healthy: true
+    };
+    try {
+      await connections[i].getFirstAsync('SELECT 1');
+    } catch (error) {
+      result.healthy = false;
+      result.error = error.message;
+    }
+    results.push(result);
+  }
+
+  const healthyCount = results.filter(function(result) {
+    return result.healthy;
+  }).length;
+
+  this._lastHealthCheck = {
+    isHealthy: results.length > 0 && healthyCount === results.length,
+    healthScore: results.length > 0 ? Math.round(healthyCount / results.length * 100) : 0,
+    connections: results
+  };
+
+  if (!this._lastHealthCheck.isHealthy) {
+    this.logger.warn('Health check failed', {dbPath: this.dbPath, connections: results});
+  }
+
+  return this._lastHealthCheck;
+};
+
+/**
+ * Get pool statistics
+ * @returns {Object} Pool size, borrowed/available counts, lifecycle counters and last health check result
+ */
+BetterSqliteConnectionPool.prototype.getStats = function() {
+  const size = this._connections().length;
+  const health = this._lastHealthCheck;
+
+  return {
+    size: size,
+    readers: this.readers.length,
+    writers: this.writer ? 1 : 0,
+    borrowed: this.stats.borrowed,
+    available: Math.max(size - this.stats.borrowed, 0),
+    connectionsCreated: this.stats.connectionsCreated,
+    connectionsDestroyed: this.stats.connectionsDestroyed,
+    acquireSuccesses: this.stats.acquireSuccesses,
+    acquireFailures: this.stats.acquireFailures,
+    readQueries: this.stats.readQueries,
+    writeQueries: this.stats.writeQueries,
+    healthScore: health ? health.healthScore : (size > 0 ? 100 : 0),
+    isHealthy: health ? health.isHealthy : size > 0
+  };
+};
+
+/**
+ * @private
+ */
+BetterSqliteConnectionPool.prototype._withConnection = function(operation, callback, readOnly) {
+  const pool = this;
+
+  const promise = Promise.resolve().then(function() {
+    let connection;
+    try {
+      connection = readOnly ? pool._reader() : pool._writer();
+    } catch (error) {
+      pool.stats.acquireFailures++;
+      throw error;
+    }
+
+    pool.stats.acquireSuccesses++;
+    pool.stats.borrowed++;
+    return Promise.resolve()
+      .then(function() {
+        return operation(connection);
+      })
+      .finally(function() {
+        pool.stats.borrowed--;
+      });
+  });
+
+  if (typeof callback !== 'function') {
+    return promise;
+  }
+
+  promise.then(function(result) {
+    callback(null, result);
+  }, function(error) {
+    callback(error);
+  });
+};
+
+/**
+ * Pick the connection for a single read query
+ * @private
+ */
+BetterSqliteConnectionPool.prototype._readerForQuery = function() {
+  const writer = this._writer();
+  if (writer._currentTransaction()) {
+    this.stats.writeQueries++;
+    return writer;
+  }
+  this.stats.readQueries++;
+  return this._reader();
+};
+
+/**
+ * Round-robin over the readers, falling back to the writer when there are none
+ * @private
+ */
+BetterSqliteConnectionPool.prototype._reader = function() {
+  if (this.readers.length === 0) {
+    return this._writer();
+  }
+  const reader = this.readers[this._nextReader % this.readers.length];
+  this._nextReader = (this._nextReader + 1) % this.readers.length;
+  return reader;
+};
+
+/**
+ * @private
+ */
+BetterSqliteConnectionPool.prototype._writer = function() {
+  if (!this.writer) {
+    throw new Error('Connection pool not connected');
+  }
+  return this.writer;
+};
+
+/**
+ * @private
+ */
+BetterSqliteConnectionPool.prototype._connections = function() {
+  return this.writer ? [this.writer].concat(this.readers) : this.readers.slice();
+};
+
+/**
+ * Attachment config for a pooled connection. Readers never create files.
+ * @private
+ */
+BetterSqliteConnectionPool.prototype._attachmentConfig = function(forReader) {
+  return {
+    attachments: (this.attachmentConfig.attachments || []).map(function(attachment) {
+      return Object.assign({}, attachment, {
+        createIfNotExists: forReader ? false : attachment.createIfNotExists
+      });
+    })
+  };
+};
+
+module.exports = BetterSqliteConnectionPool;
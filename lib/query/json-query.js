@@ -0,0 +1,414 @@
+/**
+ * Mongo-style queries over JSON documents stored as text
+ *
+ * A query is a filter plus optional $sort, $skip and $limit:
+ *   {
+ *     published: true,                        // equality, also matches array elements
+ *     'author.name': { $in: ['ann', 'bob'] }, // nested paths; digits index arrays
+ *     views: { $gte: 10, $lt: 100 },
+ *     deletedAt: { $exists: false },
+ *     $or: [{ tags: 'sqlite' }, { tags: 'sharedb' }],
+ *     $sort: { views: -1 }, $skip: 20, $limit: 10
+ *   }
+ *
+ * Supported operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists,
+ * $and, $or and $nor. Queries compile to SQL using the JSON1 functions, with
+ * every value and path bound as a named parameter (@p0, @p1, ...). As in
+ * MongoDB, comparisons only match values of the same kind (numbers with
+ * numbers, strings with strings), a missing field equals null, and a field
+ * holding an array matches when any element does. `_id` refers to the id
+ * column.
+ */
+const { quoteIdentifier } = require('../utils/pragma-utils');
+
+const COMPARISONS = {
+  $eq: '=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+const QUERY_KEYS = ['$sort', '$skip', '$limit'];
+
+/**
+ * Create a query runner for one table
+ * @param {Object} adapter - Any SqliteAdapter (getAllAsync)
+ * @param {Object} options - Table options, see compileQuery()
+ */
+function JsonQuery(adapter, options) {
+  if (!adapter) {
+    throw new Error('adapter is required');
+  }
+  this.adapter = adapter;
+  this.options = resolveOptions(options);
+}
+
+/**
+ * Compile a query without running it
+ * @param {Object} query - Filter with optional $sort, $skip and $limit
+ * @returns {Object} { sql, params } with params an object of named parameters
+ */
+JsonQuery.prototype.compile = function(query) {
+  return compileQuery(query, this.options);
+};
+
+/**
+ * Run a query and return the matching documents, parsed
+ * @param {Object} query - Filter with optional $sort, $skip and $limit
+ * @param {Object} projection - Fields to keep ({ title: 1 }) or to drop ({ body: 0 })
+ * @returns {Promise<Array>} Documents; with options.idField each carries its id in that property
+ */
+JsonQuery.prototype.find = async function(query, projection) {
+  const options = this.options;
+  const compiled = compileQuery(query, options);
+  const rows = await this.adapter.getAllAsync(compiled.sql, compiled.params);
+
+  return rows.map(function(row) {
+    let document = row.document == null ? null : JSON.parse(row.document);
+    if (projection) {
+      document = project(document, projection);
+    }
+    if (options.idField && document && typeof document === 'object') {
+      document[options.idField] = row.id;
+    }
+    return document;
+  });
+};
+
+/**
+ * Compile a query into a SELECT statement
+ * @param {Object} query - Filter with optional $sort, $skip and $limit
+ * @param {Object} options - Table options
+ * @param {string} options.table - Table holding the documents (required)
+ * @param {string} options.schema - Schema of the table, e.g. an attached alias (default: none)
+ * @param {string} options.column - Column holding the JSON text (default: 'data')
+ * @param {string} options.idColumn - Column holding the document id, used for _id (default: 'id')
+ * @param {string} options.select - Columns to select, as SQL (default: id AS id, column AS document)
+ * @param {string} options.where - Extra SQL condition every row must meet
+ * @returns {Object} { sql, params } with params an object of named parameters
+ */
+function compileQuery(query, options) {
+  options = resolveOptions(options);
+  query = query || {};
+  const params = {};
+
+  const filter = {};
+  for (const key of Object.keys(query)) {
+    if (QUERY_KEYS.indexOf(key) === -1) {
+      filter[key] = query[key];
+    }
+  }
+
+  const conditions = [];
+  if (options.where) {
+    conditions.push('(' + options.where + ')');
+  }
+  const where = compileFilterInto(filter, options, params);
+  if (where !== '1') {
+    conditions.push(where);
+  }
+
+  const select = options.select ||
+    (options.idColumn ? quoteIdentifier(options.idColumn) + ' AS id, ' : '') +
+    quoteIdentifier(options.column) + ' AS document';
+  let sql = 'SELECT ' + select + ' FROM ' + tableName(options) +
+    (conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '');
+
+  if (query.$sort !== undefined) {
+    sql += ' ORDER BY ' + compileSort(query.$sort, options, params);
+  }
+  if (query.$limit !== undefined || query.$skip !== undefined) {
+    sql += ' LIMIT ' + bind(params, query.$limit === undefined ? -1 : count('$limit', query.$limit));
+    if (query.$skip !== undefined) {
+      sql += ' OFFSET ' + bind(params, count('$skip', query.$skip));
+    }
+  }
+
+  return {sql: sql, params: params};
+}
+
+/**
+ * Compile just the filter part of a query into a WHERE condition
+ * @param {Object} filter - Filter object (no $sort, $skip or $limit)
+ * @param {Object} options - { column, idColumn }
+ * @returns {Object} { sql, params } with params an object of named parameters
+ */
+function compileFilter(filter, options) {
+  const params = {};
+  const sql = compileFilterInto(filter || {}, resolveOptions(Object.assign({table: '-'}, options)), params);
+  return {sql: sql, params: params};
+}
+
+function resolveOptions(options) {
+  options = Object.assign({column: 'data', idColumn: 'id'}, options);
+  if (typeof options.table !== 'string' || !options.table) {
+    throw new Error('table is required');
+  }
+  return options;
+}
+
+function tableName(options) {
+  return (options.schema ? quoteIdentifier(options.schema) + '.' : '') + quoteIdentifier(options.table);
+}
+
+function compileFilterInto(filter, options, params) {
+  if (!isPlainObject(filter)) {
+    throw new Error('Query filter must be an object');
+  }
+
+  const conditions = [];
+  for (const key of Object.keys(filter)) {
+    const value = filter[key];
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      conditions.push(compileLogical(key, value, options, params));
+    } else if (key.charAt(0) === '$') {
+      throw new Error('Unsupported query operator: ' + key);
+    } else {
+      conditions.push(compileField(key, value, options, params));
+    }
+  }
+
+  return conditions.length === 0 ? '1' : conditions.join(' AND ');
+}
+
+function compileLogical(operator, filters, options, params) {
+  if (!Array.isArray(filters) || filters.length === 0) {
+    throw new Error(operator + ' needs a non-empty array of filters');
+  }
+
+  const parts = filters.map(function(filter) {
+    return '(' + compileFilterInto(filter, options, params) + ')';
+  });
+  if (operator === '$and') {
+    return '(' + parts.join(' AND ') + ')';
+  }
+  const any = '(' + parts.join(' OR ') + ')';
+  return operator === '$or' ? any : 'NOT ' + any;
+}
+
+function compileField(key, condition, options, params) {
+  const operators = isOperatorObject(key, condition) ? condition : {$eq: condition};
+
+  return '(' + Object.keys(operators).map(function(operator) {
+    return compileOperator(key, operator, operators[operator], options, params);
+  }).join(' AND ') + ')';
+}
+
+function compileOperator(key, operator, value, options, params) {
+  switch (operator) {
+    case '$eq':
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte':
+      return matchAny(key, options, params, function(target) {
+        return compare(target, COMPARISONS[operator], value, params);
+      });
+    case '$ne':
+      return 'NOT ' + compileOperator(key, '$eq', value, options, params);
+    case '$in':
+      if (list(operator, value).length === 0) {
+        return '0';
+      }
+      return matchAny(key, options, params, function(target) {
+        return '(' + list(operator, value).map(function(item) {
+          return compare(target, '=', item, params);
+        }).join(' OR ') + ')';
+      });
+    case '$nin':
+      return 'NOT ' + compileOperator(key, '$in', list(operator, value), options, params);
+    case '$exists':
+      if (isIdKey(key, options)) {
+        return value ? '1' : '0';
+      }
+      return 'json_type(' + quoteIdentifier(options.column) + ', ' + bind(params, jsonPath(key)) + ') IS ' +
+        (value ? 'NOT NULL' : 'NULL');
+    default:
+      throw new Error('Unsupported query operator: ' + operator);
+  }
+}
+
+/**
+ * Match a condition against a field, or against any element when the field
+ * holds an array. condition(target) builds SQL over target.value and
+ * target.type, and is called once for the field and once for its elements.
+ * @private
+ */
+function matchAny(key, options, params, condition) {
+  if (isIdKey(key, options)) {
+    const column = quoteIdentifier(options.idColumn);
+    return condition({value: column, type: 'typeof(' + column + ')'});
+  }
+
+  const column = quoteIdentifier(options.column);
+  const path = bind(params, jsonPath(key));
+  const field = condition({value: 'json_extract(' + column + ', ' + path + ')', type: 'json_type(' + column + ', ' + path + ')'});
+  const element = condition({value: 'element.value', type: 'element.type'});
+
+  return '(' + field + ' OR (json_type(' + column + ', ' + path + ') IS \'array\' AND EXISTS (SELECT 1 FROM json_each(' +
+    column + ', ' + path + ') AS element WHERE ' + element + ')))';
+}
+
+/**
+ * Compare a JSON value with a query value. The type test comes first and never
+ * yields NULL, so the result is always 0 or 1 and can be negated safely.
+ * @private
+ */
+function compare(target, operator, value, params) {
+  const type = target.type;
+
+  if (value === null || value === undefined) {
+    // Missing fields equal null, as in MongoDB
+    return operator === '=' ? '(' + type + ' IS NULL OR ' + type + ' IS \'null\')' : '0';
+  }
+  if (typeof value === 'boolean') {
+    if (operator !== '=') {
+      throw new Error('Booleans can only be compared for equality');
+    }
+    return '(' + type + ' IS \'' + value + '\')';
+  }
+  if (typeof value === 'number') {
+    return '((' + type + ' IS \'integer\' OR ' + type + ' IS \'real\') AND ' + target.value + ' ' + operator + ' ' + bind(params, value) + ')';
+  }
+  if (typeof value === 'string') {
+    return '(' + type + ' IS \'text\' AND ' + target.value + ' ' + operator + ' ' + bind(params, value) + ')';
+  }
+  if (typeof value === 'object' && operator === '=') {
+    return '((' + type + ' IS \'object\' OR ' + type + ' IS \'array\') AND ' + target.value + ' IS json(' + bind(params, JSON.stringify(value)) + '))';
+  }
+  throw new Error('Unsupported query value: ' + JSON.stringify(value));
+}
+
+function compileSort(sort, options, params) {
+  const pairs = Array.isArray(sort) ? sort : Object.keys(sort || {}).map(function(key) {
+    return [key, sort[key]];
+  });
+  if (pairs.length === 0) {
+    throw new Error('$sort needs at least one field');
+  }
+
+  return pairs.map(function(pair) {
+    const direction = pair[1] === -1 || pair[1] === 'desc' ? 'DESC' : 'ASC';
+    if (pair[1] !== 1 && pair[1] !== -1 && pair[1] !== 'asc' && pair[1] !== 'desc') {
+      throw new Error('Invalid $sort direction for ' + pair[0] + ': ' + pair[1]);
+    }
+    if (isIdKey(pair[0], options)) {
+      return quoteIdentifier(options.idColumn) + ' ' + direction;
+    }
+    return 'json_extract(' + quoteIdentifier(options.column) + ', ' + bind(params, jsonPath(pair[0])) + ') ' + direction;
+  }).join(', ');
+}
+
+/**
+ * Keep ({ a: 1 }) or drop ({ a: 0 }) fields of a parsed document
+ * @private
+ */
+function project(document, projection) {
+  const keys = Object.keys(projection);
+  if (keys.length === 0 || !document || typeof document !== 'object') {
+    return document;
+  }
+
+  const include = !!projection[keys[0]];
+  if (keys.some(function(key) { return !!projection[key] !== include; })) {
+    throw new Error('Projection cannot mix included and excluded fields');
+  }
+
+  if (!include) {
+    const copy = JSON.parse(JSON.stringify(document));
+    for (const key of keys) {
+      const parts = key.split('.');
+      const parent = parts.slice(0, -1).reduce(function(node, part) {
+        return node && typeof node === 'object' ? node[part] : undefined;
+      }, copy);
+      if (parent && typeof parent === 'object') {
+        delete parent[parts[parts.length - 1]];
+      }
+    }
+    return copy;
+  }
+
+  const result = {};
+  for (const key of keys) {
+    const parts = key.split('.');
+    let source = document;
+    for (const part of parts) {
+      source = source && typeof source === 'object' ? source[part] : undefined;
+    }
+    if (source === undefined) {
+      continue;
+    }
+    let target = result;
+    for (const part of parts.slice(0, -1)) {
+      target = target[part] = target[part] || {};
+    }
+    target[parts[parts.length - 1]] = source;
+  }
+  return result;
+}
+
+/**
+ * Turn a dotted field name into a JSON path: 'author.name' -> '$."author"."name"',
+ * 'tags.0' -> '$."tags"[0]'
+ * @param {string} key
+ * @returns {string}
+ */
+function jsonPath(key) {
+  if (typeof key !== 'string' || key === '') {
+    throw new Error('Invalid field name: ' + key);
+  }
+  return '$' + key.split('.').map(function(part) {
+    return /^\d+$/.test(part) ? '[' + part + ']' : '.' + JSON.stringify(part);
+  }).join('');
+}
+
+/**
+ * Add a named parameter and return its placeholder
+ * @private
+ */
+function bind(params, value) {
+  const name = 'p' + Object.keys(params).length;
+  params[name] = value;
+  return '@' + name;
+}
+
+function isIdKey(key, options) {
+  return key === '_id' && !!options.idColumn;
+}
+
+function isOperatorObject(key, value) {
+  if (!isPlainObject(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  const operators = keys.filter(function(name) { return name.charAt(0) === '$'; });
+  if (operators.length > 0 && operators.length !== keys.length) {
+    throw new Error('Cannot mix operators and fields in the condition for ' + key);
+  }
+  return keys.length > 0 && operators.length === keys.length;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function list(operator, value) {
+  if (!Array.isArray(value)) {
+    throw new Error(operator + ' needs an array');
+  }
+  return value;
+}
+
+function count(name, value) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(name + ' must be a non-negative integer: ' + value);
+  }
+  return value;
+}
+
+JsonQuery.compileQuery = compileQuery;
+JsonQuery.compileFilter = compileFilter;
+JsonQuery.jsonPath = jsonPath;
+
+module.exports = JsonQuery;
@@ -0,0 +1,352 @@
+/**
+ * Full-text search over JSON documents with SQLite FTS5
+ *
+ * createIndex() builds an FTS5 table holding chosen JSON fields of a document
+ * table, in the same schema (main or an attached alias), plus triggers that
+ * keep it in sync on every insert, update and delete:
+ *
+ *   const search = new FullTextSearch(adapter, { schema: 'sharedb' });
+ *   await search.createIndex('posts', { table: 'posts_snapshots', fields: ['title', 'body'] });
+ *   const hits = await search.search('sqlite NEAR json', { collection: 'posts', snippet: true });
+ *   // [{ collection: 'posts', id: 'p1', score: 3.2, snippet: '... [SQLite] and [JSON] ...' }]
+ *
+ * Index rows share the rowid of their document, so the document table needs
+ * rowids (it may not be WITHOUT ROWID). Queries use FTS5 query syntax; use
+ * FullTextSearch.quote() to search for user input literally.
+ */
+const { quoteIdentifier } = require('../utils/pragma-utils');
+const { jsonPath } = require('../query/json-query');
+
+// Index column holding the document id
+const ID_COLUMN = 'doc_id';
+
+// Column names FTS5 reserves
+const RESERVED_FIELDS = [ID_COLUMN, 'rank', 'rowid'];
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Create a full-text search helper
+ * @param {Object} adapter - Any SqliteAdapter (runAsync, getAllAsync, getFirstAsync, transaction)
+ * @param {Object} options - Search options
+ * @param {string} options.schema - Schema holding the document tables: 'main' or an attached alias (default: 'main')
+ */
+function FullTextSearch(adapter, options) {
+  if (!adapter) {
+    throw new Error('adapter is required');
+  }
+
+  this.adapter = adapter;
+  this.options = options || {};
+  this.schema = this.options.schema || 'main';
+
+  // collection -> resolved index definition
+  this.indexes = new Map();
+}
+
+/**
+ * Create (or adopt) the full-text index of a collection. A new index is
+ * filled from the existing documents; an existing index whose fields differ
+ * is dropped and rebuilt.
+ * @param {string} collection - Collection name, used by search()
+ * @param {Object} options - Index options
+ * @param {string[]} options.fields - JSON fields to index, e.g. ['title', 'author.name'] (required)
+ * @param {string} options.table - Document table (default: the collection name)
+ * @param {string} options.column - Column holding the JSON text (default: 'data')
+ * @param {string} options.idColumn - Column holding the document id (default: 'id')
+ * @param {string} options.name - FTS5 table name (default: '<table>_fts')
+ * @param {string} options.tokenize - FTS5 tokenizer, e.g. 'porter unicode61' (default: FTS5's own)
+ * @returns {Promise<Object>} { collection, table, created, rebuilt, rows }
+ */
+FullTextSearch.prototype.createIndex = async function(collection, options) {
+  const search = this;
+  const index = resolveIndex(collection, options || {});
+  const schema = quoteIdentifier(search.schema);
+
+  const report = {collection: collection, table: index.name, created: false, rebuilt: false, rows: 0};
+
+  await search.adapter.transaction(async function() {
+    const columns = (await search.adapter.getAllAsync(
+      'SELECT name FROM pragma_table_info(?, ?)', [index.name, search.schema]
+    )).map(function(row) {
+      return row.name;
+    });
+
+    const expected = [ID_COLUMN].concat(index.fields);
+    if (columns.length > 0 && columns.join('\u0000') === expected.join('\u0000')) {
+      return;
+    }
+    if (columns.length > 0) {
+      await dropObjects(search.adapter, schema, index);
+      report.rebuilt = true;
+    }
+
+    await search.adapter.runAsync(
+      'CREATE VIRTUAL TABLE ' + schema + '.' + quoteIdentifier(index.name) + ' USING fts5(' +
+      expected.map(function(name, i) {
+        return quoteIdentifier(name) + (i === 0 ? ' UNINDEXED' : '');
+      }).join(', ') +
+      (index.tokenize ? ', tokenize = ' + quoteString(index.tokenize) : '') + ')'
+    );
+    for (const sql of triggerStatements(schema, index)) {
+      await search.adapter.runAsync(sql);
+    }
+    report.rows = await fill(search.adapter, schema, index);
+    report.created = !report.rebuilt;
+  });
+
+  search.indexes.set(collection, index);
+  return report;
+};
+
+/**
+ * Refill the index of a collection from its documents, e.g. after documents
+ * were changed with triggers disabled, and merge the index b-trees
+ * @param {string} collection
+ * @returns {Promise<Object>} { collection, rows }
+ */
+FullTextSearch.prototype.rebuild = async function(collection) {
+  const search = this;
+  const index = search._index(collection);
+  const schema = quoteIdentifier(search.schema);
+  let rows = 0;
+
+  await search.adapter.transaction(async function() {
+    await search.adapter.runAsync('DELETE FROM ' + schema + '.' + quoteIdentifier(index.name));
+    rows = await fill(search.adapter, schema, index);
+  });
+  await search.adapter.runAsync(
+    'INSERT INTO ' + schema + '.' + quoteIdentifier(index.name) + ' (' + quoteIdentifier(index.name) + ") VALUES ('optimize')"
+  );
+
+  return {collection: collection, rows: rows};
+};
+
+/**
+ * Drop the index of a collection and its triggers
+ * @param {string} collection
+ * @returns {Promise<void>}
+ */
+FullTextSearch.prototype.dropIndex = async function(collection) {
+  const search = this;
+  const index = search._index(collection);
+  const schema = quoteIdentifier(search.schema);
+
+  await search.adapter.transaction(function() {
+    return dropObjects(search.adapter, schema, index);
+  });
+  search.indexes.delete(collection);
+};
+
+/**
+ * Search one collection, or every indexed collection, best matches first
+ * @param {string} query - FTS5 query, e.g. 'sqlite AND "full text"'
+ * @param {Object} options - Search options
+ * @param {string} options.collection - Collection to search (default: all indexed collections)
+ * @param {number} options.limit - Maximum number of results (default: 20)
+ * @param {number} options.offset - Results to skip (default: 0)
+ * @param {boolean|Object} options.snippet - Add a snippet of the best matching field;
+ *   { field, before, after, ellipsis, tokens } (defaults '[', ']', '…', 10)
+ * @param {boolean|Object} options.highlight - Add every field with its matches marked;
+ *   { before, after } (defaults '[', ']')
+ * @param {boolean|Object} options.rank - Order by BM25 (default: true); { [field]: weight } to weight fields,
+ *   false for index order without scores
+ * @returns {Promise<Array>} [{ collection, id, score, snippet?, highlights? }], score higher for better matches
+ */
+FullTextSearch.prototype.search = async function(query, options) {
+  options = options || {};
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new Error('Search query must be a non-empty string');
+  }
+
+  const collections = options.collection ? [options.collection] : Array.from(this.indexes.keys());
+  const limit = options.limit === undefined ? DEFAULT_LIMIT : options.limit;
+  const offset = options.offset || 0;
+  let results = [];
+
+  for (const collection of collections) {
+    const index = this._index(collection);
+    const compiled = searchSql(this.schema, index, query, options, limit + offset);
+    const rows = await this.adapter.getAllAsync(compiled.sql, compiled.params);
+
+    for (const row of rows) {
+      const result = {collection: collection, id: row.id, score: row.score};
+      if (options.snippet) {
+        result.snippet = row.snippet;
+      }
+      if (options.highlight) {
+        result.highlights = {};
+        index.fields.forEach(function(field, i) {
+          result.highlights[field] = row['highlight' + i];
+        });
+      }
+      results.push(result);
+    }
+  }
+
+  if (collections.length > 1 && options.rank !== false) {
+    results.sort(function(a, b) {
+      return b.score - a.score;
+    });
+  }
+  results = results.slice(offset, offset + limit);
+  return results;
+};
+
+/**
+ * Look up a collection created or adopted with createIndex()
+ * @private
+ */
+FullTextSearch.prototype._index = function(collection) {
+  const index = this.indexes.get(collection);
+  if (!index) {
+    throw new Error('No full-text index for collection: ' + collection);
+  }
+  return index;
+};
+
+/**
+ * Quote user input so FTS5 matches each word literally, all of them required
+ * @param {string} text
+ * @returns {string} e.g. 'don\'t panic' -> '"don\'t" "panic"'
+ */
+FullTextSearch.quote = function(text) {
+  return String(text).split(/\s+/).filter(Boolean).map(function(word) {
+    return '"' + word.replace(/"/g, '""') + '"';
+  }).join(' ');
+};
+
+function resolveIndex(collection, options) {
+  if (typeof collection !== 'string' || !collection) {
+    throw new Error('Invalid collection: ' + collection);
+  }
+  if (!Array.isArray(options.fields) || options.fields.length === 0) {
+    throw new Error('Full-text index for ' + collection + ' needs at least one field');
+  }
+
+  const table = options.table || collection;
+  const name = options.name || table + '_fts';
+  for (const field of options.fields) {
+    jsonPath(field);
+    if (RESERVED_FIELDS.indexOf(field.toLowerCase()) !== -1 || field === name) {
+      throw new Error('Field name is reserved by the full-text index: ' + field);
+    }
+  }
+
+  return {
+    table: table,
+    name: name,
+    column: options.column || 'data',
+    idColumn: options.idColumn || 'id',
+    fields: options.fields.slice(),
+    tokenize: options.tokenize || null
+  };
+}
+
+/**
+ * Statements creating the sync triggers. Trigger bodies may not qualify table
+ * names; they always refer to tables in the trigger's own schema.
+ * @private
+ */
+function triggerStatements(schema, index) {
+  const fts = quoteIdentifier(index.name);
+  const table = quoteIdentifier(index.table);
+  const insert = function(row) {
+    return 'INSERT INTO ' + fts + ' (rowid, ' + [ID_COLUMN].concat(index.fields).map(quoteIdentifier).join(', ') +
+      ') VALUES (' + row + '.rowid, ' + row + '.' + quoteIdentifier(index.idColumn) + ', ' +
+      index.fields.map(function(field) {
+        return 'json_extract(' + row + '.' + quoteIdentifier(index.column) + ', ' + quoteString(jsonPath(field)) + ')';
+      }).join(', ') + ');';
+  };
+  const remove = 'DELETE FROM ' + fts + ' WHERE rowid = old.rowid;';
+  const trigger = function(suffix) {
+    return 'CREATE TRIGGER ' + schema + '.' + quoteIdentifier(index.name + '_' + suffix);
+  };
+
+  return [
+    trigger('ai') + ' AFTER INSERT ON ' + table + ' BEGIN ' + insert('new') + ' END',
+    trigger('ad') + ' AFTER DELETE ON ' + table + ' BEGIN ' + remove + ' END',
+    trigger('au') + ' AFTER UPDATE ON ' + table + ' BEGIN ' + remove + ' ' + insert('new') + ' END'
+  ];
+}
+
+async function dropObjects(adapter, schema, index) {
+  for (const suffix of ['ai', 'ad', 'au']) {
+    await adapter.runAsync('DROP TRIGGER IF EXISTS ' + schema + '.' + quoteIdentifier(index.name + '_' + suffix));
+  }
+  await adapter.runAsync('DROP TABLE IF EXISTS ' + schema + '.' + quoteIdentifier(index.name));
+}
+
+/**
+ * Index every document of the table
+ * @private
+ * @returns {Promise<number>} Rows indexed
+ */
+async function fill(adapter, schema, index) {
+  const result = await adapter.runAsync(
+    'INSERT INTO ' + schema + '.' + quoteIdentifier(index.name) + ' (rowid, ' +
+    [ID_COLUMN].concat(index.fields).map(quoteIdentifier).join(', ') + ') SELECT rowid, ' +
+    quoteIdentifier(index.idColumn) + ', ' +
+    index.fields.map(function(field) {
+      return 'json_extract(' + quoteIdentifier(index.column) + ', ?)';
+    }).join(', ') + ' FROM ' + schema + '.' + quoteIdentifier(index.table),
+    index.fields.map(jsonPath)
+  );
+  return result.changes;
+}
+
+/**
+ * Build the search statement for one index
+ * @private
+ */
+function searchSql(schemaName, index, query, options, limit) {
+  const fts = quoteIdentifier(index.name);
+  const params = [];
+  const columns = [fts + '.' + quoteIdentifier(ID_COLUMN) + ' AS id'];
+  const weights = [0].concat(index.fields.map(function(field) {
+    return options.rank && typeof options.rank === 'object' && options.rank[field] !== undefined ? Number(options.rank[field]) : 1;
+  }));
+  const bm25 = 'bm25(' + fts + ', ' + weights.join(', ') + ')';
+
+  columns.push(options.rank === false ? 'NULL AS score' : '-' + bm25 + ' AS score');
+
+  if (options.snippet) {
+    const snippet = typeof options.snippet === 'object' ? options.snippet : {};
+    const column = snippet.field === undefined ? -1 : index.fields.indexOf(snippet.field) + 1;
+    if (column === 0) {
+      throw new Error('Unknown snippet field: ' + snippet.field);
+    }
+    columns.push('snippet(' + fts + ', ' + column + ', ?, ?, ?, ?) AS snippet');
+    params.push(
+      valueOr(snippet.before, '['),
+      valueOr(snippet.after, ']'),
+      valueOr(snippet.ellipsis, '…'),
+      valueOr(snippet.tokens, 10)
+    );
+  }
+
+  if (options.highlight) {
+    const highlight = typeof options.highlight === 'object' ? options.highlight : {};
+    index.fields.forEach(function(field, i) {
+      columns.push('highlight(' + fts + ', ' + (i + 1) + ', ?, ?) AS highlight' + i);
+      params.push(valueOr(highlight.before, '['), valueOr(highlight.after, ']'));
+    });
+  }
+
+  params.push(query, limit);
+  return {
+    sql: 'SELECT ' + columns.join(', ') + ' FROM ' + quoteIdentifier(schemaName) + '.' + fts +
+      ' WHERE ' + fts + ' MATCH ?' + (options.rank === false ? '' : ' ORDER BY ' + bm25) + ' LIMIT ?',
+    params: params
+  };
+}
+
+function valueOr(value, fallback) {
+  return value === undefined ? fallback : value;
+}
+
+function quoteString(value) {
+  return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
+}
+
+module.exports = FullTextSearch;
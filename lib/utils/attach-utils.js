@@ -0,0 +1,152 @@
+/**
+ * Helpers for attaching databases safely
+ */
+const { quoteIdentifier } = require('./pragma-utils');
+
+// Schema names SQLite reserves for the primary and temporary databases
+const RESERVED_ALIASES = ['main', 'temp'];
+
+// Plain identifiers only, so an alias never needs more than quoting to be safe
+const ALIAS_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Options attachDatabase() understands, and the other keys of a configured attachment
+const ATTACH_OPTIONS = ['pragmas', 'readonly'];
+const ATTACHMENT_CONFIG_KEYS = ['path', 'alias', 'createIfNotExists'];
+
+// SQLite's compile-time default for SQLITE_MAX_ATTACHED
+const DEFAULT_MAX_ATTACHED = 10;
+
+/**
+ * Raised when ATTACH fails because SQLite's attached-database limit is reached
+ * @param {string} alias - Alias that could not be attached
+ * @param {number} limit - Maximum number of attached databases
+ * @param {Error} cause - The original SQLite error, if any
+ */
+function AttachLimitError(alias, limit, cause) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, AttachLimitError);
+  }
+  this.name = 'AttachLimitError';
+  this.code = 'SQLITE_LIMIT_ATTACHED';
+  this.message = 'Cannot attach database ' + alias + ': the limit of ' + limit + ' attached databases has been reached';
+  this.alias = alias;
+  this.limit = limit;
+  this.cause = cause;
+}
+
+AttachLimitError.prototype = Object.create(Error.prototype);
+AttachLimitError.prototype.constructor = AttachLimitError;
+
+/**
+ * Check that an alias can be used as the schema name of an attached database
+ * @param {string} alias
+ * @returns {string} The alias
+ */
+function validateAlias(alias) {
+  if (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias)) {
+    throw new Error('Invalid database alias: ' + String(alias) +
+      ' (use letters, digits and underscores, not starting with a digit)');
+  }
+  if (RESERVED_ALIASES.indexOf(alias.toLowerCase()) !== -1) {
+    throw new Error('Database alias is reserved: ' + alias);
+  }
+  return alias;
+}
+
+/**
+ * Reject attachment options that are not supported instead of silently
+ * attaching the database writable. There are no URI filenames (and so no
+ * immutable or mode=ro): better-sqlite3 opens connections without URI
+ * support, so ATTACH would treat 'file:x.db' as a literal file name.
+ * @param {Object} options - attachDatabase() options, or a configured attachment
+ * @param {boolean} isConfig - Also accept path, alias and createIfNotExists
+ */
+function validateAttachOptions(options, isConfig) {
+  const allowed = isConfig ? ATTACHMENT_CONFIG_KEYS.concat(ATTACH_OPTIONS) : ATTACH_OPTIONS;
+  for (const key of Object.keys(options || {})) {
+    if (allowed.indexOf(key) === -1) {
+      throw new Error('Unsupported attach option: ' + key + ' (supported: ' + ATTACH_OPTIONS.join(', ') + ')');
+    }
+  }
+}
+
+/**
+ * Build the ATTACH statement for an alias. The path is bound as the single
+ * parameter, so it may contain any characters.
+ * @param {string} alias - A validated alias
+ * @returns {string}
+ */
+function attachSql(alias) {
+  return 'ATTACH DATABASE ? AS ' + quoteIdentifier(alias);
+}
+
+/**
+ * Build the DETACH statement for an alias
+ * @param {string} alias
+ * @returns {string}
+ */
+function detachSql(alias) {
+  return 'DETACH DATABASE ' + quoteIdentifier(alias);
+}
+
+/**
+ * List the schemas a statement writes to, from its EXPLAIN bytecode: every
+ * schema with a write Transaction opcode, plus the target of a plain VACUUM.
+ * @param {Object} db - better-sqlite3 Database
+ * @param {string} sql - Statement to inspect
+ * @param {Array|Object} params - Parameters the statement would be run with
+ * @returns {string[]} Schema names
+ */
+function writtenSchemas(db, sql, params) {
+  const names = {};
+  for (const row of db.pragma('database_list')) {
+    names[row.seq] = row.name;
+  }
+
+  const schemas = [];
+  for (const op of db.prepare('EXPLAIN ' + sql).all(params)) {
+    const writes = (op.opcode === 'Transaction' && op.p2 !== 0) ||
+      (op.opcode === 'Vacuum' && op.p2 === 0);
+    if (writes && schemas.indexOf(names[op.p1]) === -1) {
+      schemas.push(names[op.p1]);
+    }
+  }
+  return schemas;
+}
+
+/**
+ * Read the attached-database limit the SQLite library was compiled with
+ * @param {Object} db - better-sqlite3 Database
+ * @returns {number}
+ */
+function getMaxAttached(db) {
+  for (const row of db.pragma('compile_options')) {
+    const match = /^MAX_ATTACHED=(\d+)$/.exec(row.compile_options);
+    if (match) {
+      return parseInt(match[1], 10);
+    }
+  }
+  return DEFAULT_MAX_ATTACHED;
+}
+
+/**
+ * Check whether an error is SQLite refusing an ATTACH because of the limit
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isAttachLimitError(error) {
+  return !!error && /too many attached databases/i.test(error.message || '');
+}
+
+module.exports = {
+  RESERVED_ALIASES,
+  AttachLimitError,
+  validateAlias,
+  validateAttachOptions,
+  attachSql,
+  detachSql,
+  writtenSchemas,
+  getMaxAttached,
+  isAttachLimitError
+};
@@ -0,0 +1,176 @@
+/**
+ * Helpers for creating indexes inside main or an attached schema
+ */
+const { quoteIdentifier } = require('./pragma-utils');
+const { validateAlias } = require('./attach-utils');
+
+const SORT_ORDERS = ['ASC', 'DESC'];
+
+/**
+ * Build the indexed-column list of an index spec. A column is a column name,
+ * or { name | expression, collate, order }.
+ * @private
+ */
+function columnList(spec) {
+  if (!Array.isArray(spec.columns) || spec.columns.length === 0) {
+    throw new Error('Index ' + spec.name + ' needs at least one column');
+  }
+
+  return spec.columns.map(function(column) {
+    if (typeof column === 'string') {
+      return quoteIdentifier(column);
+    }
+
+    let term;
+    if (column && typeof column.expression === 'string') {
+      term = column.expression;
+    } else if (column && typeof column.name === 'string') {
+      term = quoteIdentifier(column.name);
+    } else {
+      throw new Error('Invalid column in index ' + spec.name + ': ' + JSON.stringify(column));
+    }
+
+    if (column.collate) {
+      term += ' COLLATE ' + quoteIdentifier(column.collate);
+    }
+    if (column.order) {
+      const order = String(column.order).toUpperCase();
+      if (SORT_ORDERS.indexOf(order) === -1) {
+        throw new Error('Invalid sort order in index ' + spec.name + ': ' + column.order);
+      }
+      term += ' ' + order;
+    }
+    return term;
+  }).join(', ');
+}
+
+/**
+ * Build the CREATE INDEX statement for a spec, as SQLite stores it in
+ * sqlite_master: without IF NOT EXISTS and without a schema name.
+ *
+ * @param {Object} spec - { name, table, columns, unique, where }
+ * @returns {string}
+ */
+function indexDefinition(spec) {
+  if (!spec || typeof spec.name !== 'string' || !spec.name) {
+    throw new Error('Index name is required');
+  }
+  if (/^sqlite_/i.test(spec.name)) {
+    throw new Error('Index name is reserved: ' + spec.name);
+  }
+  if (typeof spec.table !== 'string' || !spec.table) {
+    throw new Error('Index ' + spec.name + ' needs a table');
+  }
+
+  return 'CREATE ' + (spec.unique ? 'UNIQUE ' : '') + 'INDEX ' + quoteIdentifier(spec.name) +
+    ' ON ' + quoteIdentifier(spec.table) + ' (' + columnList(spec) + ')' +
+    (spec.where ? ' WHERE ' + spec.where : '');
+}
+
+/**
+ * Turn an index definition into the statement creating it in a schema. The
+ * index name carries the schema; the table may not, and SQLite looks it up in
+ * that same schema.
+ *
+ * @param {string} alias - Schema name
+ * @param {Object} spec - Index spec
+ * @returns {string}
+ */
+function createIndexSql(alias, spec) {
+  return indexDefinition(spec).replace(
+    /^CREATE (UNIQUE )?INDEX /,
+    'CREATE $1INDEX ' + quoteIdentifier(alias) + '.'
+  );
+}
+
+// Compare definitions regardless of whitespace
+function sameDefinition(a, b) {
+  return String(a).replace(/\s+/g, ' ').trim() === String(b).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Make the indexes of a schema match a list of specs, in one transaction.
+ *
+ * Missing indexes are created. An index whose definition differs from its
+ * spec, or that sits on one of the spec tables without being listed, is stale:
+ * it is dropped (and recreated) with options.dropStale, and otherwise left in
+ * place and reported. Indexes SQLite creates for constraints are never touched.
+ *
+ * @param {Object} adapter - Adapter with getAllAsync, runAsync, transaction and isAttached
+ * @param {string} alias - 'main' or an attached alias
+ * @param {Object[]} indexSpecs - [{ name, table, columns, unique, where }]
+ * @param {Object} options
+ * @param {boolean} options.dropStale - Drop stale indexes (default: false)
+ * @returns {Promise<Object>} { alias, created, recreated, dropped, unchanged, stale }
+ */
+async function ensureIndexes(adapter, alias, indexSpecs, options) {
+  options = options || {};
+  if (alias !== 'main') {
+    validateAlias(alias);
+    if (!adapter.isAttached(alias)) {
+      throw new Error('Database not attached: ' + alias);
+    }
+  }
+  if (!Array.isArray(indexSpecs)) {
+    throw new Error('indexSpecs must be an array');
+  }
+
+  const wanted = new Map();
+  const tables = new Set();
+  for (const spec of indexSpecs) {
+    const definition = indexDefinition(spec);
+    if (wanted.has(spec.name)) {
+      throw new Error('Duplicate index name: ' + spec.name);
+    }
+    wanted.set(spec.name, {spec: spec, definition: definition});
+    tables.add(spec.table);
+  }
+
+  const report = {alias: alias, created: [], recreated: [], dropped: [], unchanged: [], stale: []};
+  const schema = quoteIdentifier(alias);
+
+  await adapter.transaction(async function() {
+    const existing = new Map();
+    const rows = await adapter.getAllAsync(
+      'SELECT name, tbl_name, sql FROM ' + schema + ".sqlite_master WHERE type = 'index' AND sql IS NOT NULL"
+    );
+    for (const row of rows) {
+      existing.set(row.name, row);
+    }
+
+    for (const row of rows) {
+      if (!wanted.has(row.name) && tables.has(row.tbl_name)) {
+        if (options.dropStale) {
+          await adapter.runAsync('DROP INDEX ' + schema + '.' + quoteIdentifier(row.name));
+          report.dropped.push(row.name);
+        } else {
+          report.stale.push(row.name);
+        }
+      }
+    }
+
+    for (const [name, entry] of wanted) {
+      const current = existing.get(name);
+      if (!current) {
+        await adapter.runAsync(createIndexSql(alias, entry.spec));
+        report.created.push(name);
+      } else if (sameDefinition(current.sql, entry.definition)) {
+        report.unchanged.push(name);
+      } else if (options.dropStale) {
+        await adapter.runAsync('DROP INDEX ' + schema + '.' + quoteIdentifier(name));
+        await adapter.runAsync(createIndexSql(alias, entry.spec));
+        report.recreated.push(name);
+      } else {
+        report.stale.push(name);
+      }
+    }
+  });
+
+  return report;
+}
+
+module.exports = {
+  indexDefinition,
+  createIndexSql,
+  ensureIndexes
+};
@@ -0,0 +1,168 @@
+/**
+ * Helpers for configuring databases with PRAGMAs and interpreting their results
+ */
+
+// PRAGMAs with their own value per database file; these accept a schema prefix
+// and are applied to attached databases as well as to main
+const SCHEMA_PRAGMAS = [
+  'application_id',
+  'auto_vacuum',
+  'cache_size',
+  'journal_mode',
+  'journal_size_limit',
+  'locking_mode',
+  'max_page_count',
+  'mmap_size',
+  'page_size',
+  'secure_delete',
+  'synchronous'
+];
+
+// PRAGMAs whose value is written to the database file
+const PERSISTENT_PRAGMAS = ['application_id', 'auto_vacuum', 'journal_mode', 'page_size'];
+
+// PRAGMAs reported by getPragmas() even when not configured
+const REPORTED_PRAGMAS = [
+  'synchronous',
+  'cache_size',
+  'mmap_size',
+  'busy_timeout',
+  'temp_store',
+  'page_size',
+  'auto_vacuum',
+  'wal_autocheckpoint',
+  'journal_mode',
+  'foreign_keys'
+];
+
+const ENUM_VALUES = {
+  synchronous: ['OFF', 'NORMAL', 'FULL', 'EXTRA'],
+  temp_store: ['DEFAULT', 'FILE', 'MEMORY'],
+  auto_vacuum: ['NONE', 'FULL', 'INCREMENTAL']
+};
+
+const INTEGER_PRAGMAS = ['cache_size', 'mmap_size', 'busy_timeout', 'page_size', 'wal_autocheckpoint'];
+
+// page_size and auto_vacuum only take effect before the database is written
+// to (or switched to WAL), so they are always applied first
+const EARLY_PRAGMAS = ['page_size', 'auto_vacuum'];
+
+/**
+ * Validate a PRAGMA configuration object and turn it into an ordered list of
+ * assignments. Known PRAGMAs have their values checked; any other PRAGMA is
+ * accepted with a number, boolean or single-word value.
+ *
+ * @param {Object} pragmas - e.g. { synchronous: 'NORMAL', cache_size: -20000 }
+ * @returns {Array<{name: string, value: string|number}>}
+ */
+function normalizePragmas(pragmas) {
+  const list = Object.keys(pragmas || {}).map(function(key) {
+    const name = key.toLowerCase();
+    if (!/^[a-z_]+$/.test(name)) {
+      throw new Error('Invalid PRAGMA name: ' + key);
+    }
+    return {name: name, value: normalizeValue(name, pragmas[key])};
+  });
+
+  return list.sort(function(a, b) {
+    return isEarly(b.name) - isEarly(a.name);
+  });
+}
+
+function normalizeValue(name, value) {
+  if (ENUM_VALUES[name]) {
+    const options = ENUM_VALUES[name];
+    if (Number.isInteger(value) && value >= 0 && value < options.length) {
+      return options[value];
+    }
+    if (typeof value === 'string' && options.indexOf(value.toUpperCase()) !== -1) {
+      return value.toUpperCase();
+    }
+    throw new Error('Invalid value for PRAGMA ' + name + ': ' + value + ' (expected one of ' + options.join(', ') + ')');
+  }
+
+  if (INTEGER_PRAGMAS.indexOf(name) !== -1) {
+    if (!Number.isInteger(value)) {
+      throw new Error('Invalid value for PRAGMA ' + name + ': ' + value + ' (expected an integer)');
+    }
+    if (name === 'page_size' && (value < 512 || value > 65536 || (value & (value - 1)) !== 0)) {
+      throw new Error('Invalid value for PRAGMA page_size: ' + value + ' (expected a power of two from 512 to 65536)');
+    }
+    return value;
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'ON' : 'OFF';
+  }
+  if (typeof value === 'number' && isFinite(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value)) {
+    return value;
+  }
+  throw new Error('Invalid value for PRAGMA ' + name + ': ' + value);
+}
+
+function isEarly(name) {
+  return EARLY_PRAGMAS.indexOf(name) !== -1 ? 1 : 0;
+}
+
+/**
+ * Check whether a PRAGMA has a separate value for each attached database
+ * @param {string} name - PRAGMA name
+ * @returns {boolean}
+ */
+function isSchemaPragma(name) {
+  return SCHEMA_PRAGMAS.indexOf(name) !== -1;
+}
+
+/**
+ * Apply normalized PRAGMA assignments to a connection. PRAGMAs stored in the
+ * database file itself are skipped on read-only connections and schemas,
+ * which cannot change them.
+ * @param {Object} db - better-sqlite3 Database
+ * @param {Array<{name: string, value: string|number}>} pragmas - From normalizePragmas()
+ * @param {string} schema - Schema to prefix schema-scoped PRAGMAs with (default: none)
+ * @param {boolean} readonly - The schema is read-only even if the connection is not
+ */
+function applyPragmas(db, pragmas, schema, readonly) {
+  const prefix = schema ? quoteIdentifier(schema) + '.' : '';
+  readonly = readonly || db.readonly;
+  for (const pragma of pragmas) {
+    if (readonly && PERSISTENT_PRAGMAS.indexOf(pragma.name) !== -1) {
+      continue;
+    }
+    db.pragma((isSchemaPragma(pragma.name) ? prefix : '') + pragma.name + ' = ' + pragma.value);
+  }
+}
+
+/**
+ * Quote an SQL identifier such as a schema alias
+ * @param {string} identifier
+ * @returns {string}
+ */
+function quoteIdentifier(identifier) {
+  return '"' + String(identifier).replace(/"/g, '""') + '"';
+}
+
+/**
+ * Normalize the rows returned by PRAGMA integrity_check or quick_check
+ * @param {Array<Object>} rows - Rows as returned by better-sqlite3's db.pragma()
+ * @returns {{ok: boolean, messages: string[]}} ok is true when SQLite reported exactly "ok"
+ */
+function parseCheckResult(rows) {
+  const messages = rows.map(function(row) {
+    return row[Object.keys(row)[0]];
+  });
+  return {ok: messages.length === 1 && messages[0] === 'ok', messages: messages};
+}
+
+module.exports = {
+  SCHEMA_PRAGMAS,
+  REPORTED_PRAGMAS,
+  parseCheckResult,
+  normalizePragmas,
+  isSchemaPragma,
+  applyPragmas,
+  quoteIdentifier
+};
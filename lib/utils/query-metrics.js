@@ -0,0 +1,214 @@
+/**
+ * Query metrics collected from the adapter instrumentation hooks
+ */
+
+// Upper bounds of the latency histogram buckets, in milliseconds
+const DEFAULT_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Aggregates query, error, retry and transaction events into counters and
+ * per-operation latency histograms
+ *
+ * @param {number[]} buckets - Histogram bucket upper bounds in milliseconds
+ */
+function QueryMetrics(buckets) {
+  this.buckets = (buckets || DEFAULT_BUCKETS).slice().sort(function(a, b) { return a - b; });
+  this.reset();
+}
+
+/**
+ * Clear all counters and histograms
+ */
+QueryMetrics.prototype.reset = function() {
+  this.queries = {};
+  this.errors = {};
+  this.retries = 0;
+  this.transactions = {commit: 0, rollback: 0};
+  this.rowsReturned = 0;
+  this.rowsChanged = 0;
+  this.latency = {};
+};
+
+/**
+ * Record a completed query event from onQuery
+ * @param {Object} event - { type, durationMs, rows?, changes? }
+ */
+QueryMetrics.prototype.recordQuery = function(event) {
+  this.queries[event.type] = (this.queries[event.type] || 0) + 1;
+  this.rowsReturned += event.rows || 0;
+  this.rowsChanged += event.changes || 0;
+  this._observe(event.type, event.durationMs);
+};
+
+/**
+ * Record a failed operation event from onError
+ * @param {Object} event - { error }
+ */
+QueryMetrics.prototype.recordError = function(event) {
+  const code = (event.error && event.error.code) || 'UNKNOWN';
+  this.errors[code] = (this.errors[code] || 0) + 1;
+};
+
+/**
+ * Record a retry event from onRetry
+ */
+QueryMetrics.prototype.recordRetry = function() {
+  this.retries++;
+};
+
+/**
+ * Record a finished transaction event from onTransaction. Savepoints are
+ * part of their outer transaction and are not counted separately.
+ * @param {Object} event - { status: 'commit' | 'rollback', savepoint, durationMs }
+ */
+QueryMetrics.prototype.recordTransaction = function(event) {
+  if (event.savepoint) {
+    return;
+  }
+  this.transactions[event.status] = (this.transactions[event.status] || 0) + 1;
+  this._observe('transaction', event.durationMs);
+};
+
+/**
+ * Get a snapshot of the collected metrics
+ * @returns {Object} { queries, errors, retries, transactions, rows, latency }
+ */
+QueryMetrics.prototype.getStats = function() {
+  const metrics = this;
+  const latency = {};
+
+  for (const type of Object.keys(metrics.latency)) {
+    const histogram = metrics.latency[type];
+    let cumulative = 0;
+    latency[type] = {
+      count: histogram.count,
+      sumMs: histogram.sum,
+      minMs: histogram.min,
+      maxMs: histogram.max,
+      avgMs: histogram.count > 0 ? histogram.sum / histogram.count : 0,
+      buckets: metrics.buckets.map(function(le, i) {
+        cumulative += histogram.counts[i];
+        return {le: le, count: cumulative};
+      })
+    };
+  }
+
+  return {
+    queries: Object.assign({total: sum(metrics.queries)}, metrics.queries),
+    errors: Object.assign({total: sum(metrics.errors)}, metrics.errors),
+    retries: metrics.retries,
+    transactions: Object.assign({}, metrics.transactions),
+    rows: {returned: metrics.rowsReturned, changed: metrics.rowsChanged},
+    latency: latency
+  };
+};
+
+/**
+ * Render the metrics in the Prometheus text exposition format
+ * @param {Object} options - Exporter options
+ * @param {string} options.prefix - Metric name prefix (default: 'sqlite')
+ * @param {Object} options.labels - Constant labels added to every sample
+ * @returns {string}
+ */
+QueryMetrics.prototype.toPrometheus = function(options) {
+  options = options || {};
+  const prefix = options.prefix || 'sqlite';
+  const constLabels = options.labels || {};
+  const metrics = this;
+  const lines = [];
+
+  function metric(name, type, help) {
+    lines.push('# HELP ' + prefix + '_' + name + ' ' + help);
+    lines.push('# TYPE ' + prefix + '_' + name + ' ' + type);
+  }
+
+  function sample(name, labels, value) {
+    lines.push(prefix + '_' + name + formatLabels(Object.assign({}, constLabels, labels)) + ' ' + value);
+  }
+
+  metric('queries_total', 'counter', 'Queries executed, by operation type');
+  for (const type of Object.keys(metrics.queries)) {
+    sample('queries_total', {type: type}, metrics.queries[type]);
+  }
+
+  metric('errors_total', 'counter', 'Failed operations, by SQLite error code');
+  for (const code of Object.keys(metrics.errors)) {
+    sample('errors_total', {code: code}, metrics.errors[code]);
+  }
+
+  metric('retries_total', 'counter', 'Operations retried after a busy or locked error');
+  sample('retries_total', {}, metrics.retries);
+
+  metric('transactions_total', 'counter', 'Transactions finished, by outcome');
+  for (const status of Object.keys(metrics.transactions)) {
+    sample('transactions_total', {status: status}, metrics.transactions[status]);
+  }
+
+  metric('rows_returned_total', 'counter', 'Rows returned by queries');
+  sample('rows_returned_total', {}, metrics.rowsReturned);
+
+  metric('rows_changed_total', 'counter', 'Rows changed by statements');
+  sample('rows_changed_total', {}, metrics.rowsChanged);
+
+  metric('query_duration_seconds', 'histogram', 'Operation latency in seconds, by operation type');
+  for (const type of Object.keys(metrics.latency)) {
+    const histogram = metrics.latency[type];
+    let cumulative = 0;
+    metrics.buckets.forEach(function(le, i) {
+      cumulative += histogram.counts[i];
+      sample('query_duration_seconds_bucket', {type: type, le: String(le / 1000)}, cumulative);
+    });
+    sample('query_duration_seconds_bucket', {type: type, le: '+Inf'}, histogram.count);
+    sample('query_duration_seconds_sum', {type: type}, histogram.sum / 1000);
+    sample('query_duration_seconds_count', {type: type}, histogram.count);
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * @private
+ */
+QueryMetrics.prototype._observe = function(type, durationMs) {
+  let histogram = this.latency[type];
+  if (!histogram) {
+    histogram = this.latency[type] = {
+      count: 0,
+      sum: 0,
+      min: null,
+      max: null,
+      counts: this.buckets.map(function() { return 0; })
+    };
+  }
+
+  histogram.count++;
+  histogram.sum += durationMs;
+  histogram.min = histogram.min === null ? durationMs : Math.min(histogram.min, durationMs);
+  histogram.max = histogram.max === null ? durationMs : Math.max(histogram.max, durationMs);
+
+  for (let i = 0; i < this.buckets.length; i++) {
+    if (durationMs <= this.buckets[i]) {
+      histogram.counts[i]++;
+      break;
+    }
+  }
+};
+
+function sum(counts) {
+  return Object.keys(counts).reduce(function(total, key) { return total + counts[key]; }, 0);
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) {
+    return '';
+  }
+  return '{' + keys.map(function(key) {
+    const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return key + '="' + value + '"';
+  }).join(',') + '}';
+}
+
+QueryMetrics.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = QueryMetrics;
@@ -2,66 +2,219 @@
  * Retry utility functions for database operations
  */
 
+// better-sqlite3 error codes (primary and extended) for transient lock contention
+const RETRYABLE_CODES = [
+  'SQLITE_BUSY',
+  'SQLITE_BUSY_RECOVERY',
+  'SQLITE_BUSY_SNAPSHOT',
+  'SQLITE_BUSY_TIMEOUT',
+  'SQLITE_LOCKED',
+  'SQLITE_LOCKED_SHAREDCACHE',
+  'SQLITE_LOCKED_VTAB'
+];
+
+const JITTER_MODES = ['none', 'full', 'decorrelated'];
+
 /**
  * Sleep for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Optional signal that cuts the sleep short with an AbortError
  * @returns {Promise<void>}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return new Promise(function(resolve, reject) {
+    if (signal.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    }
+
+    const timer = setTimeout(function() {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, {once: true});
+  });
 }
 
 /**
  * Check if an error should trigger a retry
+ *
+ * Errors carrying a better-sqlite3 `code` are classified by it; errors
+ * without one fall back to matching the message.
+ *
  * @param {Error} error - The error to check
+ * @param {string[]} retryableCodes - Codes to retry (default: SQLITE_BUSY*, SQLITE_LOCKED*)
  * @returns {boolean} True if the operation should be retried
  */
-function shouldRetry(error) {
-  if (!error || !error.message) return false;
+function shouldRetry(error, retryableCodes) {
+  if (!error) return false;
+
+  if (typeof error.code === 'string' && error.code.indexOf('SQLITE_') === 0) {
+    return (retryableCodes || RETRYABLE_CODES).indexOf(error.code) !== -1;
+  }
+
+  if (!error.message) return false;
 
   const message = error.message.toLowerCase();
   return message.includes('database is locked') ||
          message.includes('database is busy') ||
-         message.includes('sqlite_busy');
+         message.includes('database table is locked') ||
+         message.includes('sqlite_busy') ||
+         message.includes('sqlite_locked');
 }
 
 /**
- * Execute an async operation with exponential backoff retry
- * @param {Function} operation - Async function to execute
- * @param {Object} options - Retry options
+ * Build a retry policy from options, filling in the defaults
+ *
+ * @param {Object} options - Policy options
  * @param {number} options.maxRetries - Maximum number of retries (default: 3)
  * @param {number} options.baseDelay - Base delay in milliseconds (default: 100)
+ * @param {number} options.maxDelay - Upper bound for a single delay in milliseconds (default: no limit)
+ * @param {string} options.jitter - 'none' (default), 'full' or 'decorrelated'
+ * @param {number} options.deadline - Give up once this many milliseconds have passed since the first attempt
+ * @param {string[]} options.retryableCodes - Error codes to retry (default: SQLITE_BUSY*, SQLITE_LOCKED*)
+ * @param {Function} options.shouldRetry - Predicate (error, attempt) replacing the code-based classification
+ * @param {AbortSignal} options.signal - Stops retrying, and interrupts the current delay, when aborted
+ * @param {Function} options.onRetry - Called with { attempt, maxRetries, delayMs, error } before each retry
+ * @returns {Object} Retry policy accepted by retryWithBackoff()
+ */
+function createRetryPolicy(options) {
+  options = options || {};
+  const jitter = options.jitter || 'none';
+
+  if (JITTER_MODES.indexOf(jitter) === -1) {
+    throw new Error('Unknown retry jitter mode: ' + jitter);
+  }
+
+  return {
+    maxRetries: options.maxRetries != null ? options.maxRetries : 3,
+    baseDelay: options.baseDelay != null ? options.baseDelay : 100,
+    maxDelay: options.maxDelay != null ? options.maxDelay : Infinity,
+    jitter: jitter,
+    deadline: options.deadline != null ? options.deadline : Infinity,
+    retryableCodes: options.retryableCodes || RETRYABLE_CODES,
+    shouldRetry: options.shouldRetry || null,
+    signal: options.signal || null,
+    onRetry: options.onRetry || null
+  };
+}
+
+/**
+ * Compute the delay before the next retry
+ *
+ * 'none' doubles baseDelay on every attempt, 'full' picks a random delay up
+ * to that value, and 'decorrelated' picks one between baseDelay and three
+ * times the previous delay. The result never exceeds maxDelay.
+ *
+ * @param {Object} policy - Policy from createRetryPolicy()
+ * @param {number} attempt - Zero-based index of the attempt that just failed
+ * @param {number} previousDelay - Delay used before that attempt (0 for the first)
+ * @returns {number} Delay in milliseconds
+ */
+function computeDelay(policy, attempt, previousDelay) {
+  let delay;
+
+  switch (policy.jitter) {
+    case 'full':
+      delay = Math.random() * policy.baseDelay * Math.pow(2, attempt);
+      break;
+    case 'decorrelated': {
+      const upper = Math.max(policy.baseDelay, (previousDelay || policy.baseDelay) * 3);
+      delay = policy.baseDelay + Math.random() * (upper - policy.baseDelay);
+      break;
+    }
+    default:
+      delay = policy.baseDelay * Math.pow(2, attempt);
+  }
+
+  return Math.round(Math.min(delay, policy.maxDelay));
+}
+
+/**
+ * Execute an async operation with exponential backoff retry
+ * @param {Function} operation - Async function to execute
+ * @param {Object} options - Retry policy options, see createRetryPolicy(), plus:
  * @param {boolean} options.debug - Enable debug logging (default: false)
+ * @param {Object} options.logger - Structured logger from createLogger(); used instead of console when given
  * @returns {Promise} Promise that resolves with the operation result
  */
 async function retryWithBackoff(operation, options = {}) {
-  const maxRetries = options.maxRetries || 3;
-  const baseDelay = options.baseDelay || 100;
+  const policy = createRetryPolicy(options);
   const debug = options.debug || false;
+  const logger = options.logger || null;
+  const signal = policy.signal;
+  const startedAt = Date.now();
 
   let lastError;
+  let delay = 0;
+
+  for (let attempt = 0; attempt <= policy.maxRetries; attempt++) {
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
 
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
       return await operation();
     } catch (error) {
       lastError = error;
 
-      if (attempt === maxRetries || !shouldRetry(error)) {
+      const retryable = policy.shouldRetry
+        ? policy.shouldRetry(error, attempt + 1)
+        : shouldRetry(error, policy.retryableCodes);
+      if (attempt === policy.maxRetries || !retryable) {
+        throw error;
+      }
+
+      delay = computeDelay(policy, attempt, delay);
+      if (Date.now() + delay - startedAt > policy.deadline) {
         throw error;
       }
 
-      const delay = baseDelay * Math.pow(2, attempt);
-      debug && console.log(`[RetryUtils] Attempt ${attempt + 1} failed, retrying in ${delay}ms: ${error.message}`);
-      await sleep(delay);
+      if (logger) {
+        logger.warn('Retrying database operation', {
+          attempt: attempt + 1,
+          maxRetries: policy.maxRetries,
+          delayMs: delay,
+          error: error.message,
+          code: error.code
+        });
+      } else {
+        debug && console.log(`[RetryUtils] Attempt ${attempt + 1} failed, retrying in ${delay}ms: ${error.message}`);
+      }
+      if (policy.onRetry) {
+        policy.onRetry({attempt: attempt + 1, maxRetries: policy.maxRetries, delayMs: delay, error: error});
+      }
+      await sleep(delay, signal);
     }
   }
 
   throw lastError;
 }
 
+function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
 module.exports = {
+  RETRYABLE_CODES,
   sleep,
   shouldRetry,
+  createRetryPolicy,
+  computeDelay,
   retryWithBackoff
-};
\ No newline at end of file
+};
@@ -0,0 +1,130 @@
+/**
+ * Background schedules shared by the adapters: WAL checkpoints and
+ * idle-time maintenance
+ */
+
+// Modes accepted by PRAGMA wal_checkpoint
+const CHECKPOINT_MODES = ['PASSIVE', 'FULL', 'RESTART', 'TRUNCATE'];
+
+/**
+ * Validate startCheckpoints() options and build the schedule state
+ * @param {Object} options - See BetterSqliteAdapter#startCheckpoints
+ * @returns {Object} { maxWalSize, interval, mode, checkInterval, busyTimeout, startedAt, stopped, timer }
+ */
+function checkpointSchedule(options) {
+  options = options || {};
+  if (!options.maxWalSize && !options.interval) {
+    throw new Error('Checkpoint schedule needs maxWalSize or interval');
+  }
+  const mode = String(options.mode || 'TRUNCATE').toUpperCase();
+  if (CHECKPOINT_MODES.indexOf(mode) === -1) {
+    throw new Error('Invalid checkpoint mode: ' + mode);
+  }
+
+  return {
+    maxWalSize: options.maxWalSize || 0,
+    interval: options.interval || 0,
+    mode: mode,
+    checkInterval: options.checkInterval || (options.maxWalSize ? 1000 : options.interval),
+    busyTimeout: options.busyTimeout === undefined ? 0 : options.busyTimeout,
+    startedAt: Date.now(),
+    stopped: false,
+    timer: null
+  };
+}
+
+/**
+ * Schemas whose -wal file has reached maxWalSize, or whose last checkpoint is
+ * interval milliseconds old. In-memory schemas (size null) are never due.
+ * @param {Object} schedule - A checkpointSchedule()
+ * @param {Object} sizes - Alias to -wal size, as reported by getWalSizes()
+ * @param {Function} lastCheckpointAt - Returns the time of an alias' last checkpoint, or 0
+ * @returns {string[]}
+ */
+function dueCheckpoints(schedule, sizes, lastCheckpointAt) {
+  return Object.keys(sizes).filter(function(alias) {
+    if (sizes[alias] === null) {
+      return false;
+    }
+    const lastAt = lastCheckpointAt(alias) || schedule.startedAt;
+    return !!((schedule.maxWalSize && sizes[alias] >= schedule.maxWalSize) ||
+      (schedule.interval && Date.now() - lastAt >= schedule.interval));
+  });
+}
+
+/**
+ * Build the state of a startMaintenance() schedule
+ * @param {Object} options - See BetterSqliteAdapter#startMaintenance
+ * @returns {Object} { idleTime, interval, checkInterval, options, startedAt, lastRunAt, stopped, timer }
+ */
+function maintenanceSchedule(options) {
+  options = options || {};
+  const idleTime = options.idleTime === undefined ? 60000 : options.idleTime;
+
+  return {
+    idleTime: idleTime,
+    interval: options.interval === undefined ? 86400000 : options.interval,
+    checkInterval: options.checkInterval || Math.min(idleTime, 60000) || 1000,
+    options: options,
+    startedAt: Date.now(),
+    lastRunAt: 0,
+    stopped: false,
+    timer: null
+  };
+}
+
+/**
+ * Whether maintenance should run: nothing has run for idleTime milliseconds
+ * and the last run is at least interval milliseconds old
+ * @param {Object} schedule - A maintenanceSchedule()
+ * @param {number} lastActivityAt - Time of the adapter's last query
+ * @returns {boolean}
+ */
+function isMaintenanceDue(schedule, lastActivityAt) {
+  const idle = Date.now() - Math.max(lastActivityAt, schedule.startedAt) >= schedule.idleTime;
+  return idle && Date.now() - schedule.lastRunAt >= schedule.interval;
+}
+
+/**
+ * Run check() every schedule.checkInterval milliseconds until stopSchedule()
+ * is called. A check that throws or rejects is passed to onError and the
+ * schedule carries on; the next check is only timed once the previous one
+ * has settled. The timers do not keep the process running.
+ * @param {Object} schedule - A checkpointSchedule() or maintenanceSchedule()
+ * @param {Function} check - Returns a Promise
+ * @param {Function} onError - Called with the error of a failed check
+ */
+function runSchedule(schedule, check, onError) {
+  const next = function() {
+    schedule.timer = setTimeout(function() {
+      Promise.resolve().then(check).catch(onError).then(function() {
+        if (!schedule.stopped) {
+          next();
+        }
+      });
+    }, schedule.checkInterval);
+    schedule.timer.unref();
+  };
+  next();
+}
+
+/**
+ * Stop a schedule started with runSchedule(). Does nothing without one.
+ * @param {Object} schedule
+ */
+function stopSchedule(schedule) {
+  if (schedule) {
+    schedule.stopped = true;
+    clearTimeout(schedule.timer);
+  }
+}
+
+module.exports = {
+  CHECKPOINT_MODES,
+  checkpointSchedule,
+  dueCheckpoints,
+  maintenanceSchedule,
+  isMaintenanceDue,
+  runSchedule,
+  stopSchedule
+};
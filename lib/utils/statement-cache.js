@@ -0,0 +1,81 @@
+/**
+ * Bounded LRU cache of prepared statements keyed by SQL text
+ */
+
+const DEFAULT_MAX_SIZE = 100;
+
+/**
+ * Create a statement cache
+ * @param {number} maxSize - Maximum number of statements to keep (default: 100, 0 disables caching)
+ */
+function StatementCache(maxSize) {
+  this.maxSize = maxSize === undefined || maxSize === null ? DEFAULT_MAX_SIZE : maxSize;
+  this.statements = new Map();
+  this.hits = 0;
+  this.misses = 0;
+  this.evictions = 0;
+}
+
+/**
+ * Get a cached statement, or prepare and cache a new one
+ * @param {string} sql - SQL text used as the cache key
+ * @param {Function} prepare - Called with the SQL on a cache miss; returns the prepared statement
+ * @returns {Object} Prepared statement
+ */
+StatementCache.prototype.get = function(sql, prepare) {
+  const cached = this.statements.get(sql);
+  if (cached) {
+    // Re-insert to mark as most recently used
+    this.statements.delete(sql);
+    this.statements.set(sql, cached);
+    this.hits++;
+    return cached;
+  }
+
+  this.misses++;
+  const stmt = prepare(sql);
+  if (this.maxSize <= 0) {
+    return stmt;
+  }
+
+  this.statements.set(sql, stmt);
+  if (this.statements.size > this.maxSize) {
+    // Map iteration order is insertion order, so the first key is least recently used
+    this.statements.delete(this.statements.keys().next().value);
+    this.evictions++;
+  }
+  return stmt;
+};
+
+/**
+ * Drop all cached statements (counters are kept)
+ */
+StatementCache.prototype.clear = function() {
+  this.statements.clear();
+};
+
+/**
+ * Get cache statistics
+ * @returns {{size: number, maxSize: number, hits: number, misses: number, evictions: number}}
+ */
+StatementCache.prototype.getStats = function() {
+  return {
+    size: this.statements.size,
+    maxSize: this.maxSize,
+    hits: this.hits,
+    misses: this.misses,
+    evictions: this.evictions
+  };
+};
+
+/**
+ * Check whether a SQL statement changes the database schema, which makes
+ * previously prepared statements stale
+ * @param {string} sql - SQL text
+ * @returns {boolean} True for CREATE, DROP, ALTER, ATTACH, DETACH and VACUUM statements
+ */
+StatementCache.isSchemaChange = function(sql) {
+  return /^\s*(CREATE|DROP|ALTER|ATTACH|DETACH|VACUUM)\b/i.test(sql);
+};
+
+module.exports = StatementCache;
@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
 const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const { AttachLimitError } = require('../lib/utils/attach-utils');
 
 describe('AttachedBetterSqliteAdapter', function() {
   const TEST_DIR = path.join(__dirname, 'test-databases');
@@ -303,6 +304,37 @@ describe('AttachedBetterSqliteAdapter', function() {
 
       await adapter.disconnect();
     });
+
+    it('should wait for another caller\'s transaction before attaching or detaching', async function() {
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {});
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+
+      const order = [];
+      const writeSlowly = function() {
+        return adapter.transaction(async function() {
+          await adapter.runAsync('INSERT INTO items DEFAULT VALUES');
+          await new Promise(resolve => setTimeout(resolve, 20));
+          order.push('committing');
+        });
+      };
+
+      let transaction = writeSlowly();
+      await adapter.attachDatabase(ATTACHED_DB, 'extra', true);
+      order.push('attached');
+      await transaction;
+
+      transaction = writeSlowly();
+      await adapter.detachDatabase('extra');
+      order.push('detached');
+      await transaction;
+
+      assert.deepStrictEqual(order, ['committing', 'attached', 'committing', 'detached']);
+      assert.strictEqual(adapter.isAttached('extra'), false);
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items'), { count: 2 });
+
+      await adapter.disconnect();
+    });
   });
 
   describe('Helper Methods', function() {
@@ -370,4 +402,376 @@ describe('AttachedBetterSqliteAdapter', function() {
       await adapter.disconnect();
     });
   });
+
+  describe('Safe Attachment', function() {
+    it('should attach paths containing quotes', async function() {
+      const quotedDb = path.join(TEST_DIR, "it's \"quoted\".db");
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {});
+      await adapter.connect();
+
+      try {
+        await adapter.attachDatabase(quotedDb, 'quoted', true);
+        await adapter.runAsync('CREATE TABLE quoted.items (id INTEGER PRIMARY KEY)');
+        assert(fs.existsSync(quotedDb));
+
+        const databases = await adapter.getAllAsync('PRAGMA database_list');
+        assert.strictEqual(databases.find(db => db.name === 'quoted').file, quotedDb);
+      } finally {
+        await adapter.disconnect();
+        fs.unlinkSync(quotedDb);
+      }
+    });
+
+    it('should reject invalid and reserved aliases', async function() {
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {});
+      await adapter.connect();
+
+      for (const alias of ['x; DROP TABLE y', 'a"b', '1abc', '', null]) {
+        await assert.rejects(adapter.attachDatabase(':memory:', alias), /Invalid database alias/);
+      }
+      for (const alias of ['main', 'temp', 'TEMP']) {
+        await assert.rejects(adapter.attachDatabase(':memory:', alias), /Database alias is reserved/);
+      }
+      assert.deepStrictEqual(adapter.getAttachedAliases(), []);
+
+      await adapter.disconnect();
+    });
+
+    it('should report the attach limit and raise AttachLimitError when it is reached', async function() {
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {
+        attachments: [{ path: ':memory:', alias: 'first' }]
+      });
+      await adapter.connect();
+
+      const limit = await adapter.getAttachLimit();
+      assert.strictEqual(limit.attached, 1);
+      assert.strictEqual(limit.available, limit.max - 1);
+
+      for (let i = 0; i < limit.available; i++) {
+        await adapter.attachDatabase(':memory:', 'extra' + i);
+      }
+      assert.strictEqual((await adapter.getAttachLimit()).available, 0);
+
+      await assert.rejects(adapter.attachDatabase(':memory:', 'overflow'), function(error) {
+        assert(error instanceof AttachLimitError);
+        assert.strictEqual(error.code, 'SQLITE_LIMIT_ATTACHED');
+        assert.strictEqual(error.alias, 'overflow');
+        assert.strictEqual(error.limit, limit.max);
+        return true;
+      });
+      assert.strictEqual(adapter.isAttached('overflow'), false);
+
+      await adapter.disconnect();
+    });
+  });
+
+  describe('Read-only Attachments', function() {
+    async function createDictionary() {
+      const setup = new BetterSqliteAdapter(ATTACHED_DB, { enableWAL: false });
+      await setup.connect();
+      await setup.runAsync('CREATE TABLE words (id INTEGER PRIMARY KEY, word TEXT)');
+      await setup.runAsync("INSERT INTO words (word) VALUES ('alpha'), ('beta')");
+      await setup.disconnect();
+    }
+
+    it('should read from a read-only attachment and reject writes to it', async function() {
+      await createDictionary();
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {
+        attachments: [{ path: ATTACHED_DB, alias: 'dict', readonly: true }]
+      });
+      await adapter.connect();
+
+      try {
+        const rows = await adapter.getAllAsync('SELECT word FROM dict.words ORDER BY id');
+        assert.deepStrictEqual(rows.map(row => row.word), ['alpha', 'beta']);
+
+        for (const sql of [
+          "INSERT INTO dict.words (word) VALUES ('gamma')",
+          'DELETE FROM words',
+          'CREATE TABLE dict.extra (id INTEGER)',
+          'DROP TABLE dict.words',
+          'PRAGMA dict.user_version = 5'
+        ]) {
+          await assert.rejects(adapter.runAsync(sql), function(error) {
+            assert.strictEqual(error.message, 'Cannot write to read-only attached database dict (' + ATTACHED_DB + ')');
+            assert.strictEqual(error.code, 'SQLITE_READONLY');
+            assert.strictEqual(error.alias, 'dict');
+            return true;
+          });
+        }
+
+        await assert.rejects(adapter.runBatchAsync('INSERT INTO dict.words (word) VALUES (?)', [['x'], ['y']]), /read-only attached database dict/);
+        await assert.rejects(adapter.transaction(async function() {
+          await adapter.runAsync('CREATE TABLE copy (word TEXT)');
+          await adapter.runAsync("UPDATE dict.words SET word = 'changed'");
+        }), /read-only attached database dict/);
+
+        // The main database stays writable, including from the read-only one
+        await adapter.runAsync('CREATE TABLE copy (word TEXT)');
+        const copied = await adapter.runAsync('INSERT INTO copy SELECT word FROM dict.words');
+        assert.strictEqual(copied.changes, 2);
+        assert.deepStrictEqual(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM dict.words'), { count: 2 });
+      } finally {
+        await adapter.disconnect();
+      }
+    });
+
+    it('should make an alias writable again once detached and reattached', async function() {
+      await createDictionary();
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {});
+      await adapter.connect();
+
+      await adapter.attachDatabase(ATTACHED_DB, 'dict', false, { readonly: true });
+      await assert.rejects(adapter.runAsync("INSERT INTO dict.words (word) VALUES ('gamma')"), /read-only/);
+
+      await adapter.detachDatabase('dict');
+      await adapter.attachDatabase(ATTACHED_DB, 'dict');
+      const result = await adapter.runAsync("INSERT INTO dict.words (word) VALUES ('gamma')");
+      assert.strictEqual(result.changes, 1);
+
+      await adapter.disconnect();
+    });
+
+    it('should not create a missing read-only database', async function() {
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {});
+      await adapter.connect();
+
+      await assert.rejects(
+        adapter.attachDatabase(ATTACHED_DB, 'dict', true, { readonly: true }),
+        /Read-only database file does not exist/
+      );
+      assert.strictEqual(fs.existsSync(ATTACHED_DB), false);
+
+      await adapter.disconnect();
+    });
+
+    it('should reject attach options it does not support', async function() {
+      await createDictionary();
+      assert.throws(
+        () => new AttachedBetterSqliteAdapter(PRIMARY_DB, { attachments: [{ path: ATTACHED_DB, alias: 'dict', immutable: true }] }),
+        /Unsupported attach option: immutable \(supported: pragmas, readonly\)/
+      );
+
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {});
+      await adapter.connect();
+      await assert.rejects(adapter.attachDatabase(ATTACHED_DB, 'dict', false, { immutable: true }), /Unsupported attach option: immutable/);
+      await assert.rejects(adapter.attachDatabase(ATTACHED_DB, 'dict', false, { uri: 'mode=ro' }), /Unsupported attach option: uri/);
+      assert.strictEqual(adapter.isAttached('dict'), false);
+
+      await adapter.disconnect();
+    });
+
+    it('should leave an existing file untouched when createIfNotExists is set', async function() {
+      await createDictionary();
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {
+        attachments: [{ path: ATTACHED_DB, alias: 'dict', createIfNotExists: true }]
+      });
+      await adapter.connect();
+
+      assert.deepStrictEqual(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM dict.words'), { count: 2 });
+
+      await adapter.disconnect();
+    });
+  });
+
+  describe('Index Management', function() {
+    const SPECS = [
+      { name: 'docs_type', table: 'docs', columns: [{ expression: "json_extract(data, '$.type')" }] },
+      { name: 'docs_owner_created', table: 'docs', columns: ['owner', { name: 'created', order: 'desc' }] },
+      { name: 'docs_slug', table: 'docs', columns: ['slug'], unique: true, where: 'slug IS NOT NULL' }
+    ];
+
+    async function connectWithDocs() {
+      const adapter = new AttachedBetterSqliteAdapter(PRIMARY_DB, {
+        attachments: [{ path: ATTACHED_DB, alias: 'sharedb', createIfNotExists: true }]
+      });
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE sharedb.docs (id TEXT PRIMARY KEY, owner TEXT, slug TEXT, created INTEGER, data TEXT)');
+      return adapter;
+    }
+
+    it('should create indexes inside the attached schema', async function() {
+      const adapter = await connectWithDocs();
+
+      const report = await adapter.ensureIndexes('sharedb', SPECS);
+      assert.deepStrictEqual(report, {
+        alias: 'sharedb',
+        created: ['docs_type', 'docs_owner_created', 'docs_slug'],
+        recreated: [],
+        dropped: [],
+        unchanged: [],
+        stale: []
+      });
+
+      const indexes = await adapter.getAllAsync(
+        "SELECT name, sql FROM sharedb.sqlite_master WHERE type = 'index' AND sql IS NOT NULL ORDER BY name"
+      );
+      assert.deepStrictEqual(indexes.map(index => index.name), ['docs_owner_created', 'docs_slug', 'docs_type']);
+      assert.strictEqual(indexes[0].sql, 'CREATE INDEX "docs_owner_created" ON "docs" ("owner", "created" DESC)');
+      assert.strictEqual(
+        (await adapter.getFirstAsync("SELECT count(*) AS n FROM main.sqlite_master WHERE type = 'index'")).n,
+        0
+      );
+
+      const plan = await adapter.getAllAsync("EXPLAIN QUERY PLAN SELECT id FROM sharedb.docs WHERE json_extract(data, '$.type') = 'post'");
+      assert.ok(plan.some(step => step.detail.includes('docs_type')));
+
+      await adapter.disconnect();
+    });
+
+    it('should be idempotent', async function() {
+      const adapter = await connectWithDocs();
+      await adapter.ensureIndexes('sharedb', SPECS);
+
+      const report = await adapter.ensureIndexes('sharedb', SPECS);
+      assert.deepStrictEqual(report.created, []);
+      assert.deepStrictEqual(report.unchanged, ['docs_type', 'docs_owner_created', 'docs_slug']);
+
+      await adapter.disconnect();
+    });
+
+    it('should report stale indexes and drop them only when asked', async function() {
+      const adapter = await connectWithDocs();
+      await adapter.ensureIndexes('sharedb', SPECS);
+      await adapter.runAsync('CREATE INDEX sharedb.docs_old ON docs (slug)');
+      await adapter.runAsync('CREATE TABLE sharedb.other (id INTEGER, value TEXT)');
+      await adapter.runAsync('CREATE INDEX sharedb.other_value ON other (value)');
+
+      const changed = [SPECS[0], SPECS[1], Object.assign({}, SPECS[2], { where: null })];
+
+      const kept = await adapter.ensureIndexes('sharedb', changed);
+      assert.deepStrictEqual(kept.stale, ['docs_old', 'docs_slug']);
+      assert.deepStrictEqual(kept.unchanged, ['docs_type', 'docs_owner_created']);
+
+      const dropped = await adapter.ensureIndexes('sharedb', changed, { dropStale: true });
+      assert.deepStrictEqual(dropped.dropped, ['docs_old']);
+      assert.deepStrictEqual(dropped.recreated, ['docs_slug']);
+      assert.deepStrictEqual(dropped.stale, []);
+
+      const slug = await adapter.getFirstAsync("SELECT sql FROM sharedb.sqlite_master WHERE name = 'docs_slug'");
+      assert.strictEqual(slug.sql, 'CREATE UNIQUE INDEX "docs_slug" ON "docs" ("slug")');
+      assert.ok(await adapter.getFirstAsync("SELECT 1 FROM sharedb.sqlite_master WHERE name = 'other_value'"));
+
+      await adapter.disconnect();
+    });
+
+    it('should create nothing when a spec is invalid', async function() {
+      const adapter = await connectWithDocs();
+
+      await assert.rejects(
+        adapter.ensureIndexes('sharedb', [SPECS[0], { name: 'broken', table: 'missing', columns: ['x'] }]),
+        /no such table/
+      );
+      await assert.rejects(adapter.ensureIndexes('sharedb', [{ name: 'no_columns', table: 'docs', columns: [] }]),
+        /needs at least one column/);
+      await assert.rejects(adapter.ensureIndexes('sharedb', [SPECS[0], SPECS[0]]), /Duplicate index name: docs_type/);
+      await assert.rejects(adapter.ensureIndexes('nope', SPECS), /Database not attached: nope/);
+
+      const count = await adapter.getFirstAsync("SELECT count(*) AS n FROM sharedb.sqlite_master WHERE type = 'index' AND sql IS NOT NULL");
+      assert.strictEqual(count.n, 0);
+
+      await adapter.disconnect();
+    });
+
+    it('should create indexes in main', async function() {
+      const adapter = await connectWithDocs();
+      await adapter.runAsync('CREATE TABLE docs (id TEXT, owner TEXT)');
+
+      const report = await adapter.ensureIndexes('main', [{ name: 'main_owner', table: 'docs', columns: ['owner'] }]);
+      assert.deepStrictEqual(report.created, ['main_owner']);
+      assert.ok(await adapter.getFirstAsync("SELECT 1 FROM main.sqlite_master WHERE name = 'main_owner'"));
+
+      await adapter.disconnect();
+    });
+  });
+
+  describe('Diagnostics', function() {
+    it('should report whether all databases exist', function() {
+      fs.writeFileSync(ATTACHED_DB, '');
+
+      const adapter = new AttachedBetterSqliteAdapter(
+        PRIMARY_DB,
+        {
+          attachments: [
+            { path: ATTACHED_DB, alias: 'sharedb' },
+            { path: path.join(TEST_DIR, 'missing.db'), alias: 'missing' }
+          ]
+        }
+      );
+
+      const status = adapter.checkAllDatabasesExist();
+      assert.deepStrictEqual(status, {
+        primary: { path: PRIMARY_DB, exists: false },
+        attachments: {
+          sharedb: { path: ATTACHED_DB, exists: true },
+          missing: { path: path.join(TEST_DIR, 'missing.db'), exists: false }
+        }
+      });
+    });
+
+    it('should build a report for the primary and attached databases', async function() {
+      const attachedAdapter = new BetterSqliteAdapter(ATTACHED_DB);
+      await attachedAdapter.connect();
+      await attachedAdapter.runAsync('CREATE TABLE test_table (id INTEGER PRIMARY KEY)');
+      await attachedAdapter.disconnect();
+
+      const adapter = new AttachedBetterSqliteAdapter(
+        PRIMARY_DB,
+        {
+          attachments: [
+            { path: ATTACHED_DB, alias: 'sharedb' }
+          ]
+        }
+      );
+      await adapter.connect();
+      await adapter.attachDatabase(':memory:', 'memdb');
+
+      const report = await adapter.getDatabaseReport();
+      assert.strictEqual(report.ok, true);
+      assert.deepStrictEqual(report.databases.map(db => db.alias), ['main', 'sharedb', 'memdb']);
+
+      const main = report.databases[0];
+      assert.strictEqual(main.exists, true);
+      assert.strictEqual(main.attached, true);
+      assert.strictEqual(main.journalMode, 'wal');
+      assert(main.pageSize > 0);
+      assert.deepStrictEqual(main.integrityCheck, { ok: true, messages: ['ok'] });
+      assert.deepStrictEqual(main.quickCheck, { ok: true, messages: ['ok'] });
+
+      const sharedb = report.databases[1];
+      assert.strictEqual(sharedb.path, ATTACHED_DB);
+      assert(sharedb.size > 0);
+      assert(sharedb.pageCount >= 2);
+
+      assert.strictEqual(report.databases[2].size, null);
+
+      await adapter.disconnect();
+    });
+
+    it('should report unattached and missing databases as not ok', async function() {
+      fs.writeFileSync(ATTACHED_DB, '');
+
+      const adapter = new AttachedBetterSqliteAdapter(
+        PRIMARY_DB,
+        {
+          attachments: [
+            { path: ATTACHED_DB, alias: 'sharedb' },
+            { path: path.join(TEST_DIR, 'missing.db'), alias: 'missing' }
+          ]
+        }
+      );
+      await BetterSqliteAdapter.prototype.connect.call(adapter);
+
+      const report = await adapter.getDatabaseReport({ integrityCheck: false });
+      assert.strictEqual(report.ok, false);
+
+      const missing = report.databases[2];
+      assert.strictEqual(missing.exists, false);
+      assert.strictEqual(missing.attached, false);
+      assert.strictEqual(missing.pageCount, null);
+      assert.strictEqual(report.databases[0].integrityCheck, null);
+
+      await adapter.disconnect();
+    });
+  });
 });
\ No newline at end of file
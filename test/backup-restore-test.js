@@ -0,0 +1,218 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const fs = require('fs');
+const path = require('path');
+
+describe('Backup and Restore', function() {
+  const testDbPath = path.join(__dirname, 'test-backup.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-backup-attached.sqlite');
+  const backupPath = path.join(__dirname, 'test-backup-copy.sqlite');
+  let adapter;
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath, backupPath]) {
+      for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  beforeEach(async function() {
+    cleanup();
+    adapter = new AttachedBetterSqliteAdapter(testDbPath, {
+      attachments: [{ path: attachedDbPath, alias: 'sharedb', createIfNotExists: true }]
+    });
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+    await adapter.runAsync('CREATE TABLE sharedb.docs (id TEXT PRIMARY KEY, data TEXT)');
+    await adapter.transaction(async function() {
+      for (let i = 0; i < 500; i++) {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['item-' + i + '-' + 'x'.repeat(200)]);
+      }
+    });
+    await adapter.runAsync("INSERT INTO sharedb.docs VALUES ('doc1', '{}')");
+  });
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    cleanup();
+  });
+
+  it('should back up the main database with progress and verification', async function() {
+    const progress = [];
+    const report = await adapter.backup(backupPath, {
+      pagesPerStep: 5,
+      onProgress: function(event) {
+        progress.push(event);
+      }
+    });
+
+    expect(report.path).to.equal(backupPath);
+    expect(report.alias).to.equal('main');
+    expect(report.totalPages).to.be.above(5);
+    expect(report.size).to.be.above(0);
+    expect(report.integrityCheck).to.deep.equal({ ok: true, messages: ['ok'] });
+
+    expect(progress.length).to.be.above(1);
+    expect(progress[progress.length - 1].percent).to.equal(100);
+    expect(progress[progress.length - 1].remainingPages).to.equal(0);
+
+    const copy = new BetterSqliteAdapter(backupPath, { enableWAL: false });
+    await copy.connect();
+    const row = await copy.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+    await copy.disconnect();
+    expect(row.count).to.equal(500);
+  });
+
+  it('should back up an attached alias', async function() {
+    const report = await adapter.backup(backupPath, { alias: 'sharedb', stepDelay: 1 });
+    expect(report.alias).to.equal('sharedb');
+
+    const copy = new BetterSqliteAdapter(backupPath, { enableWAL: false });
+    await copy.connect();
+    const rows = await copy.getAllAsync('SELECT id FROM docs');
+    const items = await copy.getFirstAsync("SELECT name FROM sqlite_master WHERE name = 'items'");
+    await copy.disconnect();
+
+    expect(rows).to.deep.equal([{ id: 'doc1' }]);
+    expect(items).to.be.null;
+  });
+
+  it('should sleep between throttled steps instead of spinning', async function() {
+    const steps = [];
+    const cpuBefore = process.cpuUsage();
+    const start = Date.now();
+
+    const report = await adapter.backup(backupPath, {
+      pagesPerStep: 2,
+      stepDelay: 20,
+      verify: false,
+      onProgress: function(event) {
+        steps.push(event.remainingPages);
+      }
+    });
+
+    const elapsed = Date.now() - start;
+    const cpu = process.cpuUsage(cpuBefore);
+    // One call per step that left pages to copy, plus the final one
+    expect(steps.length).to.be.at.most(Math.ceil(report.totalPages / 2) + 1);
+    expect(steps[steps.length - 1]).to.equal(0);
+    expect(elapsed).to.be.at.least((steps.length - 2) * 20);
+    expect((cpu.user + cpu.system) / 1000).to.be.below(elapsed / 2);
+  });
+
+  it('should back up unthrottled when better-sqlite3 has no backup handle', async function() {
+    const util = require('better-sqlite3/lib/util');
+    const cppdb = util.cppdb;
+    const warnings = [];
+    adapter.logger.warn = function(message) {
+      warnings.push(message);
+    };
+
+    util.cppdb = Symbol('missing');
+    let report;
+    try {
+      report = await adapter.backup(backupPath, { stepDelay: 1000, verify: false });
+    } finally {
+      util.cppdb = cppdb;
+    }
+
+    expect(report.totalPages).to.be.above(1);
+    expect(adapter._checkDatabaseFile(backupPath).ok).to.be.true;
+    expect(warnings).to.deep.equal(['This better-sqlite3 version cannot pause a backup, ignoring stepDelay']);
+  });
+
+  it('should restore the main database from a backup', async function() {
+    await adapter.backup(backupPath);
+    await adapter.runAsync('DELETE FROM items');
+    await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+
+    const result = await adapter.restore(backupPath);
+    expect(result.alias).to.equal('main');
+
+    const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+    expect(row.count).to.equal(500);
+  });
+
+  it('should restore an attached alias from a backup', async function() {
+    await adapter.backup(backupPath, { alias: 'sharedb' });
+    await adapter.runAsync('DELETE FROM sharedb.docs');
+
+    const result = await adapter.restore(backupPath, { alias: 'sharedb' });
+    expect(result.path).to.equal(attachedDbPath);
+
+    const rows = await adapter.getAllAsync('SELECT id FROM sharedb.docs');
+    expect(rows).to.deep.equal([{ id: 'doc1' }]);
+  });
+
+  it('should hold other calls until a restore finishes', async function() {
+    await adapter.backup(backupPath);
+    await adapter.runAsync('DELETE FROM items');
+
+    const order = [];
+    const restoring = adapter.restore(backupPath, {
+      onProgress: function() {
+        order.push('progress');
+      }
+    }).then(function() {
+      order.push('restored');
+    });
+    const counted = adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items').then(function(row) {
+      order.push('query');
+      return row;
+    });
+
+    const row = (await Promise.all([counted, restoring]))[0];
+    expect(row.count).to.equal(500);
+    expect(order.indexOf('query')).to.be.above(order.lastIndexOf('progress'));
+  });
+
+  it('should reject a restore inside a transaction', async function() {
+    await adapter.backup(backupPath);
+
+    await adapter.transaction(async function() {
+      try {
+        await adapter.restore(backupPath);
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('Cannot restore inside a transaction');
+      }
+    });
+  });
+
+  it('should refuse to restore from a corrupt or missing file', async function() {
+    fs.writeFileSync(backupPath, 'not a database at all, just some text padding it out');
+
+    try {
+      await adapter.restore(backupPath);
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.include('failed integrity check');
+    }
+
+    try {
+      await adapter.restore(path.join(__dirname, 'missing-backup.sqlite'));
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.include('does not exist');
+    }
+
+    const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+    expect(row.count).to.equal(500);
+  });
+
+  it('should reject unknown aliases', async function() {
+    try {
+      await adapter.restore(testDbPath, { alias: 'nope' });
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Unknown database alias: nope');
+    }
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const fs = require('fs');
+const path = require('path');
+
+describe('Batch writes', function() {
+  const testDbPath = path.join(__dirname, 'test-batch.sqlite');
+  let adapter;
+  let queries;
+
+  beforeEach(async function() {
+    queries = [];
+    adapter = new BetterSqliteAdapter(testDbPath, {
+      onQuery: event => queries.push(event)
+    });
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE ops (id INTEGER PRIMARY KEY, doc TEXT NOT NULL, v INTEGER)');
+    queries = [];
+  });
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) {
+        fs.unlinkSync(testDbPath + suffix);
+      }
+    }
+  });
+
+  describe('runBatchAsync', function() {
+    it('should insert every parameter set in chunked transactions', async function() {
+      const params = [];
+      for (let i = 0; i < 25; i++) {
+        params.push(['doc-' + i, i]);
+      }
+
+      const result = await adapter.runBatchAsync('INSERT INTO ops (doc, v) VALUES (?, ?)', params, { chunkSize: 10 });
+
+      expect(result.changes).to.equal(25);
+      expect(result.lastInsertRowids).to.deep.equal(params.map((p, i) => i + 1));
+      expect(queries.map(event => [event.type, event.statements])).to.deep.equal([
+        ['batch', 10], ['batch', 10], ['batch', 5]
+      ]);
+      expect(adapter.getStatementCacheStats().misses).to.equal(1);
+
+      const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM ops');
+      expect(row.count).to.equal(25);
+    });
+
+    it('should let other work run between chunks', async function() {
+      const order = [];
+      const params = [];
+      for (let i = 0; i < 4; i++) {
+        params.push(['doc', i]);
+      }
+
+      const batch = adapter.runBatchAsync('INSERT INTO ops (doc, v) VALUES (?, ?)', params, { chunkSize: 1 })
+        .then(() => order.push('batch'));
+      const read = adapter.getFirstAsync('SELECT COUNT(*) AS count FROM ops')
+        .then(row => order.push('read:' + row.count));
+      await Promise.all([batch, read]);
+
+      expect(order[0]).to.match(/^read:[0-3]$/);
+      expect(order[1]).to.equal('batch');
+    });
+
+    it('should roll back only the failing chunk', async function() {
+      try {
+        await adapter.runBatchAsync('INSERT INTO ops (doc, v) VALUES (?, ?)', [
+          ['a', 1], ['b', 2], ['c', 3], [null, 4]
+        ], { chunkSize: 2 });
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.code).to.equal('SQLITE_CONSTRAINT_NOTNULL');
+      }
+
+      const rows = await adapter.getAllAsync('SELECT doc FROM ops ORDER BY id');
+      expect(rows.map(row => row.doc)).to.deep.equal(['a', 'b']);
+    });
+
+    it('should be atomic inside a transaction', async function() {
+      try {
+        await adapter.transaction(async function() {
+          await adapter.runBatchAsync('INSERT INTO ops (doc, v) VALUES (?, ?)', [
+            ['a', 1], ['b', 2], [null, 3]
+          ], { chunkSize: 1 });
+        });
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.code).to.equal('SQLITE_CONSTRAINT_NOTNULL');
+      }
+
+      const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM ops');
+      expect(row.count).to.equal(0);
+    });
+
+    it('should validate its arguments', async function() {
+      const empty = await adapter.runBatchAsync('INSERT INTO ops (doc) VALUES (?)', []);
+      expect(empty).to.deep.equal({ changes: 0, lastInsertRowids: [] });
+
+      try {
+        await adapter.runBatchAsync('INSERT INTO ops (doc) VALUES (?)', ['a'], { chunkSize: 0 });
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('chunkSize must be a positive integer');
+      }
+
+      try {
+        await adapter.runBatchAsync('INSERT INTO ops (doc) VALUES (?)', 'a');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('runBatchAsync expects an array of parameter sets');
+      }
+    });
+  });
+
+  describe('runStatementsAsync', function() {
+    it('should run different statements in order', async function() {
+      const result = await adapter.runStatementsAsync([
+        { sql: 'INSERT INTO ops (doc, v) VALUES (?, ?)', params: ['a', 1] },
+        { sql: 'INSERT INTO ops (doc, v) VALUES (?, ?)', params: ['b', 1] },
+        { sql: 'UPDATE ops SET v = v + 1 WHERE doc = ?', params: ['a'] },
+        { sql: 'DELETE FROM ops WHERE doc = ?', params: ['b'] }
+      ], { chunkSize: 3 });
+
+      expect(result.changes).to.equal(4);
+      expect(result.lastInsertRowids.slice(0, 2)).to.deep.equal([1, 2]);
+      expect(queries[0].sql).to.equal('INSERT INTO ops (doc, v) VALUES (?, ?); UPDATE ops SET v = v + 1 WHERE doc = ?; DELETE FROM ops WHERE doc = ?');
+
+      const rows = await adapter.getAllAsync('SELECT doc, v FROM ops');
+      expect(rows).to.deep.equal([{ doc: 'a', v: 2 }]);
+    });
+
+    it('should reject malformed statements', async function() {
+      try {
+        await adapter.runStatementsAsync([{ params: [] }]);
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('runStatementsAsync expects an array of { sql, params } objects');
+      }
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const ChangeFeed = require('../lib/changes/change-feed');
+const fs = require('fs');
+const path = require('path');
+
+describe('ChangeFeed', function() {
+  const testDbPath = path.join(__dirname, 'test-change-feed.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-change-feed-attached.sqlite');
+  let reader;
+  let writer;
+  let feed;
+  let changes;
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath]) {
+      for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  function record(change) {
+    changes.push([change.table, change.op, change.key]);
+  }
+
+  beforeEach(async function() {
+    cleanup();
+    changes = [];
+    // Two connections to one file, as two processes would have
+    reader = new BetterSqliteAdapter(testDbPath);
+    writer = new BetterSqliteAdapter(testDbPath);
+    await reader.connect();
+    await writer.connect();
+    await writer.runAsync('CREATE TABLE posts (id TEXT PRIMARY KEY, title TEXT)');
+    await writer.runAsync('CREATE TABLE comments (body TEXT)');
+    feed = new ChangeFeed(reader, { interval: 10 });
+  });
+
+  afterEach(async function() {
+    await feed.close();
+    await reader.disconnect();
+    await writer.disconnect();
+    cleanup();
+  });
+
+  it('should deliver inserts, updates and deletes from another connection in order', async function() {
+    await feed.capture('posts', { key: 'id' });
+    await feed.subscribe('posts', record);
+
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['p1', 'one']);
+    await writer.runAsync('UPDATE posts SET title = ? WHERE id = ?', ['uno', 'p1']);
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['p2', 'two']);
+    await writer.runAsync('DELETE FROM posts WHERE id = ?', ['p1']);
+
+    expect(await feed.poll()).to.equal(4);
+    expect(changes).to.deep.equal([
+      ['posts', 'insert', 'p1'],
+      ['posts', 'update', 'p1'],
+      ['posts', 'insert', 'p2'],
+      ['posts', 'delete', 'p1']
+    ]);
+  });
+
+  it('should deliver changes made on its own connection', async function() {
+    await feed.capture('comments');
+    await feed.subscribe(['comments'], record);
+
+    await reader.runAsync('INSERT INTO comments VALUES (?)', ['hello']);
+
+    expect(await feed.poll()).to.equal(1);
+    expect(changes).to.deep.equal([['comments', 'insert', 1]]);
+  });
+
+  it('should poll on a timer and skip reading the log while nothing changed', async function() {
+    await feed.capture('posts', { key: 'id' });
+    let resolveReceived;
+    const received = new Promise(resolve => {
+      resolveReceived = resolve;
+    });
+    await feed.subscribe('posts', change => resolveReceived(change));
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['p1', 'one']);
+
+    const change = await received;
+    expect(change).to.include({ schema: 'main', table: 'posts', op: 'insert', key: 'p1' });
+    expect(change.seq).to.be.a('number');
+    expect(change.time).to.be.closeTo(Date.now(), 5000);
+
+    await feed.poll();
+    await feed.poll();
+    const reads = [];
+    const originalGetAll = reader.getAllAsync;
+    reader.getAllAsync = function(sql, params) {
+      reads.push(sql);
+      return originalGetAll.call(this, sql, params);
+    };
+    await feed.poll();
+    expect(reads.filter(sql => /change_log/.test(sql))).to.deep.equal([]);
+  });
+
+  it('should only deliver subscribed tables, from the time of subscription', async function() {
+    await feed.capture('posts', { key: 'id' });
+    await feed.capture('comments');
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['old', 'before']);
+
+    const subscription = await feed.subscribe('posts', record);
+    await writer.runAsync('INSERT INTO comments VALUES (?)', ['ignored']);
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['new', 'after']);
+    await feed.poll();
+    expect(changes).to.deep.equal([['posts', 'insert', 'new']]);
+
+    await subscription.unsubscribe();
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['later', 'unsubscribed']);
+    await feed.poll();
+    expect(changes).to.have.length(1);
+  });
+
+  it('should prune entries once every active consumer has read them', async function() {
+    await feed.capture('posts', { key: 'id' });
+    await feed.subscribe('posts', record);
+    const other = new ChangeFeed(writer, { consumer: 'other' });
+    await other.subscribe('posts', function() {});
+
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['p1', 'one']);
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['p2', 'two']);
+    await feed.poll();
+    expect((await reader.getFirstAsync('SELECT COUNT(*) AS n FROM change_log')).n).to.equal(2);
+
+    await other.poll();
+    expect((await reader.getFirstAsync('SELECT COUNT(*) AS n FROM change_log')).n).to.equal(0);
+
+    // A consumer that stopped updating its cursor no longer holds back pruning
+    await other.subscribe('posts', function() {});
+    other._stop();
+    await reader.runAsync('UPDATE change_log_cursors SET updated_at = 0 WHERE consumer = ?', ['other']);
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['p3', 'three']);
+    await feed.poll();
+    expect((await reader.getFirstAsync('SELECT COUNT(*) AS n FROM change_log')).n).to.equal(0);
+    expect(await reader.getAllAsync('SELECT consumer FROM change_log_cursors')).to.deep.equal([{ consumer: feed.consumer }]);
+
+    await other.close();
+    await feed.close();
+    expect(await reader.getAllAsync('SELECT consumer FROM change_log_cursors')).to.deep.equal([]);
+  });
+
+  it('should keep delivering when a handler fails', async function() {
+    const errors = [];
+    feed.on('error', (error, change) => errors.push([error.message, change.key]));
+    await feed.capture('posts', { key: 'id' });
+    await feed.subscribe('posts', function(change) {
+      if (change.key === 'bad') {
+        throw new Error('handler failed');
+      }
+      record(change);
+    });
+
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['bad', 'x']);
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['good', 'y']);
+    await feed.poll();
+
+    expect(errors).to.deep.equal([['handler failed', 'bad']]);
+    expect(changes).to.deep.equal([['posts', 'insert', 'good']]);
+  });
+
+  it('should stop recording a released table', async function() {
+    await feed.capture('posts', { key: 'id' });
+    await feed.capture('posts', { key: 'id' });
+    await feed.release('posts');
+    await feed.subscribe('posts', record);
+
+    await writer.runAsync('INSERT INTO posts VALUES (?, ?)', ['p1', 'one']);
+    await feed.poll();
+
+    expect(changes).to.deep.equal([]);
+    const triggers = await reader.getAllAsync("SELECT name FROM sqlite_master WHERE type = 'trigger'");
+    expect(triggers).to.deep.equal([]);
+  });
+
+  it('should capture tables in attached databases', async function() {
+    // Another process opening the attached file directly
+    const direct = new BetterSqliteAdapter(attachedDbPath);
+    await direct.connect();
+    const attached = new AttachedBetterSqliteAdapter(testDbPath, {
+      attachments: [{ path: attachedDbPath, alias: 'shared' }]
+    });
+    await attached.connect();
+    await attached.runAsync('CREATE TABLE shared.docs (id TEXT PRIMARY KEY)');
+    const attachedFeed = new ChangeFeed(attached);
+    await attachedFeed.capture('shared.docs', { key: 'id' });
+    await attachedFeed.subscribe(['shared.docs'], record);
+
+    await direct.runAsync('INSERT INTO docs VALUES (?)', ['d1']);
+    await direct.disconnect();
+
+    await attachedFeed.poll();
+    expect(changes).to.deep.equal([['docs', 'insert', 'd1']]);
+
+    await attachedFeed.close();
+    await attached.disconnect();
+  });
+
+  it('should reject invalid subscriptions', async function() {
+    await expectRejection(feed.subscribe([], record), 'subscribe() needs at least one table');
+    await expectRejection(feed.subscribe('posts'), 'handler must be a function');
+    await feed.close();
+    await expectRejection(feed.subscribe('posts', record), 'Change feed is closed');
+  });
+
+  async function expectRejection(promise, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.message).to.equal(message);
+      return;
+    }
+    throw new Error('Expected rejection: ' + message);
+  }
+});
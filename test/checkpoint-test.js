@@ -0,0 +1,230 @@
+const { expect } = require('chai');
+const Database = require('better-sqlite3');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const WorkerBetterSqliteAdapter = require('../lib/adapters/worker-better-sqlite-adapter');
+const fs = require('fs');
+const path = require('path');
+
+describe('WAL checkpoints', function() {
+  const testDbPath = path.join(__dirname, 'test-checkpoint.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-checkpoint-attached.sqlite');
+  let adapter;
+  let warnings;
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath]) {
+      for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  function captureLogger() {
+    const noop = function() {};
+    return {
+      debug: noop,
+      info: noop,
+      warn: function(message, fields) {
+        warnings.push([message, fields]);
+      },
+      error: noop
+    };
+  }
+
+  async function writeRows(target, table, count) {
+    await target.runAsync(
+      'INSERT INTO ' + table + ' (body) WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?) ' +
+      'SELECT randomblob(1000) FROM n',
+      [count]
+    );
+  }
+
+  function nextEvent(emitter, name) {
+    return new Promise(resolve => emitter.once(name, resolve));
+  }
+
+  beforeEach(async function() {
+    cleanup();
+    warnings = [];
+    adapter = new BetterSqliteAdapter(testDbPath, { logger: captureLogger(), logLevel: 'warn' });
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE items (body BLOB)');
+  });
+
+  afterEach(async function() {
+    await adapter.disconnect();
+    cleanup();
+  });
+
+  describe('checkpoint()', function() {
+    it('should copy WAL frames and report the counts', async function() {
+      await writeRows(adapter, 'items', 50);
+      expect((await adapter.getWalSizes()).main).to.be.above(0);
+
+      const passive = await adapter.checkpoint();
+      expect(passive).to.include({ alias: 'main', mode: 'PASSIVE', busy: false, blocked: false, blockedCount: 0 });
+      expect(passive.walFrames).to.be.above(0);
+      expect(passive.checkpointedFrames).to.equal(passive.walFrames);
+      expect(passive.durationMs).to.be.a('number');
+
+      const truncate = await adapter.checkpoint('truncate');
+      expect(truncate).to.include({ mode: 'TRUNCATE', walFrames: 0, walSize: 0 });
+    });
+
+    it('should report checkpoints blocked by a reader and warn when they repeat', async function() {
+      const events = [];
+      adapter.on('checkpoint', result => events.push(result));
+      await writeRows(adapter, 'items', 10);
+
+      // Another process holding a read snapshot
+      const reader = new Database(testDbPath);
+      reader.exec('BEGIN');
+      reader.prepare('SELECT COUNT(*) FROM items').get();
+      await writeRows(adapter, 'items', 10);
+
+      try {
+        for (let i = 0; i < 3; i++) {
+          const result = await adapter.checkpoint('RESTART', 'main', { busyTimeout: 0 });
+          expect(result).to.include({ busy: true, blocked: true, blockedCount: i + 1 });
+          expect(result.checkpointedFrames).to.be.below(result.walFrames);
+        }
+      } finally {
+        reader.exec('COMMIT');
+        reader.close();
+      }
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0][0]).to.match(/WAL checkpoint blocked/);
+      expect(warnings[0][1]).to.include({ alias: 'main', blockedCount: 3 });
+      expect(adapter.busyTimeout).to.equal(5000);
+      expect((await adapter.getFirstAsync('PRAGMA busy_timeout')).timeout).to.equal(5000);
+
+      expect(await adapter.checkpoint('TRUNCATE')).to.include({ blocked: false, blockedCount: 0, walSize: 0 });
+      expect(events.map(result => result.blockedCount)).to.deep.equal([1, 2, 3, 0]);
+    });
+
+    it('should checkpoint attached databases and report their WAL sizes', async function() {
+      const attached = new AttachedBetterSqliteAdapter(testDbPath, {
+        attachments: [
+          { path: attachedDbPath, alias: 'shared', createIfNotExists: true, pragmas: { journal_mode: 'WAL' } },
+          { path: ':memory:', alias: 'scratch' }
+        ]
+      });
+      await attached.connect();
+      await attached.runAsync('CREATE TABLE shared.items (body BLOB)');
+      await writeRows(attached, 'shared.items', 20);
+
+      const sizes = await attached.getWalSizes();
+      expect(sizes).to.have.keys('main', 'shared', 'scratch');
+      expect(sizes.shared).to.be.above(0);
+      expect(sizes.scratch).to.equal(null);
+
+      expect(await attached.checkpoint('TRUNCATE', 'shared')).to.include({ alias: 'shared', walSize: 0 });
+      expect((await attached.checkpoint('PASSIVE', 'scratch')).walFrames).to.equal(-1);
+      await attached.disconnect();
+    });
+
+    it('should reject invalid checkpoints', async function() {
+      await expectRejection(adapter.checkpoint('SOMETIMES'), 'Invalid checkpoint mode: SOMETIMES');
+      await expectRejection(adapter.checkpoint('PASSIVE', 'other'), 'Unknown database alias: other');
+      await adapter.transaction(async function() {
+        await expectRejection(adapter.checkpoint(), 'Cannot checkpoint inside a transaction');
+      });
+    });
+  });
+
+  describe('Scheduled checkpoints', function() {
+    it('should checkpoint once the WAL reaches maxWalSize', async function() {
+      adapter.startCheckpoints({ maxWalSize: 64 * 1024, checkInterval: 10 });
+      const checkpointed = nextEvent(adapter, 'checkpoint');
+      await writeRows(adapter, 'items', 100);
+
+      const result = await checkpointed;
+      expect(result).to.include({ alias: 'main', mode: 'TRUNCATE', walSize: 0 });
+      adapter.stopCheckpoints();
+    });
+
+    it('should checkpoint on an interval and start with the connection', async function() {
+      const scheduled = new BetterSqliteAdapter(testDbPath, { checkpoints: { interval: 20, mode: 'PASSIVE' } });
+      const checkpointed = nextEvent(scheduled, 'checkpoint');
+      await scheduled.connect();
+
+      expect(await checkpointed).to.include({ alias: 'main', mode: 'PASSIVE' });
+      await scheduled.disconnect();
+      expect(scheduled._checkpointSchedule).to.equal(null);
+    });
+
+    it('should keep the schedule running after a failed check', async function() {
+      const getWalSizes = adapter.getWalSizes;
+      adapter.getWalSizes = function() {
+        adapter.getWalSizes = getWalSizes;
+        return Promise.reject(new Error('stat failed'));
+      };
+      const failed = new Promise(resolve => adapter.once('error', (error, context) => resolve([error, context])));
+      adapter.startCheckpoints({ interval: 10, checkInterval: 10 });
+
+      const [error, context] = await failed;
+      expect(error.message).to.equal('stat failed');
+      expect(context).to.deep.equal({ type: 'checkpoint' });
+      expect(await nextEvent(adapter, 'checkpoint')).to.include({ alias: 'main' });
+      adapter.stopCheckpoints();
+    });
+
+    it('should reject schedules without a trigger', function() {
+      expect(() => adapter.startCheckpoints({})).to.throw('Checkpoint schedule needs maxWalSize or interval');
+      expect(() => adapter.startCheckpoints({ interval: 10, mode: 'NOW' })).to.throw('Invalid checkpoint mode: NOW');
+    });
+  });
+
+  it('should checkpoint through the worker adapter', async function() {
+    const worker = new WorkerBetterSqliteAdapter(testDbPath);
+    await worker.connect();
+    try {
+      await writeRows(worker, 'items', 20);
+      expect(await worker.checkpoint('TRUNCATE')).to.include({ alias: 'main', mode: 'TRUNCATE', walSize: 0 });
+      expect(await worker.getWalSizes()).to.deep.equal({ main: 0 });
+    } finally {
+      await worker.disconnect();
+    }
+  });
+
+  it('should not checkpoint the worker adapter while a transaction is open', async function() {
+    const worker = new WorkerBetterSqliteAdapter(testDbPath, { checkpoints: { interval: 10 } });
+    const calls = [];
+    const call = worker._call;
+    worker._call = function(method, args) {
+      calls.push(method === 'exec' ? args[0] : method);
+      return call.call(this, method, args);
+    };
+    await worker.connect();
+    try {
+      await worker.transaction(async () => {
+        await writeRows(worker, 'items', 20);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await writeRows(worker, 'items', 20);
+      });
+      while (calls.lastIndexOf('checkpoint') < calls.indexOf('COMMIT')) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      expect(calls.slice(calls.indexOf('BEGIN'), calls.indexOf('COMMIT'))).to.not.include('checkpoint');
+      expect(worker._workerData().options).to.not.have.property('checkpoints');
+    } finally {
+      await worker.disconnect();
+    }
+    expect(worker._checkpointSchedule).to.equal(null);
+  });
+
+  async function expectRejection(promise, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.message).to.equal(message);
+      return;
+    }
+    throw new Error('Expected rejection: ' + message);
+  }
+});
@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const WorkerBetterSqliteAdapter = require('../lib/adapters/worker-better-sqlite-adapter');
+const BetterSqliteConnectionPool = require('../lib/pool/better-sqlite-connection-pool');
+const { runConformance, defineConformanceTests } = require('../lib/conformance/adapter-conformance');
+const fs = require('fs');
+const path = require('path');
+
+describe('Conformance', function() {
+  const testDbPath = path.join(__dirname, 'test-conformance.sqlite');
+  let attachmentCount = 0;
+
+  function attachmentPath() {
+    const file = path.join(__dirname, 'test-conformance-attached-' + (++attachmentCount) + '.sqlite');
+    fs.closeSync(fs.openSync(file, 'w'));
+    return file;
+  }
+
+  function cleanup() {
+    const files = fs.readdirSync(__dirname).filter(function(file) {
+      return file.indexOf('test-conformance') === 0;
+    });
+    for (const file of files) {
+      fs.unlinkSync(path.join(__dirname, file));
+    }
+  }
+
+  after(cleanup);
+
+  defineConformanceTests({
+    createAdapter: () => new BetterSqliteAdapter(':memory:')
+  }, { describe, it }, 'BetterSqliteAdapter');
+
+  defineConformanceTests({
+    createAdapter: () => new AttachedBetterSqliteAdapter(':memory:', {}),
+    attached: true
+  }, { describe, it }, 'AttachedBetterSqliteAdapter');
+
+  defineConformanceTests({
+    createAdapter: () => new WorkerBetterSqliteAdapter(testDbPath),
+    destroyAdapter: cleanup,
+    attached: true,
+    attachmentPath: attachmentPath
+  }, { describe, it }, 'WorkerBetterSqliteAdapter');
+
+  defineConformanceTests({
+    createAdapter: () => new BetterSqliteConnectionPool(testDbPath, { readers: 2 }),
+    destroyAdapter: cleanup,
+    attached: true,
+    attachmentPath: attachmentPath
+  }, { describe, it }, 'BetterSqliteConnectionPool');
+
+  describe('runConformance', function() {
+    it('should report results without a test framework', async function() {
+      const report = await runConformance({
+        createAdapter: () => new BetterSqliteAdapter(':memory:'),
+        attached: false
+      });
+
+      expect(report.failed).to.equal(0);
+      expect(report.passed).to.equal(report.results.length);
+      expect(report.results.every(result => result.interface === 'SqliteAdapter')).to.equal(true);
+    });
+
+    it('should report failing cases', async function() {
+      const report = await runConformance({
+        createAdapter: function() {
+          const adapter = new BetterSqliteAdapter(':memory:');
+          const getFirstAsync = adapter.getFirstAsync;
+          adapter.getFirstAsync = async function() {
+            const row = await getFirstAsync.apply(adapter, arguments);
+            return row === null ? undefined : row;
+          };
+          return adapter;
+        }
+      });
+
+      const failed = report.results.filter(result => !result.passed);
+      expect(failed.map(result => result.name)).to.deep.equal([
+        'getFirstAsync() resolves to the first row, or null when there is none'
+      ]);
+      expect(failed[0].error).to.be.an('error');
+    });
+
+    it('should require createAdapter', async function() {
+      try {
+        await runConformance({});
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('createAdapter is required');
+      }
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { expect } = require('chai');
+const BetterSqliteConnectionPool = require('../lib/pool/better-sqlite-connection-pool');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const fs = require('fs');
+const path = require('path');
+
+describe('BetterSqliteConnectionPool', function() {
+  const testDbPath = path.join(__dirname, 'test-pool.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-pool-attached.sqlite');
+  let pool;
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  beforeEach(async function() {
+    cleanup();
+    const setup = new BetterSqliteAdapter(attachedDbPath);
+    await setup.connect();
+    await setup.runAsync('CREATE TABLE ref (id INTEGER PRIMARY KEY, value TEXT)');
+    await setup.runAsync("INSERT INTO ref VALUES (1, 'from_ref')");
+    await setup.disconnect();
+
+    pool = new BetterSqliteConnectionPool(
+      testDbPath,
+      { attachments: [{ path: attachedDbPath, alias: 'ref' }] },
+      { readers: 2 }
+    );
+    await pool.connect();
+    await pool.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(async function() {
+    if (pool) {
+      await pool.disconnect();
+      pool = null;
+    }
+    cleanup();
+  });
+
+  it('should open one writer and the configured readers', function() {
+    const stats = pool.getStats();
+    expect(stats.size).to.equal(3);
+    expect(stats.writers).to.equal(1);
+    expect(stats.readers).to.equal(2);
+    expect(pool.readers.every(reader => reader.db.readonly)).to.be.true;
+  });
+
+  it('should route reads to readers and writes to the writer', async function() {
+    await pool.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+    const rows = await pool.getAllAsync('SELECT name FROM items');
+    const row = await pool.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+
+    expect(rows).to.deep.equal([{ name: 'a' }]);
+    expect(row.count).to.equal(1);
+    expect(pool.getStats()).to.include({ readQueries: 2, writeQueries: 2 });
+  });
+
+  it('should apply attachments on every connection', async function() {
+    expect(pool.isAttached('ref')).to.be.true;
+    for (const reader of pool.readers) {
+      expect(reader.isAttached('ref')).to.be.true;
+    }
+
+    const row = await pool.getFirstAsync('SELECT value FROM ref.ref WHERE id = 1');
+    expect(row.value).to.equal('from_ref');
+
+    await pool.detachDatabase('ref');
+    expect(pool.readers.some(reader => reader.isAttached('ref'))).to.be.false;
+  });
+
+  it('should keep reads inside a transaction on the writer', async function() {
+    const count = await pool.transaction(async function() {
+      await pool.runAsync('INSERT INTO items (name) VALUES (?)', ['in-tx']);
+      const row = await pool.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+      return row.count;
+    });
+
+    expect(count).to.equal(1);
+  });
+
+  it('should support withConnection with callbacks and promises', async function() {
+    const inserted = await new Promise(function(resolve, reject) {
+      pool.withConnection(async function(conn) {
+        expect(conn).to.equal(pool.writer);
+        return conn.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+      }, function(error, result) {
+        if (error) return reject(error);
+        resolve(result);
+      });
+    });
+    expect(inserted.changes).to.equal(1);
+
+    const rows = await pool.withReadConnection(function(conn) {
+      expect(pool.readers).to.include(conn);
+      return conn.getAllAsync('SELECT name FROM items');
+    });
+    expect(rows).to.deep.equal([{ name: 'b' }]);
+
+    const stats = pool.getStats();
+    expect(stats.acquireSuccesses).to.equal(2);
+    expect(stats.borrowed).to.equal(0);
+  });
+
+  it('should report health', async function() {
+    const health = await pool.healthCheck();
+    expect(health.isHealthy).to.be.true;
+    expect(health.healthScore).to.equal(100);
+    expect(health.connections.map(c => c.role)).to.deep.equal(['writer', 'reader', 'reader']);
+
+    pool.readers[0].getFirstAsync = async function() {
+      throw new Error('disk I/O error');
+    };
+    const unhealthy = await pool.healthCheck();
+    expect(unhealthy.isHealthy).to.be.false;
+    expect(unhealthy.healthScore).to.equal(67);
+    expect(unhealthy.connections[1].error).to.equal('disk I/O error');
+    expect(pool.getStats().isHealthy).to.be.false;
+  });
+
+  it('should log through the configured logger', async function() {
+    await pool.disconnect();
+    const entries = [];
+    const logger = {
+      debug: function() {},
+      info: function(message, fields) {
+        if (fields.component === 'BetterSqliteConnectionPool') entries.push(['info', message, fields]);
+      },
+      warn: function(message, fields) {
+        entries.push(['warn', message, fields]);
+      },
+      error: function() {}
+    };
+    pool = new BetterSqliteConnectionPool(testDbPath, {}, { readers: 1, logger: logger });
+    await pool.connect();
+    pool.readers[0].getFirstAsync = async function() {
+      throw new Error('disk I/O error');
+    };
+    await pool.healthCheck();
+
+    expect(entries.map(entry => entry[1])).to.deep.equal(['Opened connection pool', 'Health check failed']);
+    expect(entries[0][2]).to.include({ writers: 1, readers: 1 });
+    expect(entries[1][2].connections[1].error).to.equal('disk I/O error');
+  });
+
+  it('should run the checkpoint schedule on the writer only', async function() {
+    await pool.disconnect();
+    pool = new BetterSqliteConnectionPool(testDbPath, {}, { readers: 2, checkpoints: { interval: 10 } });
+    await pool.connect();
+    const errors = [];
+    for (const connection of pool._connections()) {
+      connection.on('error', error => errors.push(error));
+    }
+    const checkpointed = new Promise(resolve => pool.writer.once('checkpoint', resolve));
+
+    await checkpointed;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(pool.writer._checkpointSchedule).to.not.equal(null);
+    expect(pool.readers.map(reader => reader._checkpointSchedule)).to.deep.equal([null, null]);
+    expect(errors).to.deep.equal([]);
+  });
+
+  it('should run the maintenance schedule on the writer only', async function() {
+    await pool.disconnect();
+    pool = new BetterSqliteConnectionPool(testDbPath, {}, {
+      readers: 2,
+      maintenanceSchedule: { idleTime: 0, interval: 60000, checkInterval: 5, analyze: true, vacuum: true }
+    });
+    await pool.connect();
+    const errors = [];
+    for (const connection of pool._connections()) {
+      connection.on('error', error => errors.push(error));
+    }
+    const maintained = new Promise(resolve => pool.writer.once('maintenance', resolve));
+
+    expect(await maintained).to.include({ alias: 'main', ok: true });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(pool.writer._maintenanceSchedule).to.not.equal(null);
+    expect(pool.readers.map(reader => reader._maintenanceSchedule)).to.deep.equal([null, null]);
+    expect(errors).to.deep.equal([]);
+  });
+
+  it('should not open readers without WAL', async function() {
+    await pool.disconnect();
+    pool = new BetterSqliteConnectionPool(testDbPath, {}, { enableWAL: false, readers: 2 });
+    await pool.connect();
+
+    expect(pool.getStats().readers).to.equal(0);
+    const rows = await pool.getAllAsync('SELECT * FROM items');
+    expect(rows).to.deep.equal([]);
+  });
+
+  it('should reject when not connected', async function() {
+    await pool.disconnect();
+
+    try {
+      await pool.getAllAsync('SELECT 1');
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Connection pool not connected');
+    }
+    expect(pool.getStats().connectionsDestroyed).to.equal(3);
+  });
+});
@@ -0,0 +1,264 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+describe('Lifecycle events and reconnection', function() {
+  const testDbPath = path.join(__dirname, 'test-events.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-events-attached.sqlite');
+  const replacementDbPath = path.join(__dirname, 'test-events-replacement.sqlite');
+  let adapter;
+  let events;
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath, replacementDbPath]) {
+      for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  function record(emitter, names) {
+    events = [];
+    for (const name of names) {
+      emitter.on(name, function(payload) {
+        events.push([name, payload]);
+      });
+    }
+    return emitter;
+  }
+
+  beforeEach(cleanup);
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    cleanup();
+  });
+
+  describe('Events', function() {
+    it('should emit connect and disconnect once per transition', async function() {
+      adapter = record(new BetterSqliteAdapter(testDbPath), ['connect', 'disconnect']);
+      expect(adapter).to.be.instanceOf(EventEmitter);
+
+      await adapter.connect();
+      await adapter.connect();
+      await adapter.disconnect();
+      await adapter.disconnect();
+
+      expect(events).to.deep.equal([
+        ['connect', { dbPath: testDbPath, reconnect: false }],
+        ['disconnect', { dbPath: testDbPath, reason: 'disconnect' }]
+      ]);
+    });
+
+    it('should emit attach and detach', async function() {
+      adapter = record(new AttachedBetterSqliteAdapter(testDbPath, {
+        attachments: [{ path: ':memory:', alias: 'mem' }]
+      }), ['connect', 'attach', 'detach']);
+
+      await adapter.connect();
+      await adapter.attachDatabase(':memory:', 'extra', false, { readonly: true });
+      await adapter.detachDatabase('extra');
+
+      expect(events.map(event => event[0])).to.deep.equal(['attach', 'connect', 'attach', 'detach']);
+      expect(events[0][1]).to.deep.equal({ alias: 'mem', path: ':memory:', readonly: false });
+      expect(events[2][1]).to.deep.equal({ alias: 'extra', path: ':memory:', readonly: true });
+      expect(events[3][1]).to.deep.equal({ alias: 'extra' });
+    });
+
+    it('should emit error with the failed operation', async function() {
+      adapter = new BetterSqliteAdapter(testDbPath);
+      await adapter.connect();
+
+      const errors = [];
+      adapter.on('error', (error, event) => errors.push([error, event]));
+
+      try {
+        await adapter.getAllAsync('SELECT * FROM missing');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(errors).to.have.length(1);
+        expect(errors[0][0]).to.equal(error);
+        expect(errors[0][1]).to.include({ type: 'all', sql: 'SELECT * FROM missing', attempts: 1 });
+      }
+    });
+
+    it('should not throw from an unhandled error event', async function() {
+      adapter = new BetterSqliteAdapter(testDbPath);
+      await adapter.connect();
+
+      try {
+        await adapter.getAllAsync('SELECT * FROM missing');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.include('no such table');
+      }
+    });
+
+    it('should emit retry before each busy retry', async function() {
+      adapter = record(new BetterSqliteAdapter(testDbPath, { maxRetries: 2, baseDelay: 1, timeout: 0 }), ['retry']);
+      await adapter.connect();
+
+      const locker = new BetterSqliteAdapter(testDbPath);
+      await locker.connect();
+      locker.db.exec('BEGIN IMMEDIATE');
+      try {
+        await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.code).to.equal('SQLITE_BUSY');
+      } finally {
+        locker.db.exec('ROLLBACK');
+        await locker.disconnect();
+      }
+
+      expect(events.map(event => event[1].attempt)).to.deep.equal([1, 2]);
+      expect(events[0][1]).to.include({ type: 'run', maxRetries: 2 });
+    });
+  });
+
+  describe('Connection loss', function() {
+    it('should report a connection closed elsewhere as not connected', async function() {
+      adapter = record(new BetterSqliteAdapter(testDbPath), ['connect', 'disconnect']);
+      await adapter.connect();
+      adapter.db.close();
+
+      try {
+        await adapter.getFirstAsync('SELECT 1');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('Database not connected');
+      }
+      expect(events[1]).to.deep.equal(['disconnect', { dbPath: testDbPath, reason: 'closed' }]);
+
+      await adapter.connect();
+      expect(await adapter.getFirstAsync('SELECT 1 AS one')).to.deep.equal({ one: 1 });
+    });
+
+    it('should reopen a closed connection and re-apply PRAGMAs with autoReconnect', async function() {
+      adapter = record(new BetterSqliteAdapter(testDbPath, {
+        autoReconnect: true,
+        pragmas: { cache_size: -1234 }
+      }), ['connect', 'disconnect']);
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      adapter.db.close();
+
+      const results = await Promise.all([
+        adapter.runAsync('INSERT INTO items DEFAULT VALUES'),
+        adapter.getAllAsync('SELECT * FROM items'),
+        adapter.transaction(() => adapter.runAsync('INSERT INTO items DEFAULT VALUES'))
+      ]);
+
+      expect(results[0].changes).to.equal(1);
+      expect((await adapter.getAllAsync('SELECT * FROM items'))).to.have.length(2);
+      expect((await adapter.getPragmas()).cache_size).to.equal(-1234);
+      expect(events).to.deep.equal([
+        ['connect', { dbPath: testDbPath, reconnect: false }],
+        ['disconnect', { dbPath: testDbPath, reason: 'closed' }],
+        ['connect', { dbPath: testDbPath, reconnect: true, reason: 'closed' }]
+      ]);
+    });
+
+    it('should reopen the database when its file is replaced', async function() {
+      const replacement = new BetterSqliteAdapter(replacementDbPath, { enableWAL: false });
+      await replacement.connect();
+      await replacement.runAsync('CREATE TABLE items (name TEXT)');
+      await replacement.runAsync("INSERT INTO items VALUES ('replacement')");
+      await replacement.disconnect();
+
+      adapter = record(new BetterSqliteAdapter(testDbPath, { autoReconnect: true, enableWAL: false }), ['disconnect']);
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (name TEXT)');
+      await adapter.runAsync("INSERT INTO items VALUES ('original')");
+
+      fs.renameSync(replacementDbPath, testDbPath);
+
+      expect(await adapter.getAllAsync('SELECT name FROM items')).to.deep.equal([{ name: 'replacement' }]);
+      expect(events).to.deep.equal([['disconnect', { dbPath: testDbPath, reason: 'replaced' }]]);
+    });
+
+    it('should re-attach configured and on-demand aliases', async function() {
+      adapter = new AttachedBetterSqliteAdapter(testDbPath, {
+        attachments: [{ path: attachedDbPath, alias: 'ref', createIfNotExists: true }]
+      }, { autoReconnect: true });
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE ref.items (id INTEGER PRIMARY KEY)');
+      await adapter.attachDatabase(':memory:', 'scratch', false, { readonly: true });
+      adapter.db.close();
+
+      expect(await adapter.getAllAsync('SELECT * FROM ref.items')).to.deep.equal([]);
+      expect(adapter.getAttachedAliases()).to.deep.equal(['ref', 'scratch']);
+      try {
+        await adapter.runAsync('CREATE TABLE scratch.items (id INTEGER)');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.include('read-only attached database scratch');
+      }
+    });
+
+    it('should emit error and retry on the next call when reconnecting fails', async function() {
+      adapter = new AttachedBetterSqliteAdapter(testDbPath, {
+        attachments: [{ path: attachedDbPath, alias: 'ref', createIfNotExists: true }]
+      }, { autoReconnect: true });
+      await adapter.connect();
+      const errors = [];
+      adapter.on('error', (error, event) => errors.push([error, event]));
+
+      adapter.db.close();
+      fs.unlinkSync(attachedDbPath);
+      adapter.attachmentConfig.attachments[0].createIfNotExists = false;
+
+      try {
+        await adapter.getFirstAsync('SELECT 1');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.include('Database file does not exist');
+      }
+      expect(errors[0][1]).to.deep.equal({ type: 'reconnect', reason: 'closed' });
+      expect(adapter.db).to.equal(null);
+
+      adapter.attachmentConfig.attachments[0].createIfNotExists = true;
+      expect(await adapter.getFirstAsync('SELECT 1 AS one')).to.deep.equal({ one: 1 });
+      expect(adapter.isAttached('ref')).to.equal(true);
+    });
+
+    it('should not reconnect in the middle of a transaction', async function() {
+      adapter = new BetterSqliteAdapter(testDbPath, { autoReconnect: true });
+      await adapter.connect();
+
+      try {
+        await adapter.transaction(async function() {
+          adapter.db.close();
+          await adapter.getFirstAsync('SELECT 1');
+        });
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('Database not connected');
+      }
+
+      expect(await adapter.getFirstAsync('SELECT 1 AS one')).to.deep.equal({ one: 1 });
+    });
+
+    it('should stop reconnecting after disconnect()', async function() {
+      adapter = new BetterSqliteAdapter(testDbPath, { autoReconnect: true });
+      await adapter.connect();
+      adapter.db.close();
+      await adapter.disconnect();
+
+      try {
+        await adapter.getFirstAsync('SELECT 1');
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('Database not connected');
+      }
+    });
+  });
+});
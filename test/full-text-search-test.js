@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const FullTextSearch = require('../lib/search/full-text-search');
+
+describe('FullTextSearch', function() {
+  const POSTS = {
+    p1: { title: 'Embedding SQLite', body: 'SQLite stores JSON documents in a single file', author: { name: 'ann' } },
+    p2: { title: 'Operational transform', body: 'ShareDB applies ops to JSON snapshots', author: { name: 'bob' } },
+    p3: { title: 'Search', body: 'Full text search with FTS5 ranks sqlite rows by BM25', author: { name: 'sqlite fan' } }
+  };
+  let adapter;
+  let search;
+
+  async function insert(table, id, data) {
+    await adapter.runAsync('INSERT INTO ' + table + ' (id, data) VALUES (?, ?)', [id, JSON.stringify(data)]);
+  }
+
+  async function ids(query, options) {
+    return (await search.search(query, options)).map(result => result.id);
+  }
+
+  beforeEach(async function() {
+    adapter = new BetterSqliteAdapter(':memory:');
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE posts (id TEXT PRIMARY KEY, data TEXT)');
+    for (const id of Object.keys(POSTS)) {
+      await insert('posts', id, POSTS[id]);
+    }
+    search = new FullTextSearch(adapter);
+  });
+
+  afterEach(async function() {
+    await adapter.disconnect();
+  });
+
+  describe('Indexes', function() {
+    it('should index existing documents and adopt an unchanged index', async function() {
+      expect(await search.createIndex('posts', { fields: ['title', 'body'] })).to.deep.equal({
+        collection: 'posts', table: 'posts_fts', created: true, rebuilt: false, rows: 3
+      });
+      expect(await ids('json')).to.have.members(['p1', 'p2']);
+
+      const again = new FullTextSearch(adapter);
+      expect(await again.createIndex('posts', { fields: ['title', 'body'] })).to.include({ created: false, rebuilt: false });
+      expect((await again.search('json')).length).to.equal(2);
+    });
+
+    it('should rebuild an index whose fields changed', async function() {
+      await search.createIndex('posts', { fields: ['title'] });
+      expect(await ids('ann')).to.deep.equal([]);
+
+      expect(await search.createIndex('posts', { fields: ['title', 'author.name'] })).to.include({ created: false, rebuilt: true, rows: 3 });
+      expect(await ids('ann')).to.deep.equal(['p1']);
+    });
+
+    it('should keep the index in sync through triggers', async function() {
+      await search.createIndex('posts', { fields: ['title', 'body'] });
+
+      await insert('posts', 'p4', { title: 'Triggers', body: 'kept in sync' });
+      await adapter.runAsync('UPDATE posts SET data = ? WHERE id = ?', [JSON.stringify({ title: 'Renamed', body: 'nothing' }), 'p1']);
+      await adapter.runAsync('DELETE FROM posts WHERE id = ?', ['p2']);
+
+      expect(await ids('sync')).to.deep.equal(['p4']);
+      expect(await ids('renamed')).to.deep.equal(['p1']);
+      expect(await ids('json')).to.deep.equal([]);
+    });
+
+    it('should rebuild from the documents and drop indexes', async function() {
+      await search.createIndex('posts', { fields: ['body'] });
+      await adapter.runAsync('DELETE FROM posts_fts');
+      expect(await ids('json')).to.deep.equal([]);
+
+      expect(await search.rebuild('posts')).to.deep.equal({ collection: 'posts', rows: 3 });
+      expect(await ids('json')).to.have.members(['p1', 'p2']);
+
+      await search.dropIndex('posts');
+      const remaining = await adapter.getAllAsync("SELECT name FROM sqlite_master WHERE name LIKE 'posts_fts%'");
+      expect(remaining).to.deep.equal([]);
+      await insert('posts', 'p5', { body: 'still writable' });
+      await expectRejection(search.search('json', { collection: 'posts' }), 'No full-text index for collection: posts');
+    });
+
+    it('should reject invalid index definitions', async function() {
+      await expectRejection(search.createIndex('posts', {}), 'Full-text index for posts needs at least one field');
+      await expectRejection(search.createIndex('posts', { fields: ['rank'] }), 'Field name is reserved by the full-text index: rank');
+      await expectRejection(search.createIndex('posts', { fields: [''] }), 'Invalid field name: ');
+    });
+  });
+
+  describe('Searching', function() {
+    beforeEach(async function() {
+      await search.createIndex('posts', { fields: ['title', 'body', 'author.name'] });
+    });
+
+    it('should order by BM25 score, best first', async function() {
+      const results = await search.search('sqlite');
+
+      expect(results.map(result => result.id)).to.deep.equal(['p1', 'p3']);
+      expect(results[0]).to.have.keys('collection', 'id', 'score');
+      expect(results[0].collection).to.equal('posts');
+      expect(results[0].score).to.be.above(results[1].score);
+    });
+
+    it('should weight fields, page and skip ranking', async function() {
+      expect(await ids('sqlite', { rank: { 'author.name': 100 } })).to.deep.equal(['p3', 'p1']);
+      expect(await ids('sqlite', { rank: { 'author.name': 100 }, offset: 1, limit: 1 })).to.deep.equal(['p1']);
+
+      const unranked = await search.search('sqlite', { rank: false });
+      expect(unranked.map(result => result.id)).to.deep.equal(['p1', 'p3']);
+      expect(unranked[0].score).to.equal(null);
+    });
+
+    it('should return snippets and highlights', async function() {
+      const [result] = await search.search('ops', { snippet: true, highlight: { before: '<b>', after: '</b>' } });
+
+      expect(result.snippet).to.equal('ShareDB applies [ops] to JSON snapshots');
+      expect(result.highlights).to.deep.equal({
+        title: 'Operational transform',
+        body: 'ShareDB applies <b>ops</b> to JSON snapshots',
+        'author.name': 'bob'
+      });
+
+      const [short] = await search.search('bm25', { snippet: { field: 'body', tokens: 3, before: '*', after: '*', ellipsis: '...' } });
+      expect(short.snippet).to.equal('...rows by *BM25*');
+    });
+
+    it('should support FTS5 query syntax and quote user input', async function() {
+      expect(await ids('title:sqlite')).to.deep.equal(['p1']);
+      expect(await ids('"json documents"')).to.deep.equal(['p1']);
+      expect(await ids(FullTextSearch.quote('fan "sqlite'))).to.deep.equal(['p3']);
+      expect(FullTextSearch.quote(' don\'t  say "hi" ')).to.equal('"don\'t" "say" """hi"""');
+      await expectRejection(search.search(''), 'Search query must be a non-empty string');
+    });
+
+    it('should merge results across collections', async function() {
+      await adapter.runAsync('CREATE TABLE notes (id TEXT PRIMARY KEY, data TEXT)');
+      await insert('notes', 'n1', { text: 'sqlite sqlite sqlite' });
+      await search.createIndex('notes', { fields: ['text'] });
+
+      const results = await search.search('sqlite');
+      expect(results.map(result => result.collection + '/' + result.id)).to.deep.equal(['notes/n1', 'posts/p1', 'posts/p3']);
+      expect(await ids('sqlite', { collection: 'notes' })).to.deep.equal(['n1']);
+    });
+  });
+
+  it('should index document tables in an attached database', async function() {
+    const attached = new AttachedBetterSqliteAdapter(':memory:', {
+      attachments: [{ path: ':memory:', alias: 'sharedb' }]
+    });
+    await attached.connect();
+    await attached.runAsync('CREATE TABLE sharedb.posts_snapshots (doc_id TEXT PRIMARY KEY, body TEXT)');
+    await attached.runAsync('INSERT INTO sharedb.posts_snapshots VALUES (?, ?)', ['x', '{"title":"attached"}']);
+
+    const attachedSearch = new FullTextSearch(attached, { schema: 'sharedb' });
+    await attachedSearch.createIndex('posts', {
+      table: 'posts_snapshots', column: 'body', idColumn: 'doc_id', fields: ['title'], tokenize: 'porter'
+    });
+    await attached.runAsync('INSERT INTO sharedb.posts_snapshots VALUES (?, ?)', ['y', '{"title":"attaching"}']);
+
+    expect((await attachedSearch.search('attach')).map(result => result.id)).to.have.members(['x', 'y']);
+    const [table] = await attached.getAllAsync("SELECT name FROM sharedb.sqlite_master WHERE type = 'table' AND name = 'posts_snapshots_fts'");
+    expect(table).to.deep.equal({ name: 'posts_snapshots_fts' });
+
+    await attached.disconnect();
+  });
+
+  async function expectRejection(promise, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.message).to.equal(message);
+      return;
+    }
+    throw new Error('Expected rejection: ' + message);
+  }
+});
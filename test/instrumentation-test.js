@@ -0,0 +1,192 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const QueryMetrics = require('../lib/utils/query-metrics');
+const fs = require('fs');
+const path = require('path');
+
+describe('Instrumentation', function() {
+  const testDbPath = path.join(__dirname, 'test-instrumentation.sqlite');
+  let adapter;
+  let events;
+
+  function hooks() {
+    events = { onQuery: [], onRetry: [], onError: [], onTransaction: [] };
+    return {
+      onQuery: event => events.onQuery.push(event),
+      onRetry: event => events.onRetry.push(event),
+      onError: event => events.onError.push(event),
+      onTransaction: event => events.onTransaction.push(event)
+    };
+  }
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) {
+        fs.unlinkSync(testDbPath + suffix);
+      }
+    }
+  });
+
+  it('should report queries with SQL, duration and row counts', async function() {
+    adapter = new BetterSqliteAdapter(testDbPath, hooks());
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+    await adapter.runAsync('INSERT INTO items (name) VALUES (?), (?)', ['a', 'b']);
+    await adapter.getFirstAsync('SELECT * FROM items WHERE id = ?', [1]);
+    await adapter.getAllAsync('SELECT * FROM items');
+
+    expect(events.onQuery.map(event => event.type)).to.deep.equal(['run', 'run', 'get', 'all']);
+    expect(events.onQuery[1]).to.include({
+      sql: 'INSERT INTO items (name) VALUES (?), (?)',
+      changes: 2,
+      attempts: 1,
+      inTransaction: false
+    });
+    expect(events.onQuery[1].params).to.deep.equal(['a', 'b']);
+    expect(events.onQuery[2].rows).to.equal(1);
+    expect(events.onQuery[3].rows).to.equal(2);
+    expect(events.onQuery[3].durationMs).to.be.a('number');
+
+    const stats = adapter.getStats();
+    expect(stats.queries).to.deep.equal({ total: 4, run: 2, get: 1, all: 1 });
+    expect(stats.rows).to.deep.equal({ returned: 3, changed: 2 });
+    expect(stats.latency.run.count).to.equal(2);
+  });
+
+  it('should report errors and retries', async function() {
+    adapter = new BetterSqliteAdapter(testDbPath, Object.assign(hooks(), { maxRetries: 2, baseDelay: 1, timeout: 0 }));
+    await adapter.connect();
+
+    try {
+      await adapter.getAllAsync('SELECT * FROM missing');
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.include('no such table');
+    }
+    expect(events.onError).to.have.length(1);
+    expect(events.onError[0]).to.include({ type: 'all', sql: 'SELECT * FROM missing', attempts: 1 });
+
+    const locker = new BetterSqliteAdapter(testDbPath);
+    await locker.connect();
+    locker.db.exec('BEGIN IMMEDIATE');
+    try {
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.code).to.equal('SQLITE_BUSY');
+    } finally {
+      locker.db.exec('ROLLBACK');
+      await locker.disconnect();
+    }
+
+    expect(events.onRetry.map(event => event.attempt)).to.deep.equal([1, 2]);
+    expect(events.onRetry[0].error.code).to.equal('SQLITE_BUSY');
+    expect(events.onError[1]).to.include({ type: 'run', attempts: 3 });
+
+    const stats = adapter.getStats();
+    expect(stats.retries).to.equal(2);
+    expect(stats.errors).to.deep.equal({ total: 2, SQLITE_ERROR: 1, SQLITE_BUSY: 1 });
+  });
+
+  it('should report transactions and savepoints', async function() {
+    adapter = new BetterSqliteAdapter(testDbPath, hooks());
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+
+    await adapter.transaction(async function() {
+      await adapter.runAsync('INSERT INTO items DEFAULT VALUES');
+      await adapter.transaction(async function() {
+        throw new Error('inner failure');
+      }).catch(() => {});
+    });
+    await adapter.transaction(async function() {
+      throw new Error('outer failure');
+    }).catch(() => {});
+
+    expect(events.onTransaction.map(event => [event.status, event.savepoint])).to.deep.equal([
+      ['rollback', 'sp_1'],
+      ['commit', null],
+      ['rollback', null]
+    ]);
+    expect(events.onTransaction[2].error.message).to.equal('outer failure');
+    expect(events.onQuery[1].inTransaction).to.equal(true);
+    expect(adapter.getStats().transactions).to.deep.equal({ commit: 1, rollback: 1 });
+  });
+
+  it('should report attach and detach', async function() {
+    adapter = new AttachedBetterSqliteAdapter(testDbPath, {
+      attachments: [{ path: ':memory:', alias: 'mem' }]
+    }, hooks());
+    await adapter.connect();
+    await adapter.detachDatabase('mem');
+
+    expect(events.onQuery.map(event => [event.type, event.sql, event.params])).to.deep.equal([
+      ['attach', 'ATTACH DATABASE ? AS "mem"', [':memory:']],
+      ['detach', 'DETACH DATABASE "mem"', []]
+    ]);
+  });
+
+  it('should not let a failing hook break the query', async function() {
+    adapter = new BetterSqliteAdapter(testDbPath, {
+      onQuery: function() {
+        throw new Error('hook failure');
+      }
+    });
+    await adapter.connect();
+
+    const row = await adapter.getFirstAsync('SELECT 1 AS one');
+    expect(row).to.deep.equal({ one: 1 });
+    expect(adapter.getStats().queries.get).to.equal(1);
+  });
+
+  it('should reset stats', async function() {
+    adapter = new BetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+    await adapter.getFirstAsync('SELECT 1');
+    adapter.resetStats();
+
+    expect(adapter.getStats().queries).to.deep.equal({ total: 0 });
+  });
+
+  describe('Prometheus export', function() {
+    it('should render counters and cumulative latency histograms', function() {
+      const metrics = new QueryMetrics([10, 100]);
+      metrics.recordQuery({ type: 'get', durationMs: 5, rows: 1 });
+      metrics.recordQuery({ type: 'get', durationMs: 50, rows: 0 });
+      metrics.recordQuery({ type: 'run', durationMs: 500, changes: 3 });
+      metrics.recordError({ error: { code: 'SQLITE_BUSY' } });
+      metrics.recordRetry({});
+      metrics.recordTransaction({ status: 'commit', savepoint: null, durationMs: 2 });
+
+      const text = metrics.toPrometheus({ labels: { db: 'main' } });
+      const lines = text.trim().split('\n');
+
+      expect(lines).to.include('# TYPE sqlite_queries_total counter');
+      expect(lines).to.include('sqlite_queries_total{db="main",type="get"} 2');
+      expect(lines).to.include('sqlite_errors_total{db="main",code="SQLITE_BUSY"} 1');
+      expect(lines).to.include('sqlite_retries_total{db="main"} 1');
+      expect(lines).to.include('sqlite_transactions_total{db="main",status="commit"} 1');
+      expect(lines).to.include('sqlite_rows_changed_total{db="main"} 3');
+      expect(lines).to.include('# TYPE sqlite_query_duration_seconds histogram');
+      expect(lines).to.include('sqlite_query_duration_seconds_bucket{db="main",type="get",le="0.01"} 1');
+      expect(lines).to.include('sqlite_query_duration_seconds_bucket{db="main",type="get",le="0.1"} 2');
+      expect(lines).to.include('sqlite_query_duration_seconds_bucket{db="main",type="run",le="0.1"} 0');
+      expect(lines).to.include('sqlite_query_duration_seconds_bucket{db="main",type="run",le="+Inf"} 1');
+      expect(lines).to.include('sqlite_query_duration_seconds_sum{db="main",type="get"} 0.055');
+      expect(lines).to.include('sqlite_query_duration_seconds_count{db="main",type="transaction"} 1');
+    });
+
+    it('should export from the adapter with a custom prefix', async function() {
+      adapter = new BetterSqliteAdapter(testDbPath);
+      await adapter.connect();
+      await adapter.getAllAsync('SELECT 1');
+
+      expect(adapter.getPrometheusMetrics({ prefix: 'app_db' })).to.include('app_db_queries_total{type="all"} 1');
+    });
+  });
+});
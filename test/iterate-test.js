@@ -0,0 +1,187 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const BetterSqliteConnectionPool = require('../lib/pool/better-sqlite-connection-pool');
+const fs = require('fs');
+const path = require('path');
+
+describe('Streaming queries', function() {
+  const testDbPath = path.join(__dirname, 'test-iterate.sqlite');
+  let adapter;
+  let queries;
+
+  function cleanup() {
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) {
+        fs.unlinkSync(testDbPath + suffix);
+      }
+    }
+  }
+
+  beforeEach(async function() {
+    cleanup();
+    queries = [];
+    adapter = new BetterSqliteAdapter(testDbPath, { onQuery: event => queries.push(event) });
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE docs (id INTEGER PRIMARY KEY, name TEXT)');
+    await adapter.runBatchAsync('INSERT INTO docs (name) VALUES (?)',
+      Array.from({ length: 250 }, (value, i) => ['doc-' + i]));
+  });
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    cleanup();
+  });
+
+  it('should yield every row', async function() {
+    const names = [];
+    for await (const row of adapter.iterateAsync('SELECT name FROM docs WHERE id > ? ORDER BY id', [200])) {
+      names.push(row.name);
+    }
+
+    expect(names).to.have.length(50);
+    expect(names[0]).to.equal('doc-200');
+
+    const event = queries[queries.length - 1];
+    expect(event).to.include({ type: 'iterate', rows: 50, attempts: 1 });
+  });
+
+  it('should yield batches when batchSize is set', async function() {
+    const sizes = [];
+    for await (const batch of adapter.iterateAsync('SELECT id FROM docs', [], { batchSize: 100 })) {
+      sizes.push(batch.length);
+    }
+
+    expect(sizes).to.deep.equal([100, 100, 50]);
+  });
+
+  it('should release the statement when the consumer breaks early', async function() {
+    let seen = 0;
+    for await (const row of adapter.iterateAsync('SELECT id FROM docs')) {
+      if (++seen === 3) {
+        break;
+      }
+      expect(row.id).to.be.a('number');
+    }
+
+    // better-sqlite3 rejects writes while a statement is still being iterated
+    const result = await adapter.runAsync('DELETE FROM docs WHERE id = 1');
+    expect(result.changes).to.equal(1);
+    expect(queries.find(event => event.type === 'iterate').rows).to.equal(100);
+  });
+
+  it('should keep cached statements usable during an iteration', async function() {
+    const sql = 'SELECT COUNT(*) AS count FROM docs';
+    await adapter.getFirstAsync(sql);
+
+    for await (const batch of adapter.iterateAsync(sql, [], { batchSize: 1 })) {
+      expect(batch[0].count).to.equal(250);
+      const row = await adapter.getFirstAsync(sql);
+      expect(row.count).to.equal(250);
+    }
+  });
+
+  it('should let other queries run between batches', async function() {
+    const order = [];
+    const scan = (async () => {
+      for await (const batch of adapter.iterateAsync('SELECT id FROM docs', [], { batchSize: 100 })) {
+        order.push('batch:' + batch.length);
+      }
+    })();
+    const read = adapter.getFirstAsync('SELECT 1 AS one').then(() => order.push('read'));
+    await Promise.all([scan, read]);
+
+    expect(order.indexOf('read')).to.be.within(0, 2);
+  });
+
+  it('should reject writes from any caller while an iteration is open', async function() {
+    const iterator = adapter.iterateAsync('SELECT id FROM docs', [], { batchSize: 100 });
+    expect((await iterator.next()).value).to.have.length(100);
+
+    const message = 'while iterateAsync() is reading from this connection';
+    await expectRejection(adapter.runAsync("INSERT INTO docs (name) VALUES ('late')"), 'Cannot write ' + message);
+    await expectRejection(adapter.transaction(() => null), 'Cannot start a transaction ' + message);
+    await expectRejection(adapter.checkpoint(), 'Cannot checkpoint ' + message);
+    expect(await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM docs')).to.deep.equal({ count: 250 });
+
+    let batches = 1;
+    while (!(await iterator.next()).done) {
+      batches++;
+    }
+    expect(batches).to.equal(3);
+    expect((await adapter.runAsync("INSERT INTO docs (name) VALUES ('late')")).changes).to.equal(1);
+  });
+
+  it('should wait for another caller\'s transaction before reading the next batch', async function() {
+    const iterator = adapter.iterateAsync('SELECT id FROM docs', [], { batchSize: 100 });
+    await iterator.next();
+
+    let release;
+    adapter._transactionLock = new Promise(resolve => {
+      release = resolve;
+    });
+    let read = false;
+    const next = iterator.next().then(result => {
+      read = true;
+      return result;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(read).to.be.false;
+
+    adapter._transactionLock = null;
+    release();
+    expect((await next).value).to.have.length(100);
+    await iterator.return();
+  });
+
+  it('should report errors and check the connection', async function() {
+    try {
+      for await (const row of adapter.iterateAsync('SELECT * FROM missing')) {
+        expect.fail('Should not yield ' + row);
+      }
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.include('no such table');
+    }
+
+    expect(() => adapter.iterateAsync('SELECT 1', [], { batchSize: 0 })).to.throw('batchSize must be a positive integer');
+
+    await adapter.disconnect();
+    try {
+      await adapter.iterateAsync('SELECT 1').next();
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Database not connected');
+    }
+  });
+
+  it('should iterate on a pool reader while the writer keeps writing', async function() {
+    await adapter.disconnect();
+    adapter = null;
+
+    const pool = new BetterSqliteConnectionPool(testDbPath, {}, { readers: 1 });
+    await pool.connect();
+    try {
+      let count = 0;
+      for await (const batch of pool.iterateAsync('SELECT id FROM docs', [], { batchSize: 50 })) {
+        count += batch.length;
+        await pool.runAsync('INSERT INTO docs (name) VALUES (?)', ['extra']);
+      }
+      expect(count).to.equal(250);
+    } finally {
+      await pool.disconnect();
+    }
+  });
+
+  async function expectRejection(promise, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.message).to.equal(message);
+      return;
+    }
+    throw new Error('Expected rejection: ' + message);
+  }
+});
@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const JsonQuery = require('../lib/query/json-query');
+
+describe('JsonQuery', function() {
+  const DOCS = {
+    a: { title: 'alpha', views: 10, published: true, tags: ['sqlite', 'json'], author: { name: 'ann' } },
+    b: { title: 'beta', views: 25, published: false, tags: ['sharedb'], author: { name: 'bob' } },
+    c: { title: 'gamma', views: '30', published: true, author: { name: 'bob', email: null } },
+    d: { title: 'delta', views: 5.5, tags: [['nested'], 'x'] }
+  };
+  let adapter;
+  let docs;
+
+  async function ids(query) {
+    return (await docs.find(query)).map(document => document.id);
+  }
+
+  beforeEach(async function() {
+    adapter = new BetterSqliteAdapter(':memory:');
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE docs (id TEXT PRIMARY KEY, data TEXT)');
+    for (const id of Object.keys(DOCS)) {
+      await adapter.runAsync('INSERT INTO docs (id, data) VALUES (?, ?)', [id, JSON.stringify(DOCS[id])]);
+    }
+    docs = new JsonQuery(adapter, { table: 'docs', idField: 'id' });
+  });
+
+  afterEach(async function() {
+    await adapter.disconnect();
+  });
+
+  describe('Filters', function() {
+    it('should match equal values, including array elements', async function() {
+      expect(await ids({ title: 'alpha' })).to.deep.equal(['a']);
+      expect(await ids({ published: true })).to.deep.equal(['a', 'c']);
+      expect(await ids({ tags: 'sharedb' })).to.deep.equal(['b']);
+      expect(await ids({ tags: ['sharedb'] })).to.deep.equal(['b']);
+      expect(await ids({ tags: ['nested'] })).to.deep.equal(['d']);
+      expect(await ids({ views: { $eq: 10 } })).to.deep.equal(['a']);
+    });
+
+    it('should match nested paths and array indexes', async function() {
+      expect(await ids({ 'author.name': 'bob' })).to.deep.equal(['b', 'c']);
+      expect(await ids({ 'tags.0': 'sqlite' })).to.deep.equal(['a']);
+      expect(await ids({ author: { name: 'ann' } })).to.deep.equal(['a']);
+    });
+
+    it('should compare only values of the same kind', async function() {
+      expect(await ids({ views: { $gt: 9 } })).to.deep.equal(['a', 'b']);
+      expect(await ids({ views: { $gte: 5.5, $lt: 25 } })).to.deep.equal(['a', 'd']);
+      expect(await ids({ views: { $lte: '30' } })).to.deep.equal(['c']);
+      expect(await ids({ views: 30 })).to.deep.equal([]);
+    });
+
+    it('should support $in, $nin and $ne', async function() {
+      expect(await ids({ title: { $in: ['alpha', 'delta'] } })).to.deep.equal(['a', 'd']);
+      expect(await ids({ tags: { $in: ['json', 'sharedb'] } })).to.deep.equal(['a', 'b']);
+      expect(await ids({ title: { $in: [] } })).to.deep.equal([]);
+      expect(await ids({ published: { $ne: true } })).to.deep.equal(['b', 'd']);
+      expect(await ids({ 'author.name': { $nin: ['bob'] } })).to.deep.equal(['a', 'd']);
+    });
+
+    it('should treat missing fields as null and test existence', async function() {
+      expect(await ids({ published: null })).to.deep.equal(['d']);
+      expect(await ids({ 'author.email': null })).to.deep.equal(['a', 'b', 'c', 'd']);
+      expect(await ids({ 'author.email': { $exists: true } })).to.deep.equal(['c']);
+      expect(await ids({ tags: { $exists: false } })).to.deep.equal(['c']);
+    });
+
+    it('should combine filters with $and, $or and $nor', async function() {
+      expect(await ids({ $or: [{ title: 'alpha' }, { views: { $gt: 20 } }] })).to.deep.equal(['a', 'b']);
+      expect(await ids({ $and: [{ published: true }, { 'author.name': 'bob' }] })).to.deep.equal(['c']);
+      expect(await ids({ $nor: [{ published: true }, { title: 'beta' }] })).to.deep.equal(['d']);
+      expect(await ids({ _id: { $in: ['b', 'd'] }, views: { $lt: 10 } })).to.deep.equal(['d']);
+    });
+  });
+
+  describe('Sorting, paging and projection', function() {
+    it('should sort, skip and limit', async function() {
+      expect(await ids({ $sort: { title: 1 } })).to.deep.equal(['a', 'b', 'd', 'c']);
+      expect(await ids({ $sort: [['published', -1], ['title', 1]] })).to.deep.equal(['a', 'c', 'b', 'd']);
+      expect(await ids({ $sort: { title: 1 }, $skip: 1, $limit: 2 })).to.deep.equal(['b', 'd']);
+      expect(await ids({ $sort: { _id: -1 }, $skip: 3 })).to.deep.equal(['a']);
+    });
+
+    it('should return parsed documents and apply projections', async function() {
+      const plain = new JsonQuery(adapter, { table: 'docs' });
+      expect(await plain.find({ title: 'beta' })).to.deep.equal([DOCS.b]);
+      expect(await plain.find({ title: 'beta' }, { title: 1, 'author.name': 1, missing: 1 })).to.deep.equal([
+        { title: 'beta', author: { name: 'bob' } }
+      ]);
+      expect(await plain.find({ title: 'alpha' }, { tags: 0, 'author.name': 0 })).to.deep.equal([
+        { title: 'alpha', views: 10, published: true, author: {} }
+      ]);
+    });
+  });
+
+  describe('Compilation', function() {
+    it('should bind every value and path as a parameter', function() {
+      const compiled = docs.compile({ title: "o'brien", $limit: 5 });
+
+      expect(compiled.sql).to.not.include("o'brien");
+      expect(compiled.sql).to.not.include('title');
+      expect(compiled.params).to.include({ p0: '$."title"', p1: "o'brien" });
+      expect(compiled.sql).to.match(/ LIMIT @p\d+$/);
+    });
+
+    it('should qualify the table with a schema', async function() {
+      const attached = new AttachedBetterSqliteAdapter(':memory:', {
+        attachments: [{ path: ':memory:', alias: 'sharedb' }]
+      });
+      await attached.connect();
+      await attached.runAsync('CREATE TABLE sharedb.docs (doc_id TEXT, body TEXT)');
+      await attached.runAsync('INSERT INTO sharedb.docs VALUES (?, ?)', ['x', '{"n":1}']);
+
+      const query = new JsonQuery(attached, { schema: 'sharedb', table: 'docs', column: 'body', idColumn: 'doc_id', idField: '_id' });
+      expect(query.compile({}).sql).to.equal('SELECT "doc_id" AS id, "body" AS document FROM "sharedb"."docs"');
+      expect(await query.find({ n: 1 })).to.deep.equal([{ n: 1, _id: 'x' }]);
+
+      await attached.disconnect();
+    });
+
+    it('should reject invalid queries', function() {
+      const invalid = [
+        [{ $where: 'true' }, 'Unsupported query operator: $where'],
+        [{ views: { $regex: 'a' } }, 'Unsupported query operator: $regex'],
+        [{ views: { $gt: 1, title: 'a' } }, 'Cannot mix operators and fields in the condition for views'],
+        [{ published: { $gt: true } }, 'Booleans can only be compared for equality'],
+        [{ title: { $in: 'alpha' } }, '$in needs an array'],
+        [{ $or: [] }, '$or needs a non-empty array of filters'],
+        [{ $limit: -1 }, '$limit must be a non-negative integer: -1'],
+        [{ $sort: { title: 2 } }, 'Invalid $sort direction for title: 2']
+      ];
+      for (const [query, message] of invalid) {
+        expect(() => docs.compile(query), JSON.stringify(query)).to.throw(message);
+      }
+      expect(() => new JsonQuery(adapter, {})).to.throw('table is required');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const { createLogger } = require('../lib/logger');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const { retryWithBackoff } = require('../lib/utils/retry-utils');
+const fs = require('fs');
+const path = require('path');
+
+function captureLogger() {
+  const entries = [];
+  const logger = {};
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    logger[level] = function(first, second) {
+      entries.push({ level: level, args: [first, second] });
+    };
+  }
+  logger.entries = entries;
+  return logger;
+}
+
+describe('Structured Logging', function() {
+  describe('createLogger', function() {
+    it('should filter by log level', function() {
+      const target = captureLogger();
+      const logger = createLogger({ logger: target, logLevel: 'warn' }, 'Test');
+
+      logger.debug('hidden');
+      logger.info('hidden');
+      logger.warn('shown', { a: 1 });
+
+      expect(target.entries).to.deep.equal([
+        { level: 'warn', args: ['shown', { component: 'Test', a: 1 }] }
+      ]);
+    });
+
+    it('should default to info with a custom logger and silent without one', function() {
+      expect(createLogger({ logger: captureLogger() }).level).to.equal('info');
+      expect(createLogger({}).level).to.equal('silent');
+      expect(createLogger({ debug: true }).level).to.equal('debug');
+    });
+
+    it('should pass fields first for pino-style loggers', function() {
+      const target = captureLogger();
+      const logger = createLogger({ logger: target, loggerStyle: 'pino' }, 'Test');
+
+      logger.info('message', { a: 1 });
+      expect(target.entries[0].args).to.deep.equal([{ component: 'Test', a: 1 }, 'message']);
+    });
+
+    it('should redact parameters by default', function() {
+      expect(createLogger({}).params(['secret', 1])).to.deep.equal(['[REDACTED]', '[REDACTED]']);
+      expect(createLogger({}).params({ token: 'secret' })).to.deep.equal({ token: '[REDACTED]' });
+      expect(createLogger({ redactParams: false }).params(['visible'])).to.deep.equal(['visible']);
+      expect(createLogger({ redactParams: p => p.length }).params(['a', 'b'])).to.equal(2);
+    });
+
+    it('should reject unknown levels', function() {
+      expect(() => createLogger({ logLevel: 'verbose' })).to.throw('Unknown log level: verbose');
+    });
+  });
+
+  describe('Adapters', function() {
+    const testDbPath = path.join(__dirname, 'test-logger.sqlite');
+    let adapter;
+
+    afterEach(async function() {
+      if (adapter) {
+        await adapter.disconnect();
+        adapter = null;
+      }
+      for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(testDbPath + suffix)) {
+          fs.unlinkSync(testDbPath + suffix);
+        }
+      }
+    });
+
+    it('should log full SQL with redacted parameters at debug level', async function() {
+      const target = captureLogger();
+      adapter = new BetterSqliteAdapter(testDbPath, { logger: target, logLevel: 'debug' });
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, secret TEXT)');
+      await adapter.runAsync('INSERT INTO items (secret) VALUES (?)', ['password123']);
+
+      const query = target.entries.find(entry => entry.args[0] === 'Executed query' &&
+        entry.args[1].sql.startsWith('INSERT'));
+      expect(query.level).to.equal('debug');
+      expect(query.args[1]).to.include({
+        component: 'BetterSqliteAdapter',
+        sql: 'INSERT INTO items (secret) VALUES (?)',
+        changes: 1
+      });
+      expect(query.args[1].params).to.deep.equal(['[REDACTED]']);
+      expect(query.args[1].durationMs).to.be.a('number');
+      expect(JSON.stringify(target.entries)).to.not.include('password123');
+    });
+
+    it('should warn about slow queries', async function() {
+      const target = captureLogger();
+      adapter = new BetterSqliteAdapter(testDbPath, { logger: target, logLevel: 'warn', slowQueryThreshold: 1 });
+      await adapter.connect();
+
+      const sql = 'WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c WHERE x < 300000) SELECT COUNT(*) AS n FROM c';
+      await adapter.getFirstAsync(sql);
+
+      expect(target.entries).to.have.length(1);
+      expect(target.entries[0].level).to.equal('warn');
+      expect(target.entries[0].args[0]).to.equal('Slow query');
+      expect(target.entries[0].args[1]).to.include({ sql: sql, rows: 1 });
+    });
+
+    it('should tag attachment events with the attached adapter component', async function() {
+      const target = captureLogger();
+      adapter = new AttachedBetterSqliteAdapter(testDbPath, {
+        attachments: [{ path: ':memory:', alias: 'mem' }]
+      }, { logger: target });
+      await adapter.connect();
+
+      const attach = target.entries.find(entry => entry.args[0] === 'Attached database');
+      expect(attach.level).to.equal('info');
+      expect(attach.args[1]).to.deep.equal({ component: 'AttachedBetterSqliteAdapter', alias: 'mem', path: ':memory:' });
+    });
+  });
+
+  describe('retryWithBackoff', function() {
+    it('should report retries through the logger', async function() {
+      const target = captureLogger();
+      const logger = createLogger({ logger: target }, 'Test');
+      let attempts = 0;
+
+      await retryWithBackoff(async function() {
+        if (++attempts < 2) {
+          const error = new Error('database is locked');
+          error.code = 'SQLITE_BUSY';
+          throw error;
+        }
+      }, { baseDelay: 1, logger: logger });
+
+      expect(target.entries).to.deep.equal([{
+        level: 'warn',
+        args: ['Retrying database operation', {
+          component: 'Test',
+          attempt: 1,
+          maxRetries: 3,
+          delayMs: 1,
+          error: 'database is locked',
+          code: 'SQLITE_BUSY'
+        }]
+      }]);
+    });
+  });
+});
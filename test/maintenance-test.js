@@ -0,0 +1,252 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const WorkerBetterSqliteAdapter = require('../lib/adapters/worker-better-sqlite-adapter');
+const fs = require('fs');
+const path = require('path');
+
+describe('Database maintenance', function() {
+  const testDbPath = path.join(__dirname, 'test-maintenance.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-maintenance-attached.sqlite');
+  const vacuumPath = path.join(__dirname, 'test-maintenance-vacuum.sqlite');
+  let adapter;
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath, vacuumPath]) {
+      for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  // Fill a table, then delete most of it to leave free pages behind
+  async function fragment(target, table) {
+    await target.runAsync('CREATE TABLE ' + table + ' (id INTEGER PRIMARY KEY, body BLOB)');
+    await target.runAsync(
+      'INSERT INTO ' + table + ' (body) WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 200) ' +
+      'SELECT randomblob(2000) FROM n'
+    );
+    await target.runAsync('DELETE FROM ' + table + ' WHERE id > 20');
+  }
+
+  beforeEach(async function() {
+    cleanup();
+    adapter = new BetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+  });
+
+  afterEach(async function() {
+    await adapter.disconnect();
+    cleanup();
+  });
+
+  it('should run only optimize by default', async function() {
+    const report = await adapter.maintenance();
+
+    expect(report).to.include({ alias: 'main', ok: true, reclaimedBytes: 0 });
+    expect(report.tasks).to.have.keys('optimize');
+    expect(report.before).to.have.keys('pageSize', 'pageCount', 'freelistCount');
+    expect(report.durationMs).to.be.a('number');
+  });
+
+  it('should check, analyze and vacuum, reporting the space reclaimed', async function() {
+    await fragment(adapter, 'items');
+    await adapter.runAsync('CREATE INDEX items_body ON items (body)');
+    const events = [];
+    adapter.on('maintenance', report => events.push(report));
+
+    const report = await adapter.maintenance({ integrityCheck: true, foreignKeyCheck: true, analyze: true, optimize: true, vacuum: true });
+
+    expect(report.ok).to.equal(true);
+    expect(Object.keys(report.tasks)).to.deep.equal(['integrityCheck', 'foreignKeyCheck', 'analyze', 'optimize', 'vacuum']);
+    expect(report.tasks.integrityCheck).to.include({ ok: true });
+    expect(report.tasks.foreignKeyCheck).to.deep.include({ ok: true, violations: [] });
+    expect(report.tasks.vacuum).to.include({ mode: 'full' });
+    expect(report.before.freelistCount).to.be.above(0);
+    expect(report.after.freelistCount).to.equal(0);
+    expect(report.reclaimedBytes).to.equal((report.before.pageCount - report.after.pageCount) * report.before.pageSize);
+    expect(report.reclaimedBytes).to.be.above(0);
+    expect(await adapter.getFirstAsync("SELECT COUNT(*) AS n FROM sqlite_master WHERE name = 'sqlite_stat1'")).to.deep.equal({ n: 1 });
+    expect(events).to.deep.equal([report]);
+  });
+
+  it('should report foreign key violations', async function() {
+    await adapter.runAsync('CREATE TABLE parents (id INTEGER PRIMARY KEY)');
+    await adapter.runAsync('CREATE TABLE children (id INTEGER PRIMARY KEY, parent_id INTEGER REFERENCES parents (id))');
+    await adapter.runAsync('PRAGMA foreign_keys = OFF');
+    await adapter.runAsync('INSERT INTO children VALUES (1, 42)');
+    await adapter.runAsync('PRAGMA foreign_keys = ON');
+
+    const report = await adapter.maintenance({ foreignKeyCheck: true, integrityCheck: 'quick' });
+
+    expect(report.ok).to.equal(false);
+    expect(report.tasks.integrityCheck.ok).to.equal(true);
+    expect(report.tasks.foreignKeyCheck.violations).to.deep.equal([{ table: 'children', rowid: 1, parent: 'parents', fkid: 0 }]);
+  });
+
+  it('should vacuum incrementally only when auto_vacuum is INCREMENTAL', async function() {
+    await fragment(adapter, 'items');
+    const skipped = await adapter.maintenance({ vacuum: 'incremental' });
+    expect(skipped.tasks.vacuum).to.include({ mode: 'incremental', skipped: 'auto_vacuum is not INCREMENTAL' });
+
+    await adapter.runAsync('PRAGMA auto_vacuum = INCREMENTAL');
+    await adapter.maintenance({ vacuum: true });
+    await adapter.runAsync('DELETE FROM items WHERE id > 5');
+
+    const partial = await adapter.maintenance({ vacuum: { incremental: 2 } });
+    expect(partial.tasks.vacuum).to.include({ mode: 'incremental', pages: 2 });
+    expect(partial.reclaimedBytes).to.equal(2 * partial.before.pageSize);
+
+    const rest = await adapter.maintenance({ vacuum: 'incremental' });
+    expect(rest.after.freelistCount).to.equal(0);
+  });
+
+  it('should vacuum into a new file without changing the database', async function() {
+    await fragment(adapter, 'items');
+
+    const report = await adapter.maintenance({ vacuum: { into: vacuumPath } });
+    expect(report.tasks.vacuum).to.include({ mode: 'into', path: vacuumPath });
+    expect(report.tasks.vacuum.size).to.equal(fs.statSync(vacuumPath).size);
+    expect(report.reclaimedBytes).to.equal(0);
+
+    await expectRejection(adapter.maintenance({ vacuum: { into: vacuumPath } }), 'VACUUM INTO target already exists: ' + vacuumPath);
+  });
+
+  it('should maintain attached databases', async function() {
+    const attached = new AttachedBetterSqliteAdapter(testDbPath, {
+      attachments: [{ path: attachedDbPath, alias: 'shared', createIfNotExists: true }]
+    });
+    await attached.connect();
+    await fragment(attached, 'shared.items');
+
+    const report = await attached.maintenance({ alias: 'shared', vacuum: true, integrityCheck: true });
+    expect(report).to.include({ alias: 'shared', ok: true });
+    expect(report.reclaimedBytes).to.be.above(0);
+    await attached.disconnect();
+  });
+
+  it('should reject maintenance of unknown aliases and inside transactions', async function() {
+    await expectRejection(adapter.maintenance({ alias: 'other' }), 'Unknown database alias: other');
+    await adapter.transaction(async function() {
+      await expectRejection(adapter.maintenance(), 'Cannot run maintenance inside a transaction');
+    });
+  });
+
+  describe('Idle-time schedule', function() {
+    it('should run once the adapter has been idle', async function() {
+      const scheduled = new BetterSqliteAdapter(testDbPath, {
+        maintenanceSchedule: { idleTime: 100, interval: 60000, checkInterval: 10, analyze: true }
+      });
+      const reports = [];
+      scheduled.on('maintenance', report => reports.push(report));
+      await scheduled.connect();
+
+      // Queries keep postponing it
+      for (let i = 0; i < 5; i++) {
+        await scheduled.getFirstAsync('SELECT 1');
+        await delay(10);
+      }
+      expect(reports).to.have.length(0);
+
+      await delay(300);
+      expect(reports).to.have.length(1);
+      expect(reports[0].tasks).to.have.keys('analyze');
+
+      await scheduled.disconnect();
+      expect(scheduled._maintenanceSchedule).to.equal(null);
+    });
+
+    it('should maintain every schema by default', async function() {
+      const attached = new AttachedBetterSqliteAdapter(testDbPath, {
+        attachments: [{ path: ':memory:', alias: 'scratch' }]
+      });
+      const aliases = [];
+      attached.on('maintenance', report => aliases.push(report.alias));
+      await attached.connect();
+      attached.startMaintenance({ idleTime: 0, checkInterval: 5 });
+
+      await delay(50);
+      attached.stopMaintenance();
+      expect(aliases).to.deep.equal(['main', 'scratch']);
+      await attached.disconnect();
+    });
+
+    it('should keep the schedule running after a failed check', async function() {
+      const schemaAliases = adapter._schemaAliases;
+      adapter._schemaAliases = function() {
+        adapter._schemaAliases = schemaAliases;
+        throw new Error('aliases unavailable');
+      };
+      const failed = new Promise(resolve => adapter.once('error', (error, context) => resolve([error, context])));
+      const maintained = new Promise(resolve => adapter.once('maintenance', resolve));
+      adapter.startMaintenance({ idleTime: 0, interval: 0, checkInterval: 5 });
+
+      const [error, context] = await failed;
+      expect(error.message).to.equal('aliases unavailable');
+      expect(context).to.deep.equal({ type: 'maintenance' });
+      expect(await maintained).to.include({ alias: 'main' });
+      adapter.stopMaintenance();
+    });
+
+    it('should not run in the worker adapter while a transaction is open', async function() {
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY)');
+      const worker = new WorkerBetterSqliteAdapter(testDbPath, {
+        maintenanceSchedule: { idleTime: 50, interval: 60000, checkInterval: 10, analyze: true }
+      });
+      const calls = [];
+      const call = worker._call;
+      worker._call = function(method, args) {
+        calls.push(method === 'exec' ? args[0] : method);
+        return call.call(this, method, args);
+      };
+      await worker.connect();
+      try {
+        // The adapter goes idle while the transaction is open, across several checks
+        await worker.transaction(async () => {
+          await worker.runAsync('INSERT INTO items DEFAULT VALUES');
+          await delay(150);
+          await worker.runAsync('INSERT INTO items DEFAULT VALUES');
+        });
+        while (calls.indexOf('maintenance') === -1) {
+          await delay(10);
+        }
+
+        expect(calls.indexOf('maintenance')).to.be.above(calls.indexOf('COMMIT'));
+        expect(calls.filter(method => method === 'maintenance')).to.have.length(1);
+        expect(worker._workerData().options).to.not.have.property('maintenanceSchedule');
+      } finally {
+        await worker.disconnect();
+      }
+      expect(worker._maintenanceSchedule).to.equal(null);
+    });
+  });
+
+  it('should run maintenance through the worker adapter', async function() {
+    const worker = new WorkerBetterSqliteAdapter(testDbPath);
+    await worker.connect();
+    try {
+      await fragment(worker, 'items');
+      const report = await worker.maintenance({ vacuum: true });
+      expect(report).to.include({ alias: 'main', ok: true });
+      expect(report.reclaimedBytes).to.be.above(0);
+    } finally {
+      await worker.disconnect();
+    }
+  });
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async function expectRejection(promise, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.message).to.equal(message);
+      return;
+    }
+    throw new Error('Expected rejection: ' + message);
+  }
+});
@@ -0,0 +1,203 @@
+const { expect } = require('chai');
+const MigrationRunner = require('../lib/migrations/migration-runner');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const fs = require('fs');
+const path = require('path');
+
+describe('MigrationRunner', function() {
+  const testDbPath = path.join(__dirname, 'test-migrations.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-migrations-attached.sqlite');
+  let adapter;
+
+  const migrations = [
+    {
+      version: 1,
+      name: 'create docs',
+      up: 'CREATE TABLE docs (id TEXT PRIMARY KEY, data TEXT)',
+      down: 'DROP TABLE docs'
+    },
+    {
+      version: 2,
+      name: 'add version column',
+      up: ['ALTER TABLE docs ADD COLUMN version INTEGER', 'CREATE INDEX docs_version ON docs (version)'],
+      down: ['DROP INDEX docs_version', 'ALTER TABLE docs DROP COLUMN version']
+    }
+  ];
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  beforeEach(async function() {
+    cleanup();
+    adapter = new AttachedBetterSqliteAdapter(testDbPath, {
+      attachments: [{ path: attachedDbPath, alias: 'sharedb', createIfNotExists: true }]
+    });
+    await adapter.connect();
+  });
+
+  afterEach(async function() {
+    await adapter.disconnect();
+    cleanup();
+  });
+
+  async function columns(table) {
+    const rows = await adapter.getAllAsync('PRAGMA ' + table.replace('.', '.table_info(') + ')');
+    return rows.map(row => row.name);
+  }
+
+  it('should validate migration definitions', function() {
+    expect(() => new MigrationRunner(adapter, [{ version: 0, up: 'SELECT 1' }])).to.throw('positive integer');
+    expect(() => new MigrationRunner(adapter, [{ version: 2, up: 'SELECT 1' }, { version: 1, up: 'SELECT 1' }]))
+      .to.throw('unique and ascending');
+    expect(() => new MigrationRunner(adapter, [{ version: 1 }])).to.throw('must have an up step');
+    expect(() => new MigrationRunner(adapter, migrations, { schema: 'sharedb; DROP TABLE docs' }))
+      .to.throw('Invalid database alias');
+  });
+
+  it('should report pending migrations and apply them', async function() {
+    const runner = new MigrationRunner(adapter, migrations);
+
+    const before = await runner.status();
+    expect(before).to.deep.equal({
+      schema: 'main',
+      currentVersion: 0,
+      latestVersion: 2,
+      applied: [],
+      pending: [{ version: 1, name: 'create docs' }, { version: 2, name: 'add version column' }]
+    });
+
+    const result = await runner.migrate();
+    expect(result.from).to.equal(0);
+    expect(result.to).to.equal(2);
+    expect(result.steps.map(step => step.direction)).to.deep.equal(['up', 'up']);
+    expect(await columns('main.docs')).to.deep.equal(['id', 'data', 'version']);
+
+    const after = await runner.status();
+    expect(after.pending).to.deep.equal([]);
+    expect(after.applied).to.have.length(2);
+
+    const again = await runner.migrate();
+    expect(again.steps).to.deep.equal([]);
+  });
+
+  it('should migrate down to a target version', async function() {
+    const runner = new MigrationRunner(adapter, migrations);
+    await runner.migrate();
+
+    const result = await runner.migrate({ to: 1 });
+    expect(result.steps).to.deep.equal([{ version: 2, name: 'add version column', direction: 'down' }]);
+    expect(await runner.getCurrentVersion()).to.equal(1);
+    expect(await columns('main.docs')).to.deep.equal(['id', 'data']);
+
+    await runner.migrate({ to: 0 });
+    const table = await adapter.getFirstAsync("SELECT name FROM sqlite_master WHERE name = 'docs'");
+    expect(table).to.be.null;
+  });
+
+  it('should roll back a failing migration entirely', async function() {
+    const runner = new MigrationRunner(adapter, [
+      migrations[0],
+      {
+        version: 2,
+        up: async function(db) {
+          await db.runAsync('ALTER TABLE docs ADD COLUMN version INTEGER');
+          await db.runAsync('INSERT INTO missing_table VALUES (1)');
+        }
+      }
+    ]);
+
+    try {
+      await runner.migrate();
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.include('no such table');
+    }
+
+    expect(await runner.getCurrentVersion()).to.equal(1);
+    expect(await columns('main.docs')).to.deep.equal(['id', 'data']);
+  });
+
+  it('should version attached schemas independently', async function() {
+    const attachedMigrations = [{
+      version: 1,
+      up: function(db, context) {
+        return db.runAsync('CREATE TABLE ' + context.schema + '.ops (id INTEGER PRIMARY KEY)');
+      }
+    }];
+
+    const results = await MigrationRunner.migrateAll(adapter, {
+      main: migrations,
+      sharedb: attachedMigrations
+    });
+
+    expect(results.main.to).to.equal(2);
+    expect(results.sharedb.to).to.equal(1);
+    expect(await columns('sharedb.ops')).to.deep.equal(['id']);
+
+    const mainTable = await adapter.getFirstAsync("SELECT name FROM main.sqlite_master WHERE name = 'ops'");
+    expect(mainTable).to.be.null;
+  });
+
+  it('should skip steps another process applied after the version was read', async function() {
+    const counted = [
+      { version: 1, up: 'CREATE TABLE runs (version INTEGER)' },
+      { version: 2, up: 'INSERT INTO runs VALUES (2)' }
+    ];
+    const other = new AttachedBetterSqliteAdapter(testDbPath);
+    await other.connect();
+    const runner = new MigrationRunner(adapter, counted);
+    const racing = new MigrationRunner(other, counted);
+
+    // Both read version 0, then the other process migrates first
+    const originalGetCurrentVersion = runner.getCurrentVersion;
+    runner.getCurrentVersion = async function() {
+      runner.getCurrentVersion = originalGetCurrentVersion;
+      const version = await originalGetCurrentVersion.call(runner);
+      await racing.migrate();
+      return version;
+    };
+
+    const result = await runner.migrate();
+    await other.disconnect();
+
+    expect(result).to.include({ from: 0, to: 2 });
+    expect(result.steps).to.deep.equal([]);
+    expect(await adapter.getAllAsync('SELECT version FROM runs')).to.deep.equal([{ version: 2 }]);
+  });
+
+  it('should log applied steps through the configured logger', async function() {
+    const entries = [];
+    const logger = {
+      debug: function() {},
+      info: function(message, fields) {
+        entries.push([message, fields]);
+      },
+      warn: function() {},
+      error: function() {}
+    };
+    const runner = new MigrationRunner(adapter, migrations, { logger: logger });
+    await runner.migrate({ to: 1 });
+
+    expect(entries).to.deep.equal([['Applied migration', {
+      component: 'MigrationRunner', schema: 'main', version: 1, name: 'create docs', direction: 'up'
+    }]]);
+  });
+
+  it('should reject unknown target versions', async function() {
+    const runner = new MigrationRunner(adapter, migrations);
+
+    try {
+      await runner.migrate({ to: 5 });
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Unknown migration version: 5');
+    }
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const { normalizePragmas } = require('../lib/utils/pragma-utils');
+const fs = require('fs');
+const path = require('path');
+
+describe('PRAGMA configuration', function() {
+  const testDbPath = path.join(__dirname, 'test-pragmas.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-pragmas-attached.sqlite');
+  let adapter;
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath]) {
+      for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  beforeEach(cleanup);
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    cleanup();
+  });
+
+  describe('normalizePragmas', function() {
+    it('should validate known PRAGMAs and order page_size and auto_vacuum first', function() {
+      expect(normalizePragmas({
+        synchronous: 'normal',
+        temp_store: 2,
+        auto_vacuum: 'INCREMENTAL',
+        page_size: 8192,
+        recursive_triggers: true
+      })).to.deep.equal([
+        { name: 'auto_vacuum', value: 'INCREMENTAL' },
+        { name: 'page_size', value: 8192 },
+        { name: 'synchronous', value: 'NORMAL' },
+        { name: 'temp_store', value: 'MEMORY' },
+        { name: 'recursive_triggers', value: 'ON' }
+      ]);
+    });
+
+    it('should reject invalid names and values', function() {
+      expect(() => normalizePragmas({ synchronous: 'SOMETIMES' })).to.throw('Invalid value for PRAGMA synchronous');
+      expect(() => normalizePragmas({ cache_size: '10' })).to.throw('expected an integer');
+      expect(() => normalizePragmas({ page_size: 1000 })).to.throw('power of two');
+      expect(() => normalizePragmas({ 'cache_size; DROP TABLE x': 1 })).to.throw('Invalid PRAGMA name');
+      expect(() => normalizePragmas({ encoding: "'UTF-8'; DROP TABLE x" })).to.throw('Invalid value for PRAGMA encoding');
+    });
+  });
+
+  it('should apply PRAGMAs to the main database', async function() {
+    adapter = new BetterSqliteAdapter(testDbPath, {
+      pragmas: {
+        synchronous: 'NORMAL',
+        cache_size: -4000,
+        temp_store: 'MEMORY',
+        page_size: 8192,
+        auto_vacuum: 'INCREMENTAL',
+        wal_autocheckpoint: 500,
+        busy_timeout: 1234,
+        recursive_triggers: true
+      }
+    });
+    await adapter.connect();
+
+    const pragmas = await adapter.getPragmas();
+    expect(pragmas).to.include({
+      synchronous: 1,
+      cache_size: -4000,
+      busy_timeout: 1234,
+      temp_store: 2,
+      page_size: 8192,
+      auto_vacuum: 2,
+      wal_autocheckpoint: 500,
+      journal_mode: 'wal',
+      foreign_keys: 1,
+      recursive_triggers: 1
+    });
+    expect(adapter.busyTimeout).to.equal(1234);
+  });
+
+  it('should let a journal_mode PRAGMA take precedence over enableWAL', async function() {
+    adapter = new BetterSqliteAdapter(testDbPath, { pragmas: { journal_mode: 'TRUNCATE' } });
+    await adapter.connect();
+
+    expect((await adapter.getPragmas()).journal_mode).to.equal('truncate');
+  });
+
+  it('should apply schema PRAGMAs to attached databases with per-alias overrides', async function() {
+    adapter = new AttachedBetterSqliteAdapter(testDbPath, {
+      attachments: [
+        { path: attachedDbPath, alias: 'tuned', createIfNotExists: true, pragmas: { cache_size: -8000, synchronous: 'FULL' } },
+        { path: ':memory:', alias: 'mem' }
+      ]
+    }, {
+      pragmas: { synchronous: 'NORMAL', cache_size: -4000, temp_store: 'MEMORY' }
+    });
+    await adapter.connect();
+
+    const tuned = await adapter.getPragmas('tuned');
+    expect(tuned).to.include({ synchronous: 2, cache_size: -8000, temp_store: 2 });
+
+    const mem = await adapter.getPragmas('mem');
+    expect(mem).to.include({ synchronous: 1, cache_size: -4000 });
+
+    await adapter.attachDatabase(':memory:', 'extra', false, { pragmas: { cache_size: -100 } });
+    expect((await adapter.getPragmas('extra')).cache_size).to.equal(-100);
+  });
+
+  it('should reject connection-wide PRAGMAs as per-alias overrides', async function() {
+    adapter = new AttachedBetterSqliteAdapter(testDbPath, {});
+    await adapter.connect();
+
+    try {
+      await adapter.attachDatabase(':memory:', 'mem', false, { pragmas: { temp_store: 'MEMORY' } });
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.include('PRAGMA temp_store applies to the whole connection');
+    }
+    expect(adapter.isAttached('mem')).to.equal(false);
+  });
+
+  it('should reject unknown aliases', async function() {
+    adapter = new BetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+
+    try {
+      await adapter.getPragmas('nope');
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Unknown database alias: nope');
+    }
+  });
+});
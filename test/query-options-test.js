@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const WorkerBetterSqliteAdapter = require('../lib/adapters/worker-better-sqlite-adapter');
+const fs = require('fs');
+const path = require('path');
+
+describe('Query options', function() {
+  const testDbPath = path.join(__dirname, 'test-query-options.sqlite');
+  const big = 9007199254740993n; // 2^53 + 1
+  let adapter;
+
+  function cleanup() {
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) {
+        fs.unlinkSync(testDbPath + suffix);
+      }
+    }
+  }
+
+  async function createAdapter(options) {
+    adapter = new BetterSqliteAdapter(testDbPath, options);
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE docs (id TEXT PRIMARY KEY, version INTEGER)');
+    await adapter.runAsync('INSERT INTO docs VALUES (@id, @version)', { id: 'a', version: 1 });
+    await adapter.runAsync('INSERT INTO docs VALUES ($id, $version)', { id: 'b', version: big });
+  }
+
+  beforeEach(cleanup);
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    cleanup();
+  });
+
+  it('should accept named parameters', async function() {
+    await createAdapter();
+
+    const row = await adapter.getFirstAsync('SELECT id FROM docs WHERE id = :id', { id: 'a' });
+    expect(row).to.deep.equal({ id: 'a' });
+
+    const rows = await adapter.getAllAsync('SELECT id FROM docs WHERE id IN (@first, @second) ORDER BY id',
+      { first: 'a', second: 'b' });
+    expect(rows).to.deep.equal([{ id: 'a' }, { id: 'b' }]);
+  });
+
+  it('should return raw, plucked and expanded rows per call', async function() {
+    await createAdapter();
+    const sql = 'SELECT id, version FROM docs WHERE id = ?';
+
+    expect(await adapter.getFirstAsync(sql, ['a'], { raw: true })).to.deep.equal(['a', 1]);
+    expect(await adapter.getFirstAsync(sql, ['a'], { pluck: true })).to.equal('a');
+    expect(await adapter.getFirstAsync(sql, ['a'], { expand: true })).to.deep.equal({ docs: { id: 'a', version: 1 } });
+    expect(await adapter.getAllAsync('SELECT id FROM docs ORDER BY id', [], { pluck: true })).to.deep.equal(['a', 'b']);
+
+    // The cached statement is reset for calls without options
+    expect(await adapter.getFirstAsync(sql, ['a'])).to.deep.equal({ id: 'a', version: 1 });
+    expect(await adapter.getFirstAsync(sql, ['missing'], { pluck: true })).to.equal(null);
+  });
+
+  it('should keep large integers exact with safeIntegers', async function() {
+    await createAdapter();
+
+    const lossy = await adapter.getFirstAsync('SELECT version FROM docs WHERE id = ?', ['b']);
+    expect(lossy.version).to.equal(9007199254740992); // rounded to the nearest double
+
+    const exact = await adapter.getFirstAsync('SELECT version FROM docs WHERE id = ?', ['b'], { safeIntegers: true });
+    expect(exact.version).to.equal(big);
+
+    const result = await adapter.runAsync('INSERT INTO docs VALUES (?, ?)', ['c', 3], { safeIntegers: true });
+    expect(typeof result.lastID).to.equal('bigint');
+  });
+
+  it('should apply adapter-wide defaults that calls can override', async function() {
+    await createAdapter({ queryOptions: { pluck: true, safeIntegers: true } });
+
+    expect(await adapter.getFirstAsync('SELECT version FROM docs WHERE id = ?', ['b'])).to.equal(big);
+    expect(await adapter.getFirstAsync('SELECT id, version FROM docs WHERE id = ?', ['a'], { raw: true }))
+      .to.deep.equal(['a', 1n]);
+    expect(await adapter.getFirstAsync('SELECT version FROM docs WHERE id = ?', ['a'], { pluck: false, safeIntegers: false }))
+      .to.deep.equal({ version: 1 });
+
+    const versions = [];
+    for await (const version of adapter.iterateAsync('SELECT version FROM docs ORDER BY id')) {
+      versions.push(version);
+    }
+    expect(versions).to.deep.equal([1n, big]);
+  });
+
+  it('should reject conflicting row shapes', async function() {
+    await createAdapter();
+
+    try {
+      await adapter.getAllAsync('SELECT id FROM docs', [], { raw: true, pluck: true });
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Only one of raw, pluck and expand can be enabled');
+    }
+  });
+
+  it('should pass options through the worker adapter', async function() {
+    await createAdapter();
+    await adapter.disconnect();
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+
+    const version = await adapter.getFirstAsync('SELECT version FROM docs WHERE id = @id', { id: 'b' },
+      { pluck: true, safeIntegers: true });
+    expect(version).to.equal(big);
+  });
+});
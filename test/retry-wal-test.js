@@ -1,6 +1,6 @@
 const { expect } = require('chai');
 const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
-const { retryWithBackoff, shouldRetry } = require('../lib/utils/retry-utils');
+const { retryWithBackoff, shouldRetry, computeDelay, createRetryPolicy } = require('../lib/utils/retry-utils');
 const fs = require('fs');
 const path = require('path');
 
@@ -105,6 +105,19 @@ describe('WAL Mode and Retry Logic', function() {
         expect(shouldRetry(otherError)).to.be.false;
       });
 
+      it('should classify errors by their SQLite code', function() {
+        function sqliteError(code, message) {
+          const error = new Error(message);
+          error.code = code;
+          return error;
+        }
+
+        expect(shouldRetry(sqliteError('SQLITE_BUSY_SNAPSHOT', 'snapshot conflict'))).to.be.true;
+        expect(shouldRetry(sqliteError('SQLITE_LOCKED', 'database table is locked'))).to.be.true;
+        expect(shouldRetry(sqliteError('SQLITE_CONSTRAINT', 'database is locked by constraint'))).to.be.false;
+        expect(shouldRetry(sqliteError('SQLITE_BUSY', 'busy'), ['SQLITE_LOCKED'])).to.be.false;
+      });
+
       it('should return false for null/undefined errors', function() {
         expect(shouldRetry(null)).to.be.false;
         expect(shouldRetry(undefined)).to.be.false;
@@ -140,6 +153,26 @@ describe('WAL Mode and Retry Logic', function() {
         expect(attempts).to.equal(3);
       });
 
+      it('should retry without waiting when baseDelay is 0', async function() {
+        const delays = [];
+        let attempts = 0;
+        const operation = async () => {
+          attempts++;
+          if (attempts < 3) {
+            throw new Error('database is locked');
+          }
+          return 'success';
+        };
+
+        const result = await retryWithBackoff(operation, {
+          maxRetries: 3,
+          baseDelay: 0,
+          onRetry: info => delays.push(info.delayMs)
+        });
+        expect(result).to.equal('success');
+        expect(delays).to.deep.equal([0, 0]);
+      });
+
       it('should not retry on non-retryable errors', async function() {
         let attempts = 0;
         const operation = async () => {
@@ -171,6 +204,145 @@ describe('WAL Mode and Retry Logic', function() {
           expect(attempts).to.equal(3); // initial attempt + 2 retries
         }
       });
+
+      it('should use a custom retry predicate', async function() {
+        let attempts = 0;
+        const seen = [];
+        const result = await retryWithBackoff(async () => {
+          if (++attempts < 3) {
+            throw new Error('transient');
+          }
+          return 'done';
+        }, {
+          baseDelay: 1,
+          shouldRetry: (error, attempt) => {
+            seen.push(attempt);
+            return error.message === 'transient';
+          }
+        });
+
+        expect(result).to.equal('done');
+        expect(seen).to.deep.equal([1, 2]);
+      });
+
+      it('should call onRetry with capped delays', async function() {
+        const retries = [];
+        try {
+          await retryWithBackoff(async () => {
+            throw new Error('database is locked');
+          }, { maxRetries: 3, baseDelay: 4, maxDelay: 10, onRetry: retry => retries.push(retry) });
+          expect.fail('Should have thrown error');
+        } catch (error) {
+          expect(error.message).to.equal('database is locked');
+        }
+
+        expect(retries.map(retry => [retry.attempt, retry.delayMs])).to.deep.equal([[1, 4], [2, 8], [3, 10]]);
+        expect(retries[0].error.message).to.equal('database is locked');
+      });
+
+      it('should stop retrying once the deadline would be exceeded', async function() {
+        let attempts = 0;
+        try {
+          await retryWithBackoff(async () => {
+            attempts++;
+            throw new Error('database is locked');
+          }, { maxRetries: 10, baseDelay: 20, deadline: 50 });
+          expect.fail('Should have thrown error');
+        } catch (error) {
+          expect(error.message).to.equal('database is locked');
+        }
+        // Delays of 20 and 40ms fit into 50ms only once
+        expect(attempts).to.equal(2);
+      });
+
+      it('should stop when the signal is aborted', async function() {
+        const controller = new AbortController();
+        let attempts = 0;
+        const pending = retryWithBackoff(async () => {
+          attempts++;
+          throw new Error('database is locked');
+        }, { maxRetries: 5, baseDelay: 1000, signal: controller.signal });
+
+        setTimeout(() => controller.abort(), 10);
+        try {
+          await pending;
+          expect.fail('Should have thrown error');
+        } catch (error) {
+          expect(error.name).to.equal('AbortError');
+        }
+        expect(attempts).to.equal(1);
+      });
+    });
+
+    describe('computeDelay', function() {
+      it('should keep full jitter within the exponential bound', function() {
+        const policy = createRetryPolicy({ baseDelay: 10, jitter: 'full' });
+        for (let i = 0; i < 20; i++) {
+          const delay = computeDelay(policy, 2, 0);
+          expect(delay).to.be.at.least(0).and.at.most(40);
+        }
+      });
+
+      it('should keep decorrelated jitter between baseDelay and three times the previous delay', function() {
+        const policy = createRetryPolicy({ baseDelay: 10, maxDelay: 100, jitter: 'decorrelated' });
+        for (let i = 0; i < 20; i++) {
+          const delay = computeDelay(policy, 3, 50);
+          expect(delay).to.be.at.least(10).and.at.most(100);
+        }
+      });
+
+      it('should keep an explicit baseDelay of 0', function() {
+        const policy = createRetryPolicy({ baseDelay: 0, jitter: 'decorrelated' });
+        expect(policy.baseDelay).to.equal(0);
+        expect(computeDelay(policy, 3, 0)).to.equal(0);
+        expect(computeDelay(createRetryPolicy({ baseDelay: 0 }), 3, 0)).to.equal(0);
+        expect(createRetryPolicy({ baseDelay: null }).baseDelay).to.equal(100);
+      });
+
+      it('should cap every delay at an explicit maxDelay of 0', function() {
+        const policy = createRetryPolicy({ baseDelay: 50, maxDelay: 0 });
+        expect(policy.maxDelay).to.equal(0);
+        expect(computeDelay(policy, 2, 0)).to.equal(0);
+      });
+
+      it('should reject unknown jitter modes', function() {
+        expect(() => createRetryPolicy({ jitter: 'random' })).to.throw('Unknown retry jitter mode: random');
+      });
+    });
+  });
+
+  describe('Adapter retry policy', function() {
+    it('should drive busy_timeout and retries from the adapter options', async function() {
+      const retries = [];
+      adapter = new BetterSqliteAdapter(testDbPath, {
+        busyTimeout: 0,
+        retry: { maxRetries: 20, baseDelay: 5, maxDelay: 5, onRetry: retry => retries.push(retry.delayMs) }
+      });
+      await adapter.connect();
+      expect(adapter.db.pragma('busy_timeout', { simple: true })).to.equal(0);
+
+      const locker = new BetterSqliteAdapter(testDbPath, { busyTimeout: 0 });
+      await locker.connect();
+      locker.db.exec('BEGIN IMMEDIATE');
+      const released = new Promise(resolve => setTimeout(() => {
+        locker.db.exec('ROLLBACK');
+        resolve();
+      }, 7));
+
+      const result = await adapter.runAsync('CREATE TABLE t (id INTEGER)');
+      await released;
+      await locker.disconnect();
+
+      expect(result.changes).to.equal(0);
+      expect(retries.length).to.be.at.least(1);
+      expect(retries.every(delay => delay === 5)).to.be.true;
+    });
+
+    it('should default busy_timeout to the better-sqlite3 timeout option', async function() {
+      adapter = new BetterSqliteAdapter(testDbPath, { timeout: 250 });
+      await adapter.connect();
+      expect(adapter.busyTimeout).to.equal(250);
+      expect(adapter.db.pragma('busy_timeout', { simple: true })).to.equal(250);
     });
   });
 
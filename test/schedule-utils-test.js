@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const {
+  checkpointSchedule,
+  dueCheckpoints,
+  maintenanceSchedule,
+  isMaintenanceDue,
+  runSchedule,
+  stopSchedule
+} = require('../lib/utils/schedule-utils');
+
+describe('Schedule utilities', function() {
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  it('should validate checkpoint schedules and apply defaults', function() {
+    expect(() => checkpointSchedule({})).to.throw('Checkpoint schedule needs maxWalSize or interval');
+    expect(() => checkpointSchedule({ interval: 10, mode: 'NOW' })).to.throw('Invalid checkpoint mode: NOW');
+    expect(checkpointSchedule({ maxWalSize: 1024, mode: 'passive' })).to.include({
+      mode: 'PASSIVE',
+      checkInterval: 1000,
+      busyTimeout: 0,
+      stopped: false
+    });
+  });
+
+  it('should report the schemas due for a checkpoint', function() {
+    const schedule = checkpointSchedule({ maxWalSize: 100, interval: 1000 });
+    const lastAt = { main: Date.now(), big: Date.now(), old: Date.now() - 5000 };
+
+    const due = dueCheckpoints(schedule, { main: 10, big: 200, old: 10, scratch: null }, alias => lastAt[alias]);
+    expect(due).to.deep.equal(['big', 'old']);
+  });
+
+  it('should run maintenance only when idle and due', function() {
+    const schedule = maintenanceSchedule({ idleTime: 0, interval: 1000 });
+    expect(schedule).to.include({ checkInterval: 1000, lastRunAt: 0 });
+    expect(isMaintenanceDue(schedule, 0)).to.be.true;
+
+    schedule.lastRunAt = Date.now();
+    expect(isMaintenanceDue(schedule, 0)).to.be.false;
+    expect(isMaintenanceDue(maintenanceSchedule({ idleTime: 60000 }), Date.now())).to.be.false;
+  });
+
+  it('should keep checking after a failed check until stopped', async function() {
+    const schedule = maintenanceSchedule({ checkInterval: 5 });
+    const errors = [];
+    let checks = 0;
+    runSchedule(schedule, function() {
+      checks++;
+      if (checks === 1) {
+        throw new Error('first check failed');
+      }
+      return Promise.reject(new Error('later check failed'));
+    }, error => errors.push(error.message));
+
+    await delay(40);
+    stopSchedule(schedule);
+    const stoppedAt = checks;
+    await delay(20);
+
+    expect(errors[0]).to.equal('first check failed');
+    expect(errors.slice(1)).to.include('later check failed');
+    expect(checks).to.equal(stoppedAt);
+    expect(schedule.stopped).to.be.true;
+  });
+});
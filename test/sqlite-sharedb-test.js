@@ -0,0 +1,303 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const AttachedBetterSqliteAdapter = require('../lib/adapters/attached-better-sqlite-adapter');
+const SqliteShareDB = require('../lib/db/sqlite-sharedb');
+const shareDbTests = require('sharedb/test/db');
+const shareDbLogger = require('sharedb/lib/logger');
+
+const JSON0 = 'http://sharejs.org/types/JSONv0';
+
+describe('SqliteShareDB', function() {
+  let db;
+
+  function create(id, data, metadata) {
+    const op = { src: 'client', seq: 1, v: 0, create: { type: JSON0, data: data }, m: metadata || { ts: 1 } };
+    return db.commit('docs', id, op, { v: 1, type: JSON0, data: data, m: metadata || { ctime: 1, mtime: 1 } }, {});
+  }
+
+  function edit(id, v, data, seq) {
+    const op = { src: 'client', seq: seq, v: v, op: [{ p: ['n'], na: 1 }], m: { ts: v + 1 } };
+    return db.commit('docs', id, op, { v: v + 1, type: JSON0, data: data, m: { ctime: 1, mtime: (v + 1) * 1000 } }, {});
+  }
+
+  beforeEach(function() {
+    db = new SqliteShareDB(new BetterSqliteAdapter(':memory:'));
+  });
+
+  afterEach(async function() {
+    await db.close();
+  });
+
+  describe('Snapshots and ops', function() {
+    it('should commit ops and snapshots', async function() {
+      expect(await create('a', { n: 0 })).to.equal(true);
+      expect(await edit('a', 1, { n: 1 }, 2)).to.equal(true);
+
+      expect(await db.getSnapshot('docs', 'a', null, null)).to.deep.equal({
+        id: 'a', v: 2, type: JSON0, data: { n: 1 }, m: null
+      });
+      expect((await db.getSnapshot('docs', 'a', null, { metadata: true })).m).to.deep.equal({ ctime: 1, mtime: 2000 });
+      expect((await db.getSnapshot('docs', 'a', { $submit: true }, null)).m).to.deep.equal({ ctime: 1, mtime: 2000 });
+    });
+
+    it('should return an empty snapshot for a missing document', async function() {
+      expect(await db.getSnapshot('docs', 'missing', null, null)).to.deep.equal({
+        id: 'missing', v: 0, type: null, data: undefined, m: null
+      });
+    });
+
+    it('should reject a commit against a stale version without writing', async function() {
+      await create('a', { n: 0 });
+
+      expect(await edit('a', 0, { n: 5 }, 2)).to.equal(false);
+      expect(await edit('a', 2, { n: 5 }, 2)).to.equal(false);
+
+      expect((await db.getSnapshot('docs', 'a', null, null)).v).to.equal(1);
+      expect(await db.getOps('docs', 'a', 0, null, null)).to.have.length(1);
+    });
+
+    it('should let only one of two concurrent commits of a version succeed', async function() {
+      await create('a', { n: 0 });
+
+      const results = await Promise.all([edit('a', 1, { n: 1 }, 2), edit('a', 1, { n: 2 }, 3)]);
+      expect(results).to.deep.equal([true, false]);
+      expect((await db.getSnapshot('docs', 'a', null, null)).data).to.deep.equal({ n: 1 });
+    });
+
+    it('should get op ranges with or without metadata', async function() {
+      await create('a', { n: 0 });
+      await edit('a', 1, { n: 1 }, 2);
+      await edit('a', 2, { n: 2 }, 3);
+
+      const all = await db.getOps('docs', 'a', null, null, null);
+      expect(all.map(op => op.v)).to.deep.equal([0, 1, 2]);
+      expect(all[0]).to.not.have.property('m');
+
+      const range = await db.getOps('docs', 'a', 1, 2, { metadata: true });
+      expect(range).to.deep.equal([{ src: 'client', seq: 2, v: 1, op: [{ p: ['n'], na: 1 }], m: { ts: 2 } }]);
+
+      const snapshot = await db.getSnapshot('docs', 'a', null, null);
+      expect((await db.getOpsToSnapshot('docs', 'a', 1, { v: 2 }, null)).map(op => op.v)).to.deep.equal([1]);
+      expect((await db.getOpsToSnapshot('docs', 'a', 0, snapshot, null))).to.have.length(3);
+    });
+
+    it('should get snapshots and ops in bulk', async function() {
+      await create('a', { n: 0 });
+      await create('b', { n: 10 });
+      await edit('b', 1, { n: 11 }, 2);
+
+      const snapshots = await db.getSnapshotBulk('docs', ['a', 'b', 'c'], null, null);
+      expect(Object.keys(snapshots).sort()).to.deep.equal(['a', 'b', 'c']);
+      expect(snapshots.b.data).to.deep.equal({ n: 11 });
+      expect(snapshots.c.v).to.equal(0);
+
+      const ops = await db.getOpsBulk('docs', { a: 0, b: 1 }, null, null);
+      expect(ops.a.map(op => op.v)).to.deep.equal([0]);
+      expect(ops.b.map(op => op.v)).to.deep.equal([1]);
+      expect((await db.getOpsBulk('docs', { b: 0 }, { b: 1 }, null)).b).to.have.length(1);
+    });
+
+    it('should find the version an op was committed at', async function() {
+      await create('a', { n: 0 });
+      await edit('a', 1, { n: 1 }, 2);
+
+      const snapshot = await db.getSnapshot('docs', 'a', null, null);
+      expect(await db.getCommittedOpVersion('docs', 'a', snapshot, { src: 'client', seq: 2 }, null)).to.equal(1);
+      expect(await db.getCommittedOpVersion('docs', 'a', { v: 1 }, { src: 'client', seq: 2 }, null)).to.equal(undefined);
+      expect(await db.getCommittedOpVersion('docs', 'a', snapshot, { src: 'other', seq: 2 }, null)).to.equal(undefined);
+    });
+
+    it('should store deleted documents with a null type', async function() {
+      await create('a', { n: 0 });
+      await db.commit('docs', 'a', { src: 'client', seq: 2, v: 1, del: true }, { v: 2, type: null, data: undefined }, {});
+
+      expect(await db.getSnapshot('docs', 'a', null, null)).to.deep.equal({
+        id: 'a', v: 2, type: null, data: undefined, m: null
+      });
+    });
+
+    it('should accept Node-style callbacks', function(done) {
+      const op = { src: 'client', seq: 1, v: 0, create: { type: JSON0, data: {} } };
+      db.commit('docs', 'a', op, { v: 1, type: JSON0, data: {} }, {}, function(error, succeeded) {
+        if (error) return done(error);
+        expect(succeeded).to.equal(true);
+        db.getSnapshot('docs', 'a', null, null, function(error, snapshot) {
+          if (error) return done(error);
+          expect(snapshot.v).to.equal(1);
+          done();
+        });
+      });
+    });
+
+    it('should keep collections in separate tables', async function() {
+      await create('a', { n: 0 });
+
+      const tables = await db.adapter.getAllAsync("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+      expect(tables.map(table => table.name)).to.deep.equal(['docs_milestones', 'docs_ops', 'docs_snapshots']);
+      expect((await db.getSnapshot('other', 'a', null, null)).v).to.equal(0);
+    });
+  });
+
+  describe('Queries', function() {
+    beforeEach(async function() {
+      await create('a', { title: 'one', published: true, author: { name: 'ann' } });
+      await create('b', { title: 'two', published: false, author: { name: 'bob' } });
+      await create('c', { title: 'three', published: true, author: { name: 'bob' } });
+      await db.commit('docs', 'c', { src: 'client', seq: 2, v: 1, del: true }, { v: 2, type: null }, {});
+    });
+
+    it('should match live documents by field values', async function() {
+      expect((await db.query('docs', {}, null, null)).map(snapshot => snapshot.id)).to.deep.equal(['a', 'b']);
+      expect((await db.query('docs', { published: true }, null, null)).map(snapshot => snapshot.id)).to.deep.equal(['a']);
+      expect((await db.query('docs', { 'author.name': 'bob' }, null, null)).map(snapshot => snapshot.id)).to.deep.equal(['b']);
+      expect(await db.query('docs', { title: 'none' }, null, null)).to.deep.equal([]);
+    });
+
+    it('should support query operators, sorting and paging', async function() {
+      await create('d', { title: 'four', published: true, views: 7 });
+      await create('e', { title: 'five', published: true, views: 3 });
+
+      const ids = snapshots => snapshots.map(snapshot => snapshot.id);
+      expect(ids(await db.query('docs', { views: { $gt: 5 } }, null, null))).to.deep.equal(['d']);
+      expect(ids(await db.query('docs', { published: true, $sort: { views: -1 }, $limit: 1 }, null, null))).to.deep.equal(['d']);
+      expect(ids(await db.query('docs', { $or: [{ title: 'one' }, { views: 3 }], $sort: { title: 1 } }, null, null)))
+        .to.deep.equal(['e', 'a']);
+      expect(db.canPollDoc('docs', { published: true, $limit: 1 })).to.equal(false);
+      expect(db.canPollDoc('docs', { published: true, $sort: { views: 1 } })).to.equal(false);
+      expect(await db.queryPollDoc('docs', 'd', { views: { $gte: 7 }, $sort: { views: 1 } }, null)).to.equal(true);
+    });
+
+    it('should poll for ids and single documents', async function() {
+      expect(await db.queryPoll('docs', { published: false }, null)).to.deep.equal(['b']);
+      expect(db.canPollDoc('docs', { published: true })).to.equal(true);
+      expect(await db.queryPollDoc('docs', 'a', { published: true }, null)).to.equal(true);
+      expect(await db.queryPollDoc('docs', 'b', { published: true }, null)).to.equal(false);
+    });
+
+    it('should reject unsupported operators', async function() {
+      try {
+        await db.query('docs', { $where: 'true' }, null, null);
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('Unsupported query operator: $where');
+      }
+    });
+  });
+
+  describe('Milestone snapshots', function() {
+    function milestone(v, mtime) {
+      return { id: 'a', v: v, type: JSON0, data: { n: v }, m: { ctime: 0, mtime: mtime } };
+    }
+
+    beforeEach(async function() {
+      await db.saveMilestoneSnapshot('docs', milestone(10, 1000));
+      await db.saveMilestoneSnapshot('docs', milestone(20, 2000));
+    });
+
+    it('should find milestones by version', async function() {
+      expect((await db.getMilestoneSnapshot('docs', 'a', 15)).v).to.equal(10);
+      expect((await db.getMilestoneSnapshot('docs', 'a', 20)).v).to.equal(20);
+      expect((await db.getMilestoneSnapshot('docs', 'a', null)).v).to.equal(20);
+      expect(await db.getMilestoneSnapshot('docs', 'a', 5)).to.equal(undefined);
+      expect(await db.getMilestoneSnapshot('docs', 'b', null)).to.equal(undefined);
+    });
+
+    it('should find milestones by time', async function() {
+      expect((await db.getMilestoneSnapshotAtOrBeforeTime('docs', 'a', 1500)).v).to.equal(10);
+      expect((await db.getMilestoneSnapshotAtOrAfterTime('docs', 'a', 1500)).v).to.equal(20);
+      expect((await db.getMilestoneSnapshotAtOrAfterTime('docs', 'a', null)).v).to.equal(20);
+      expect(await db.getMilestoneSnapshotAtOrAfterTime('docs', 'a', 3000)).to.equal(undefined);
+      expect((await db.getMilestoneSnapshotAtOrBeforeTime('docs', 'a', 1000))).to.deep.equal(milestone(10, 1000));
+    });
+
+    it('should emit save when called without a callback', function(done) {
+      db.on('save', function(collection, snapshot) {
+        expect(collection).to.equal('docs');
+        expect(snapshot.v).to.equal(30);
+        done();
+      });
+      db.saveMilestoneSnapshot('docs', milestone(30, 3000));
+    });
+
+    it('should reject invalid arguments with a ShareDB error code', async function() {
+      const calls = [
+        () => db.getMilestoneSnapshot(null, 'a', 1),
+        () => db.getMilestoneSnapshot('docs', null, 1),
+        () => db.getMilestoneSnapshot('docs', 'a', 'one'),
+        () => new Promise((resolve, reject) => {
+          db.saveMilestoneSnapshot('docs', null, error => (error ? reject(error) : resolve()));
+        })
+      ];
+      for (const call of calls) {
+        try {
+          await call();
+          expect.fail('Should have thrown error');
+        } catch (error) {
+          expect(error.code).to.equal('ERR_MILESTONE_ARGUMENT_INVALID');
+        }
+      }
+    });
+  });
+
+  describe('Lifecycle', function() {
+    it('should keep its tables in an attached schema', async function() {
+      await db.close();
+      const adapter = new AttachedBetterSqliteAdapter(':memory:', {
+        attachments: [{ path: ':memory:', alias: 'sharedb' }]
+      });
+      db = new SqliteShareDB(adapter, { schema: 'sharedb', tablePrefix: 'sdb_' });
+
+      await create('a', { n: 0 });
+      const tables = await adapter.getAllAsync("SELECT name FROM sharedb.sqlite_master WHERE type = 'table' ORDER BY name");
+      expect(tables.map(table => table.name)).to.deep.equal(['sdb_docs_milestones', 'sdb_docs_ops', 'sdb_docs_snapshots']);
+    });
+
+    it('should disconnect the adapter on close unless told not to', async function() {
+      await create('a', { n: 0 });
+      await db.close();
+      expect(db.adapter.db).to.equal(null);
+
+      try {
+        await db.getSnapshot('docs', 'a', null, null);
+        expect.fail('Should have thrown error');
+      } catch (error) {
+        expect(error.message).to.equal('Database closed');
+      }
+
+      const adapter = new BetterSqliteAdapter(':memory:');
+      db = new SqliteShareDB(adapter, { closeAdapter: false });
+      await db.getSnapshot('docs', 'a', null, null);
+      await db.close();
+      expect(adapter.db).to.not.equal(null);
+      await adapter.disconnect();
+    });
+  });
+
+  describe('ShareDB DB test suite', function() {
+    // The suite provokes errors on purpose; keep ShareDB from logging them
+    const logMethods = {};
+
+    before(function() {
+      for (const method of ['info', 'warn', 'error']) {
+        logMethods[method] = shareDbLogger[method];
+      }
+      shareDbLogger.setMethods({ info: function() {}, warn: function() {}, error: function() {} });
+    });
+
+    after(function() {
+      shareDbLogger.setMethods(logMethods);
+    });
+
+    shareDbTests({
+      create: function(options, callback) {
+        if (typeof options === 'function') {
+          callback = options;
+        }
+        callback(null, new SqliteShareDB(new BetterSqliteAdapter(':memory:')));
+      },
+      getQuery: function(options) {
+        return options.sort ? Object.assign({ $sort: options.sort }, options.query) : options.query;
+      }
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const StatementCache = require('../lib/utils/statement-cache');
+const fs = require('fs');
+const path = require('path');
+
+describe('Prepared Statement Cache', function() {
+  describe('StatementCache', function() {
+    function prepare(sql) {
+      return { sql: sql };
+    }
+
+    it('should count hits and misses', function() {
+      const cache = new StatementCache(10);
+      const first = cache.get('SELECT 1', prepare);
+      const second = cache.get('SELECT 1', prepare);
+
+      expect(second).to.equal(first);
+      expect(cache.getStats()).to.deep.equal({ size: 1, maxSize: 10, hits: 1, misses: 1, evictions: 0 });
+    });
+
+    it('should evict the least recently used statement', function() {
+      const cache = new StatementCache(2);
+      cache.get('a', prepare);
+      cache.get('b', prepare);
+      cache.get('a', prepare);
+      cache.get('c', prepare);
+
+      expect(Array.from(cache.statements.keys())).to.deep.equal(['a', 'c']);
+      expect(cache.getStats().evictions).to.equal(1);
+    });
+
+    it('should not store statements when disabled', function() {
+      const cache = new StatementCache(0);
+      cache.get('a', prepare);
+      cache.get('a', prepare);
+
+      expect(cache.getStats()).to.include({ size: 0, hits: 0, misses: 2 });
+    });
+
+    it('should detect schema-changing statements', function() {
+      expect(StatementCache.isSchemaChange('CREATE TABLE t (id INTEGER)')).to.be.true;
+      expect(StatementCache.isSchemaChange('  drop index i')).to.be.true;
+      expect(StatementCache.isSchemaChange('ALTER TABLE t ADD COLUMN x')).to.be.true;
+      expect(StatementCache.isSchemaChange('SELECT * FROM created')).to.be.false;
+      expect(StatementCache.isSchemaChange('INSERT INTO t VALUES (1)')).to.be.false;
+    });
+  });
+
+  describe('BetterSqliteAdapter', function() {
+    let testDbPath;
+    let adapter;
+
+    beforeEach(async function() {
+      testDbPath = path.join(__dirname, 'test-statement-cache.sqlite');
+      if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
+      }
+      adapter = new BetterSqliteAdapter(testDbPath, { statementCacheSize: 5 });
+      await adapter.connect();
+      await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+    });
+
+    afterEach(async function() {
+      if (adapter) {
+        await adapter.disconnect();
+        adapter = null;
+      }
+      for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(testDbPath + suffix)) {
+          fs.unlinkSync(testDbPath + suffix);
+        }
+      }
+    });
+
+    it('should use the configured cache size', function() {
+      expect(adapter.getStatementCacheStats().maxSize).to.equal(5);
+    });
+
+    it('should reuse statements for repeated SQL', async function() {
+      for (let i = 0; i < 3; i++) {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['item' + i]);
+      }
+      const rows = await adapter.getAllAsync('SELECT name FROM items ORDER BY id');
+
+      expect(rows).to.have.length(3);
+      expect(adapter.getStatementCacheStats()).to.include({ size: 2, hits: 2, misses: 2 });
+    });
+
+    it('should invalidate cached statements on schema changes', async function() {
+      await adapter.getAllAsync('SELECT * FROM items');
+      expect(adapter.getStatementCacheStats().size).to.equal(1);
+
+      await adapter.runAsync('ALTER TABLE items ADD COLUMN extra TEXT');
+      expect(adapter.getStatementCacheStats().size).to.equal(0);
+
+      await adapter.runAsync("INSERT INTO items (name, extra) VALUES ('a', 'b')");
+      const rows = await adapter.getAllAsync('SELECT * FROM items');
+      expect(rows[0]).to.deep.equal({ id: 1, name: 'a', extra: 'b' });
+    });
+
+    it('should clear the cache on disconnect', async function() {
+      await adapter.getAllAsync('SELECT * FROM items');
+      await adapter.disconnect();
+      expect(adapter.getStatementCacheStats().size).to.equal(0);
+
+      await adapter.connect();
+      const rows = await adapter.getAllAsync('SELECT * FROM items');
+      expect(rows).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const { expect } = require('chai');
+const Database = require('better-sqlite3');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const fs = require('fs');
+const path = require('path');
+
+describe('BetterSqliteAdapter Transactions', function() {
+  let testDbPath;
+  let adapter;
+
+  beforeEach(async function() {
+    testDbPath = path.join(__dirname, 'test-transaction.sqlite');
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+
+    adapter = new BetterSqliteAdapter(testDbPath, { debug: false });
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(testDbPath + suffix)) {
+        fs.unlinkSync(testDbPath + suffix);
+      }
+    }
+  });
+
+  async function countItems() {
+    const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+    return row.count;
+  }
+
+  it('should commit async operations', async function() {
+    const result = await adapter.transaction(async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+      const row = await adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items');
+      return row.count;
+    });
+
+    expect(result).to.equal(2);
+    expect(await countItems()).to.equal(2);
+    expect(adapter.db.inTransaction).to.be.false;
+  });
+
+  it('should roll back async operations when the callback rejects', async function() {
+    try {
+      await adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+        throw new Error('boom');
+      });
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('boom');
+    }
+
+    expect(await countItems()).to.equal(0);
+    expect(adapter.db.inTransaction).to.be.false;
+  });
+
+  it('should still support synchronous callbacks', async function() {
+    const result = await adapter.transaction(function() {
+      adapter.db.prepare('INSERT INTO items (name) VALUES (?)').run('sync');
+      return 'done';
+    });
+
+    expect(result).to.equal('done');
+    expect(await countItems()).to.equal(1);
+  });
+
+  it('should roll back synchronous callbacks that throw', async function() {
+    try {
+      await adapter.transaction(function() {
+        adapter.db.prepare('INSERT INTO items (name) VALUES (?)').run('sync');
+        throw new Error('sync boom');
+      });
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('sync boom');
+    }
+
+    expect(await countItems()).to.equal(0);
+  });
+
+  it('should make unrelated calls wait for the transaction to finish', async function() {
+    const events = [];
+
+    const tx = adapter.transaction(async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['in-tx']);
+      events.push('tx-insert');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      events.push('tx-end');
+    });
+
+    const outside = adapter.getFirstAsync('SELECT COUNT(*) AS count FROM items').then(function(row) {
+      events.push('outside-read');
+      return row.count;
+    });
+
+    await tx;
+    const count = await outside;
+
+    expect(events).to.deep.equal(['tx-insert', 'tx-end', 'outside-read']);
+    expect(count).to.equal(1);
+  });
+
+  it('should run concurrent transactions one after the other', async function() {
+    const failing = adapter.transaction(async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['first']);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new Error('first failed');
+    });
+    const succeeding = adapter.transaction(async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['second']);
+    });
+
+    const results = await Promise.allSettled([failing, succeeding]);
+    expect(results[0].status).to.equal('rejected');
+    expect(results[1].status).to.equal('fulfilled');
+
+    const rows = await adapter.getAllAsync('SELECT name FROM items');
+    expect(rows).to.deep.equal([{ name: 'second' }]);
+  });
+
+  it('should use savepoints for nested transactions', async function() {
+    await adapter.transaction(async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['outer']);
+
+      try {
+        await adapter.transaction(async function() {
+          await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['inner']);
+          throw new Error('inner failed');
+        });
+      } catch (error) {
+        expect(error.message).to.equal('inner failed');
+      }
+
+      await adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['inner-ok']);
+      });
+    });
+
+    const rows = await adapter.getAllAsync('SELECT name FROM items ORDER BY id');
+    expect(rows.map(row => row.name)).to.deep.equal(['outer', 'inner-ok']);
+  });
+
+  it('should run concurrent nested transactions one after the other', async function() {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    let results;
+
+    await adapter.transaction(async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['outer']);
+      results = await Promise.allSettled([
+        adapter.transaction(async function() {
+          await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+          await delay(10);
+          throw new Error('a failed');
+        }),
+        adapter.transaction(async function() {
+          await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']);
+          await Promise.all([
+            adapter.transaction(() => adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b1'])),
+            adapter.transaction(() => adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b2']))
+          ]);
+        }),
+        adapter.transaction(async function() {
+          await delay(5);
+          await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['c']);
+        })
+      ]);
+    });
+
+    expect(results.map(result => result.status)).to.deep.equal(['rejected', 'fulfilled', 'fulfilled']);
+    expect(results[0].reason.message).to.equal('a failed');
+    const rows = await adapter.getAllAsync('SELECT name FROM items ORDER BY id');
+    expect(rows.map(row => row.name)).to.deep.equal(['outer', 'b', 'b1', 'b2', 'c']);
+  });
+
+  it('should take the write lock up front with immediate', async function() {
+    const other = new Database(testDbPath, { timeout: 0 });
+
+    try {
+      await adapter.transaction(async function() {
+        expect(() => other.exec('BEGIN IMMEDIATE')).to.throw('database is locked');
+      }, { immediate: true });
+      await adapter.transaction(async function() {
+        other.exec('BEGIN IMMEDIATE');
+        other.exec('ROLLBACK');
+      });
+    } finally {
+      other.close();
+    }
+  });
+
+  it('should reject when not connected', async function() {
+    await adapter.disconnect();
+
+    try {
+      await adapter.transaction(async function() {});
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Database not connected');
+    }
+
+    adapter = null;
+  });
+});
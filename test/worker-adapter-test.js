@@ -0,0 +1,244 @@
+const { expect } = require('chai');
+const WorkerBetterSqliteAdapter = require('../lib/adapters/worker-better-sqlite-adapter');
+const BetterSqliteAdapter = require('../lib/adapters/better-sqlite-adapter');
+const { AttachLimitError } = require('../lib/utils/attach-utils');
+const fs = require('fs');
+const path = require('path');
+
+describe('WorkerBetterSqliteAdapter', function() {
+  const testDbPath = path.join(__dirname, 'test-worker.sqlite');
+  const attachedDbPath = path.join(__dirname, 'test-worker-attached.sqlite');
+  let adapter;
+
+  function cleanup() {
+    for (const file of [testDbPath, attachedDbPath]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(file + suffix)) {
+          fs.unlinkSync(file + suffix);
+        }
+      }
+    }
+  }
+
+  beforeEach(cleanup);
+
+  afterEach(async function() {
+    if (adapter) {
+      await adapter.disconnect();
+      adapter = null;
+    }
+    cleanup();
+  });
+
+  it('should run queries in the worker', async function() {
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+    expect(adapter.worker).to.exist;
+
+    await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+    const result = await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+    expect(result.changes).to.equal(1);
+
+    const row = await adapter.getFirstAsync('SELECT name FROM items WHERE id = ?', [result.lastID]);
+    expect(row).to.deep.equal({ name: 'a' });
+
+    const missing = await adapter.getFirstAsync('SELECT name FROM items WHERE id = ?', [999]);
+    expect(missing).to.be.null;
+
+    const rows = await adapter.getAllAsync('SELECT * FROM items');
+    expect(rows).to.have.length(1);
+  });
+
+  it('should propagate SQLite errors with their code', async function() {
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+
+    try {
+      await adapter.getAllAsync('SELECT * FROM missing_table');
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.include('no such table');
+      expect(error.code).to.equal('SQLITE_ERROR');
+    }
+  });
+
+  it('should reject calls when not connected', async function() {
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+
+    try {
+      await adapter.runAsync('SELECT 1');
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Database not connected');
+    }
+  });
+
+  it('should commit and roll back transactions', async function() {
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+
+    await adapter.transaction(async function() {
+      await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['kept']);
+
+      try {
+        await adapter.transaction(async function() {
+          await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['nested']);
+          throw new Error('nested failed');
+        });
+      } catch (error) {
+        expect(error.message).to.equal('nested failed');
+      }
+    });
+
+    try {
+      await adapter.transaction(async function() {
+        await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['discarded']);
+        throw new Error('boom');
+      });
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('boom');
+    }
+
+    const rows = await adapter.getAllAsync('SELECT name FROM items');
+    expect(rows).to.deep.equal([{ name: 'kept' }]);
+  });
+
+  it('should run concurrent nested transactions one after the other', async function() {
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+    await adapter.runAsync('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+
+    let results;
+    await adapter.transaction(async () => {
+      results = await Promise.allSettled([
+        adapter.transaction(async () => {
+          await adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['a']);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          throw new Error('a failed');
+        }),
+        adapter.transaction(() => adapter.runAsync('INSERT INTO items (name) VALUES (?)', ['b']))
+      ]);
+    });
+
+    expect(results.map(result => result.status)).to.deep.equal(['rejected', 'fulfilled']);
+    const rows = await adapter.getAllAsync('SELECT name FROM items');
+    expect(rows).to.deep.equal([{ name: 'b' }]);
+  });
+
+  it('should attach configured databases and attach more on demand', async function() {
+    const setup = new BetterSqliteAdapter(attachedDbPath);
+    await setup.connect();
+    await setup.runAsync('CREATE TABLE ref (id INTEGER PRIMARY KEY, value TEXT)');
+    await setup.runAsync("INSERT INTO ref VALUES (1, 'from_ref')");
+    await setup.disconnect();
+
+    adapter = new WorkerBetterSqliteAdapter(testDbPath, {
+      attachments: [{ path: attachedDbPath, alias: 'ref' }]
+    });
+    await adapter.connect();
+
+    expect(adapter.isAttached('ref')).to.be.true;
+    const row = await adapter.getFirstAsync('SELECT value FROM ref.ref WHERE id = 1');
+    expect(row.value).to.equal('from_ref');
+
+    await adapter.attachDatabase(':memory:', 'mem');
+    expect(adapter.getAttachedAliases()).to.deep.equal(['ref', 'mem']);
+
+    await adapter.detachDatabase('ref');
+    expect(adapter.getAttachedAliases()).to.deep.equal(['mem']);
+  });
+
+  it('should reject writes to read-only attachments', async function() {
+    const setup = new BetterSqliteAdapter(attachedDbPath);
+    await setup.connect();
+    await setup.runAsync('CREATE TABLE ref (id INTEGER PRIMARY KEY)');
+    await setup.disconnect();
+
+    adapter = new WorkerBetterSqliteAdapter(testDbPath, {
+      attachments: [{ path: attachedDbPath, alias: 'ref', readonly: true }]
+    });
+    await adapter.connect();
+
+    try {
+      await adapter.runAsync('INSERT INTO ref.ref DEFAULT VALUES');
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.include('Cannot write to read-only attached database ref');
+      expect(error).to.include({ code: 'SQLITE_READONLY', alias: 'ref' });
+    }
+    expect(await adapter.getAllAsync('SELECT * FROM ref.ref')).to.deep.equal([]);
+  });
+
+  it('should reject options that cannot be sent to the worker', function() {
+    const noop = function() {};
+    expect(() => new WorkerBetterSqliteAdapter(testDbPath, {
+      onQuery: noop,
+      verbose: noop,
+      retry: { maxRetries: 2, shouldRetry: noop, signal: new AbortController().signal }
+    })).to.throw('WorkerBetterSqliteAdapter cannot send these options to its worker thread: onQuery, verbose, retry.shouldRetry, retry.signal');
+
+    const logger = { debug: noop, info: noop, warn: noop, error: noop };
+    const worker = new WorkerBetterSqliteAdapter(testDbPath, { logger: logger, retry: { maxRetries: 2 } });
+    expect(worker._workerData().options).to.deep.equal({ retry: { maxRetries: 2 } });
+  });
+
+  it('should reject attach options it does not support', async function() {
+    expect(() => new WorkerBetterSqliteAdapter(testDbPath, {
+      attachments: [{ path: attachedDbPath, alias: 'ref', immutable: true }]
+    })).to.throw('Unsupported attach option: immutable (supported: pragmas, readonly)');
+
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+    try {
+      await adapter.attachDatabase(attachedDbPath, 'ref', true, { uri: 'mode=ro' });
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error.message).to.equal('Unsupported attach option: uri (supported: pragmas, readonly)');
+    }
+    expect(adapter.isAttached('ref')).to.be.false;
+  });
+
+  it('should report the attach limit and raise AttachLimitError from the worker', async function() {
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+
+    const limit = await adapter.getAttachLimit();
+    expect(limit).to.deep.equal({ max: limit.max, attached: 0, available: limit.max });
+
+    for (let i = 0; i < limit.max; i++) {
+      await adapter.attachDatabase(':memory:', 'mem' + i);
+    }
+
+    try {
+      await adapter.attachDatabase(':memory:', 'overflow');
+      expect.fail('Should have thrown error');
+    } catch (error) {
+      expect(error).to.be.instanceOf(AttachLimitError);
+      expect(error).to.include({ alias: 'overflow', limit: limit.max });
+    }
+    expect(adapter.isAttached('overflow')).to.be.false;
+  });
+
+  it('should create indexes inside an attached schema', async function() {
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+    await adapter.attachDatabase(':memory:', 'mem');
+    await adapter.runAsync('CREATE TABLE mem.docs (id TEXT, owner TEXT)');
+
+    const spec = { name: 'docs_owner', table: 'docs', columns: ['owner'] };
+    expect((await adapter.ensureIndexes('mem', [spec])).created).to.deep.equal(['docs_owner']);
+    expect((await adapter.ensureIndexes('mem', [spec])).unchanged).to.deep.equal(['docs_owner']);
+  });
+
+  it('should shut down the worker on disconnect', async function() {
+    adapter = new WorkerBetterSqliteAdapter(testDbPath);
+    await adapter.connect();
+    await adapter.disconnect();
+
+    expect(adapter.worker).to.be.null;
+    await adapter.disconnect();
+    adapter = null;
+  });
+});